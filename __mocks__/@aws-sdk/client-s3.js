@@ -10,3 +10,45 @@ export class PutObjectCommand {
     this.params = params;
   }
 }
+
+export class GetObjectCommand {
+  constructor(params) {
+    this.params = params;
+  }
+}
+
+export class CopyObjectCommand {
+  constructor(params) {
+    this.params = params;
+  }
+}
+
+export class ListObjectsV2Command {
+  constructor(params) {
+    this.params = params;
+  }
+}
+
+export class GetBucketLifecycleConfigurationCommand {
+  constructor(params) {
+    this.params = params;
+  }
+}
+
+export class PutBucketLifecycleConfigurationCommand {
+  constructor(params) {
+    this.params = params;
+  }
+}
+
+export class DeleteBucketLifecycleCommand {
+  constructor(params) {
+    this.params = params;
+  }
+}
+
+export class HeadObjectCommand {
+  constructor(params) {
+    this.params = params;
+  }
+}
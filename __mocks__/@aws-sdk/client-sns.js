@@ -0,0 +1,48 @@
+export class SNSClient {
+  constructor() {}
+  send() {
+    return Promise.resolve({});
+  }
+}
+
+export class PublishCommand {
+  constructor(params) {
+    this.params = params;
+  }
+}
+
+export class SubscribeCommand {
+  constructor(params) {
+    this.params = params;
+  }
+}
+
+export class PublishBatchCommand {
+  constructor(params) {
+    this.params = params;
+  }
+}
+
+export class ListSubscriptionsByTopicCommand {
+  constructor(params) {
+    this.params = params;
+  }
+}
+
+export class GetSubscriptionAttributesCommand {
+  constructor(params) {
+    this.params = params;
+  }
+}
+
+export class SetSubscriptionAttributesCommand {
+  constructor(params) {
+    this.params = params;
+  }
+}
+
+export class UnsubscribeCommand {
+  constructor(params) {
+    this.params = params;
+  }
+}
@@ -0,0 +1,12 @@
+export class SSMClient {
+  constructor() {}
+  send() {
+    return Promise.resolve({ Parameter: { Value: "test-password" } });
+  }
+}
+
+export class GetParameterCommand {
+  constructor(params) {
+    this.params = params;
+  }
+}
@@ -0,0 +1,13 @@
+const query = jest.fn(async () => ({ rows: [], rowCount: 0 }));
+
+export class Pool {
+  constructor() {}
+  async connect() {
+    return { query, release: jest.fn() };
+  }
+  query(...args) {
+    return query(...args);
+  }
+}
+
+export default { Pool };
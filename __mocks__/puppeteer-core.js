@@ -9,7 +9,12 @@ const launch = jest.fn(async () => ({
     setDefaultNavigationTimeout: jest.fn(),
     setDefaultTimeout: jest.fn(),
     $: jest.fn(async () => ({})), // for Transnet
+    on: jest.fn(),
+    url: jest.fn(() => "about:blank"),
+    screenshot: jest.fn(async () => Buffer.from("png")),
+    content: jest.fn(async () => "<html></html>"),
   })),
+  pages: jest.fn(async () => []),
   close: jest.fn(async () => {}),
 }));
 
@@ -0,0 +1,92 @@
+import { handler, s3, mergeRule } from "../lambdas/bucket-lifecycle/index.mjs";
+
+const event = (RequestType, extra = {}) => ({
+  RequestType,
+  ResponseURL: "https://cloudformation-custom-resource-response.example/abc",
+  StackId: "stack",
+  RequestId: "req-1",
+  LogicalResourceId: "DebugArtifactsExpiry",
+  ResourceProperties: { BucketName: "tender-scraper-bucket", RuleId: "expire-scraper-debug-dev", Prefix: "debug/", ExpirationDays: "14" },
+  ...extra,
+});
+
+const archiveRule = { ID: "archive-documents", Status: "Enabled", Filter: { Prefix: "documents/" }, Transitions: [{ Days: 30, StorageClass: "GLACIER" }] };
+
+describe("bucket lifecycle custom resource", () => {
+  let sent;
+  let responses;
+
+  // S3 with `rules` already on the bucket (null: no lifecycle configuration yet)
+  function mockBucket(rules) {
+    sent = [];
+    jest.spyOn(s3, "send").mockImplementation(async (cmd) => {
+      sent.push(cmd);
+      if (cmd.constructor.name === "GetBucketLifecycleConfigurationCommand") {
+        if (!rules) throw Object.assign(new Error("The lifecycle configuration does not exist"), { name: "NoSuchLifecycleConfiguration" });
+        return { Rules: rules };
+      }
+      return {};
+    });
+  }
+
+  beforeEach(() => {
+    responses = [];
+    global.fetch = jest.fn(async (url, { body }) => {
+      responses.push(JSON.parse(body));
+      return { ok: true, status: 200 };
+    });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  const put = () => sent.find((c) => c.constructor.name === "PutBucketLifecycleConfigurationCommand");
+
+  test("create adds the expiry rule and keeps the bucket's other rules", async () => {
+    mockBucket([archiveRule]);
+    await handler(event("Create"));
+
+    expect(put().params.LifecycleConfiguration.Rules).toEqual([
+      archiveRule,
+      expect.objectContaining({ ID: "expire-scraper-debug-dev", Filter: { Prefix: "debug/" }, Expiration: { Days: 14 } }),
+    ]);
+    expect(responses).toEqual([expect.objectContaining({ Status: "SUCCESS", PhysicalResourceId: "tender-scraper-bucket/expire-scraper-debug-dev" })]);
+  });
+
+  test("update replaces the rule in place", async () => {
+    mockBucket([{ ID: "expire-scraper-debug-dev", Status: "Enabled", Filter: { Prefix: "debug/" }, Expiration: { Days: 14 } }]);
+    const update = event("Update", { PhysicalResourceId: "tender-scraper-bucket/expire-scraper-debug-dev" });
+    update.ResourceProperties.ExpirationDays = "7";
+
+    await handler(update);
+
+    expect(put().params.LifecycleConfiguration.Rules).toEqual([expect.objectContaining({ Expiration: { Days: 7 } })]);
+  });
+
+  test("delete removes only its rule, and the configuration when nothing is left", async () => {
+    mockBucket([archiveRule, { ID: "expire-scraper-debug-dev" }]);
+    await handler(event("Delete", { PhysicalResourceId: "tender-scraper-bucket/expire-scraper-debug-dev" }));
+    expect(put().params.LifecycleConfiguration.Rules).toEqual([archiveRule]);
+
+    mockBucket([{ ID: "expire-scraper-debug-dev" }]);
+    await handler(event("Delete", { PhysicalResourceId: "tender-scraper-bucket/expire-scraper-debug-dev" }));
+    expect(sent.map((c) => c.constructor.name)).toEqual(["GetBucketLifecycleConfigurationCommand", "DeleteBucketLifecycleCommand"]);
+    expect(responses.map((r) => r.Status)).toEqual(["SUCCESS", "SUCCESS"]);
+  });
+
+  test("a failure is reported to CloudFormation instead of leaving the stack waiting", async () => {
+    mockBucket(null);
+    s3.send.mockRejectedValueOnce(Object.assign(new Error("Access Denied"), { name: "AccessDenied" }));
+
+    await handler(event("Create"));
+
+    expect(responses).toEqual([expect.objectContaining({ Status: "FAILED", Reason: "Access Denied" })]);
+  });
+
+  test("mergeRule", () => {
+    expect(mergeRule([archiveRule], "x", { ID: "x" })).toEqual([archiveRule, { ID: "x" }]);
+    expect(mergeRule([archiveRule, { ID: "x" }], "x", null)).toEqual([archiveRule]);
+  });
+});
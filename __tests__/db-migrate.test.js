@@ -0,0 +1,98 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { listMigrations, plan, migrate } from "../db/migrate.js";
+import { listAdapters } from "../lambdas/normalizer/adapters/index.js";
+
+describe("db/migrations", () => {
+  const migrations = listMigrations();
+
+  test("are numbered without gaps, baseline first", () => {
+    expect(migrations[0].file).toBe("0001_baseline.sql");
+    expect(migrations.map((m) => Number(m.version))).toEqual(migrations.map((_, i) => i + 1));
+  });
+
+  test("the baseline defines the tables and the upsert key the code relies on", () => {
+    const { sql } = migrations[0];
+    for (const table of ["sources", "tenders", "documents", "contacts", "users", "user_preferences"]) {
+      expect(sql).toMatch(new RegExp(`CREATE TABLE IF NOT EXISTS ${table} \\(`));
+    }
+    expect(sql).toMatch(/UNIQUE \(source_id, external_id\)/);
+  });
+
+  test("every adapter has a seeded sources row", () => {
+    const seeded = [...migrations[0].sql.matchAll(/\('([a-z]+)'\)/g)].map((m) => m[1]);
+    expect(seeded.sort()).toEqual(listAdapters().map((a) => a.source).sort());
+  });
+});
+
+describe("plan", () => {
+  const migrations = [
+    { version: "0001", name: "baseline", file: "0001_baseline.sql", checksum: "a" },
+    { version: "0002", name: "groups", file: "0002_groups.sql", checksum: "b" },
+  ];
+
+  test("pending are the versions not yet recorded", () => {
+    const res = plan(migrations, [{ version: "0001", name: "baseline", checksum: "a" }]);
+    expect(res.pending.map((m) => m.file)).toEqual(["0002_groups.sql"]);
+  });
+
+  test("refuses a migration edited after it was applied", () => {
+    expect(() => plan(migrations, [{ version: "0001", name: "baseline", checksum: "changed" }]))
+      .toThrow(/0001_baseline.sql was edited after it was applied/);
+  });
+});
+
+describe("migrate", () => {
+  let dir;
+  let client;
+  const statements = () => client.query.mock.calls.map(([sql]) => sql.trim().split("\n")[0]);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    fs.writeFileSync(path.join(dir, "0001_baseline.sql"), "CREATE TABLE a (id INT);");
+    fs.writeFileSync(path.join(dir, "0002_more.sql"), "CREATE TABLE b (id INT);");
+    const [first] = listMigrations(dir);
+    client = {
+      query: jest.fn(async (sql) => {
+        if (/FROM schema_migrations/.test(sql)) return { rows: [{ version: "0001", name: "baseline", checksum: first.checksum }] };
+        if (/CREATE TABLE b/.test(sql) && client.failNext) throw new Error('relation "b" already exists');
+        return { rows: [] };
+      }),
+    };
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("applies and records only pending migrations, each in its own transaction, under a lock", async () => {
+    const res = await migrate(client, { dir });
+
+    expect(res).toEqual({ applied: ["0002_more.sql"], pending: [] });
+    expect(statements().filter((s) => !/CREATE TABLE IF NOT EXISTS schema_migrations|FROM schema_migrations/.test(s))).toEqual([
+      "SELECT pg_advisory_lock($1)",
+      "BEGIN",
+      "CREATE TABLE b (id INT);",
+      "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+      "COMMIT",
+      "SELECT pg_advisory_unlock($1)",
+    ]);
+  });
+
+  test("a failing migration is rolled back and stops the run", async () => {
+    client.failNext = true;
+    await expect(migrate(client, { dir })).rejects.toThrow(/0002_more.sql failed: relation "b" already exists/);
+    expect(statements()).toContain("ROLLBACK");
+    expect(statements()).not.toContain("COMMIT");
+    expect(statements().at(-1)).toBe("SELECT pg_advisory_unlock($1)");
+  });
+
+  test("dryRun lists pending migrations without applying them", async () => {
+    expect(await migrate(client, { dir, dryRun: true })).toEqual({ applied: [], pending: ["0002_more.sql"] });
+    expect(statements()).not.toContain("BEGIN");
+  });
+
+  test("rejects files that do not follow the naming scheme", () => {
+    fs.writeFileSync(path.join(dir, "add_users.sql"), "SELECT 1;");
+    expect(() => listMigrations(dir)).toThrow(/0001_name.sql/);
+  });
+});
@@ -1,7 +1,22 @@
+import { lambdaHandler, listingFingerprint } from "../lambdas/eskom-scraper/index.mjs";
+import { S3Client } from "@aws-sdk/client-s3";
 
-import { lambdaHandler } from "../lambdas/eskom-scraper/index.mjs";
+// S3 with the given checkpoint (null: none yet); uploaded bodies are collected in `puts`
+function mockBucket(checkpoint, puts = {}) {
+  jest.spyOn(S3Client.prototype, "send").mockImplementation(async (cmd) => {
+    if (cmd.constructor.name === "GetObjectCommand") {
+      if (!checkpoint) throw Object.assign(new Error("The specified key does not exist."), { name: "NoSuchKey" });
+      return { Body: { transformToString: async () => JSON.stringify(checkpoint) } };
+    }
+    puts[cmd.params.Key] = JSON.parse(cmd.params.Body);
+    return {};
+  });
+}
 
 describe("Eskom Scraper Lambda", () => {
+  beforeEach(() => mockBucket(null));
+  afterEach(() => jest.restoreAllMocks());
+
   test("returns success response and saves data to S3", async () => {
     const result = await lambdaHandler({}, {});
     const body = JSON.parse(result.body);
@@ -20,4 +35,166 @@ describe("Eskom Scraper Lambda", () => {
     expect(result.statusCode).toBe(500);
     expect(result.body).toContain("Launch failed");
   });
+
+  test("rejects an unknown mode", async () => {
+    const result = await lambdaHandler({ mode: "weekly" }, {});
+    expect(result.statusCode).toBe(500);
+    expect(result.body).toContain("Unknown mode: weekly");
+  });
+});
+
+describe("incremental scraping", () => {
+  const listing = (n) => ({
+    enquiryNumber: `E${n}`,
+    scopeDetails: `Scope ${n}`,
+    category: "Services",
+    description: `Tender ${n}`,
+    location: "Megawatt Park",
+    closing: "2026-11-30 10:00",
+    published: "2026-10-01",
+    readMore: `https://tenderbulletin.eskom.co.za/tender/${n}`,
+    downloadLink: null,
+  });
+  // 10 tenders per listing page: E1..E10, E11..E20, ...
+  const pages = (count) => Array.from({ length: count }, (_, p) => Array.from({ length: 10 }, (_, i) => listing(p * 10 + i + 1)));
+
+  let visited;
+  let puts;
+
+  // A browser whose pages answer from `site` ({ pages, detail }) by the URL last visited
+  async function mockBrowser(site) {
+    const { default: puppeteer } = await import("puppeteer-core");
+    const newPage = jest.fn(async () => {
+      let url = null;
+      return {
+        goto: jest.fn(async (u) => { url = u; visited.push(u); }),
+        waitForSelector: jest.fn(async () => {}),
+        evaluate: jest.fn(async () => {
+          const pageNumber = url.match(/pageNumber=(\d+)/);
+          if (pageNumber) return (site.pages[Number(pageNumber[1]) - 1] || []).map((t) => ({ ...t }));
+          return site.detail(url);
+        }),
+        close: jest.fn(async () => {}),
+        on: jest.fn(),
+      };
+    });
+    puppeteer.launch.mockResolvedValueOnce({ newPage, close: jest.fn(async () => {}) });
+  }
+
+  const detail = (url) => ({ TenderID: `T-${url.split("/").pop()}`, TenderBoxAddress: null, TargetAudience: null, ContractType: null });
+  const details = () => visited.filter((u) => u.includes("/tender/"));
+  const envelope = () => puts[Object.keys(puts).find((k) => k.startsWith("eskom/"))];
+  const snapshot = () => envelope().items;
+
+  // Checkpoint as a previous full run over `tenders` would have left it
+  function checkpointOf(tenders, seenAt = new Date().toISOString()) {
+    return {
+      lastFullSweepAt: seenAt,
+      tenders: Object.fromEntries(tenders.map((t) => [t.enquiryNumber, {
+        fingerprint: listingFingerprint(t),
+        seenAt,
+        record: { ...t, ...detail(t.readMore) },
+      }])),
+    };
+  }
+
+  beforeEach(() => {
+    visited = [];
+    puts = {};
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("the first run reads every page and detail page and writes a checkpoint", async () => {
+    await mockBrowser({ pages: pages(3), detail });
+    mockBucket(null, puts);
+
+    const body = JSON.parse((await lambdaHandler({}, {})).body);
+
+    expect(body).toMatchObject({ mode: "incremental", total: 30, detailsFetched: 30, stoppedEarly: false });
+    expect(snapshot()[0]).toMatchObject({ enquiryNumber: "E1", TenderID: "T-1" });
+    const checkpoint = puts["state/eskom/checkpoint.json"];
+    expect(Object.keys(checkpoint.tenders)).toHaveLength(30);
+    expect(checkpoint.tenders.E1.fingerprint).toBe(listingFingerprint(listing(1)));
+  });
+
+  test("stops after a run of known tenders and only opens new or changed ones", async () => {
+    const site = pages(5);
+    const checkpoint = checkpointOf(site.flat().slice(1));
+    // E1 is new; E5 changed its closing date since the last run
+    site[0][4].closing = "2026-12-07 10:00";
+    await mockBrowser({ pages: site, detail });
+    mockBucket(checkpoint, puts);
+
+    const body = JSON.parse((await lambdaHandler({ mode: "incremental" }, {})).body);
+
+    expect(details()).toEqual(["https://tenderbulletin.eskom.co.za/tender/1", "https://tenderbulletin.eskom.co.za/tender/5"]);
+    // E6..E25 are 20 known tenders in a row, so page 3 is the last one read
+    expect(visited.filter((u) => u.includes("pageNumber"))).toHaveLength(3);
+    expect(body).toMatchObject({ stoppedEarly: true, detailsFetched: 2, carriedForward: 20, total: 50 });
+
+    // Unchanged tenders keep their detail fields; skipped pages are carried forward
+    const file = snapshot();
+    expect(file.find((t) => t.enquiryNumber === "E2").TenderID).toBe("T-2");
+    expect(file.find((t) => t.enquiryNumber === "E5").closing).toBe("2026-12-07 10:00");
+    expect(file.map((t) => t.enquiryNumber)).toContain("E50");
+    expect(puts["state/eskom/checkpoint.json"].tenders.E5.fingerprint).toBe(listingFingerprint(site[0][4]));
+  });
+
+  test("a full sweep opens every detail page and drops tenders no longer listed", async () => {
+    const site = pages(2);
+    const gone = listing(99);
+    await mockBrowser({ pages: site, detail });
+    mockBucket({ ...checkpointOf([...site.flat(), gone]), lastFullSweepAt: "2026-10-11T04:00:00.000Z" }, puts);
+
+    const body = JSON.parse((await lambdaHandler({ mode: "full" }, {})).body);
+
+    expect(body).toMatchObject({ mode: "full", total: 20, detailsFetched: 20, carriedForward: 0 });
+    const checkpoint = puts["state/eskom/checkpoint.json"];
+    expect(checkpoint.tenders.E99).toBeUndefined();
+    expect(checkpoint.lastFullSweepAt).toBe(checkpoint.updatedAt);
+  });
+
+  test("a failed detail page is retried on the next run", async () => {
+    const site = pages(1);
+    const stale = listing(77);
+    await mockBrowser({
+      pages: site,
+      detail: (url) => {
+        if (url.endsWith("/3")) throw new Error("Navigation timeout");
+        return detail(url);
+      },
+    });
+    mockBucket(checkpointOf([stale]), puts);
+
+    await lambdaHandler({}, {});
+
+    const checkpoint = puts["state/eskom/checkpoint.json"];
+    expect(checkpoint.tenders.E3.fingerprint).toBeNull();
+    expect(checkpoint.tenders.E4.fingerprint).not.toBeNull();
+    expect(envelope().errors).toEqual([expect.objectContaining({
+      stage: "detail", item: "E3", url: "https://tenderbulletin.eskom.co.za/tender/3", attempts: 2,
+    })]);
+  });
+
+  test("tenders are carried until the next saved full sweep, which is forced once the last is a week old", async () => {
+    const site = pages(3);
+    const sixDaysAgo = new Date(Date.now() - 6 * 24 * 3600 * 1000).toISOString();
+    // Last seen (and swept) six days ago on a page incremental runs no longer reach
+    const skipped = listing(77);
+    await mockBrowser({ pages: site, detail });
+    mockBucket(checkpointOf([...site.flat(), skipped], sixDaysAgo), puts);
+    let body = JSON.parse((await lambdaHandler({}, {})).body);
+    expect(body).toMatchObject({ mode: "incremental", stoppedEarly: true, carriedForward: 11 });
+    expect(snapshot().map((t) => t.enquiryNumber)).toContain("E77");
+
+    // The weekly sweep failed: eight days on, the next run sweeps in full and drops E77
+    const eightDaysAgo = new Date(Date.now() - 8 * 24 * 3600 * 1000).toISOString();
+    visited = [];
+    puts = {};
+    await mockBrowser({ pages: site, detail });
+    mockBucket(checkpointOf([...site.flat(), skipped], eightDaysAgo), puts);
+    body = JSON.parse((await lambdaHandler({}, {})).body);
+    expect(body).toMatchObject({ mode: "full", total: 30, detailsFetched: 30, carriedForward: 0 });
+    expect(puts["state/eskom/checkpoint.json"].tenders.E77).toBeUndefined();
+  });
 });
@@ -0,0 +1,70 @@
+import {
+  findAdapter,
+  getAdapter,
+  registerAdapter,
+  normalizeWithAdapter,
+  listAdapters,
+} from "../lambdas/normalizer/adapters/index.js";
+
+describe("normalizer adapter registry", () => {
+  test("matches S3 keys to their source adapter", () => {
+    expect(findAdapter("eskom/eskom-2025-10-01T04-00-00-000Z.json").source).toBe("eskom");
+    expect(findAdapter("sanral/sanral-2025-10-01.json").source).toBe("sanral");
+    expect(findAdapter("transnet/transnet-2025-10-01.json").source).toBe("transnet");
+    expect(findAdapter("etenders/etenders-p0001-1759300000000.json").source).toBe("etenders");
+  });
+
+  test("returns null for keys no adapter claims", () => {
+    expect(findAdapter("stats/latest.json")).toBeNull();
+  });
+
+  test("every registered adapter exposes the full contract", () => {
+    for (const a of listAdapters()) {
+      expect(typeof a.matches).toBe("function");
+      expect(typeof a.unwrap).toBe("function");
+      expect(typeof a.normalize).toBe("function");
+      expect(a.hashFields.length).toBeGreaterThan(0);
+    }
+  });
+
+  test("rejects incomplete or duplicate adapters", () => {
+    expect(() => registerAdapter({ source: "broken" })).toThrow(/missing matches/);
+    expect(() => registerAdapter(getAdapter("eskom"))).toThrow(/already registered/);
+  });
+
+  test("scraper adapters accept a single object as well as an array", () => {
+    const raw = { enquiryNumber: "E100", closing: "2027-Feb-22 13:33:00" };
+    const items = normalizeWithAdapter(getAdapter("eskom"), raw);
+    expect(items).toHaveLength(1);
+    expect(items[0].tender.closing_at.toISOString()).toBe("2027-02-22T11:33:00.000Z");
+  });
+
+  test("scraper adapters read the items of a scraper runtime envelope", () => {
+    const raw = {
+      run_id: "0b6e", source: "transnet", scraped_at: "2026-10-19T04:10:00.000Z",
+      items: [{ referenceNumber: "TNPA/2026/1", details: {} }, { referenceNumber: "TNPA/2026/2", details: {} }],
+      errors: [{ stage: "detail", item: "TNPA/2026/2", message: "timed out" }],
+    };
+    expect(getAdapter("transnet").unwrap(raw).map((r) => r.referenceNumber)).toEqual(["TNPA/2026/1", "TNPA/2026/2"]);
+  });
+
+  test("eTenders adapter unwraps the paginated { data } envelope", () => {
+    const adapter = getAdapter("etenders");
+    expect(adapter.unwrap({ recordsTotal: 0 })).toEqual([]);
+
+    const items = normalizeWithAdapter(adapter, {
+      data: [{ id: 42, tender_No: "DPW 01/2025", description: "Office cleaning", closing_Date: "2025-12-01T11:00:00+02:00" }],
+    });
+    expect(items).toHaveLength(1);
+    expect(items[0].tender.url).toBe("https://etenders.treasury.gov.za/tender-details/42");
+  });
+
+  test("hash only depends on the adapter's hash fields", () => {
+    const adapter = getAdapter("eskom");
+    const [a] = normalizeWithAdapter(adapter, [{ enquiryNumber: "E1", ContractType: "NEC" }]);
+    const [b] = normalizeWithAdapter(adapter, [{ enquiryNumber: "E1", ContractType: "NEC", downloadLink: "https://x/DownloadAll" }]);
+    const [c] = normalizeWithAdapter(adapter, [{ enquiryNumber: "E1", ContractType: "GCC" }]);
+    expect(a.tender.hash).toBe(b.tender.hash);
+    expect(a.tender.hash).not.toBe(c.tender.hash);
+  });
+});
@@ -0,0 +1,148 @@
+import { Readable } from "stream";
+import { Pool } from "pg";
+import { handler, buildOptions, listSnapshots } from "../lambdas/normalizer/backfill.js";
+import { s3, handler as ingest } from "../lambdas/normalizer/index.js";
+
+process.env.DB_PASSWORD_PARAM = "/tendertool/test/db/password";
+
+const sanral = (...records) => JSON.stringify(records.map(([tenderNumber, description]) => ({
+  tenderNumber, description, closingDate: "2026/01/15 11:00",
+})));
+
+// A bucket listing (two pages) plus object bodies, served through s3.send
+function mockBucket(objects) {
+  return jest.spyOn(s3, "send").mockImplementation(async (cmd) => {
+    if (cmd.constructor.name === "ListObjectsV2Command") {
+      const page = cmd.params.ContinuationToken ? 1 : 0;
+      const contents = objects.map(({ key, at }) => ({ Key: key, LastModified: new Date(at), Size: 10 }));
+      return page === 0
+        ? { Contents: contents.slice(0, 2), IsTruncated: true, NextContinuationToken: "p2" }
+        : { Contents: contents.slice(2), IsTruncated: false };
+    }
+    if (cmd.constructor.name === "GetObjectCommand") {
+      const obj = objects.find((o) => o.key === cmd.params.Key);
+      return { Body: Readable.from([Buffer.from(obj.body)]), LastModified: new Date(obj.at) };
+    }
+    return {};
+  });
+}
+
+describe("buildOptions", () => {
+  test("a source becomes its prefix", () => {
+    expect(buildOptions({ source: "eskom", from: "2025-11-01" })).toMatchObject({
+      prefix: "eskom/", from: new Date("2025-11-01"), to: null, dryRun: false, force: false, notify: false,
+    });
+  });
+
+  test("refuses the whole bucket, unknown sources and bad ranges", () => {
+    expect(() => buildOptions({})).toThrow(/needs a source or a prefix/);
+    expect(() => buildOptions({ source: "tenderbulletin" })).toThrow(/Unknown source/);
+    expect(() => buildOptions({ source: "eskom", prefix: "sanral/" })).toThrow(/outside eskom\//);
+    expect(() => buildOptions({ prefix: "eskom/", from: "soon" })).toThrow(/from is not a date/);
+    expect(() => buildOptions({ prefix: "eskom/", from: "2025-12-01", to: "2025-11-01" })).toThrow(/from is after to/);
+  });
+});
+
+describe("listSnapshots", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test("pages through the listing and keeps raw files in range, oldest first", async () => {
+    mockBucket([
+      { key: "sanral/sanral-c.json", at: "2025-11-03T04:00:00Z" },
+      { key: "sanral/sanral-a.json", at: "2025-11-01T04:00:00Z" },
+      { key: "sanral/notes.txt", at: "2025-11-02T04:00:00Z" },
+      { key: "sanral/sanral-b.json", at: "2025-11-02T04:00:00Z" },
+      { key: "sanral/sanral-old.json", at: "2025-10-01T04:00:00Z" },
+    ]);
+    const opts = buildOptions({ source: "sanral", from: "2025-11-01" });
+
+    const objects = await listSnapshots(s3, opts);
+    expect(objects.map((o) => o.key)).toEqual(["sanral/sanral-a.json", "sanral/sanral-b.json", "sanral/sanral-c.json"]);
+
+    const rest = await listSnapshots(s3, { ...opts, startAfter: "2025-11-02T04:00:00.000Z|sanral/sanral-b.json" });
+    expect(rest.map((o) => o.key)).toEqual(["sanral/sanral-c.json"]);
+  });
+});
+
+describe("backfill handler", () => {
+  let query;
+  const objects = [
+    { key: "sanral/sanral-2.json", at: "2025-11-02T04:00:00Z", body: sanral(["NRA X/1", "Road works, amended"], ["NRA X/2", "Bridge"]) },
+    { key: "sanral/sanral-1.json", at: "2025-11-01T04:00:00Z", body: sanral(["NRA X/1", "Road works"]) },
+  ];
+
+  beforeEach(async () => {
+    ({ query } = await new Pool().connect());
+    query.mockReset();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("a dry run counts outcomes in snapshot order without writing", async () => {
+    mockBucket(objects);
+    query.mockImplementation(async (sql) => {
+      if (/FROM sources/.test(sql)) return { rows: [{ id: 3 }] };
+      // NRA X/1 is stored with a hash no snapshot produces
+      if (/SELECT external_id, hash FROM tenders/.test(sql)) return { rows: [{ external_id: "NRA X/1", hash: "stale" }] };
+      return { rows: [] };
+    });
+
+    const res = await handler({ source: "sanral", dryRun: true });
+
+    // sanral-1 updates NRA X/1; sanral-2 amends it again and adds NRA X/2
+    expect(res).toMatchObject({ dryRun: true, objects: 2, failedObjects: 0, inserted: 1, updated: 2, unchanged: 0, done: true });
+    expect(res.results.map((r) => r.key)).toEqual(["sanral/sanral-1.json", "sanral/sanral-2.json"]);
+    expect(query.mock.calls.some(([sql]) => /INSERT|UPDATE|DELETE|BEGIN/.test(sql))).toBe(false);
+  });
+
+  test("writes with last_seen_at from the snapshot and reports failed objects", async () => {
+    mockBucket([...objects.slice(1), { key: "sanral/sanral-3.json", at: "2025-11-03T04:00:00Z", body: "{oops" }]);
+    query.mockImplementation(async (sql, params) => {
+      if (/FROM sources/.test(sql)) return { rows: [{ id: 3 }] };
+      if (/INSERT INTO tenders/.test(sql)) return { rows: params[1].map((external_id, i) => ({ id: String(i + 1), external_id })) };
+      return { rows: [] };
+    });
+
+    const res = await handler({ source: "sanral" });
+
+    expect(res).toMatchObject({ objects: 2, failedObjects: 1, inserted: 1, published: 0 });
+    expect(res.results[1].errors[0]).toMatch(/^parse: /);
+    const upsert = query.mock.calls.find(([sql]) => /INSERT INTO tenders/.test(sql));
+    expect(upsert[1].at(-1)).toEqual(new Date("2025-11-01T04:00:00Z"));
+  });
+
+  test("a tender ingested live is rewritten when its own snapshot is backfilled", async () => {
+    const snapshot = objects[1];
+    mockBucket([snapshot]);
+    let stored = null;
+    query.mockImplementation(async (sql, params) => {
+      if (/FROM sources/.test(sql)) return { rows: [{ id: 3 }] };
+      if (/SELECT id, external_id, hash/.test(sql)) return { rows: stored ? [stored] : [] };
+      if (/INSERT INTO tenders/.test(sql)) {
+        // What an older normalizer stored: same snapshot time, different derived values
+        stored = { id: "1", external_id: params[1][0], hash: "old-normalizer", prepared_hash: "old-normalizer", last_seen_at: params.at(-1) };
+        return { rows: [{ id: "1", external_id: params[1][0] }] };
+      }
+      return { rows: [] };
+    });
+
+    await ingest({ Records: [{ messageId: "m1", body: JSON.stringify({ Records: [{ s3: { bucket: { name: "tender-scraper-bucket" }, object: { key: snapshot.key } } }] }) }] });
+    expect(stored.last_seen_at).toEqual(new Date(snapshot.at));
+
+    query.mockClear();
+    const res = await handler({ prefix: snapshot.key });
+
+    expect(res).toMatchObject({ objects: 1, failedObjects: 0, updated: 1 });
+    expect(query.mock.calls.filter(([sql]) => /INSERT INTO tenders/.test(sql))).toHaveLength(1);
+  });
+
+  test("stops before the Lambda timeout and says where to continue", async () => {
+    mockBucket(objects);
+    query.mockImplementation(async () => ({ rows: [] }));
+    let calls = 0;
+    const context = { getRemainingTimeInMillis: () => (calls++ === 0 ? 600000 : 1000) };
+
+    const res = await handler({ source: "sanral", dryRun: true }, context);
+
+    expect(res).toMatchObject({ objects: 1, remaining: 1, done: false, startAfter: "2025-11-01T04:00:00.000Z|sanral/sanral-1.json" });
+  });
+});
@@ -0,0 +1,88 @@
+import { parseBriefing, applyBriefing, findDateTime } from "../lambdas/normalizer/briefings.js";
+import { getAdapter, normalizeWithAdapter } from "../lambdas/normalizer/adapters/index.js";
+import sanralFixture from "./fixtures/sanral-tenders.json";
+import transnetFixture from "./fixtures/transnet-tenders.json";
+
+describe("findDateTime", () => {
+  test("reads the date formats tenders use, in SA time", () => {
+    expect(findDateTime("on 2025/12/02 at 10:00").toISOString()).toBe("2025-12-02T08:00:00.000Z");
+    expect(findDateTime("Tuesday, 4 November 2025 at 10h00").toISOString()).toBe("2025-11-04T08:00:00.000Z");
+    expect(findDateTime("12/11/2025 at 9am").toISOString()).toBe("2025-11-12T07:00:00.000Z");
+    expect(findDateTime("November 4, 2025, 2:30 PM").toISOString()).toBe("2025-11-04T12:30:00.000Z");
+  });
+
+  test("a date without a time is midnight; impossible dates are dropped", () => {
+    expect(findDateTime("on 2 Dec 2025").toISOString()).toBe("2025-12-01T22:00:00.000Z");
+    expect(findDateTime("on 31/02/2025 at 10:00")).toBeNull();
+    expect(findDateTime("no date here")).toBeNull();
+  });
+});
+
+describe("parseBriefing", () => {
+  test("SANRAL clarification meeting in the detail paragraphs", () => {
+    expect(parseBriefing([], [
+      "Routine road maintenance of National Route 1 Section 10 from Polokwane to Musina.",
+      "A compulsory clarification meeting will be held at the SANRAL Northern Region office on 2025/12/02 at 10:00.",
+    ])).toEqual({
+      briefing_at: new Date("2025-12-02T08:00:00.000Z"),
+      briefing_venue: "SANRAL Northern Region office",
+      briefing_compulsory: true,
+      briefing_link: null,
+    });
+  });
+
+  test("online sessions keep their link and list the platform as venue", () => {
+    const res = parseBriefing([], [
+      "A non-compulsory briefing session will take place on 4 November 2025 at 10h00 via MS Teams: " +
+      "https://teams.microsoft.com/l/meetup-join/abc. Closing date 2025/12/12.",
+    ]);
+    expect(res).toMatchObject({
+      briefing_venue: "Online (Microsoft Teams)",
+      briefing_compulsory: false,
+      briefing_link: "https://teams.microsoft.com/l/meetup-join/abc",
+    });
+    expect(res.briefing_at.toISOString()).toBe("2025-11-04T08:00:00.000Z");
+  });
+
+  test("a venue in the sentence after the briefing one belongs to it", () => {
+    expect(parseBriefing([], ["Compulsory site inspection: 12/11/2025 at 9am. Venue: Komati Power Station, Main Gate"]))
+      .toMatchObject({ briefing_venue: "Komati Power Station, Main Gate", briefing_compulsory: true });
+  });
+
+  test("dates outside briefing sentences are ignored, fields are read whole", () => {
+    expect(parseBriefing([], ["Supply of transformers, closing 2025/12/02"]).briefing_at).toBeNull();
+    expect(parseBriefing(["Non-Compulsory", "Microsoft Teams session, link available on request"])).toEqual({
+      briefing_at: null, briefing_venue: "Online (Microsoft Teams)", briefing_compulsory: false, briefing_link: null,
+    });
+  });
+
+  test("an explicit 'no briefing' is not compulsory", () => {
+    expect(parseBriefing([], ["There will be no briefing session for this tender."]))
+      .toEqual({ briefing_at: null, briefing_venue: null, briefing_compulsory: false, briefing_link: null });
+  });
+});
+
+describe("applyBriefing", () => {
+  test("never overrides what the source gave", () => {
+    const tender = { briefing_at: new Date("2025-11-05T08:00:00Z"), briefing_venue: null, briefing_compulsory: false, briefing_link: null };
+    applyBriefing(tender, [], ["A compulsory briefing will be held at Park Station on 2025/11/06 at 09:00."]);
+    expect(tender).toEqual({
+      briefing_at: new Date("2025-11-05T08:00:00Z"),
+      briefing_venue: "Park Station",
+      briefing_compulsory: false,
+      briefing_link: null,
+    });
+  });
+});
+
+describe("adapters", () => {
+  test("SANRAL and Transnet tenders carry structured briefings", () => {
+    const [sanral] = normalizeWithAdapter(getAdapter("sanral"), sanralFixture);
+    expect(sanral.tender.briefing_at.toISOString()).toBe("2025-12-02T08:00:00.000Z");
+    expect(sanral.tender.briefing_compulsory).toBe(true);
+
+    const [transnet] = normalizeWithAdapter(getAdapter("transnet"), transnetFixture);
+    expect(transnet.tender).toMatchObject({ briefing_venue: "Online (Microsoft Teams)", briefing_compulsory: false });
+    expect(transnet.tender.briefing_at.toISOString()).toBe("2025-11-05T08:00:00.000Z");
+  });
+});
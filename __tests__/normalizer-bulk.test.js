@@ -0,0 +1,258 @@
+import { Readable } from "stream";
+import { Pool } from "pg";
+import { diffChildren, preparedHash, bulkUpsert, TENDER_COLUMNS } from "../lambdas/normalizer/bulk.js";
+import { processObject, newRun, s3, upsertItem } from "../lambdas/normalizer/index.js";
+
+const DOC_COLUMNS = ["url", "name", "mime_type", "published_at"];
+
+describe("diffChildren", () => {
+  const stored = [
+    { id: "1", url: "https://x/a.pdf", name: "A", mime_type: "application/pdf", published_at: new Date("2025-11-01T08:00:00Z") },
+    { id: "2", url: "https://x/b.pdf", name: "B", mime_type: null, published_at: null },
+  ];
+
+  test("keeps equal rows, removes the ones gone and adds the new ones", () => {
+    const wanted = [
+      { url: "https://x/a.pdf", name: "A", mime_type: "application/pdf", published_at: "2025-11-01T10:00:00+02:00" },
+      { url: "https://x/c.pdf", name: "C", mime_type: "", published_at: null },
+    ];
+    const { remove, add } = diffChildren(DOC_COLUMNS, stored, wanted);
+    expect(remove).toEqual(["2"]);
+    expect(add).toEqual([wanted[1]]);
+  });
+
+  test("an unchanged list is a no-op, a listed-twice row is stored twice", () => {
+    const same = stored.map(({ id, ...row }) => ({ ...row, mime_type: row.mime_type || "" }));
+    expect(diffChildren(DOC_COLUMNS, stored, same)).toEqual({ remove: [], add: [] });
+    expect(diffChildren(DOC_COLUMNS, stored, [...same, same[0]]).add).toEqual([same[0]]);
+  });
+});
+
+describe("bulkUpsert", () => {
+  const item = (id, hash, extra = {}) => ({
+    tender: { external_id: id, title: id, status: "Open", closing_at: new Date("2030-01-01T10:00:00Z"), hash, ...extra },
+    documents: [{ url: `https://x/${id}.pdf`, name: `${id}.pdf` }],
+    contacts: [{ name: "Ms P. Mokoena", email: "pmokoena@nra.co.za", phone: "+27123456789" }],
+  });
+
+  let client;
+  const sqls = () => client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(" "));
+
+  beforeEach(() => {
+    client = {
+      query: jest.fn(async (sql, params) => {
+        if (/FOR UPDATE/.test(sql)) {
+          return { rows: [
+            { id: "10", external_id: "T-SAME", hash: "h1", prepared_hash: preparedHash(item("T-SAME", "h1")), title: "T-SAME" },
+            { id: "11", external_id: "T-CHANGED", hash: "old", title: "T-CHANGED", status: "Open", closing_at: new Date("2030-01-01T10:00:00Z"),
+              last_seen_at: new Date("2026-10-18T04:00:00Z") },
+          ] };
+        }
+        if (/INSERT INTO tenders/.test(sql)) {
+          return { rows: params[1].map((externalId) => ({ id: externalId === "T-NEW" ? "12" : "11", external_id: externalId })) };
+        }
+        if (/FROM documents/.test(sql)) {
+          return { rows: [
+            { id: "100", tender_id: "11", url: "https://x/T-CHANGED.pdf", name: "T-CHANGED.pdf", mime_type: null, published_at: null },
+            { id: "101", tender_id: "11", url: "https://x/withdrawn.pdf", name: "withdrawn.pdf", mime_type: null, published_at: null },
+          ] };
+        }
+        return { rows: [] };
+      }),
+    };
+  });
+
+  test("skips unchanged rows and writes the rest in a fixed number of statements", async () => {
+    const batch = [item("T-SAME", "h1"), item("T-CHANGED", "new", { status: "Cancelled" }), item("T-NEW", "h3")];
+
+    const res = await bulkUpsert(client, { sourceId: 4, source: "sanral" }, batch);
+
+    expect(res.outcomes).toEqual({ inserted: 1, updated: 1, unchanged: 1 });
+    expect(res.notifications.map((n) => n.payload.event_type).sort()).toEqual(["cancelled", "new"]);
+
+    const touch = client.query.mock.calls.find(([sql]) => /UPDATE tenders t/.test(sql));
+    expect(touch[1]).toEqual([["10"], ["open"], null]);
+
+    const upsert = client.query.mock.calls.find(([sql]) => /INSERT INTO tenders/.test(sql));
+    expect(upsert[0]).toMatch(/FROM unnest\(\$2::text\[\]/);
+    expect(upsert[1]).toHaveLength(TENDER_COLUMNS.length + 2);
+    expect(upsert[1][1]).toEqual(["T-CHANGED", "T-NEW"]);
+
+    const revision = client.query.mock.calls.find(([sql]) => /INSERT INTO tender_revisions/.test(sql));
+    expect(revision[1].slice(0, 4)).toEqual([["11"], ["old"], ["new"], ["status"]]);
+
+    // Only the withdrawn document goes, only the new tender's document is added
+    const del = client.query.mock.calls.find(([sql]) => /DELETE FROM documents/.test(sql));
+    expect(del[1]).toEqual([["101"]]);
+    const ins = client.query.mock.calls.find(([sql]) => /INSERT INTO documents/.test(sql));
+    expect(ins[1][0]).toEqual(["12"]);
+    expect(ins[1][1]).toEqual(["https://x/T-NEW.pdf"]);
+
+    expect(sqls().filter((s) => /^INSERT INTO (tenders|documents|contacts)$/.test(s))).toHaveLength(3);
+    expect(sqls()).not.toContain("DELETE FROM contacts");
+  });
+
+  test("an addendum document or new contact is written even though the hash is unchanged", async () => {
+    const addendum = item("T-SAME", "h1");
+    addendum.documents.push({ url: "https://x/T-SAME-addendum-1.pdf", name: "Addendum 1.pdf" });
+
+    const res = await bulkUpsert(client, { sourceId: 4, source: "sanral" }, [addendum]);
+
+    expect(res.outcomes).toEqual({ inserted: 0, updated: 0, unchanged: 1 });
+    expect(res.notifications).toEqual([]);
+    const upsert = client.query.mock.calls.find(([sql]) => /INSERT INTO tenders/.test(sql));
+    expect(upsert[1][1]).toEqual(["T-SAME"]);
+    expect(client.query.mock.calls.find(([sql]) => /INSERT INTO tender_revisions/.test(sql))).toBeUndefined();
+    expect(client.query.mock.calls.find(([sql]) => /INSERT INTO documents/.test(sql))).toBeDefined();
+  });
+
+  test("preparedHash follows derived fields and child rows, not their order", () => {
+    const base = item("T-1", "h");
+    expect(preparedHash(base)).toBe(preparedHash(item("T-1", "h")));
+    expect(preparedHash(item("T-1", "h", { canonical_category: "construction" }))).not.toBe(preparedHash(base));
+    const twoContacts = item("T-1", "h");
+    twoContacts.contacts.push({ name: "Mr T. Nkosi", email: null, phone: null });
+    const reordered = item("T-1", "h");
+    reordered.contacts.unshift({ name: "Mr T. Nkosi", email: null, phone: null });
+    expect(preparedHash(twoContacts)).not.toBe(preparedHash(base));
+    expect(preparedHash(twoContacts)).toBe(preparedHash(reordered));
+  });
+
+  test("a backfilled snapshot older than the stored row writes nothing", async () => {
+    const batch = [item("T-CHANGED", "stale", { title: "Old title" }), item("T-NEW", "h3")];
+
+    const res = await bulkUpsert(client, { sourceId: 4, source: "sanral", seenAt: new Date("2026-03-01T04:00:00Z"), force: true }, batch);
+
+    expect(res.outcomes).toEqual({ inserted: 1, updated: 0, unchanged: 1 });
+    const upsert = client.query.mock.calls.find(([sql]) => /INSERT INTO tenders/.test(sql));
+    expect(upsert[0]).toMatch(/WHERE tenders.last_seen_at IS NULL OR tenders.last_seen_at <= EXCLUDED.last_seen_at/);
+    expect(upsert[1][1]).toEqual(["T-NEW"]);
+    expect(client.query.mock.calls.find(([sql]) => /UPDATE tenders t/.test(sql))).toBeUndefined();
+    expect(client.query.mock.calls.find(([sql]) => /INSERT INTO tender_revisions/.test(sql))).toBeUndefined();
+    expect(client.query.mock.calls.find(([sql]) => /DELETE FROM documents/.test(sql))).toBeUndefined();
+  });
+
+  test("the row path leaves a tender stored from a newer snapshot alone", async () => {
+    client.query.mockImplementation(async () => ({ rows: [{ id: "11", hash: "old", last_seen_at: new Date("2026-10-18T04:00:00Z") }] }));
+    const res = await upsertItem(client, { sourceId: 4, source: "sanral", seenAt: "2026-03-01T04:00:00Z" }, item("T-CHANGED", "stale"));
+    expect(res).toEqual({ tenderId: "11", outcome: "unchanged", notification: null });
+    expect(sqls()).toEqual(["SELECT id, hash,"]);
+  });
+
+  test("a tender whose detail page failed is only marked as seen", async () => {
+    // Listing fields only: the adapter's fallbacks would blank buyer, location, documents, ...
+    const partial = { ...item("T-CHANGED", "blank-details", { buyer: "TRANSNET", location: null }), documents: [], contacts: [], partial: true };
+    const res = await bulkUpsert(client, { sourceId: 4, source: "transnet" }, [partial, { ...item("T-NEW", "h3"), partial: true }]);
+
+    expect(res.outcomes).toEqual({ inserted: 1, updated: 0, unchanged: 1 });
+    expect(res.notifications.map((n) => n.payload.event_type)).toEqual(["new"]);
+    const touch = client.query.mock.calls.find(([sql]) => /UPDATE tenders t/.test(sql));
+    expect(touch[1]).toEqual([["11"], ["open"], null]);
+    const upsert = client.query.mock.calls.find(([sql]) => /INSERT INTO tenders/.test(sql));
+    expect(upsert[1][1]).toEqual(["T-NEW"]);
+    expect(client.query.mock.calls.find(([sql]) => /INSERT INTO tender_revisions/.test(sql))).toBeUndefined();
+    expect(client.query.mock.calls.find(([sql]) => /DELETE FROM (documents|contacts)/.test(sql))).toBeUndefined();
+  });
+
+  test("the row path also keeps a stored tender whose detail page failed", async () => {
+    client.query.mockImplementation(async () => ({ rows: [{ id: "11", hash: "old", last_seen_at: null }] }));
+    const res = await upsertItem(client, { sourceId: 4, source: "transnet" }, { ...item("T-CHANGED", "blank-details"), partial: true });
+    expect(res).toEqual({ tenderId: "11", outcome: "unchanged", notification: null });
+    expect(sqls()).toEqual(["SELECT id, hash,", "UPDATE tenders t"]);
+  });
+
+  test("dates only re-read by the current rules are rewritten without a revision or notification", async () => {
+    // Stored before date_rules_version: "2030-01-01T10:00:00" without an offset was read as UTC
+    const res = await bulkUpsert(client, { sourceId: 4, source: "etenders" },
+      [item("T-CHANGED", "reread", { closing_at: new Date("2030-01-01T08:00:00Z") })]);
+
+    expect(res.outcomes).toEqual({ inserted: 0, updated: 0, unchanged: 1 });
+    expect(res.notifications).toEqual([]);
+    const upsert = client.query.mock.calls.find(([sql]) => /INSERT INTO tenders/.test(sql));
+    expect(upsert[1][1]).toEqual(["T-CHANGED"]);
+    expect(client.query.mock.calls.find(([sql]) => /INSERT INTO tender_revisions/.test(sql))).toBeUndefined();
+  });
+
+  test("the row path rewrites re-read dates quietly too", async () => {
+    client.query.mockImplementation(async () => ({ rows: [{ id: "11", hash: "old", last_seen_at: null, date_rules_version: null,
+      title: "T-CHANGED", status: "Open", closing_at: new Date("2030-01-01T00:00:00Z") }] }));
+    const res = await upsertItem(client, { sourceId: 4, source: "etenders" },
+      item("T-CHANGED", "reread", { closing_at: new Date("2030-01-01T21:59:59Z") }));
+    expect(res).toEqual({ tenderId: "11", outcome: "unchanged", notification: null });
+    expect(sqls()).not.toContain("INSERT INTO tender_revisions");
+  });
+
+  test("an unchanged batch costs two statements", async () => {
+    const res = await bulkUpsert(client, { sourceId: 4, source: "sanral" }, [item("T-SAME", "h1")]);
+    expect(res).toEqual({ processed: 1, outcomes: { inserted: 0, updated: 0, unchanged: 1 }, notifications: [] });
+    expect(client.query).toHaveBeenCalledTimes(2);
+  });
+
+  test("a tender listed twice is written once with its last listing", async () => {
+    const res = await bulkUpsert(client, { sourceId: 4, source: "sanral" }, [item("T-NEW", "a"), item("T-NEW", "b")]);
+    expect(res.processed).toBe(1);
+    const upsert = client.query.mock.calls.find(([sql]) => /INSERT INTO tenders/.test(sql));
+    const hashAt = 1 + TENDER_COLUMNS.findIndex((c) => c.name === "hash");
+    expect(upsert[1][hashAt]).toEqual(["b"]);
+  });
+});
+
+describe("processObject write paths", () => {
+  let query;
+  beforeEach(async () => {
+    ({ query } = await new Pool().connect());
+    query.mockReset();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("falls back to row-by-row writes when the bulk statement fails", async () => {
+    jest.spyOn(s3, "send").mockImplementation(async () => ({
+      Body: Readable.from([Buffer.from(JSON.stringify([{ tenderNumber: "NRA X/1", description: "Road works", closingDate: "2026/01/15 11:00" }]))]),
+    }));
+    query.mockImplementation(async (sql) => {
+      if (/INSERT INTO tenders[\s\S]*FROM unnest/.test(sql)) throw new Error('value too long for type character varying(255)');
+      if (/FROM sources/.test(sql) || /INSERT INTO tenders/.test(sql)) return { rows: [{ id: 1 }] };
+      return { rows: [] };
+    });
+
+    const run = newRun();
+    const res = await processObject({ query }, { bucket: "b", key: "sanral/s.json" }, run);
+
+    expect(res.failures).toEqual([]);
+    expect(run.totalProcessed).toBe(1);
+    const statements = query.mock.calls.map(([sql]) => sql.trim());
+    expect(statements).toContain("ROLLBACK TO SAVEPOINT bulk_upsert");
+    expect(statements.some((s) => /^INSERT INTO tenders[\s\S]*VALUES/.test(s))).toBe(true);
+  });
+
+  test("a failing row in the fallback is rolled back alone and the rest of the batch commits", async () => {
+    const records = [1, 2, 3].map((n) => ({ tenderNumber: `NRA X/${n}`, description: "Road works", closingDate: "2026/01/15 11:00" }));
+    jest.spyOn(s3, "send").mockImplementation(async () => ({ Body: Readable.from([Buffer.from(JSON.stringify(records))]) }));
+    // Postgres: after an error every statement fails until the transaction rolls back to a savepoint
+    let aborted = false;
+    const committed = [];
+    query.mockImplementation(async (sql, params) => {
+      if (/^ROLLBACK/.test(sql.trim())) { aborted = false; return { rows: [] }; }
+      if (aborted) throw new Error("current transaction is aborted, commands ignored until end of transaction block");
+      if (/INSERT INTO tenders[\s\S]*FROM unnest/.test(sql)) { aborted = true; throw new Error("value too long for type character varying(255)"); }
+      if (/INSERT INTO tenders/.test(sql)) {
+        if (params[1] === "NRA X/2") { aborted = true; throw new Error('null value in column "title" violates not-null constraint'); }
+        committed.push(params[1]);
+        return { rows: [{ id: committed.length }] };
+      }
+      if (/FROM sources/.test(sql)) return { rows: [{ id: 1 }] };
+      return { rows: [] };
+    });
+
+    const run = newRun();
+    const res = await processObject({ query }, { bucket: "b", key: "sanral/s.json" }, run);
+
+    expect(res.failures).toEqual([]);
+    expect(run.totalProcessed).toBe(2);
+    expect(run.totalErrors).toBe(1);
+    expect(committed).toEqual(["NRA X/1", "NRA X/3"]);
+    const statements = query.mock.calls.map(([sql]) => sql.trim());
+    expect(statements.filter((s) => s === "ROLLBACK TO SAVEPOINT upsert_row")).toHaveLength(1);
+    expect(statements[statements.length - 1]).toBe("COMMIT");
+  });
+});
@@ -0,0 +1,115 @@
+import { normalizePhone, findPhones, contactsFromText, contactsFromField, mergeContacts, extractContacts } from "../lambdas/normalizer/contacts.js";
+import { getAdapter, normalizeWithAdapter } from "../lambdas/normalizer/adapters/index.js";
+
+describe("normalizePhone", () => {
+  test("writes SA numbers as E.164", () => {
+    expect(normalizePhone("012 844 8000")).toBe("+27128448000");
+    expect(normalizePhone("(011) 555-1234")).toBe("+27115551234");
+    expect(normalizePhone("+27 (0)82 123 4567")).toBe("+27821234567");
+    expect(normalizePhone("0027 21 400 1111")).toBe("+27214001111");
+    expect(normalizePhone("0861 234 567")).toBe("+27861234567");
+  });
+
+  test("rejects numbers that are not SA phone numbers", () => {
+    expect(normalizePhone("2025/12/02")).toBeNull();
+    expect(normalizePhone("001 234 5678")).toBeNull();
+    expect(normalizePhone("+44 20 7946 0958")).toBeNull();
+    expect(normalizePhone(null)).toBeNull();
+  });
+});
+
+describe("findPhones", () => {
+  test("finds numbers, splits space-separated pairs and skips fax numbers", () => {
+    expect(findPhones("Tel 012 844 8000 082 123 4567, Fax: 011 555 9999").map(p => p.value))
+      .toEqual(["+27128448000", "+27821234567"]);
+  });
+
+  test("leaves dates, values and tender numbers alone", () => {
+    expect(findPhones("Closing 2025/12/02 at 10:00 for NRA N.001-100-2025/1, estimated R 12 500 000")).toEqual([]);
+  });
+});
+
+describe("contactsFromText", () => {
+  test("groups each name with the email and phone that follow it", () => {
+    const text = "For technical enquiries contact Mr J. van der Merwe on 012 844 8000 or email jvdm@nra.co.za. " +
+      "Commercial queries: Ms Lindiwe Dube, Tel: +27 (0)11 555 1234, Fax: 011 555 9999, LDube@nra.co.za";
+    expect(contactsFromText(text)).toEqual([
+      { name: "Mr J. van der Merwe", email: "jvdm@nra.co.za", phone: "+27128448000" },
+      { name: "Ms Lindiwe Dube", email: "ldube@nra.co.za", phone: "+27115551234" },
+    ]);
+  });
+
+  test("a second phone number close by stays with its person", () => {
+    expect(contactsFromText("Enquiries: Mr J. van der Merwe, Tel: 012 345 6789 / 082 123 4567, email jvdm@x.co.za")).toEqual([
+      { name: "Mr J. van der Merwe", email: "jvdm@x.co.za", phone: "+27123456789" },
+    ]);
+  });
+
+  test("picks up labelled names without an honorific", () => {
+    expect(contactsFromText("Enquiries: Sipho Zulu Tel: 0825551234")).toEqual([
+      { name: "Sipho Zulu", email: null, phone: "+27825551234" },
+    ]);
+  });
+
+  test("text without contact details gives nothing", () => {
+    expect(contactsFromText("Routine road maintenance of National Route 1")).toEqual([]);
+    expect(contactsFromText(null)).toEqual([]);
+  });
+});
+
+describe("contactsFromField", () => {
+  test("a bare name in a contact field is the contact's name", () => {
+    expect(contactsFromField("Thabo Nkosi", "Thabo.Nkosi@transnet.net; procurement@transnet.net")).toEqual([
+      { name: "Thabo Nkosi", email: "thabo.nkosi@transnet.net", phone: null },
+      { name: null, email: "procurement@transnet.net", phone: null },
+    ]);
+    expect(contactsFromField("Tel: 021 400 1111")).toEqual([{ name: null, email: null, phone: "+27214001111" }]);
+  });
+});
+
+describe("mergeContacts", () => {
+  test("merges contacts that share an email, phone or name", () => {
+    expect(mergeContacts([
+      { name: "Ms P. Mokoena", email: "PMokoena@nra.co.za", phone: null },
+      { name: null, email: "pmokoena@nra.co.za", phone: "012 844 8000" },
+      { name: "P Mokoena", email: null, phone: null },
+      { name: "Desk", email: null, phone: "+27128448000" },
+      { name: null, email: "tenders@nra.co.za", phone: null },
+      { name: " ", email: "", phone: "n/a" },
+    ])).toEqual([
+      { name: "Ms P. Mokoena", email: "pmokoena@nra.co.za", phone: "+27128448000" },
+      { name: null, email: "tenders@nra.co.za", phone: null },
+    ]);
+  });
+
+  test("different emails stay different contacts", () => {
+    expect(mergeContacts([
+      { name: "A Smith", email: "a@x.co.za" },
+      { name: "A Smith", email: "b@x.co.za" },
+    ])).toHaveLength(2);
+  });
+});
+
+describe("adapters", () => {
+  test("SANRAL combines queriesTo with phones from the detail paragraphs", () => {
+    const [item] = normalizeWithAdapter(getAdapter("sanral"), [{
+      tenderNumber: "NRA X.001-2025/1",
+      queriesTo: "Ms P. Mokoena (pmokoena@nra.co.za)",
+      details: { paragraphs: ["Queries may be directed to Ms P. Mokoena at 012 844 8000."] },
+    }]);
+    expect(item.contacts).toEqual([{ name: "Ms P. Mokoena", email: "pmokoena@nra.co.za", phone: "+27128448000" }]);
+  });
+
+  test("Eskom contacts come from the scope text", () => {
+    const [item] = normalizeWithAdapter(getAdapter("eskom"), [{
+      TenderID: "E1",
+      scopeDetails: "Supply of transformers. Contact person: Nomsa Khumalo, khumalon@eskom.co.za, 011 800 2222",
+    }]);
+    expect(item.contacts).toEqual([{ name: "Nomsa Khumalo", email: "khumalon@eskom.co.za", phone: "+27118002222" }]);
+  });
+
+  test("eTenders keeps the OCDS contact and normalizes its phone", () => {
+    const contacts = extractContacts([["Mr T Baloyi", "TBaloyi@dpw.gov.za ", "012-406-1234"]], []);
+    expect(contacts).toEqual([{ name: "Mr T Baloyi", email: "tbaloyi@dpw.gov.za", phone: "+27124061234" }]);
+  });
+});
@@ -0,0 +1,158 @@
+import { Readable } from "stream";
+import { Pool } from "pg";
+import { parseDate, dateReader, summarizeDateIssues, zonedDate, monthNumber, isDateReread, DATE_RULES_VERSION } from "../lambdas/normalizer/dates.js";
+import { getAdapter, normalizeWithAdapter } from "../lambdas/normalizer/adapters/index.js";
+import { processObject, newRun, s3 } from "../lambdas/normalizer/index.js";
+
+const iso = (v, opts) => parseDate(v, opts).date?.toISOString() ?? null;
+
+describe("format catalogue", () => {
+  test.each([
+    ["2025-12-01T11:00:00+02:00", "2025-12-01T09:00:00.000Z", "y-m-d"],
+    ["2025-12-01T09:00:00.000Z", "2025-12-01T09:00:00.000Z", "y-m-d"],
+    ["2025-12-01T11:00:00", "2025-12-01T09:00:00.000Z", "y-m-d"],
+    ["2027-Feb-22 13:33:00", "2027-02-22T11:33:00.000Z", "y-mon-d"],
+    ["2026/01/15 11:00", "2026-01-15T09:00:00.000Z", "y-m-d"],
+    ["2026/02/03 12:00:30", "2026-02-03T10:00:30.000Z", "y-m-d"],
+    ["Tuesday, 4 November 2025 at 12h00", "2025-11-04T10:00:00.000Z", "d month y"],
+    ["4th Sept. 2025 09h30 (SAST)", "2025-09-04T07:30:00.000Z", "d month y"],
+    ["04-Nov-2025 2:30 PM", "2025-11-04T12:30:00.000Z", "d month y"],
+    ["November 4, 2025 10:30 am", "2025-11-04T08:30:00.000Z", "month d, y"],
+    ["25/11/2025 10:00", "2025-11-25T08:00:00.000Z", "numeric"],
+    ["11/25/2025 10:00", "2025-11-25T08:00:00.000Z", "numeric"],
+    ["2025-12-02 noon", "2025-12-02T10:00:00.000Z", "y-m-d"],
+  ])("%s", (value, expected, format) => {
+    expect(parseDate(value)).toEqual({ date: new Date(expected), reason: "ok", format });
+  });
+
+  test("month names in any case and length", () => {
+    expect(["Feb", "february", "SEPT.", "Sep"].map(monthNumber)).toEqual([2, 2, 9, 9]);
+    expect(monthNumber("Febr")).toBeUndefined();
+  });
+});
+
+describe("reasons", () => {
+  test("date-only values are midnight, or the end of the day for closing dates", () => {
+    expect(parseDate("2025-12-02")).toMatchObject({ reason: "date_only" });
+    expect(iso("2025-12-02")).toBe("2025-12-01T22:00:00.000Z");
+    expect(iso("2 December 2025", { endOfDay: true })).toBe("2025-12-02T21:59:59.000Z");
+  });
+
+  test("dd/mm vs m/d: a part above 12 decides, else the source's order, else ambiguous", () => {
+    expect(parseDate("3/4/2025")).toMatchObject({ reason: "ambiguous" });
+    expect(iso("3/4/2025 10:00")).toBe("2025-04-03T08:00:00.000Z");
+    expect(parseDate("3/4/2025 10:00", { order: "mdy" })).toMatchObject({ reason: "ok" });
+    expect(iso("3/4/2025 10:00", { order: "mdy" })).toBe("2025-03-04T08:00:00.000Z");
+    expect(parseDate("4/4/2025").reason).toBe("date_only");
+  });
+
+  test("impossible dates and times are invalid, the rest unparseable or empty", () => {
+    expect(parseDate("31/02/2025")).toEqual({ date: null, reason: "invalid", format: "numeric" });
+    expect(parseDate("2025-12-01 25:00").reason).toBe("invalid");
+    expect(parseDate("13:00 PM 2025").reason).toBe("unparseable");
+    expect(parseDate("2025-12-02 10").reason).toBe("unparseable");
+    expect(parseDate("TBC").reason).toBe("unparseable");
+    expect(parseDate("  ")).toEqual({ date: null, reason: "empty", format: null });
+    expect(parseDate(null).reason).toBe("empty");
+  });
+});
+
+describe("time zone", () => {
+  test("wall-clock times are Africa/Johannesburg, whatever the host zone", () => {
+    expect(zonedDate({ y: 2025, mo: 6, d: 30, h: 23, mi: 59 }).toISOString()).toBe("2025-06-30T21:59:00.000Z");
+    expect(zonedDate({ y: 2025, mo: 1, d: 1, h: 1 }, "Europe/London").toISOString()).toBe("2025-01-01T01:00:00.000Z");
+    expect(zonedDate({ y: 2025, mo: 7, d: 1, h: 1 }, "Europe/London").toISOString()).toBe("2025-07-01T00:00:00.000Z");
+  });
+
+  test("TZ_OFFSET still sets a fixed offset when SOURCE_TIMEZONE is unset", () => {
+    const env = { ...process.env };
+    delete process.env.SOURCE_TIMEZONE;
+    process.env.TZ_OFFSET = "+03:00";
+    try {
+      jest.isolateModules(() => {
+        const dates = require("../lambdas/normalizer/dates.js");
+        expect(dates.DEFAULT_TIMEZONE).toBe("+03:00");
+        expect(dates.parseDate("2025-06-30 10:00").date.toISOString()).toBe("2025-06-30T07:00:00.000Z");
+      });
+    } finally {
+      process.env = env;
+    }
+  });
+});
+
+describe("isDateReread", () => {
+  const old = { date_rules_version: null };
+  const change = (from, to) => ({ closing_at: { from, to } });
+
+  test("dates moved within their day by the current rules are a re-read", () => {
+    // date-only: UTC midnight -> 23:59:59 SAST; no offset: read as UTC -> as SAST
+    expect(isDateReread(old, change("2025-12-02T00:00:00.000Z", "2025-12-02T21:59:59.000Z"))).toBe(true);
+    expect(isDateReread(old, change("2025-12-02T01:00:00.000Z", "2025-12-01T23:00:00.000Z"))).toBe(true);
+    // Eskom date-only values were unreadable
+    expect(isDateReread(old, { published_at: { from: null, to: "2025-12-01T21:59:59.000Z" } })).toBe(true);
+  });
+
+  test("a real change, other fields, or rows already on the current rules are not", () => {
+    expect(isDateReread(old, change("2025-12-02T08:00:00.000Z", "2025-12-09T08:00:00.000Z"))).toBe(false);
+    expect(isDateReread(old, change("2025-12-02T08:00:00.000Z", null))).toBe(false);
+    expect(isDateReread(old, { ...change("2025-12-02T00:00:00.000Z", "2025-12-02T21:59:59.000Z"), title: { from: "a", to: "b" } })).toBe(false);
+    expect(isDateReread({ date_rules_version: DATE_RULES_VERSION }, change("2025-12-02T00:00:00.000Z", "2025-12-02T21:59:59.000Z"))).toBe(false);
+    expect(isDateReread(null, change(null, "2025-12-02T21:59:59.000Z"))).toBe(false);
+  });
+});
+
+describe("dateReader and summarizeDateIssues", () => {
+  test("issues are kept per field and summarized per file", () => {
+    const dates = dateReader();
+    expect(dates.read("closing_at", "TBC")).toBeNull();
+    expect(dates.read("published_at", "3/4/2025")).toBeInstanceOf(Date);
+    expect(dates.read("briefing_at", "")).toBeNull();
+    expect(dates.issues).toEqual([
+      { field: "closing_at", value: "TBC", reason: "unparseable" },
+      { field: "published_at", value: "3/4/2025", reason: "ambiguous" },
+    ]);
+
+    const summary = summarizeDateIssues([
+      { tender: { external_id: "A" }, dateIssues: dates.issues },
+      { tender: { external_id: "B" }, dateIssues: [{ field: "closing_at", value: "31/02/2025", reason: "invalid" }] },
+      { tender: { external_id: "C" }, dateIssues: [] },
+    ]);
+    expect(summary.total).toBe(3);
+    expect(summary.counts).toEqual({ closing_at: { unparseable: 1, invalid: 1 }, published_at: { ambiguous: 1 } });
+    expect(summary.samples[2]).toEqual({ external_id: "B", field: "closing_at", value: "31/02/2025", reason: "invalid" });
+    expect(summarizeDateIssues([{ tender: {}, dateIssues: [] }])).toBeNull();
+  });
+
+  test("adapters report unreadable closing dates instead of dropping them silently", () => {
+    const [item] = normalizeWithAdapter(getAdapter("sanral"), [{ tenderNumber: "NRA X/1", closingDate: "To be advised" }]);
+    expect(item.tender.closing_at).toBeNull();
+    expect(item.dateIssues).toEqual([{ field: "closing_at", value: "To be advised", reason: "unparseable" }]);
+
+    const [et] = normalizeWithAdapter(getAdapter("etenders"), { data: [{ id: 1, tender_No: "T1", closing_Date: "2025-12-01T11:00:00" }] });
+    expect(et.tender.closing_at.toISOString()).toBe("2025-12-01T09:00:00.000Z");
+    expect(et.dateIssues).toEqual([]);
+  });
+});
+
+describe("processObject", () => {
+  let query;
+  beforeEach(async () => {
+    ({ query } = await new Pool().connect());
+    query.mockReset();
+    query.mockImplementation(async (sql) => ({ rows: /INSERT INTO source_drift_reports/.test(sql) ? [{ id: 41 }] : [{ id: 1 }], rowCount: 1 }));
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("date issues are attached to the file's drift report", async () => {
+    jest.spyOn(s3, "send").mockImplementation(async () => ({
+      Body: Readable.from([Buffer.from(JSON.stringify([{ tenderNumber: "NRA X/1", description: "Road works", closingDate: "2026/02/31 10:00" }]))]),
+    }));
+
+    const res = await processObject({ query }, { bucket: "b", key: "sanral/s.json" }, newRun());
+
+    expect(res.dateIssues.counts).toEqual({ closing_at: { invalid: 1 } });
+    const update = query.mock.calls.find(([sql]) => /UPDATE source_drift_reports SET date_issues/.test(sql));
+    expect(update[1][0]).toBe(41);
+    expect(JSON.parse(update[1][1]).total).toBe(1);
+  });
+});
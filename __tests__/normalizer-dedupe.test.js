@@ -0,0 +1,88 @@
+import fs from "fs";
+import path from "path";
+import {
+  DUPLICATE_THRESHOLD,
+  CANDIDATES_SQL,
+  normalizeRef,
+  normalizeBuyer,
+  textSimilarity,
+  scoreMatch,
+  pickDuplicate,
+} from "../lambdas/normalizer/dedupe.js";
+
+const etenders = {
+  id: 10,
+  external_id: "MWP1234CX",
+  title: "MWP1234CX",
+  description: "Refurbishment of the Lethabo power station ash handling plant",
+  buyer: "Eskom Holdings SOC Ltd",
+  closing_at: new Date("2025-12-01T10:00:00Z"),
+};
+
+const eskom = {
+  id: 20,
+  external_id: "95123",
+  title: "MWP 1234/CX",
+  description: "Lethabo Power Station: refurbishment of ash handling plant",
+  buyer: "ESKOM",
+  closing_at: new Date("2025-12-01T10:00:00Z"),
+};
+
+describe("dedupe helpers", () => {
+  test("normalizeRef ignores case and punctuation but not bare numbers", () => {
+    expect(normalizeRef("MWP 1234/CX")).toBe("MWP1234CX");
+    expect(normalizeRef("mwp-1234-cx")).toBe("MWP1234CX");
+    expect(normalizeRef("95123")).toBeNull();
+    expect(normalizeRef("AB")).toBeNull();
+  });
+
+  test("normalizeBuyer strips corporate noise", () => {
+    expect(normalizeBuyer("Eskom Holdings SOC Ltd")).toBe("eskom");
+    expect(normalizeBuyer("ESKOM")).toBe("eskom");
+    expect(normalizeBuyer(null)).toBeNull();
+  });
+
+  test("textSimilarity is 1 for the same words and 0 for disjoint text", () => {
+    expect(textSimilarity("ash handling plant", "Plant, ash handling")).toBe(1);
+    expect(textSimilarity("ash handling plant", "harbour dredging")).toBe(0);
+  });
+});
+
+describe("scoreMatch / pickDuplicate", () => {
+  test("same reference, buyer and closing date is a duplicate", () => {
+    const m = scoreMatch(etenders, eskom);
+    expect(m.score).toBeGreaterThanOrEqual(DUPLICATE_THRESHOLD);
+    expect(m.reasons).toEqual(expect.arrayContaining(["reference", "buyer", "closing_date"]));
+  });
+
+  test("same closing date alone is not enough", () => {
+    const other = { ...eskom, id: 30, title: "E999/2025", description: "Catering services for Megawatt Park", buyer: "ESKOM" };
+    expect(scoreMatch(etenders, other).score).toBeLessThan(DUPLICATE_THRESHOLD);
+  });
+
+  test("matching text, buyer and date links tenders without a shared reference", () => {
+    const a = { ...etenders, external_id: "DPW 07/2025", title: "DPW 07/2025", buyer: "Transnet Freight Rail",
+      description: "Maintenance of rail fasteners and sleepers on the Ermelo to Richards Bay coal line" };
+    const b = { ...eskom, external_id: "TFR/2025/10/0012", title: "TFR/2025/10/0012", buyer: "Transnet",
+      description: "Maintenance of rail fasteners and sleepers on the Ermelo to Richards Bay coal line" };
+    expect(scoreMatch(a, b).score).toBeGreaterThanOrEqual(DUPLICATE_THRESHOLD);
+  });
+
+  test("pickDuplicate returns the best candidate above the threshold", () => {
+    const weak = { ...eskom, id: 31, title: "X1/2025", description: "Unrelated", buyer: "SANRAL", closing_at: null };
+    expect(pickDuplicate(etenders, [weak, eskom])).toMatchObject({ id: 20 });
+    expect(pickDuplicate(etenders, [weak])).toBeNull();
+  });
+});
+
+describe("candidate lookup", () => {
+  test("uses the indexed reference expressions and ranks reference matches before the limit", () => {
+    const migration = fs.readFileSync(path.join(__dirname, "../db/migrations/0016_dedupe_reference_indexes.sql"), "utf8");
+    for (const column of ["external_id", "title"]) {
+      const indexed = `regexp_replace(upper(coalesce(${column}, '')), '[^A-Z0-9]', '', 'g')`;
+      expect(migration).toContain(`((${indexed}))`);
+      expect(CANDIDATES_SQL).toContain(indexed.replace(column, `t.${column}`));
+    }
+    expect(CANDIDATES_SQL).toMatch(/ORDER BY \(regexp_replace[\s\S]*\) DESC[\s\S]*LIMIT 200/);
+  });
+});
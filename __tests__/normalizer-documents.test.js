@@ -0,0 +1,219 @@
+import zlib from "zlib";
+import { listZip, readZip, expansionBudget } from "../lambdas/normalizer/zip.js";
+import { MIME, sniffMime, extractText, expandDocument } from "../lambdas/normalizer/doctext.js";
+import { archiveDocument, fileNameFor, isArchiveKey } from "../lambdas/normalizer/documents.js";
+
+// Minimal zip writer: deflated entries, CRCs left at 0 (the reader does not check them)
+function makeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name, "utf8");
+    const raw = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8");
+    const data = zlib.deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+
+    offset += local.length + nameBuf.length + data.length;
+  }
+  const cd = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(cd.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cd, eocd]);
+}
+
+const docx = (paragraphs) => makeZip({
+  "[Content_Types].xml": "<Types/>",
+  "word/document.xml": `<w:document><w:body>${paragraphs
+    .map(p => `<w:p><w:r><w:t>${p}</w:t></w:r></w:p>`).join("")}</w:body></w:document>`,
+});
+
+const xlsx = () => makeZip({
+  "[Content_Types].xml": "<Types/>",
+  "xl/sharedStrings.xml": "<sst><si><t>Item</t></si><si><t>Bill of quantities &amp; rates</t></si></sst>",
+  "xl/worksheets/sheet1.xml":
+    '<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="inlineStr"><is><t>Qty</t></is></c></row>' +
+    '<row r="2"><c r="A2" t="s"><v>1</v></c><c r="B2"><v>12</v></c><c r="C2" s="1"/></row></sheetData></worksheet>',
+});
+
+describe("zip reader", () => {
+  test("lists and inflates entries, skipping directories", () => {
+    const zip = makeZip({ "a/": "", "a/one.txt": "first", "two.txt": "second" });
+    expect(listZip(zip).map(e => e.name)).toEqual(["a/", "a/one.txt", "two.txt"]);
+    expect(readZip(zip).map(e => [e.name, e.data.toString()])).toEqual([["a/one.txt", "first"], ["two.txt", "second"]]);
+  });
+
+  test("rejects data without a central directory", () => {
+    expect(() => listZip(Buffer.from("definitely not a zip file at all"))).toThrow(/Not a zip/);
+  });
+
+  test("stops at the uncompressed limit shared by a download's zips", () => {
+    const zip = makeZip({ "one.txt": "first", "two.txt": "second" });
+    const budget = expansionBudget(8);
+    expect(() => readZip(zip, budget)).toThrow(/uncompressed size limit at two\.txt/);
+    expect(readZip(zip, expansionBudget(11))).toHaveLength(2);
+  });
+});
+
+describe("sniffMime", () => {
+  test("trusts the bytes over the file name", () => {
+    expect(sniffMime(Buffer.from("%PDF-1.7\n..."), "download")).toBe(MIME.pdf);
+    expect(sniffMime(docx(["x"]), "file.pdf")).toBe(MIME.docx);
+    expect(sniffMime(xlsx(), "file")).toBe(MIME.xlsx);
+    expect(sniffMime(makeZip({ "a.pdf": "%PDF" }), "DownloadAll")).toBe(MIME.zip);
+    expect(sniffMime(Buffer.from("  <!DOCTYPE html><html>Not found</html>"), "doc.pdf")).toBe(MIME.html);
+    expect(sniffMime(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1]), "prices.xls")).toBe(MIME.xls);
+    expect(sniffMime(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1]), "spec")).toBe(MIME.doc);
+    expect(sniffMime(Buffer.from([0x00, 0x01, 0x02, 0x03]), "x")).toBe("application/octet-stream");
+  });
+});
+
+describe("extractText", () => {
+  test("DOCX paragraphs become lines", async () => {
+    expect(await extractText(docx(["Scope of work", "Supply &amp; install pumps"]), MIME.docx))
+      .toBe("Scope of work\nSupply & install pumps");
+  });
+
+  test("XLSX rows become tab-separated lines with shared strings resolved", async () => {
+    expect(await extractText(xlsx(), MIME.xlsx)).toBe("Item\tQty\nBill of quantities & rates\t12");
+  });
+
+  test("HTML drops markup and scripts; unknown types give null", async () => {
+    const html = Buffer.from("<html><script>x()</script><p>Closing 5 Dec</p><p>Box 12</p></html>");
+    expect(await extractText(html, MIME.html)).toBe("Closing 5 Dec\nBox 12");
+    expect(await extractText(Buffer.from([1, 2, 3]), "image/png")).toBeNull();
+  });
+});
+
+describe("expandDocument", () => {
+  test("unpacks zip bundles, including a nested zip, and skips __MACOSX", () => {
+    const inner = makeZip({ "boq.txt": "rates" });
+    const bundle = makeZip({
+      "spec.docx": docx(["Spec"]),
+      "returnables.zip": inner,
+      "__MACOSX/._spec.docx": "junk",
+    });
+    expect(expandDocument(bundle, "DownloadAll").map(p => [p.part_name, p.mime])).toEqual([
+      ["spec.docx", MIME.docx],
+      ["returnables.zip/boq.txt", MIME.text],
+    ]);
+  });
+
+  test("a single file is one part with an empty name", () => {
+    expect(expandDocument(Buffer.from("%PDF-1.4"), "a.pdf")).toEqual([
+      { part_name: "", mime: MIME.pdf, data: Buffer.from("%PDF-1.4") },
+    ]);
+  });
+});
+
+describe("archiveDocument", () => {
+  const body = docx(["Bill of quantities"]);
+  const fetchOk = (buf) => jest.fn(async () => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => String(buf.length) },
+    arrayBuffer: async () => buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length),
+  }));
+  const doc = { url: "https://tenders.transnet.net/Documents/Spec%20Sheet.docx", name: "Spec Sheet" };
+
+  test("stores new content in S3 and replaces its text rows", async () => {
+    const s3 = { send: jest.fn(async () => ({})) };
+    const client = { query: jest.fn(async () => ({ rows: [{ id: 9 }] })) };
+
+    const res = await archiveDocument(client, s3, doc, { bucket: "b", fetchImpl: fetchOk(body) });
+
+    expect(res.status).toBe("archived");
+    const put = s3.send.mock.calls[0][0].params;
+    expect(put.Key).toBe(`documents/${res.sha256}/Spec Sheet.docx`);
+    expect(put.ContentType).toBe(MIME.docx);
+
+    const sqls = client.query.mock.calls.map(c => c[0].trim().split(/\s+/).slice(0, 3).join(" "));
+    expect(sqls).toEqual(["BEGIN", "INSERT INTO document_archive", "DELETE FROM document_texts", "INSERT INTO document_texts", "COMMIT"]);
+    const text = client.query.mock.calls[3][1];
+    expect(text).toEqual([9, "", MIME.docx, body.length, 18, "Bill of quantities", null]);
+  });
+
+  test("an unchanged sha256 skips S3 and text extraction", async () => {
+    const s3 = { send: jest.fn() };
+    const client = { query: jest.fn(async () => ({ rows: [] })) };
+    const first = await archiveDocument({ query: jest.fn(async () => ({ rows: [{ id: 1 }] })) },
+      { send: jest.fn(async () => ({})) }, doc, { bucket: "b", fetchImpl: fetchOk(body) });
+
+    const res = await archiveDocument(client, s3, { ...doc, sha256: first.sha256 }, { bucket: "b", fetchImpl: fetchOk(body) });
+
+    expect(res.status).toBe("unchanged");
+    expect(s3.send).not.toHaveBeenCalled();
+    expect(client.query).toHaveBeenCalledTimes(1);
+    expect(client.query.mock.calls[0][0]).toMatch(/UPDATE document_archive/);
+  });
+
+  test("dead links are recorded as gone, error pages as failed", async () => {
+    const s3 = { send: jest.fn() };
+    const client = { query: jest.fn(async () => ({ rows: [] })) };
+
+    const gone = await archiveDocument(client, s3, doc, {
+      fetchImpl: jest.fn(async () => ({ ok: false, status: 404 })),
+    });
+    expect(gone.status).toBe("gone");
+    expect(client.query.mock.calls[0][1]).toEqual([doc.url, "gone", 404, `HTTP 404 for ${doc.url}`]);
+
+    const page = await archiveDocument(client, s3, doc, { fetchImpl: fetchOk(Buffer.from("<!doctype html><p>Session expired</p>")) });
+    expect(page.status).toBe("failed");
+    expect(s3.send).not.toHaveBeenCalled();
+  });
+
+  test("a zip that cannot be expanded is archived with the error on its text row", async () => {
+    const bundle = makeZip({ "spec.txt": "Scope of work", "boq.txt": "Bill of quantities" });
+    const bzip2 = Buffer.from(bundle);
+    // method 12 (bzip2) in the central directory entry of spec.txt
+    bzip2.writeUInt16LE(12, bzip2.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 10);
+
+    for (const [buf, error] of [[bundle.subarray(0, 40), /Not a zip/], [bzip2, /compression method 12/]]) {
+      const s3 = { send: jest.fn(async () => ({})) };
+      const client = { query: jest.fn(async () => ({ rows: [{ id: 9 }] })) };
+      const res = await archiveDocument(client, s3, { url: "https://x/DownloadAll", name: "bundle.zip" },
+        { bucket: "b", fetchImpl: fetchOk(buf) });
+
+      expect(res).toMatchObject({ status: "archived", parts: 1 });
+      expect(s3.send.mock.calls[0][0].params.ContentType).toBe(MIME.zip);
+      const text = client.query.mock.calls.find(([sql]) => /INSERT INTO document_texts/.test(sql))[1];
+      expect(text.slice(1, 6)).toEqual(["", MIME.zip, buf.length, 0, null]);
+      expect(text[6]).toMatch(error);
+    }
+  });
+});
+
+describe("helpers", () => {
+  test("file names come from the document name or the URL path", () => {
+    expect(fileNameFor({ url: "https://x/download/document/123", name: "Specification" })).toBe("123");
+    expect(fileNameFor({ url: "https://x/a/Bid%20Pack.pdf", name: null })).toBe("Bid Pack.pdf");
+    expect(fileNameFor({ url: "not a url", name: "notice.pdf" })).toBe("notice.pdf");
+  });
+
+  test("archive keys are recognised so the normalizer skips them", () => {
+    expect(isArchiveKey("documents/abc/notice.pdf")).toBe(true);
+    expect(isArchiveKey("transnet/2025-11-03.json")).toBe(false);
+  });
+});
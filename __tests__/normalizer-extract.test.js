@@ -0,0 +1,97 @@
+import fs from "fs";
+import path from "path";
+import { extractCidb, extractValue, extractPreference, extractTenderFacts } from "../lambdas/normalizer/extract.js";
+import { getAdapter, normalizeWithAdapter } from "../lambdas/normalizer/adapters/index.js";
+
+const fixture = (name) =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8"));
+
+describe("extractCidb", () => {
+  test("keyword-anchored grading is high confidence", () => {
+    expect(extractCidb("Tenderers must have a CIDB grading of 7CE or higher")).toEqual({
+      cidb_grade: 7, cidb_class: "CE", cidb_gradings: [{ grade: 7, class: "CE" }], confidence: "high",
+    });
+  });
+
+  test("several gradings keep the lowest as the entry requirement", () => {
+    const r = extractCidb("Contractor grading: 6 EP or 5EB PE and 6EP");
+    expect(r.cidb_grade).toBe(5);
+    expect(r.cidb_class).toBe("EB");
+    expect(r.cidb_gradings).toEqual([{ grade: 6, class: "EP" }, { grade: 5, class: "EB" }]);
+  });
+
+  test("a bare grading without the keyword is medium confidence", () => {
+    expect(extractCidb("Minimum 4GB required").confidence).toBe("medium");
+  });
+
+  test("ignores lowercase and specialist look-alikes away from a CIDB mention", () => {
+    expect(extractCidb("a level 1 SA company within 3 sa days")).toBeNull();
+    expect(extractCidb("CIDB 3SQ")).toMatchObject({ cidb_grade: 3, cidb_class: "SQ" });
+  });
+});
+
+describe("extractValue", () => {
+  test("parses rand amounts in the common notations", () => {
+    expect(extractValue("Estimated value: R2.5 million").value_amount).toBe(2500000);
+    expect(extractValue("Estimated contract value R1 500 000,00").value_amount).toBe(1500000);
+    expect(extractValue("Budget of R1,200,000.50 excl VAT").value_amount).toBe(1200000.5);
+    expect(extractValue("Project worth R3bn").value_amount).toBe(3e9);
+  });
+
+  test("document fees and amounts without a value keyword are ignored", () => {
+    expect(extractValue("A non-refundable tender fee of R500 000 is payable")).toBeNull();
+    expect(extractValue("Payment of R250 000 on completion")).toBeNull();
+  });
+
+  test("a fee in the next sentence or clause does not hide the value", () => {
+    expect(extractValue("The estimated value is R12m. Tender document fee R500").value_amount).toBe(12e6);
+    expect(extractValue("Budget R4 000 000; a refundable deposit of R2 000 applies").value_amount).toBe(4e6);
+    expect(extractValue("Estimated value R2.5 million, including the R5 000 insurance excess")).toBeNull();
+  });
+});
+
+describe("extractPreference", () => {
+  test("one system stated with its keyword", () => {
+    expect(extractPreference("The 80/20 preference point system applies")).toEqual({
+      preference_system: "80/20", confidence: "high",
+    });
+  });
+
+  test("both thresholds quoted without saying which applies is left null", () => {
+    expect(extractPreference("80/20 for tenders below R50m and 90/10 above")).toBeNull();
+  });
+
+  test("a lone fraction without keyword is medium", () => {
+    expect(extractPreference("Evaluation 90/10")).toEqual({ preference_system: "90/10", confidence: "medium" });
+  });
+});
+
+describe("extractTenderFacts", () => {
+  test("empty text gives all nulls", () => {
+    expect(extractTenderFacts([null, "", undefined])).toEqual({
+      cidb_grade: null, cidb_class: null, cidb_gradings: null,
+      value_amount: null, value_currency: null, preference_system: null,
+      extraction_confidence: null,
+    });
+  });
+
+  test("combines facts from several text fields", () => {
+    const r = extractTenderFacts([
+      "Construction of a bridge. Estimated value R12 000 000.",
+      "CIDB 8CE PE. The 90/10 preference points system will be applied.",
+    ]);
+    expect(r).toMatchObject({
+      cidb_grade: 8, cidb_class: "CE", value_amount: 12000000, value_currency: "ZAR",
+      preference_system: "90/10",
+      extraction_confidence: { cidb: "high", value: "high", preference: "high" },
+    });
+  });
+
+  test("reads the SANRAL detail paragraphs emitted by the adapter", () => {
+    const items = normalizeWithAdapter(getAdapter("sanral"), fixture("sanral-tenders.json"));
+    const facts = extractTenderFacts(items[0].text);
+    expect(facts.cidb_grade).toBe(6);
+    expect(facts.cidb_class).toBe("CE");
+    expect(facts.extraction_confidence).toEqual({ cidb: "high" });
+  });
+});
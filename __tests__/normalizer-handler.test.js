@@ -0,0 +1,185 @@
+import { Readable } from "stream";
+import { Pool } from "pg";
+import { handler, s3 } from "../lambdas/normalizer/index.js";
+import { isTransientError } from "../lambdas/normalizer/errors.js";
+
+process.env.DB_PASSWORD_PARAM = "/tendertool/test/db/password";
+
+const sqsEvent = (...keys) => ({
+  Records: [{
+    messageId: "m1",
+    body: JSON.stringify({
+      Records: keys.map((key) => ({ s3: { bucket: { name: "tender-scraper-bucket" }, object: { key } } })),
+    }),
+  }],
+});
+
+describe("normalizer handler quarantine", () => {
+  let query;
+
+  beforeEach(async () => {
+    ({ query } = await new Pool().connect());
+    query.mockReset();
+    query.mockImplementation(async (sql) =>
+      /INSERT INTO ingest_failures/.test(sql) ? { rows: [{ id: 1 }] } : { rows: [], rowCount: 0 }
+    );
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("quarantines unparseable JSON instead of dropping it", async () => {
+    const send = jest.spyOn(s3, "send").mockImplementation(async (cmd) =>
+      cmd.constructor.name === "GetObjectCommand" ? { Body: Readable.from([Buffer.from("{not json")]) } : {}
+    );
+
+    const res = await handler(sqsEvent("eskom/eskom-2025.json"));
+
+    expect(res.quarantined).toBe(1);
+    expect(send.mock.calls.map(([c]) => c.constructor.name)).toEqual(["GetObjectCommand", "CopyObjectCommand"]);
+    const insert = query.mock.calls.find(([sql]) => /ingest_failures/.test(sql));
+    expect(insert[1].slice(3, 5)).toEqual(["eskom", "parse"]);
+  });
+
+  test("quarantines keys no adapter claims without reading them", async () => {
+    const send = jest.spyOn(s3, "send").mockResolvedValue({});
+
+    const res = await handler(sqsEvent("misc/unknown.json"));
+
+    expect(res.quarantined).toBe(1);
+    expect(send.mock.calls.map(([c]) => c.constructor.name)).toEqual(["CopyObjectCommand"]);
+  });
+
+  test("ignores objects under quarantine/, documents/, state/ and debug/", async () => {
+    const send = jest.spyOn(s3, "send").mockResolvedValue({});
+    const res = await handler(sqsEvent("quarantine/eskom/eskom-2025.json"));
+    expect(res.quarantined).toBe(0);
+    expect((await handler(sqsEvent("documents/0a1b/Spec.pdf"))).quarantined).toBe(0);
+    expect((await handler(sqsEvent("state/eskom/checkpoint.json"))).quarantined).toBe(0);
+    expect((await handler(sqsEvent("debug/sanral/0b7c2a7e/01-NRA-N-001.json"))).quarantined).toBe(0);
+    expect(send).not.toHaveBeenCalled();
+  });
+});
+
+describe("isTransientError", () => {
+  test("connection loss, DB overload and AWS throttling are transient", () => {
+    expect(isTransientError(new Error("Connection terminated unexpectedly"))).toBe(true);
+    expect(isTransientError(Object.assign(new Error("reset"), { code: "ECONNRESET" }))).toBe(true);
+    expect(isTransientError(Object.assign(new Error("too many"), { code: "53300" }))).toBe(true);
+    expect(isTransientError(Object.assign(new Error("deadlock"), { code: "40P01" }))).toBe(true);
+    expect(isTransientError(Object.assign(new Error("slow down"), { name: "SlowDown" }))).toBe(true);
+    expect(isTransientError(Object.assign(new Error("x"), { $metadata: { httpStatusCode: 503 } }))).toBe(true);
+  });
+
+  test("bad input, missing objects and bugs are permanent", () => {
+    expect(isTransientError(new SyntaxError("Unexpected token"))).toBe(false);
+    expect(isTransientError(Object.assign(new Error("gone"), { name: "NoSuchKey", $metadata: { httpStatusCode: 404 } }))).toBe(false);
+    expect(isTransientError(Object.assign(new Error("dup"), { code: "23505" }))).toBe(false);
+    expect(isTransientError(new TypeError("Cannot read properties of undefined"))).toBe(false);
+    expect(isTransientError(null)).toBe(false);
+  });
+});
+
+describe("normalizer handler partial batch failures", () => {
+  let query;
+  const message = (messageId, key) => ({
+    messageId,
+    body: JSON.stringify({ Records: [{ s3: { bucket: { name: "tender-scraper-bucket" }, object: { key } } }] }),
+  });
+  const sanralFile = () => ({
+    Body: Readable.from([Buffer.from(JSON.stringify([{ tenderNumber: "NRA X/1", description: "Road works", closingDate: "2026/01/15 11:00" }]))]),
+  });
+
+  beforeEach(async () => {
+    ({ query } = await new Pool().connect());
+    query.mockReset();
+    query.mockImplementation(async (sql) =>
+      /INSERT INTO ingest_failures/.test(sql) ? { rows: [{ id: 1 }] } : { rows: [], rowCount: 0 }
+    );
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("only the throttled message is returned for retry; the bad one is quarantined", async () => {
+    jest.spyOn(s3, "send").mockImplementation(async (cmd) => {
+      if (cmd.constructor.name !== "GetObjectCommand") return {};
+      if (cmd.params.Key.startsWith("sanral/")) throw Object.assign(new Error("Please reduce your request rate."), { name: "SlowDown" });
+      return { Body: Readable.from([Buffer.from("{not json")]) };
+    });
+
+    const res = await handler({ Records: [message("m1", "sanral/s.json"), message("m2", "eskom/e.json"), { messageId: "m3", body: "oops" }] });
+
+    expect(res.batchItemFailures).toEqual([{ itemIdentifier: "m1" }]);
+    expect(res).toMatchObject({ retried: 1, quarantined: 1 });
+  });
+
+  test("a dropped DB connection mid-batch retries the message instead of quarantining it", async () => {
+    jest.spyOn(s3, "send").mockImplementation(async () => sanralFile());
+    query.mockImplementation(async (sql) => {
+      if (/FROM sources/.test(sql)) throw new Error("Connection terminated unexpectedly");
+      return { rows: [], rowCount: 0 };
+    });
+
+    const res = await handler({ Records: [message("m1", "sanral/s.json")] });
+
+    expect(res.batchItemFailures).toEqual([{ itemIdentifier: "m1" }]);
+    expect(query.mock.calls.some(([sql]) => /ingest_failures/.test(sql))).toBe(false);
+  });
+
+  test("a failure that cannot be quarantined retries only its own message", async () => {
+    jest.spyOn(s3, "send").mockImplementation(async (cmd) => {
+      if (cmd.constructor.name !== "GetObjectCommand") return {};
+      return { Body: Readable.from([Buffer.from("{not json")]) };
+    });
+    let inserts = 0;
+    query.mockImplementation(async (sql) => {
+      if (/INSERT INTO ingest_failures/.test(sql)) {
+        if (++inserts === 1) throw new Error('relation "ingest_failures" is locked');
+        return { rows: [{ id: 2 }] };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    const res = await handler({ Records: [message("m1", "eskom/a.json"), message("m2", "eskom/b.json")] });
+
+    expect(res.batchItemFailures).toEqual([{ itemIdentifier: "m1" }]);
+    expect(res).toMatchObject({ retried: 1, quarantined: 1 });
+  });
+
+  test("a failed ROLLBACK retries the message on a fresh connection instead of quarantining it", async () => {
+    jest.spyOn(s3, "send").mockImplementation(async () => sanralFile());
+    const released = [];
+    const connect = jest.spyOn(Pool.prototype, "connect").mockImplementation(async () => ({
+      query, release: (broken) => released.push(broken),
+    }));
+    let rollbacks = 0;
+    query.mockImplementation(async (sql) => {
+      if (/FROM sources/.test(sql)) throw new Error('column "nmae" does not exist');
+      if (sql === "ROLLBACK" && ++rollbacks === 1) throw new Error("Client was closed and is not queryable");
+      return /INSERT INTO ingest_failures/.test(sql) ? { rows: [{ id: 1 }] } : { rows: [], rowCount: 0 };
+    });
+
+    const res = await handler({ Records: [message("m1", "sanral/a.json"), message("m2", "sanral/b.json")] });
+
+    expect(res.batchItemFailures).toEqual([{ itemIdentifier: "m1" }]);
+    // m2's batch failed normally and was quarantined, on the second connection
+    const insert = query.mock.calls.find(([sql]) => /INSERT INTO ingest_failures/.test(sql));
+    expect(insert[1].slice(1, 2)).toEqual(["sanral/b.json"]);
+    expect(connect).toHaveBeenCalledTimes(2);
+    expect(released).toEqual([true, false]);
+  });
+
+  test("permanent errors outside the batch are quarantined as unhandled", async () => {
+    jest.spyOn(s3, "send").mockImplementation(async (cmd) => {
+      if (cmd.constructor.name === "GetObjectCommand") {
+        throw Object.assign(new Error("The specified key does not exist."), { name: "NoSuchKey", $metadata: { httpStatusCode: 404 } });
+      }
+      return {};
+    });
+
+    const res = await handler({ Records: [message("m1", "sanral/gone.json")] });
+
+    expect(res.batchItemFailures).toEqual([]);
+    const insert = query.mock.calls.find(([sql]) => /INSERT INTO ingest_failures/.test(sql));
+    expect(insert[1].slice(3, 5)).toEqual(["sanral", "unhandled"]);
+  });
+});
@@ -0,0 +1,52 @@
+import { deriveStatus, refreshLifecycle } from "../lambdas/normalizer/lifecycle.js";
+
+const now = new Date("2025-11-10T08:00:00Z");
+const days = (n) => new Date(now.getTime() + n * 24 * 3600 * 1000);
+
+describe("deriveStatus", () => {
+  test("raw source statuses win", () => {
+    expect(deriveStatus({ status: "Awarded", closing_at: days(10) }, { now })).toBe("awarded");
+    expect(deriveStatus({ status: "Cancelled", closing_at: days(10) }, { now })).toBe("withdrawn_or_cancelled");
+    expect(deriveStatus({ status: "Tender Withdrawn" }, { now })).toBe("withdrawn_or_cancelled");
+    expect(deriveStatus({ status: "Closed", closing_at: days(10) }, { now })).toBe("closed");
+  });
+
+  test("closing date drives open / closing_soon / closed", () => {
+    expect(deriveStatus({ status: null, closing_at: days(30) }, { now })).toBe("open");
+    expect(deriveStatus({ status: "Advertised", closing_at: days(3) }, { now })).toBe("closing_soon");
+    expect(deriveStatus({ status: "Advertised", closing_at: days(-1) }, { now })).toBe("closed");
+    expect(deriveStatus({ status: null, closing_at: null }, { now })).toBe("open");
+  });
+
+  test("a tender its source stopped listing before closing is withdrawn", () => {
+    const t = { status: null, closing_at: days(20), last_seen_at: days(-5) };
+    expect(deriveStatus(t, { now, sourceLastSeenAt: days(-0.1) })).toBe("withdrawn_or_cancelled");
+    expect(deriveStatus(t, { now, sourceLastSeenAt: days(-4) })).toBe("open");
+  });
+
+  test("an unseen tender past its closing date is simply closed", () => {
+    const t = { status: null, closing_at: days(-2), last_seen_at: days(-5) };
+    expect(deriveStatus(t, { now, sourceLastSeenAt: now })).toBe("closed");
+  });
+});
+
+describe("refreshLifecycle", () => {
+  test("updates only tenders whose status changed", async () => {
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({
+          rows: [
+            { id: "1", closing_at: days(-1), status: null, lifecycle_status: "open", last_seen_at: now, source_last_seen_at: now },
+            { id: "2", closing_at: days(30), status: null, lifecycle_status: "open", last_seen_at: now, source_last_seen_at: now },
+            { id: "3", closing_at: days(2), status: null, lifecycle_status: null, last_seen_at: now, source_last_seen_at: now },
+          ],
+        })
+        .mockResolvedValueOnce({ rowCount: 2 }),
+    };
+
+    const res = await refreshLifecycle(client, now);
+
+    expect(res).toEqual({ checked: 3, changed: 2, byStatus: { closed: 1, closing_soon: 1 } });
+    expect(client.query.mock.calls[1][1]).toEqual([["1", "3"], ["closed", "closing_soon"]]);
+  });
+});
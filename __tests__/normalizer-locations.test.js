@@ -0,0 +1,84 @@
+import fs from "fs";
+import path from "path";
+import { PROVINCES, resolveLocation, provinceName } from "../lambdas/normalizer/locations.js";
+import { getAdapter, normalizeWithAdapter } from "../lambdas/normalizer/adapters/index.js";
+import gazetteer from "../lambdas/normalizer/gazetteer.json";
+
+const fixture = (name) =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8"));
+
+describe("gazetteer", () => {
+  test("has the nine provinces and consistent municipality references", () => {
+    expect(PROVINCES.map(p => p.code).sort()).toEqual(["EC", "FS", "GP", "KZN", "LP", "MP", "NC", "NW", "WC"]);
+    const codes = new Set(PROVINCES.map(p => p.code));
+    const districts = new Map(gazetteer.municipalities.filter(m => m.type === "district").map(m => [m.name, m]));
+    for (const m of gazetteer.municipalities) {
+      expect(codes.has(m.province)).toBe(true);
+      if (m.district) expect(districts.get(m.district)?.province).toBe(m.province);
+    }
+  });
+});
+
+describe("resolveLocation", () => {
+  test("towns and suburbs resolve to their municipality", () => {
+    expect(resolveLocation(["Megawatt Park, Maxwell Drive, Sunninghill, Sandton"]))
+      .toEqual({ province: "Gauteng", municipality: "City of Johannesburg" });
+    expect(resolveLocation(["Port Elizabeth"]))
+      .toEqual({ province: "Eastern Cape", municipality: "Nelson Mandela Bay" });
+    expect(resolveLocation(["Durban, KZN"]))
+      .toEqual({ province: "KwaZulu-Natal", municipality: "eThekwini" });
+  });
+
+  test("a province alone gives no municipality", () => {
+    expect(resolveLocation(["gauteng"])).toEqual({ province: "Gauteng", municipality: null });
+  });
+
+  test("a named province settles towns that exist in two provinces", () => {
+    expect(resolveLocation(["Middelburg"])).toEqual({ province: null, municipality: null });
+    expect(resolveLocation(["Middelburg, Mpumalanga"]))
+      .toEqual({ province: "Mpumalanga", municipality: "Steve Tshwete" });
+  });
+
+  test("longer names win over names they contain", () => {
+    expect(resolveLocation(["OR Tambo International Airport"]))
+      .toEqual({ province: "Gauteng", municipality: "City of Ekurhuleni" });
+  });
+
+  test("several local municipalities in one district resolve to the district", () => {
+    expect(resolveLocation(["Polokwane and Tzaneen"])).toEqual({ province: "Limpopo", municipality: null });
+    expect(resolveLocation(["Lephalale, Modimolle"])).toEqual({ province: "Limpopo", municipality: "Waterberg" });
+  });
+
+  test("the first place that resolves wins", () => {
+    expect(resolveLocation(["Medupi Power Station", "Sunninghill, Sandton"]))
+      .toEqual({ province: "Limpopo", municipality: "Lephalale" });
+  });
+
+  test("falls back to the title, ignoring town names that are ordinary words", () => {
+    expect(resolveLocation(["Northern Region"], ["Maintenance of N1 from Polokwane to Musina"]))
+      .toEqual({ province: "Limpopo", municipality: null });
+    expect(resolveLocation([], ["Supply of springs to George Mokoena"]))
+      .toEqual({ province: null, municipality: null });
+    expect(resolveLocation(["National"], [null])).toEqual({ province: null, municipality: null });
+  });
+
+  test("adapters emit places for the resolver", () => {
+    const [item] = normalizeWithAdapter(getAdapter("sanral"), fixture("sanral-tenders.json"));
+    expect(resolveLocation(item.places, [item.tender.title, item.tender.description]).province).toBe("Limpopo");
+
+    const [et] = normalizeWithAdapter(getAdapter("etenders"), {
+      data: [{ tender_No: "T1", town: "Middelburg", province: "Mpumalanga" }],
+    });
+    expect(et.places).toEqual(["Middelburg, Mpumalanga"]);
+    expect(resolveLocation(et.places).municipality).toBe("Steve Tshwete");
+  });
+});
+
+describe("provinceName", () => {
+  test("accepts codes, names and aliases", () => {
+    expect(provinceName("kzn")).toBe("KwaZulu-Natal");
+    expect(provinceName("KwaZulu Natal")).toBe("KwaZulu-Natal");
+    expect(provinceName("north-west")).toBe("North West");
+    expect(provinceName("Atlantis")).toBeNull();
+  });
+});
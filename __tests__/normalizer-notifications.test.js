@@ -0,0 +1,82 @@
+import {
+  upsertOutcome,
+  classifyEvent,
+  buildNotification,
+  publishNotifications,
+} from "../lambdas/normalizer/notifications.js";
+
+describe("upsertOutcome", () => {
+  test("distinguishes inserted, updated and unchanged tenders", () => {
+    expect(upsertOutcome(null, { hash: "a" })).toBe("inserted");
+    expect(upsertOutcome({ hash: "a" }, { hash: "b" })).toBe("updated");
+    expect(upsertOutcome({ hash: "a" }, { hash: "a" })).toBe("unchanged");
+  });
+});
+
+describe("classifyEvent", () => {
+  test("new tenders and unchanged tenders", () => {
+    expect(classifyEvent("inserted", null)).toBe("new");
+    expect(classifyEvent("unchanged", null)).toBeNull();
+  });
+
+  test("a later closing date is an extension", () => {
+    const changes = { closing_at: { from: "2025-12-01T10:00:00.000Z", to: "2025-12-15T10:00:00.000Z" } };
+    expect(classifyEvent("updated", changes)).toBe("closing_extended");
+  });
+
+  test("an earlier closing date is just an amendment", () => {
+    const changes = { closing_at: { from: "2025-12-15T10:00:00.000Z", to: "2025-12-01T10:00:00.000Z" } };
+    expect(classifyEvent("updated", changes)).toBe("amended");
+  });
+
+  test("a status moving to cancelled wins over other changes", () => {
+    const changes = {
+      status: { from: "Advertised", to: "Cancelled" },
+      closing_at: { from: "2025-12-01T10:00:00.000Z", to: "2025-12-15T10:00:00.000Z" },
+    };
+    expect(classifyEvent("updated", changes)).toBe("cancelled");
+  });
+});
+
+describe("buildNotification", () => {
+  test("prefixes the subject with the event and carries the event type", () => {
+    const msg = buildNotification("closing_extended", 7, { title: "DPW 07/2025", category: "Construction" }, "etenders", {
+      closing_at: { from: "a", to: "b" },
+    });
+    expect(msg.subject).toBe("Closing date extended construction tender: DPW 07/2025");
+    expect(msg.payload).toMatchObject({ event_type: "closing_extended", tenderId: 7, category: "construction", changed_fields: ["closing_at"] });
+  });
+});
+
+describe("publishNotifications", () => {
+  const messages = Array.from({ length: 23 }, (_, i) =>
+    buildNotification("new", i, { title: `T${i}`, category: "goods" }, "eskom")
+  );
+
+  test("publishes every message in batches of 10 with an event_type attribute", async () => {
+    const sns = { send: jest.fn(async () => ({ Successful: [], Failed: [] })) };
+    const res = await publishNotifications(sns, "arn:topic", messages);
+
+    expect(res).toEqual({ published: 23, failed: 0 });
+    expect(sns.send).toHaveBeenCalledTimes(3);
+    const entry = sns.send.mock.calls[0][0].params.PublishBatchRequestEntries[0];
+    expect(entry.MessageAttributes.event_type).toEqual({ DataType: "String", StringValue: "new" });
+    expect(entry.MessageAttributes.category).toEqual({ DataType: "String", StringValue: "goods" });
+  });
+
+  test("counts failed entries and failed calls", async () => {
+    const sns = {
+      send: jest.fn()
+        .mockResolvedValueOnce({ Failed: [{ Id: "0", Code: "InternalError" }] })
+        .mockRejectedValueOnce(new Error("throttled"))
+        .mockResolvedValueOnce({ Failed: [] }),
+    };
+    expect(await publishNotifications(sns, "arn:topic", messages)).toEqual({ published: 12, failed: 11 });
+  });
+
+  test("skips publishing without a topic", async () => {
+    const sns = { send: jest.fn() };
+    expect(await publishNotifications(sns, undefined, messages)).toEqual({ published: 0, failed: 0 });
+    expect(sns.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,131 @@
+import { isQuarantineKey, quarantineKeyFor, quarantineObject } from "../lambdas/normalizer/quarantine.js";
+import { Readable } from "stream";
+import { Pool } from "pg";
+import { handler as replay, buildSelection, groupByObject } from "../lambdas/normalizer/replay.js";
+import { s3 } from "../lambdas/normalizer/index.js";
+
+process.env.DB_PASSWORD_PARAM = "/tendertool/test/db/password";
+
+describe("quarantineObject", () => {
+  const failure = {
+    bucket: "tender-scraper-bucket",
+    key: "transnet/transnet 2025-11-03.json",
+    source: "transnet",
+    stage: "batch",
+    error: new Error("value too long for type character varying(255)"),
+    batchIndex: 2,
+  };
+
+  test("copies the object under quarantine/ and records the failure", async () => {
+    const s3 = { send: jest.fn(async () => ({})) };
+    const client = { query: jest.fn(async () => ({ rows: [{ id: 41 }] })) };
+
+    expect(await quarantineObject(client, s3, failure)).toBe(41);
+
+    const copy = s3.send.mock.calls[0][0].params;
+    expect(copy.Key).toBe("quarantine/transnet/transnet 2025-11-03.json");
+    expect(copy.CopySource).toBe("tender-scraper-bucket/transnet/transnet%202025-11-03.json");
+
+    const [sql, params] = client.query.mock.calls[0];
+    expect(sql).toMatch(/INSERT INTO ingest_failures/);
+    expect(params.slice(0, 7)).toEqual([
+      "tender-scraper-bucket",
+      "transnet/transnet 2025-11-03.json",
+      "quarantine/transnet/transnet 2025-11-03.json",
+      "transnet",
+      "batch",
+      2,
+      "value too long for type character varying(255)",
+    ]);
+  });
+
+  test("still records the failure when the S3 copy fails", async () => {
+    const s3 = { send: jest.fn(async () => { throw new Error("AccessDenied"); }) };
+    const client = { query: jest.fn(async () => ({ rows: [{ id: 42 }] })) };
+
+    expect(await quarantineObject(client, s3, failure)).toBe(42);
+    expect(client.query.mock.calls[0][1][2]).toBeNull();
+  });
+
+  test("never throws when the database write fails", async () => {
+    const s3 = { send: jest.fn(async () => ({})) };
+    const client = { query: jest.fn(async () => { throw new Error("connection terminated"); }) };
+    await expect(quarantineObject(client, s3, failure)).resolves.toBeNull();
+  });
+
+  test("recognises its own keys so they are not re-ingested", () => {
+    expect(isQuarantineKey(quarantineKeyFor("eskom/a.json"))).toBe(true);
+    expect(isQuarantineKey("eskom/a.json")).toBe(false);
+  });
+});
+
+describe("replay selection", () => {
+  test("filters quarantined rows by ids, keys, source and stage", () => {
+    const { sql, params } = buildSelection({ ids: [1, 2], source: "eskom", stage: "parse" });
+    expect(sql).toBe("status = 'quarantined' AND id = ANY($1::bigint[]) AND source = $2 AND stage = $3");
+    expect(params).toEqual([[1, 2], "eskom", "parse"]);
+  });
+
+  test("refuses an empty selection unless all is set", () => {
+    expect(() => buildSelection({})).toThrow(/needs ids, keys, source or stage/);
+    expect(buildSelection({ all: true }).params).toEqual([]);
+  });
+
+  test("groups failure rows per object and prefers the quarantine copy", () => {
+    const objects = groupByObject([
+      { id: 1, bucket: "b", s3_key: "eskom/a.json", quarantine_key: null },
+      { id: 2, bucket: "b", s3_key: "eskom/a.json", quarantine_key: "quarantine/eskom/a.json" },
+      { id: 3, bucket: "b", s3_key: "sanral/b.json", quarantine_key: null },
+    ]);
+    expect(objects).toEqual([
+      { bucket: "b", key: "eskom/a.json", readKey: "quarantine/eskom/a.json", failureIds: [1, 2] },
+      { bucket: "b", key: "sanral/b.json", readKey: null, failureIds: [3] },
+    ]);
+  });
+});
+
+describe("replay handler", () => {
+  let query;
+
+  beforeEach(async () => {
+    ({ query } = await new Pool().connect());
+    query.mockReset();
+    query.mockImplementation(async (sql, params) => {
+      if (/FROM ingest_failures/.test(sql)) {
+        return { rows: [{ id: 5, bucket: "b", s3_key: "sanral/s.json", quarantine_key: "quarantine/sanral/s.json" }] };
+      }
+      if (/FROM sources/.test(sql)) return { rows: [{ id: 3 }] };
+      if (/INSERT INTO tenders/.test(sql)) return { rows: params[1].map((external_id, i) => ({ id: String(i + 1), external_id })) };
+      return { rows: [] };
+    });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const body = () => Readable.from([Buffer.from(JSON.stringify([{ tenderNumber: "NRA X/1", description: "Road works", closingDate: "2026/01/15 11:00" }]))]);
+
+  test("dates the replay by the original object, not the quarantine copy", async () => {
+    const send = jest.spyOn(s3, "send").mockImplementation(async (cmd) => {
+      if (cmd.constructor.name === "HeadObjectCommand") return { LastModified: new Date("2025-11-01T04:00:00Z") };
+      return { Body: body(), LastModified: new Date("2025-11-09T10:00:00Z") };
+    });
+
+    const res = await replay({ ids: [5] });
+
+    expect(res.replayed).toBe(1);
+    expect(send.mock.calls.map(([cmd]) => cmd.params.Key)).toEqual(["sanral/s.json", "quarantine/sanral/s.json"]);
+    const upsert = query.mock.calls.find(([sql]) => /INSERT INTO tenders/.test(sql));
+    expect(upsert[1].at(-1)).toEqual(new Date("2025-11-01T04:00:00Z"));
+  });
+
+  test("without the original object the copy's time is not used", async () => {
+    jest.spyOn(s3, "send").mockImplementation(async (cmd) => {
+      if (cmd.constructor.name === "HeadObjectCommand") throw Object.assign(new Error("Not Found"), { name: "NotFound" });
+      return { Body: body(), LastModified: new Date("2025-11-09T10:00:00Z") };
+    });
+
+    await replay({ ids: [5] });
+
+    const upsert = query.mock.calls.find(([sql]) => /INSERT INTO tenders/.test(sql));
+    expect(upsert[1].at(-1)).toBeNull();
+  });
+});
@@ -0,0 +1,148 @@
+import { Pool } from "pg";
+import { handler, sns, buildOptions, convertPolicy } from "../lambdas/normalizer/recategorize.js";
+
+process.env.DB_PASSWORD_PARAM = "/tendertool/test/db/password";
+process.env.TENDER_TOPIC_ARN = "arn:aws:sns:af-south-1:000000000000:tt-tenders-test";
+
+const TAXONOMY = [
+  { slug: "construction", label: "Construction & Civil Works" },
+  { slug: "electrical", label: "Electrical & Energy" },
+  { slug: "goods", label: "Goods & Supplies" },
+  { slug: "other", label: "Other" },
+];
+
+const RULES = [
+  { id: 1, source: "etenders", match_type: "regex", pattern: "^services:\\s*(building|civil)", category_slug: "construction", priority: 10 },
+  { id: 2, source: "etenders", match_type: "regex", pattern: "^supplies:", category_slug: "goods", priority: 20 },
+  { id: 3, source: null, match_type: "regex", pattern: "construct|civil|building", category_slug: "construction", priority: 50 },
+  { id: 4, source: null, match_type: "regex", pattern: "electric", category_slug: "electrical", priority: 50 },
+];
+
+const taxonomy = { slugs: new Set(TAXONOMY.map((t) => t.slug)), bySlug: new Map(TAXONOMY.map((t) => [t.slug, t.slug])), rules: [] };
+
+describe("buildOptions", () => {
+  test("every step unless told otherwise, and unknown steps refused", () => {
+    expect(buildOptions({})).toEqual({ steps: ["tenders", "preferences", "subscriptions"], source: null, dryRun: false });
+    expect(() => buildOptions({ steps: ["users"] })).toThrow(/Unknown recategorize steps: users/);
+  });
+});
+
+describe("convertPolicy", () => {
+  test("leaves slug-only and category-less policies alone", () => {
+    expect(convertPolicy(taxonomy, { category: ["goods"], province: ["Gauteng", "unknown"] })).toBeNull();
+    expect(convertPolicy(taxonomy, { event_type: ["new"] })).toBeNull();
+    expect(convertPolicy(taxonomy, null)).toBeNull();
+  });
+});
+
+describe("handler", () => {
+  let query;
+  let snsCalls;
+  let tenders;
+  let prefs;
+  let subs;
+
+  beforeEach(async () => {
+    ({ query } = await new Pool().connect());
+    query.mockReset();
+    tenders = [
+      { id: 1, source: "etenders", category: "Supplies: Civil engineering equipment", title: "Excavator", description: null, canonical_category: "construction" },
+      { id: 2, source: "etenders", category: "Services: Building", title: "Clinic", description: null, canonical_category: "construction" },
+      { id: 3, source: "eskom", category: "Electrical", title: "Cabling", description: null, canonical_category: null },
+    ];
+    prefs = [
+      { user_id: 7, tender_category: "Services: Building" },
+      { user_id: 7, tender_category: "Construction & Civil Works" },
+      { user_id: 8, tender_category: "Electrical" },
+    ];
+    query.mockImplementation(async (sql, params) => {
+      if (/FROM category_taxonomy$/.test(sql)) return { rows: TAXONOMY };
+      if (/FROM category_mapping_rules/.test(sql)) return { rows: RULES };
+      if (/FROM tenders t JOIN sources/.test(sql)) return { rows: tenders.filter((t) => t.id > params[0]) };
+      if (/FROM user_preferences/.test(sql)) return { rows: prefs };
+      return { rows: [], rowCount: 1 };
+    });
+
+    subs = [
+      { SubscriptionArn: `${process.env.TENDER_TOPIC_ARN}:a`, Endpoint: "a@example.co.za", policy: { category: ["Services: Building"], province: ["Gauteng", "unknown"] } },
+      { SubscriptionArn: `${process.env.TENDER_TOPIC_ARN}:b`, Endpoint: "a@example.co.za", policy: { category: ["construction"], province: ["Gauteng", "unknown"] } },
+      { SubscriptionArn: `${process.env.TENDER_TOPIC_ARN}:c`, Endpoint: "b@example.co.za", policy: { category: ["Electrical"] } },
+      { SubscriptionArn: "PendingConfirmation", Endpoint: "c@example.co.za" },
+    ];
+    snsCalls = [];
+    jest.spyOn(sns, "send").mockImplementation(async (cmd) => {
+      snsCalls.push(cmd);
+      const name = cmd.constructor.name;
+      if (name === "ListSubscriptionsByTopicCommand") {
+        return cmd.params.NextToken ? { Subscriptions: subs.slice(2) } : { Subscriptions: subs.slice(0, 2), NextToken: "p2" };
+      }
+      if (name === "GetSubscriptionAttributesCommand") {
+        const sub = subs.find((s) => s.SubscriptionArn === cmd.params.SubscriptionArn);
+        return { Attributes: { FilterPolicy: JSON.stringify(sub.policy) } };
+      }
+      return {};
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const sent = (name) => snsCalls.filter((c) => c.constructor.name === name).map((c) => c.params);
+
+  test("re-classifies tenders, converts preferences and rewrites filter policies", async () => {
+    const out = await handler({});
+
+    expect(out.tenders).toEqual({
+      checked: 3, changed: 2, moves: { "construction -> goods": 1, "null -> electrical": 1 },
+    });
+    const update = query.mock.calls.find(([sql]) => /UPDATE tenders t SET canonical_category/.test(sql));
+    expect(update[1]).toEqual([[1, 3], ["goods", "electrical"]]);
+
+    expect(out.preferences).toMatchObject({ converted: 3, unmapped: [] });
+    const inserts = query.mock.calls.filter(([sql]) => /INSERT INTO user_preferences/.test(sql)).map(([, p]) => p);
+    expect(inserts).toEqual([[7, "construction"], [7, "construction"], [8, "electrical"]]);
+    const deletes = query.mock.calls.filter(([sql]) => /DELETE FROM user_preferences/.test(sql)).map(([, p]) => p);
+    expect(deletes).toEqual([[7, "Services: Building"], [7, "Construction & Civil Works"], [8, "Electrical"]]);
+
+    // a@ already had the construction subscription, so the converted duplicate goes
+    expect(out.subscriptions).toEqual({ checked: 3, updated: 1, removed: 1, unmapped: [] });
+    expect(sent("UnsubscribeCommand")).toEqual([{ SubscriptionArn: `${process.env.TENDER_TOPIC_ARN}:a` }]);
+    expect(sent("SetSubscriptionAttributesCommand")).toEqual([{
+      SubscriptionArn: `${process.env.TENDER_TOPIC_ARN}:c`,
+      AttributeName: "FilterPolicy",
+      AttributeValue: JSON.stringify({ category: ["electrical"] }),
+    }]);
+  });
+
+  test("a dry run writes nothing", async () => {
+    const out = await handler({ dryRun: true });
+
+    expect(out.tenders.changed).toBe(2);
+    expect(out.subscriptions).toEqual({ checked: 3, updated: 1, removed: 1, unmapped: [] });
+    expect(query.mock.calls.some(([sql]) => /UPDATE|INSERT|DELETE|BEGIN/.test(sql))).toBe(false);
+    expect(sent("UnsubscribeCommand")).toEqual([]);
+    expect(sent("SetSubscriptionAttributesCommand")).toEqual([]);
+  });
+
+  test("text no rule matches is reported, not moved onto the 'other' category", async () => {
+    prefs = [{ user_id: 9, tender_category: "Catering" }, { user_id: 9, tender_category: "Other" }];
+    subs = [{ SubscriptionArn: `${process.env.TENDER_TOPIC_ARN}:d`, Endpoint: "d@example.co.za", policy: { category: ["Catering", "Electrical"] } }];
+
+    const out = await handler({ steps: ["preferences", "subscriptions"] });
+
+    expect(out.preferences).toMatchObject({ converted: 1, unmapped: ["Catering"], moves: { "Other -> other": 1 } });
+    expect(query.mock.calls.some(([sql, p]) => /DELETE FROM user_preferences/.test(sql) && p[1] === "Catering")).toBe(false);
+    expect(out.subscriptions).toEqual({ checked: 1, updated: 1, removed: 0, unmapped: ["Catering"] });
+    expect(sent("SetSubscriptionAttributesCommand")[0].AttributeValue).toBe(JSON.stringify({ category: ["Catering", "electrical"] }));
+  });
+
+  test("a failed preference write rolls the step back", async () => {
+    const base = query.getMockImplementation();
+    query.mockImplementation(async (sql, params) => {
+      if (/DELETE FROM user_preferences/.test(sql)) throw new Error("deadlock detected");
+      return base(sql, params);
+    });
+
+    await expect(handler({ steps: ["preferences"] })).rejects.toThrow("deadlock detected");
+    expect(query.mock.calls.map(([sql]) => sql)).toContain("ROLLBACK");
+  });
+});
@@ -0,0 +1,57 @@
+import { diffTender, recordRevision } from "../lambdas/normalizer/revisions.js";
+
+const stored = {
+  id: "7",
+  hash: "old",
+  title: "TFR/2025/10/0012",
+  description: "Supply of rail fasteners",
+  status: "Advertised",
+  closing_at: new Date("2025-12-12T14:00:00Z"),
+  value_amount: "1500000.00",
+  briefing_compulsory: null,
+};
+
+describe("diffTender", () => {
+  test("reports a moved closing date and an amended description", () => {
+    const changes = diffTender(stored, {
+      ...stored,
+      description: "Supply and delivery of rail fasteners",
+      closing_at: new Date("2026-01-16T14:00:00Z"),
+    });
+    expect(changes).toEqual({
+      description: { from: "Supply of rail fasteners", to: "Supply and delivery of rail fasteners" },
+      closing_at: { from: "2025-12-12T14:00:00.000Z", to: "2026-01-16T14:00:00.000Z" },
+    });
+  });
+
+  test("treats pg numeric strings, empty strings and null as unchanged", () => {
+    const changes = diffTender(stored, { ...stored, value_amount: 1500000.0, briefing_compulsory: undefined, tender_type: "" });
+    expect(changes).toEqual({});
+  });
+
+  test("compares amounts at the column's scale", () => {
+    expect(diffTender(stored, { ...stored, value_amount: "1500000" })).toEqual({});
+    expect(diffTender(stored, { ...stored, value_amount: 1750000.5 })).toEqual({
+      value_amount: { from: "1500000.00", to: "1750000.50" },
+    });
+  });
+});
+
+describe("recordRevision", () => {
+  const client = { query: jest.fn(async () => ({ rows: [] })) };
+  beforeEach(() => client.query.mockClear());
+
+  test("does nothing for new tenders or an unchanged hash", async () => {
+    expect(await recordRevision(client, 7, null, { hash: "new" })).toBeNull();
+    expect(await recordRevision(client, 7, stored, { ...stored })).toBeNull();
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test("writes the changed fields when the hash changed", async () => {
+    const changes = await recordRevision(client, 7, stored, { ...stored, hash: "new", status: "Cancelled" });
+    expect(changes).toEqual({ status: { from: "Advertised", to: "Cancelled" } });
+    const [sql, params] = client.query.mock.calls[0];
+    expect(sql).toMatch(/INSERT INTO tender_revisions/);
+    expect(params).toEqual([7, "old", "new", ["status"], JSON.stringify(changes)]);
+  });
+});
@@ -0,0 +1,74 @@
+import fs from "fs";
+import path from "path";
+import { compileRules, classifyCategory, FALLBACK_CATEGORY } from "../lambdas/normalizer/taxonomy.js";
+
+const migration = (file) => fs.readFileSync(path.join(__dirname, "../db/migrations", file), "utf8");
+
+// The seeded rules from db/migrations/0006_category_taxonomy.sql, with the pattern fixes of later
+// migrations applied, so the shipped patterns are exercised too
+function seededRules() {
+  const sql = migration("0006_category_taxonomy.sql");
+  const re = /^\s*\((NULL|'[^']*'),\s*'(exact|regex|keyword)',\s*'(.*?)',\s*'(\w+)',\s*(\d+)\)/gm;
+  const rows = [];
+  let m;
+  while ((m = re.exec(sql))) {
+    rows.push({
+      id: rows.length + 1,
+      source: m[1] === "NULL" ? null : m[1].slice(1, -1),
+      match_type: m[2],
+      pattern: m[3],
+      category_slug: m[4],
+      priority: Number(m[5]),
+    });
+  }
+  const fix = migration("0017_fix_etenders_building_rule.sql")
+    .match(/SET pattern = '(.*?)'[\s\S]*?AND pattern = '(.*?)'/);
+  for (const r of rows) if (r.pattern === fix[2]) r.pattern = fix[1];
+  return rows;
+}
+
+describe("category taxonomy", () => {
+  const rules = compileRules(seededRules());
+
+  test("every seeded rule compiles", () => {
+    expect(rules.length).toBe(seededRules().length);
+    expect(rules.length).toBeGreaterThan(20);
+  });
+
+  test.each([
+    ["transnet", { category: "Works" }, "construction"],
+    ["transnet", { category: "Goods" }, "goods"],
+    ["sanral", { category: "Routine Road Maintenance" }, "maintenance"],
+    ["sanral", { category: "Professional Services" }, "professional_services"],
+    ["etenders", { category: "Services: Building" }, "construction"],
+    ["etenders", { category: "Services: Civil" }, "construction"],
+    ["etenders", { category: "Services: Professional" }, "professional_services"],
+    ["etenders", { category: "Services: Electrical (civil works excluded)" }, "electrical"],
+    ["etenders", { category: "Supplies: Civil engineering equipment" }, "goods"],
+    ["etenders", { category: "Supplies: Computer Equipment" }, "goods"],
+    ["eskom", { category: "Enquiry", description: "Supply of 500kVA transformers to Lethabo" }, "electrical"],
+    ["eskom", { category: null, title: "E1", description: "Provision of cleaning services at Megawatt Park" }, "facilities"],
+    ["eskom", { category: "Enquiry", description: "Something entirely different" }, FALLBACK_CATEGORY],
+  ])("%s %j -> %s", (source, tender, expected) => {
+    expect(classifyCategory(rules, source, tender)).toBe(expected);
+  });
+
+  test("source-specific rules do not leak into other sources", () => {
+    expect(classifyCategory(rules, "eskom", { category: "Goods" })).toBe("goods");
+    const only = compileRules([{ id: 1, source: "transnet", match_type: "exact", pattern: "Works", category_slug: "construction", priority: 10 }]);
+    expect(classifyCategory(only, "eskom", { category: "Works" })).toBe(FALLBACK_CATEGORY);
+  });
+
+  test("lower priority numbers win", () => {
+    const r = compileRules([
+      { id: 1, source: null, match_type: "regex", pattern: "road", category_slug: "construction", priority: 50 },
+      { id: 2, source: null, match_type: "regex", pattern: "road", category_slug: "maintenance", priority: 10 },
+    ]);
+    expect(classifyCategory(r, "sanral", { category: "Road works" })).toBe("maintenance");
+  });
+
+  test("no rules means no canonical category, bad rules are skipped", () => {
+    expect(classifyCategory([], "eskom", { category: "Works" })).toBeNull();
+    expect(compileRules([{ id: 9, match_type: "regex", pattern: "(", category_slug: "other" }])).toEqual([]);
+  });
+});
@@ -0,0 +1,145 @@
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+import { Pool } from "pg";
+import { validate, schemaFields, fillRates, compareFillRates, checkRecords } from "../lambdas/normalizer/validation.js";
+import { listAdapters, getAdapter } from "../lambdas/normalizer/adapters/index.js";
+import { processObject, newRun, s3 } from "../lambdas/normalizer/index.js";
+
+const fixture = (name) =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8"));
+
+const transnet = getAdapter("transnet").schema;
+
+// n copies of the Transnet fixture record with distinct reference numbers
+const transnetRecords = (n, patch = (d) => d) => {
+  const [base] = fixture("transnet-tenders.json");
+  return Array.from({ length: n }, (_, i) => ({
+    ...base,
+    referenceNumber: `TFR/2025/${i}`,
+    details: patch({ ...base.details, referenceNumber: `TFR/2025/${i}` }),
+  }));
+};
+
+describe("validate", () => {
+  test("checks types, required keys, patterns and nested objects", () => {
+    expect(validate(transnet, transnetRecords(1)[0])).toEqual([]);
+    expect(validate(transnet, { referenceNumber: "", details: { contactEmail: "12/10/2025" } })).toEqual([
+      { path: "referenceNumber", message: "shorter than 1" },
+      { path: "details.contactEmail", message: "does not match ^$|@" },
+    ]);
+    expect(validate(transnet, { details: "x" })).toEqual([
+      { path: "referenceNumber", message: "is required" },
+      { path: "details", message: "expected object, got string" },
+    ]);
+  });
+
+  test("anyOf accepts either identifier", () => {
+    const eskom = getAdapter("eskom").schema;
+    expect(validate(eskom, { enquiryNumber: "E123", TenderID: null })).toEqual([]);
+    expect(validate(eskom, { TenderID: "T9" })).toEqual([]);
+    expect(validate(eskom, { enquiryNumber: "", TenderID: null })).toEqual([
+      { path: "(record)", message: "matches none of the allowed shapes" },
+    ]);
+  });
+
+  test("every adapter has a schema and the fixtures satisfy theirs", () => {
+    for (const a of listAdapters()) expect(a.schema?.type).toBe("object");
+    const sanral = fixture("sanral-tenders.json").map(r => validate(getAdapter("sanral").schema, r));
+    // the fixture's last row has no tender number, which the adapter drops anyway
+    expect(sanral).toEqual([[], [], [{ path: "tenderNumber", message: "shorter than 1" }]]);
+    for (const r of fixture("transnet-tenders.json")) expect(validate(transnet, r)).toEqual([]);
+  });
+});
+
+describe("fill rates and drift", () => {
+  test("fill rates cover nested schema fields", () => {
+    expect(schemaFields(transnet)).toContain("details.contactEmail");
+    const rates = fillRates([{ a: "x", b: { c: "" } }, { a: " ", b: { c: "y" } }], ["a", "b.c"]);
+    expect(rates).toEqual({ a: 0.5, "b.c": 0.5 });
+  });
+
+  test("drops against the previous run are reported", () => {
+    expect(compareFillRates({ a: 0.2, b: 0.9 }, { a: 0.95, b: 1 })).toEqual([
+      { field: "a", previous: 0.95, current: 0.2, delta: -0.75 },
+    ]);
+    expect(compareFillRates({ a: 0.2 }, null)).toEqual([]);
+  });
+});
+
+describe("checkRecords", () => {
+  test("a healthy file passes and keeps every record", () => {
+    const { report, validRecords } = checkRecords(transnet, transnetRecords(6));
+    expect(report).toMatchObject({ records: 6, valid: 6, invalid: 0, rejected: false, reasons: [] });
+    expect(validRecords).toHaveLength(6);
+  });
+
+  test("fields shifted by a layout change reject the file", () => {
+    // contact fields read by position now pick up the publish date
+    const shifted = transnetRecords(6, (d) => ({ ...d, contactEmail: d.datePublished, datePublished: null }));
+    const { report } = checkRecords(transnet, shifted, { "details.contactEmail": 1, "details.datePublished": 1 });
+
+    expect(report.rejected).toBe(true);
+    expect(report.reasons).toEqual([
+      "6 of 6 records fail the schema",
+      "details.datePublished filled in 0% of records (minimum 60%)",
+    ]);
+    expect(report.drift).toEqual([{ field: "details.datePublished", previous: 1, current: 0, delta: -1 }]);
+  });
+
+  test("a few bad records are dropped without rejecting the file", () => {
+    const records = transnetRecords(6);
+    records[2] = { ...records[2], referenceNumber: null };
+    const { report, validRecords } = checkRecords(transnet, records);
+    expect(report).toMatchObject({ invalid: 1, rejected: false });
+    expect(validRecords.map(r => r.referenceNumber)).not.toContain(null);
+  });
+
+  test("a run where some detail pages failed is judged on the listing's closing date", () => {
+    const records = transnetRecords(10).map((r, i) => (i < 3 ? { ...r, details: {}, detailsFailed: true } : r));
+    const { report } = checkRecords(transnet, records);
+    expect(report).toMatchObject({ invalid: 0, rejected: false, reasons: [] });
+  });
+
+  test("small files are never rejected on fill rates", () => {
+    const records = transnetRecords(2, (d) => ({ ...d, closingDate: null, datePublished: null }));
+    expect(checkRecords(transnet, records).report.rejected).toBe(false);
+  });
+});
+
+describe("processObject schema gate", () => {
+  let query;
+  beforeEach(async () => {
+    ({ query } = await new Pool().connect());
+    query.mockReset();
+    query.mockImplementation(async () => ({ rows: [], rowCount: 0 }));
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const serve = (records) => jest.spyOn(s3, "send").mockImplementation(async () => ({
+    Body: Readable.from([Buffer.from(JSON.stringify(records))]),
+  }));
+
+  test("rejects before any tender is written and records the drift report", async () => {
+    serve(transnetRecords(6, (d) => ({ ...d, closingDate: null, datePublished: null })));
+
+    const res = await processObject({ query }, { bucket: "b", key: "transnet/t.json" }, newRun());
+
+    expect(res.ok).toBe(false);
+    expect(res.failures[0].stage).toBe("schema");
+    const sqls = query.mock.calls.map(([sql]) => sql);
+    expect(sqls.some(s => /INSERT INTO source_drift_reports/.test(s))).toBe(true);
+    expect(sqls.some(s => /INSERT INTO tenders|BEGIN/.test(s))).toBe(false);
+  });
+
+  test("skipSchema lets a reviewed file through", async () => {
+    serve(transnetRecords(6, (d) => ({ ...d, closingDate: null, datePublished: null })));
+
+    const res = await processObject({ query }, { bucket: "b", key: "transnet/t.json", skipSchema: true }, newRun());
+
+    expect(res.failures.map(f => f.stage)).not.toContain("schema");
+    expect(res.items).toBe(6);
+    const report = query.mock.calls.find(([sql]) => /INSERT INTO source_drift_reports/.test(sql))[1];
+    expect(report[9]).toBe(false);
+  });
+});
@@ -0,0 +1,104 @@
+import { getAdapter, normalizeWithAdapter } from "../lambdas/normalizer/adapters/index.js";
+import sanralFixture from "./fixtures/sanral-tenders.json";
+import transnetFixture from "./fixtures/transnet-tenders.json";
+
+const normalizeSanralArray = (raw) => normalizeWithAdapter(getAdapter("sanral"), raw);
+const normalizeTransnetArray = (raw) => normalizeWithAdapter(getAdapter("transnet"), raw);
+
+describe("normalizeSanralArray", () => {
+  const items = normalizeSanralArray(sanralFixture);
+
+  test("drops rows without a tender number", () => {
+    expect(items).toHaveLength(2);
+  });
+
+  test("maps the open-tenders row onto the tender shape", () => {
+    const { tender, documents, contacts } = items[0];
+    expect(tender.external_id).toBe("NRA N.001-100-2025/1");
+    expect(tender.title).toBe("NRA N.001-100-2025/1");
+    expect(tender.buyer).toBe("SANRAL");
+    expect(tender.description).toBe("Routine road maintenance of National Route 1 Section 10 from Polokwane to Musina");
+    expect(tender.category).toBe("Routine Road Maintenance");
+    expect(tender.project_type).toBe("Routine Road Maintenance");
+    expect(tender.location).toBe("Northern Region");
+    expect(tender.queries_to).toBe("Ms P. Mokoena (pmokoena@nra.co.za)");
+    expect(tender.url).toBe("https://www.nra.co.za/sanral-tenders/view/NRA-N.001-100-2025-1");
+    expect(tender.closing_at.toISOString()).toBe("2026-01-15T09:00:00.000Z");
+    expect(tender.briefing_details).toMatch(/compulsory clarification meeting/);
+    expect(tender.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(documents).toEqual([]);
+    expect(contacts).toEqual([{ name: "Ms P. Mokoena", email: "pmokoena@nra.co.za", phone: null }]);
+  });
+
+  test("handles missing details, seconds in the closing date and a bare site link", () => {
+    const { tender } = items[1];
+    expect(tender.closing_at.toISOString()).toBe("2026-02-03T10:00:30.000Z");
+    expect(tender.url).toBeNull();
+    expect(tender.briefing_details).toBeNull();
+  });
+
+  test("returns an empty list for empty input", () => {
+    expect(normalizeSanralArray(null)).toEqual([]);
+  });
+});
+
+describe("normalizeTransnetArray", () => {
+  const items = normalizeTransnetArray(transnetFixture);
+
+  test("maps listing and detail fields onto the tender shape", () => {
+    const { tender } = items[0];
+    expect(tender.external_id).toBe("TFR/2025/10/0012/1234/RFP");
+    expect(tender.title).toBe("Supply and delivery of rail fasteners");
+    expect(tender.description).toBe("Supply and delivery of rail fasteners for a period of 3 years to Transnet Freight Rail.");
+    expect(tender.buyer).toBe("Transnet Freight Rail");
+    expect(tender.category).toBe("Goods");
+    expect(tender.location).toBe("Gauteng");
+    expect(tender.status).toBe("Advertised");
+    expect(tender.tender_type).toBe("RFP");
+    expect(tender.published_at.toISOString()).toBe("2025-10-03T07:00:00.000Z");
+    expect(tender.briefing_at.toISOString()).toBe("2025-11-05T08:00:00.000Z");
+    expect(tender.closing_at.toISOString()).toBe("2025-12-12T14:00:00.000Z");
+    expect(tender.briefing_compulsory).toBe(false);
+    expect(tender.briefing_details).toBe("Microsoft Teams session, link available on request");
+    expect(tender.url).toBe("https://transnetetenders.azurewebsites.net/Home/TenderDetails?Id=1234");
+  });
+
+  test("resolves document links and guesses mime types", () => {
+    expect(items[0].documents).toEqual([
+      {
+        url: "https://transnetetenders.azurewebsites.net/Home/Download?fileId=5678",
+        name: "RFP Document.pdf",
+        mime_type: "application/pdf",
+        published_at: null,
+      },
+      {
+        url: "https://transnetetenders.azurewebsites.net/Home/Download?fileId=5679",
+        name: "Pricing Schedule.xlsx",
+        mime_type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        published_at: null,
+      },
+    ]);
+  });
+
+  test("creates a contact from the detail page", () => {
+    expect(items[0].contacts).toEqual([
+      { name: "Thabo Nkosi", email: "thabo.nkosi@transnet.net", phone: null },
+    ]);
+  });
+
+  test("falls back to listing fields when details are empty", () => {
+    const { tender, documents, contacts } = items[1];
+    expect(tender.external_id).toBe("TNPA/2025/11/0007/9876/RFQ");
+    expect(tender.buyer).toBe("TRANSNET");
+    expect(tender.closing_at.toISOString()).toBe("2026-01-09T09:00:00.000Z");
+    expect(tender.briefing_compulsory).toBe(true);
+    expect(tender.url).toBeNull();
+    expect(documents).toEqual([]);
+    expect(contacts).toEqual([]);
+  });
+
+  test("produces a stable hash for identical input", () => {
+    const again = normalizeTransnetArray(transnetFixture);
+    expect(again[0].tender.hash).toBe(items[0].tender.hash);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * @jest-environment jsdom
+ */
+// The scrapers' page.evaluate extractors, run against saved pages in fixtures/html.
+//
+// SYNTHETIC FIXTURES: the pages checked in so far were written by hand to match the current
+// selectors, not captured from the sites (each starts with a "synthetic" comment, and the test
+// names below say which kind they ran on). They pin down what the extractors do with that
+// markup; they cannot show that the live sites still look like it. `npm run refresh-fixtures`
+// replaces them with captures ("captured" comment, URL and time); the expected values below
+// then follow the new snapshot, and a selector that no longer matches shows up as an empty
+// list or a null field here. Until a source's pages are captured, its block lists a todo.
+import fs from "fs";
+import path from "path";
+import * as eskom from "../lambdas/eskom-scraper/extract.mjs";
+import * as transnet from "../lambdas/transnet-scraper/extract.mjs";
+import * as sanral from "../lambdas/sanral-scraper/extract.mjs";
+import { getAdapter, normalizeWithAdapter } from "../lambdas/normalizer/adapters/index.js";
+import { validate } from "../lambdas/normalizer/validation.js";
+
+// jsdom does no layout, so it has no innerText. Approximate it the way a browser renders:
+// <br> and block elements break lines, whitespace inside a line collapses, blank lines go.
+// This is a stand-in: it knows nothing of CSS, so text Chromium would hide or lay out
+// differently still comes through here.
+const BLOCK_TAGS = new Set(["ARTICLE", "DD", "DIV", "DL", "DT", "H1", "H2", "H3", "H4", "LI", "P", "SECTION", "TABLE", "TBODY", "THEAD", "TR", "UL"]);
+function renderText(node) {
+  if (node.nodeType === Node.TEXT_NODE) return node.nodeValue.replace(/\s+/g, " ");
+  if (node.nodeType !== Node.ELEMENT_NODE) return "";
+  if (node.tagName === "BR") return "\n";
+  const inner = [...node.childNodes].map(renderText).join("");
+  return BLOCK_TAGS.has(node.tagName) ? `\n${inner}\n` : inner;
+}
+Object.defineProperty(HTMLElement.prototype, "innerText", {
+  configurable: true,
+  get() {
+    return renderText(this).split("\n").map((l) => l.trim()).filter(Boolean).join("\n");
+  },
+});
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, "fixtures", "html", name), "utf8");
+
+// "synthetic" or "captured", from the comment at the top of the source's pages
+function origin(source) {
+  const pages = [`${source}-listing.html`, `${source}-detail.html`].map(fixture);
+  return pages.every((html) => /^<!DOCTYPE html>\s*<!-- captured/i.test(html)) ? "captured" : "synthetic";
+}
+
+// Reported in the run summary while a source still runs on hand-written pages
+function todoIfSynthetic(source) {
+  if (origin(source) === "synthetic") {
+    test.todo(`capture the ${source} pages (npm run refresh-fixtures -- ${source}) and update the expected values`);
+  }
+}
+
+function loadPage(name) {
+  const html = fixture(name);
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  document.replaceChild(document.adoptNode(doc.documentElement), document.documentElement);
+}
+
+// Every record passes the source's schema (what the normalizer would reject or drop otherwise)
+function expectValid(source, records) {
+  const { schema } = getAdapter(source);
+  for (const r of records) expect(validate(schema, r)).toEqual([]);
+}
+
+describe(`Eskom extractors (${origin("eskom")} pages)`, () => {
+  todoIfSynthetic("eskom");
+
+  test("listing: one record per tender article, links made absolute", () => {
+    loadPage("eskom-listing.html");
+    const records = eskom.readListing();
+
+    // The navigation list items have no <h3> and are skipped
+    expect(records.map((r) => r.enquiryNumber)).toEqual(["MWP2618GX", "TRN5012KZN", "GEN0917MP"]);
+    expect(records[0]).toEqual({
+      enquiryNumber: "MWP2618GX",
+      scopeDetails: "Provision of security services at Megawatt Park for a period of 36 months",
+      category: "Services",
+      description: "Security and guarding services",
+      location: "Megawatt Park, Sunninghill",
+      closing: "2026-Nov-14 10:00:00",
+      published: "2026-Oct-10 08:00:00",
+      readMore: "https://tenderbulletin.eskom.co.za/tender/41522",
+      downloadLink: "https://tenderbulletin.eskom.co.za/Tender/DownloadAll?tenderId=41522",
+    });
+    expect(records[1].downloadLink).toBe("https://tenderbulletin.eskom.co.za/Tender/DownloadAll?tenderId=41537");
+    expect(records[2].downloadLink).toBeNull();
+    expectValid("eskom", records);
+  });
+
+  test("detail: labelled fields from the border-t rows", () => {
+    loadPage("eskom-detail.html");
+    expect(eskom.readDetail()).toEqual({
+      TenderID: "41522",
+      TenderBoxAddress: "Megawatt Park, Maxwell Drive, Sunninghill, Sandton - Tender box 3, ground floor",
+      TargetAudience: "Open tender, 51% black owned EMEs and QSEs",
+      ContractType: "NEC3 Term Service Contract",
+    });
+  });
+
+  test("listing plus detail normalizes with a closing date", () => {
+    loadPage("eskom-listing.html");
+    const [first] = eskom.readListing();
+    loadPage("eskom-detail.html");
+    const [item] = normalizeWithAdapter(getAdapter("eskom"), [{ ...first, ...eskom.readDetail() }]);
+    expect(item.tender.closing_at.toISOString()).toBe("2026-11-14T08:00:00.000Z");
+  });
+});
+
+describe(`Transnet extractors (${origin("transnet")} pages)`, () => {
+  todoIfSynthetic("transnet");
+
+  test("listing: rows of #_advertisedTenders with their details link", () => {
+    loadPage("transnet-listing.html");
+    const records = transnet.readRows();
+
+    expect(records).toHaveLength(3);
+    expect(records[0]).toEqual({
+      referenceNumber: "TFR/2026/10/0031/8812/RFP",
+      tenderName: "Supply and delivery of rail fasteners",
+      description: "Supply and delivery of rail fasteners for a period of 3 years to Transnet Freight Rail",
+      briefingSession: "Non-Compulsory",
+      closingDate: "11/20/2026 4:00:00 PM",
+      tenderStatus: "Advertised",
+      detailsLink: "https://transnetetenders.azurewebsites.net/Home/TenderDetails?Id=8812",
+    });
+    expect(records[1].description).toBe("Maintenance dredging of the entrance channel\nand basin, Port of Richards Bay");
+    // No link in the last cell: only the site root is left
+    expect(records[2].detailsLink).toBe("https://transnetetenders.azurewebsites.net");
+  });
+
+  test("detail: #_tenderDetails fields, the label rows by position, and the documents", () => {
+    loadPage("transnet-detail.html");
+    const details = transnet.readDetails();
+
+    expect(details).toEqual({
+      tenderName: "Supply and delivery of rail fasteners",
+      referenceNumber: "TFR/2026/10/0031/8812/RFP",
+      nameOfTender: "Supply and delivery of rail fasteners",
+      description: "Supply and delivery of rail fasteners for a period of 3 years to Transnet Freight Rail.",
+      tenderType: "RFP",
+      contactPerson: "Thabo Nkosi",
+      contactEmail: "Thabo.Nkosi@transnet.net",
+      datePublished: "10/14/2026 9:00 AM",
+      closingDate: "11/20/2026 4:00:00 PM",
+      briefingDate: "10/28/2026 10:00:00 AM",
+      briefingDetails: "Microsoft Teams session, link available on request",
+      locationOfService: "Gauteng",
+      institution: "Transnet Freight Rail",
+      tenderCategory: "Goods",
+      tenderStatus: "Advertised",
+      documents: [
+        { name: "RFP Document.pdf", url: "/Home/Download?fileId=20511" },
+        { name: "Pricing Schedule.xlsx", url: "https://transnetetenders.azurewebsites.net/Home/Download?fileId=20512" },
+      ],
+    });
+  });
+
+  test("listing plus detail is a valid record", () => {
+    loadPage("transnet-listing.html");
+    const [first] = transnet.readRows();
+    loadPage("transnet-detail.html");
+    expectValid("transnet", [{ ...first, details: transnet.readDetails() }]);
+  });
+});
+
+describe(`SANRAL extractors (${origin("sanral")} pages)`, () => {
+  todoIfSynthetic("sanral");
+
+  test("listing: rows of DataTables_Table_0", () => {
+    loadPage("sanral-listing.html");
+    const records = sanral.readRows();
+
+    expect(records.map((r) => r.tenderNumber)).toEqual(["NRA N.001-100-2026/1", "SANRAL H.002-050-2026/2F", "NRA R.061-020-2026/1"]);
+    expect(records[0]).toEqual({
+      tenderLink: "https://www.nra.co.za/sanral-tenders/view/NRA-N.001-100-2026-1",
+      tenderNumber: "NRA N.001-100-2026/1",
+      projectType: "Routine Road Maintenance",
+      region: "Northern Region",
+      description: "Routine road maintenance of National Route 1 Section 10\nfrom Polokwane to Musina",
+      queriesTo: "Ms P. Mokoena (pmokoena@nra.co.za)",
+      closingDate: "2026/11/27 11:00",
+    });
+    expect(records[2].tenderLink).toBe("https://www.nra.co.za");
+    expectValid("sanral", records);
+  });
+
+  test("detail: the longest cell, split into its non-empty paragraphs", () => {
+    loadPage("sanral-detail.html");
+    const details = sanral.readDetails();
+
+    expect(details.paragraphs).toEqual([
+      "Routine road maintenance of National Route 1 Section 10 from Polokwane to Musina.",
+      "Tenderers should have a CIDB contractor grading designation of 6CE or higher.",
+      "A compulsory clarification meeting will be held at the SANRAL Northern Region office on 2026/11/05 at 10:00.",
+    ]);
+    expect(details.rawText).toBe(details.paragraphs.join("\n"));
+  });
+
+  test("listing plus detail normalizes with the briefing from the paragraphs", () => {
+    loadPage("sanral-listing.html");
+    const [first] = sanral.readRows();
+    loadPage("sanral-detail.html");
+    const [item] = normalizeWithAdapter(getAdapter("sanral"), [{ ...first, details: sanral.readDetails() }]);
+    expect(item.tender.briefing_compulsory).toBe(true);
+  });
+});
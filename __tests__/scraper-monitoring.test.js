@@ -0,0 +1,164 @@
+import { Pool } from "pg";
+import { SNSClient } from "@aws-sdk/client-sns";
+import { nullRates, summarizeRun, checkRun, recordRun } from "../lambdas/scraper-runtime/monitoring.mjs";
+
+const run = (overrides = {}) => ({
+  runId: "0b7c2a7e-5f0e-4c57-9d0a-2d1f6f3f1a01",
+  source: "eskom",
+  scrapedAt: new Date("2026-10-19T04:00:00Z"),
+  errors: [],
+  details: { attempted: 0, ok: 0 },
+  ...overrides,
+});
+
+// What summarizeRun gives for `count` records with `closing` filled in
+const metrics = (count, { closing = true, ...rest } = {}) =>
+  summarizeRun(run(rest), {
+    items: Array.from({ length: count }, (_, i) => ({ enquiryNumber: `E${i}`, closing: closing ? "2026-Nov-14" : "" })),
+    finishedAt: new Date("2026-10-19T04:05:00Z"),
+  });
+
+const healthy = (count) => ({ item_count: count, detail_success_rate: "1.0000", null_rates: { enquiryNumber: 0, closing: 0.02 } });
+
+describe("nullRates", () => {
+  test("share of empty values per field, nested objects one level down", () => {
+    const rates = nullRates([
+      { referenceNumber: "A", closingDate: "", details: { contactEmail: "x@transnet.net", documents: [] } },
+      { referenceNumber: "B", closingDate: null, details: { contactEmail: "  " } },
+      { referenceNumber: "C", closingDate: "11/20/2026", details: {} },
+      { referenceNumber: "D" },
+    ]);
+    expect(rates).toEqual({
+      closingDate: 0.75,
+      "details.contactEmail": 0.75,
+      "details.documents": 1,
+      referenceNumber: 0,
+    });
+  });
+});
+
+describe("summarizeRun", () => {
+  test("counts, detail success rate and duration", () => {
+    const m = metrics(3, { details: { attempted: 4, ok: 3 }, errors: [{ stage: "detail" }] });
+    expect(m).toMatchObject({
+      source: "eskom",
+      item_count: 3,
+      details_attempted: 4,
+      details_ok: 3,
+      detail_success_rate: 0.75,
+      error_count: 1,
+      duration_ms: 300000,
+      error: null,
+    });
+  });
+});
+
+describe("checkRun", () => {
+  const keyFields = ["enquiryNumber", "closing"];
+  const baseline = [healthy(120), healthy(118), healthy(125)];
+
+  test("a normal run raises nothing", () => {
+    expect(checkRun(metrics(119), baseline, { keyFields })).toEqual([]);
+  });
+
+  test("an empty run", () => {
+    expect(checkRun(metrics(0), baseline, { keyFields }).map((a) => a.type)).toEqual(["empty"]);
+  });
+
+  test("a drop to under a fifth of the usual count", () => {
+    const [alert] = checkRun(metrics(12), baseline, { keyFields });
+    expect(alert).toMatchObject({ type: "count_drop", count: 12, baseline: 120 });
+    expect(checkRun(metrics(40), baseline, { keyFields })).toEqual([]);
+  });
+
+  test("a key field that stopped being filled", () => {
+    const alerts = checkRun(metrics(119, { closing: false }), baseline, { keyFields });
+    expect(alerts).toEqual([expect.objectContaining({ type: "field_null", field: "closing", null_rate: 1 })]);
+  });
+
+  test("a field that is usually empty is not an alert", () => {
+    const usuallyEmpty = baseline.map((b) => ({ ...b, null_rates: { ...b.null_rates, closing: 0.9 } }));
+    expect(checkRun(metrics(119, { closing: false }), usuallyEmpty, { keyFields })).toEqual([]);
+  });
+
+  test("most detail pages failing", () => {
+    const alerts = checkRun(metrics(119, { details: { attempted: 10, ok: 2 } }), baseline, { keyFields });
+    expect(alerts).toEqual([expect.objectContaining({ type: "detail_failures", success_rate: 0.2 })]);
+    // Too few pages to tell
+    expect(checkRun(metrics(119, { details: { attempted: 2, ok: 0 } }), baseline, { keyFields })).toEqual([]);
+  });
+
+  test("a failed run is only reported as failed", () => {
+    const m = summarizeRun(run(), { error: new Error("listing gone") });
+    expect(checkRun(m, baseline, { keyFields })).toEqual([{ type: "run_failed", message: "Run failed: listing gone" }]);
+  });
+});
+
+describe("recordRun", () => {
+  let query;
+  let publish;
+
+  beforeEach(async () => {
+    process.env.DB_HOST = "localhost";
+    process.env.DB_PASSWORD_PARAM = "/tendertool/test/db/password";
+    process.env.SCRAPE_ALERT_TOPIC_ARN = "arn:aws:sns:af-south-1:000000000000:tt-scrape-alerts-test";
+    ({ query } = await new Pool().connect());
+    query.mockReset();
+    query.mockImplementation(async (sql) =>
+      /FROM scrape_runs/.test(sql) ? { rows: [healthy(120), healthy(118)] } : { rows: [], rowCount: 1 }
+    );
+    publish = jest.spyOn(SNSClient.prototype, "send").mockImplementation(async () => ({}));
+  });
+
+  afterEach(() => {
+    delete process.env.DB_HOST;
+    delete process.env.SCRAPE_ALERT_TOPIC_ARN;
+    jest.restoreAllMocks();
+  });
+
+  const items = (n) => Array.from({ length: n }, (_, i) => ({ enquiryNumber: `E${i}`, closing: "2026-Nov-14" }));
+
+  test("stores a healthy run and publishes nothing", async () => {
+    const result = await recordRun(run(), { items: items(119), key: "eskom/eskom-2026.json" }, { keyFields: ["closing"] });
+
+    expect(result).toEqual({ status: "ok", alerts: [] });
+    const insert = query.mock.calls.find(([sql]) => /INSERT INTO scrape_runs/.test(sql));
+    expect(insert[1].slice(0, 3)).toEqual(["0b7c2a7e-5f0e-4c57-9d0a-2d1f6f3f1a01", "eskom", "ok"]);
+    expect(insert[1][6]).toBe(119);
+    expect(insert[1][14]).toBe("eskom/eskom-2026.json");
+    expect(publish).not.toHaveBeenCalled();
+  });
+
+  test("a degraded run is stored with its alerts and published", async () => {
+    const result = await recordRun(run(), { items: [], key: "eskom/eskom-2026.json" }, { keyFields: ["closing"] });
+
+    expect(result.status).toBe("degraded");
+    const insert = query.mock.calls.find(([sql]) => /INSERT INTO scrape_runs/.test(sql));
+    expect(JSON.parse(insert[1][12])).toEqual([expect.objectContaining({ type: "empty", baseline: 119 })]);
+
+    const [[cmd]] = publish.mock.calls;
+    expect(cmd.params.TopicArn).toBe(process.env.SCRAPE_ALERT_TOPIC_ARN);
+    expect(JSON.parse(cmd.params.Message)).toMatchObject({ event_type: "scrape_alert", source: "eskom", status: "degraded", item_count: 0 });
+  });
+
+  test("a failed run is stored as failed", async () => {
+    const result = await recordRun(run(), { error: new Error("Navigation timeout") });
+
+    expect(result.status).toBe("failed");
+    const insert = query.mock.calls.find(([sql]) => /INSERT INTO scrape_runs/.test(sql));
+    expect(insert[1][2]).toBe("failed");
+    expect(insert[1][13]).toBe("Navigation timeout");
+  });
+
+  test("a database error never fails the scrape", async () => {
+    query.mockImplementation(async () => { throw new Error("connection refused"); });
+    await expect(recordRun(run(), { items: items(3) })).resolves.toEqual({ status: null, alerts: [] });
+  });
+
+  test("without a database only the checks run", async () => {
+    delete process.env.DB_HOST;
+    const result = await recordRun(run(), { items: [] });
+    expect(result.status).toBe("degraded");
+    expect(query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,325 @@
+import {
+  withRetry,
+  paginate,
+  forEachDetail,
+  buildEnvelope,
+  captureFailure,
+  openPage,
+  runScraper,
+} from "../lambdas/scraper-runtime/scraper-runtime.mjs";
+import { lambdaHandler as transnetHandler } from "../lambdas/transnet-scraper/index.mjs";
+import { S3Client } from "@aws-sdk/client-s3";
+
+const page = (overrides = {}) => ({
+  goto: jest.fn(async () => {}),
+  waitForSelector: jest.fn(async () => {}),
+  evaluate: jest.fn(async () => []),
+  close: jest.fn(async () => {}),
+  setDefaultNavigationTimeout: jest.fn(),
+  setDefaultTimeout: jest.fn(),
+  on: jest.fn(),
+  url: jest.fn(() => "https://example.test/"),
+  screenshot: jest.fn(async () => Buffer.from("png")),
+  content: jest.fn(async () => "<html><body>Service Unavailable</body></html>"),
+  ...overrides,
+});
+
+// Uploaded bodies by key; JSON is parsed, screenshots and HTML kept as they are
+function collectPuts() {
+  const puts = {};
+  jest.spyOn(S3Client.prototype, "send").mockImplementation(async (cmd) => {
+    const { Key, Body, ContentType } = cmd.params;
+    puts[Key] = ContentType === "application/json" ? JSON.parse(Body) : Body;
+    return {};
+  });
+  return puts;
+}
+
+const newRun = (overrides = {}) => ({
+  runId: "r1", source: "transnet", errors: [], details: { attempted: 0, ok: 0 }, artifacts: [], ...overrides,
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("withRetry", () => {
+  test("retries a failing call and returns its first success", async () => {
+    const fn = jest.fn().mockRejectedValueOnce(new Error("net::ERR_CONNECTION_RESET")).mockResolvedValueOnce("ok");
+    await expect(withRetry(fn, { delayMs: 0 })).resolves.toBe("ok");
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test("bounds every attempt with the timeout and reports the attempts made", async () => {
+    const hang = () => new Promise(() => {});
+    const err = await withRetry(hang, { attempts: 2, timeoutMs: 10, delayMs: 0, label: "detail" }).catch((e) => e);
+    expect(err.message).toBe("detail timed out after 10ms");
+    expect(err.attempts).toBe(2);
+  });
+});
+
+describe("paginate", () => {
+  test("reads until an empty page, a refused next or the page limit", async () => {
+    const pages = [["a", "b"], ["c"], []];
+    const next = jest.fn(async () => true);
+    expect(await paginate({ readPage: async (i) => pages[i - 1], next })).toEqual(["a", "b", "c"]);
+    expect(next).toHaveBeenCalledTimes(2);
+
+    expect(await paginate({ readPage: async (i) => pages[i - 1], next: async () => false })).toEqual(["a", "b"]);
+    expect(await paginate({ readPage: async () => ["x"], next, maxPages: 3 })).toEqual(["x", "x", "x"]);
+  });
+});
+
+describe("forEachDetail", () => {
+  test("a failing item is recorded and the others still get their detail page", async () => {
+    const detail = page({
+      goto: jest.fn(async (url) => {
+        if (url.endsWith("/2")) throw new Error("Navigation timeout of 30000 ms exceeded");
+      }),
+    });
+    const run = newRun({ browser: { newPage: async () => detail } });
+    const puts = collectPuts();
+    const items = [1, 2, 3].map((n) => ({ id: `T${n}`, url: `https://example.test/${n}` }));
+
+    const ok = await forEachDetail(run, items, async (p, item) => {
+      await p.goto(item.url);
+      item.visited = true;
+    }, { idOf: (i) => i.id, urlOf: (i) => i.url, attempts: 1 });
+
+    expect(ok).toBe(2);
+    expect(run.details).toEqual({ attempted: 3, ok: 2 });
+    expect(items.map((i) => Boolean(i.visited))).toEqual([true, false, true]);
+    expect(run.errors).toEqual([{
+      stage: "detail", item: "T2", url: "https://example.test/2", message: "Navigation timeout of 30000 ms exceeded", attempts: 1,
+      debug: "debug/transnet/r1/01-T2.json",
+    }]);
+    expect(Object.keys(puts).sort()).toEqual(["debug/transnet/r1/01-T2.html", "debug/transnet/r1/01-T2.json", "debug/transnet/r1/01-T2.png"]);
+    expect(detail.close).toHaveBeenCalled();
+  });
+});
+
+describe("forEachDetail retries", () => {
+  test("a timed-out attempt's tab is closed and the retry runs on a new one", async () => {
+    const tabs = [];
+    const newTab = async () => {
+      let abandon;
+      const first = tabs.length === 0;
+      const tab = page({
+        // The first tab never finishes loading, until it is closed
+        goto: jest.fn(() => (first ? new Promise((_, reject) => { abandon = reject; }) : Promise.resolve())),
+        close: jest.fn(async () => abandon?.(new Error("Target closed"))),
+      });
+      tabs.push(tab);
+      return tab;
+    };
+    const run = newRun({ browser: { newPage: newTab } });
+    collectPuts();
+    const item = { id: "T1", url: "https://example.test/1" };
+
+    const ok = await forEachDetail(run, [item], async (p, it) => {
+      await p.goto(it.url);
+      it.details = p === tabs[0] ? "stale" : "fresh";
+    }, { idOf: (i) => i.id, urlOf: (i) => i.url, timeoutMs: 20 });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(ok).toBe(1);
+    expect(item.details).toBe("fresh");
+    expect(tabs).toHaveLength(2);
+    expect(tabs[0].close).toHaveBeenCalled();
+    expect(run.errors).toEqual([]);
+  });
+});
+
+describe("forEachDetail with crashed tabs", () => {
+  test("a tab that cannot be closed or opened fails only its item", async () => {
+    const crashed = page({
+      goto: jest.fn(async () => { throw new Error("Target crashed"); }),
+      close: jest.fn(async () => { throw new Error("Protocol error: Target closed"); }),
+    });
+    const healthy = page();
+    const newPage = jest.fn()
+      .mockResolvedValueOnce(crashed)
+      .mockRejectedValueOnce(new Error("Browser has disconnected"))
+      .mockResolvedValue(healthy);
+    const run = newRun({ browser: { newPage } });
+    collectPuts();
+    const items = [{ id: "T1", url: "https://example.test/1" }, { id: "T2", url: "https://example.test/2" }];
+
+    const ok = await forEachDetail(run, items, async (p, it) => { await p.goto(it.url); }, {
+      idOf: (i) => i.id, urlOf: (i) => i.url, attempts: 2,
+    });
+
+    expect(ok).toBe(1);
+    expect(run.errors).toEqual([expect.objectContaining({ item: "T1", message: "Browser has disconnected", attempts: 2 })]);
+    expect(healthy.goto).toHaveBeenCalledWith("https://example.test/2");
+    expect(healthy.close).toHaveBeenCalled();
+  });
+});
+
+describe("captureFailure", () => {
+  test("saves the screenshot, HTML, URL, error and console log", async () => {
+    const listeners = {};
+    const tab = page({ on: jest.fn((name, fn) => { listeners[name] = fn; }), url: () => "https://example.test/list" });
+    const run = newRun({ browser: { newPage: async () => tab } });
+    const puts = collectPuts();
+
+    await openPage(run.browser);
+    listeners.console({ type: () => "error", text: () => "DataTables warning: Ajax error" });
+    listeners.requestfailed({ url: () => "https://example.test/api/rows", failure: () => ({ errorText: "net::ERR_TIMED_OUT" }) });
+    const key = await captureFailure(run, tab, { label: "listing", error: new Error("Waiting for selector `tbody tr` failed") });
+
+    expect(key).toBe("debug/transnet/r1/01-listing.json");
+    expect(puts["debug/transnet/r1/01-listing.png"]).toEqual(Buffer.from("png"));
+    expect(puts["debug/transnet/r1/01-listing.html"]).toContain("Service Unavailable");
+    expect(puts[key]).toMatchObject({
+      run_id: "r1",
+      url: "https://example.test/list",
+      error: "Waiting for selector `tbody tr` failed",
+      screenshot: "debug/transnet/r1/01-listing.png",
+      html: "debug/transnet/r1/01-listing.html",
+    });
+    expect(puts[key].console).toEqual([
+      expect.stringMatching(/ error: DataTables warning: Ajax error$/),
+      expect.stringMatching(/ requestfailed: https:\/\/example.test\/api\/rows net::ERR_TIMED_OUT$/),
+    ]);
+  });
+
+  test("a crashed page still leaves what could be read, and the cap stops further captures", async () => {
+    const crashed = page({ screenshot: jest.fn(async () => { throw new Error("Target closed"); }) });
+    const run = newRun();
+    const puts = collectPuts();
+
+    const key = await captureFailure(run, crashed, { label: "NRA N.001/1" });
+    expect(key).toBe("debug/transnet/r1/01-NRA-N-001-1.json");
+    expect(puts[key].screenshot).toBeNull();
+    expect(puts["debug/transnet/r1/01-NRA-N-001-1.png"]).toBeUndefined();
+
+    run.artifacts = Array(10).fill("x");
+    expect(await captureFailure(run, crashed, { label: "more" })).toBeNull();
+  });
+
+  test("never throws when S3 is unavailable", async () => {
+    jest.spyOn(S3Client.prototype, "send").mockRejectedValue(new Error("AccessDenied"));
+    const run = newRun();
+    await expect(captureFailure(run, page(), { label: "x" })).resolves.toBeNull();
+    expect(run.artifacts).toEqual([]);
+  });
+});
+
+describe("runScraper", () => {
+  test("writes the standard envelope and returns the run id", async () => {
+    const puts = collectPuts();
+    const handler = runScraper({
+      source: "sanral",
+      scrape: async (run) => {
+        run.errors.push({ stage: "detail", item: "NRA X/2", url: null, message: "boom", attempts: 2 });
+        return [{ tenderNumber: "NRA X/1" }];
+      },
+    });
+
+    const res = await handler({}, {});
+    const body = JSON.parse(res.body);
+    const [key] = Object.keys(puts);
+
+    expect(res.statusCode).toBe(200);
+    expect(key).toMatch(/^sanral\/sanral-.*\.json$/);
+    expect(puts[key]).toEqual({
+      run_id: body.run_id,
+      source: "sanral",
+      scraped_at: expect.stringMatching(/^\d{4}-\d\d-\d\dT/),
+      items: [{ tenderNumber: "NRA X/1" }],
+      errors: [expect.objectContaining({ item: "NRA X/2" })],
+    });
+    expect(body).toMatchObject({ total: 1, errors: 1, status: "ok", alerts: [], debug: [] });
+  });
+
+  test("a failing onSaved step keeps the upload and marks the run degraded, not failed", async () => {
+    const puts = collectPuts();
+    const handler = runScraper({
+      source: "eskom",
+      scrape: async () => [{ enquiryNumber: "E1" }],
+      onSaved: async () => { throw new Error("checkpoint write: SlowDown"); },
+    });
+
+    const res = await handler({}, {});
+    const body = JSON.parse(res.body);
+
+    expect(res.statusCode).toBe(200);
+    expect(Object.keys(puts)).toEqual([expect.stringMatching(/^eskom\/eskom-/)]);
+    expect(body.status).toBe("degraded");
+    expect(body.alerts).toEqual([expect.objectContaining({ type: "after_save", message: expect.stringContaining("SlowDown") })]);
+  });
+
+  test("a failure outside the item helpers fails the run and uploads nothing", async () => {
+    const puts = collectPuts();
+    const handler = runScraper({ source: "transnet", scrape: async () => { throw new Error("listing gone"); } });
+
+    const res = await handler({}, {});
+    expect(res.statusCode).toBe(500);
+    expect(JSON.parse(res.body).error).toBe("listing gone");
+    expect(puts).toEqual({});
+  });
+
+  test("a failed run captures the page that was open and links it from the response", async () => {
+    const { default: puppeteer } = await import("puppeteer-core");
+    const listing = page({ url: () => "https://transnetetenders.azurewebsites.net/Home/AdvertisedTenders" });
+    puppeteer.launch.mockResolvedValueOnce({
+      newPage: async () => listing,
+      pages: async () => [page({ url: () => "about:blank" }), listing],
+      close: jest.fn(async () => {}),
+    });
+    const puts = collectPuts();
+    const handler = runScraper({
+      source: "transnet",
+      scrape: async (run) => {
+        const tab = await openPage(run.browser);
+        await tab.goto("https://transnetetenders.azurewebsites.net/Home/AdvertisedTenders");
+        throw new Error("Waiting for selector `#_advertisedTenders tbody tr` failed: 30000ms exceeded");
+      },
+    });
+
+    const body = JSON.parse((await handler({}, {})).body);
+
+    const key = `debug/transnet/${body.run_id}/01-run-failed.json`;
+    expect(body.debug).toEqual([`tender-scraper-bucket/${key}`]);
+    expect(puts[key]).toMatchObject({ url: "https://transnetetenders.azurewebsites.net/Home/AdvertisedTenders" });
+    expect(Object.keys(puts).filter((k) => !k.startsWith("debug/"))).toEqual([]);
+  });
+
+  test("buildEnvelope uses the run's own fields", () => {
+    const run = { runId: "r1", source: "eskom", scrapedAt: new Date("2026-10-19T04:00:00Z"), errors: [] };
+    expect(buildEnvelope(run, [])).toEqual({ run_id: "r1", source: "eskom", scraped_at: "2026-10-19T04:00:00.000Z", items: [], errors: [] });
+  });
+});
+
+describe("Transnet on the runtime", () => {
+  test("one failing detail page no longer aborts the run", async () => {
+    const { default: puppeteer } = await import("puppeteer-core");
+    const rows = [1, 2].map((n) => ({
+      referenceNumber: `TNPA/${n}`, detailsLink: `https://transnetetenders.azurewebsites.net/Home/TenderDetails?Id=${n}`,
+    }));
+    const listing = page({
+      evaluate: jest.fn(async () => rows),
+      $: jest.fn(async () => null),
+    });
+    const detail = page({
+      goto: jest.fn(async (url) => {
+        if (url.endsWith("=1")) throw new Error("Navigation timeout of 30000 ms exceeded");
+      }),
+      evaluate: jest.fn(async () => ({ referenceNumber: "TNPA/2", documents: [] })),
+    });
+    const newPage = jest.fn().mockResolvedValueOnce(listing).mockResolvedValue(detail);
+    puppeteer.launch.mockResolvedValueOnce({ newPage, close: jest.fn(async () => {}) });
+    const puts = collectPuts();
+
+    const res = await transnetHandler({}, {});
+
+    expect(res.statusCode).toBe(200);
+    const envelope = puts[Object.keys(puts).find((k) => k.startsWith("transnet/"))];
+    expect(envelope.items).toEqual([
+      { ...rows[0], details: {}, detailsFailed: true },
+      { ...rows[1], details: { referenceNumber: "TNPA/2", documents: [] } },
+    ]);
+    expect(envelope.errors).toEqual([expect.objectContaining({ stage: "detail", item: "TNPA/1", attempts: 2 })]);
+    expect(puts[envelope.errors[0].debug]).toMatchObject({ item: "TNPA/1", error: "Navigation timeout of 30000 ms exceeded" });
+    expect(JSON.parse(res.body).debug).toEqual([`tender-scraper-bucket/${envelope.errors[0].debug}`]);
+  });
+});
@@ -0,0 +1,35 @@
+import { Pool } from "pg";
+import { handler } from "../lambdas/tender-api-handler/index.js";
+
+process.env.DB_PASSWORD_PARAM = "/tendertool/test/db/password";
+
+const request = (path, authorizer) => ({
+  requestContext: { http: { method: "GET", path }, stage: "$default", ...(authorizer && { authorizer }) },
+  queryStringParameters: { status: "degraded" },
+});
+
+describe("GET /admin/scrape-runs", () => {
+  let query;
+
+  beforeEach(async () => {
+    ({ query } = await new Pool().connect());
+    query.mockReset();
+    query.mockImplementation(async () => ({ rows: [{ run_id: "r1", source: "sanral", status: "degraded" }] }));
+  });
+
+  test("refuses a request without an IAM caller", async () => {
+    const res = await handler(request("/admin/scrape-runs"));
+    expect(res.statusCode).toBe(403);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test("lists runs for a SigV4-signed caller", async () => {
+    const res = await handler(request("/admin/scrape-runs", { iam: { userArn: "arn:aws:iam::000000000000:user/ops" } }));
+
+    expect(res.statusCode).toBe(200);
+    expect(JSON.parse(res.body)).toEqual({ limit: 50, offset: 0, results: [{ run_id: "r1", source: "sanral", status: "degraded" }] });
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toMatch(/FROM scrape_runs/);
+    expect(params).toEqual(["degraded"]);
+  });
+});
@@ -0,0 +1,144 @@
+// bench/upsert.cjs - row-by-row vs bulk tender writes (lambdas/normalizer/bulk.js) against a local Postgres
+//
+//   PGHOST=localhost PGUSER=postgres PGDATABASE=postgres node bench/upsert.cjs [rows]
+//
+// Needs `npm install` in lambdas/normalizer, whose pg it uses.
+// Works in a throwaway schema (bench_upsert, dropped at the end) built from db/migrations.
+// Synthetic eTenders records (3 documents, 1 contact each) go through the real adapter,
+// then each path writes them in 50-row transactions as processObject does:
+//   first load  - every tender new
+//   unchanged   - the same file again
+//   10% amended - a tenth of the tenders with a moved closing date and an extra document
+// Prints wall time and statements sent per scenario.
+const path = require('path');
+const fs = require('fs');
+
+const NORMALIZER_DIR = path.join(__dirname, '..', 'lambdas', 'normalizer');
+const { Pool } = require(require.resolve('pg', { paths: [NORMALIZER_DIR] }));
+const { getAdapter, normalizeRecords } = require(path.join(NORMALIZER_DIR, 'adapters'));
+const { prepareItem, upsertItem } = require(path.join(NORMALIZER_DIR, 'index'));
+const { bulkUpsert } = require(path.join(NORMALIZER_DIR, 'bulk'));
+
+const ROWS = parseInt(process.argv[2] || '2500', 10);
+const BATCH_SIZE = 50;
+const SCHEMA = 'bench_upsert';
+const SCENARIOS = ['first load', 'unchanged', '10% amended'];
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+
+function record(i, { amended = false } = {}) {
+  const closing = new Date(Date.UTC(2030, 0, 1 + (i % 300), 9));
+  if (amended) closing.setUTCDate(closing.getUTCDate() + 14);
+  const docs = [1, 2, 3].map(n => ({
+    supportDocumentID: `${i}-${n}`, fileName: `Tender ${i} part ${n}.pdf`, extension: '.pdf', dateModified: '2029-12-01T10:00:00',
+  }));
+  if (amended) docs.push({ supportDocumentID: `${i}-addendum`, fileName: `Addendum ${i}.pdf`, extension: '.pdf', dateModified: '2029-12-10T10:00:00' });
+  return {
+    id: 100000 + i,
+    tender_No: `BENCH/${i}/2029`,
+    description: `Supply and delivery of item ${i} to depot ${i % 40}`,
+    category: 'Supplies: General',
+    province: 'Gauteng',
+    town: 'Pretoria',
+    organ_of_State: `Department ${i % 25}`,
+    status: 'Published',
+    type: 'Request for Bid',
+    date_Published: '2029-12-01T10:00:00',
+    closing_Date: closing.toISOString(),
+    supportDocument: docs,
+    contactPerson: `Ms T. Officer${i % 60}`,
+    email: `officer${i % 60}@dept.gov.za`,
+    telephone: '012 345 6789',
+  };
+}
+
+function items(amendedEvery = 0) {
+  const adapter = getAdapter('etenders');
+  const records = Array.from({ length: ROWS }, (_, i) => record(i, { amended: amendedEvery > 0 && i % amendedEvery === 0 }));
+  return normalizeRecords(adapter, records).map(it => prepareItem({ source: 'etenders', categoryRules: [] }, it));
+}
+
+const WRITERS = {
+  row: async (client, ctx, batch) => {
+    for (const it of batch) await upsertItem(client, ctx, it);
+  },
+  bulk: async (client, ctx, batch) => {
+    await bulkUpsert(client, ctx, batch);
+  },
+};
+
+async function runScenario(client, write, ctx, list) {
+  let statements = 0;
+  const query = client.query;
+  client.query = (...args) => {
+    statements++;
+    return query.apply(client, args);
+  };
+  const started = process.hrtime.bigint();
+  try {
+    for (let i = 0; i < list.length; i += BATCH_SIZE) {
+      await query.call(client, 'BEGIN');
+      await write(client, ctx, list.slice(i, i + BATCH_SIZE));
+      await query.call(client, 'COMMIT');
+    }
+  } finally {
+    client.query = query;
+  }
+  return { ms: Number(process.hrtime.bigint() - started) / 1e6, statements };
+}
+
+async function main() {
+  // keep the per-tender console output of the write paths out of the results
+  const log = console.log;
+  console.log = () => {};
+  console.warn = () => {};
+
+  const pool = new Pool();
+  const client = await pool.connect();
+  const results = [];
+  try {
+    await client.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`);
+    await client.query(`CREATE SCHEMA ${SCHEMA}`);
+    await client.query(`SET search_path TO ${SCHEMA}`);
+    // the real schema, db/migrations in order (without the schema_migrations bookkeeping)
+    for (const f of fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql')).sort()) {
+      await client.query(fs.readFileSync(path.join(MIGRATIONS_DIR, f), 'utf8'));
+    }
+    const { rows } = await client.query(`SELECT id FROM sources WHERE name = 'etenders'`);
+    const ctx = { sourceId: rows[0].id, source: 'etenders' };
+
+    const scenarios = [
+      [SCENARIOS[0], items()],
+      [SCENARIOS[1], items()],
+      [SCENARIOS[2], items(10)],
+    ];
+    for (const [mode, write] of Object.entries(WRITERS)) {
+      await client.query('TRUNCATE tenders, tender_groups RESTART IDENTITY CASCADE');
+      for (const [name, list] of scenarios) {
+        // fresh copies: the write paths fill derived fields on the item
+        const copy = list.map(it => ({ ...it, tender: { ...it.tender } }));
+        results.push({ mode, scenario: name, ...(await runScenario(client, write, ctx, copy)) });
+      }
+    }
+  } finally {
+    await client.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`).catch(() => {});
+    client.release();
+    await pool.end();
+    console.log = log;
+  }
+
+  console.log(`${ROWS} eTenders rows, batches of ${BATCH_SIZE}`);
+  console.log('scenario      mode   time (ms)  statements');
+  for (const r of results) {
+    console.log(`${r.scenario.padEnd(13)} ${r.mode.padEnd(6)} ${r.ms.toFixed(0).padStart(9)}  ${String(r.statements).padStart(10)}`);
+  }
+  for (const name of SCENARIOS) {
+    const row = results.find(r => r.mode === 'row' && r.scenario === name);
+    const bulk = results.find(r => r.mode === 'bulk' && r.scenario === name);
+    console.log(`${name}: ${(row.ms / bulk.ms).toFixed(1)}x faster, ${(row.statements / bulk.statements).toFixed(1)}x fewer statements`);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
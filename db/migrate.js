@@ -0,0 +1,162 @@
+// migrate.js (Node 20, CommonJS) - apply db/migrations/*.sql in order, once each
+// npm deps packaged: pg
+//
+// Migrations are NNNN_name.sql files; each runs in its own transaction and is recorded in
+// schema_migrations with a checksum, so a fresh Postgres reaches the production schema and
+// an applied file that was edited afterwards is refused rather than silently skipped.
+// Write new changes as a new file; never edit one that has shipped.
+//
+//   node db/migrate.js [status]       local: connection from the PG* environment variables
+//   MigrateFn (template.yaml)         deployed: DB_HOST / DB_NAME / DB_USER + DB_PASSWORD_PARAM
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Pool } = require("pg");
+const { SSMClient, GetParameterCommand } = require("@aws-sdk/client-ssm");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_RE = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+// Any constant works; it only has to be the same for every runner
+const LOCK_KEY = 720131;
+
+const SCHEMA_MIGRATIONS_SQL = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version    TEXT PRIMARY KEY,
+  name       TEXT NOT NULL,
+  checksum   TEXT NOT NULL,
+  applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+)`;
+
+/** Migration files in version order: [{ version, name, file, sql, checksum }] */
+function listMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!file.endsWith(".sql")) continue;
+    const m = file.match(FILE_RE);
+    if (!m) throw new Error(`Migration file name must look like 0001_name.sql: ${file}`);
+    if (migrations.some(x => x.version === m[1])) throw new Error(`Duplicate migration version ${m[1]}: ${file}`);
+    const sql = fs.readFileSync(path.join(dir, file), "utf8");
+    const checksum = crypto.createHash("sha256").update(sql).digest("hex");
+    migrations.push({ version: m[1], name: m[2], file, sql, checksum });
+  }
+  return migrations;
+}
+
+/**
+ * Which migrations are applied and which are pending.
+ * applied: rows of schema_migrations. A recorded version whose file changed is an error.
+ */
+function plan(migrations, applied) {
+  const byVersion = new Map(applied.map(r => [r.version, r]));
+  const pending = [];
+  for (const m of migrations) {
+    const row = byVersion.get(m.version);
+    if (!row) {
+      pending.push(m);
+      continue;
+    }
+    if (row.checksum !== m.checksum) {
+      throw new Error(`Migration ${m.file} was edited after it was applied; add a new migration instead`);
+    }
+  }
+  const missing = applied.filter(r => !migrations.some(m => m.version === r.version));
+  if (missing.length) {
+    console.warn(`⚠️ Applied migrations with no file here: ${missing.map(r => `${r.version}_${r.name}`).join(", ")}`);
+  }
+  return { applied: migrations.filter(m => byVersion.has(m.version)), pending };
+}
+
+async function loadApplied(client) {
+  await client.query(SCHEMA_MIGRATIONS_SQL);
+  const { rows } = await client.query("SELECT version, name, checksum FROM schema_migrations ORDER BY version");
+  return rows;
+}
+
+/**
+ * Apply pending migrations. Holds an advisory lock so two deploys cannot run them at once.
+ * dryRun lists what would run without applying it. Returns { applied: [file], pending: [file] }.
+ */
+async function migrate(client, { dir = MIGRATIONS_DIR, dryRun = false } = {}) {
+  const migrations = listMigrations(dir);
+  await client.query("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+  try {
+    const { pending } = plan(migrations, await loadApplied(client));
+    if (dryRun || !pending.length) {
+      console.log(pending.length ? `${pending.length} pending migrations` : "Schema is up to date");
+      return { applied: [], pending: pending.map(m => m.file) };
+    }
+
+    const done = [];
+    for (const m of pending) {
+      console.log(`Applying ${m.file}`);
+      await client.query("BEGIN");
+      try {
+        await client.query(m.sql);
+        await client.query(
+          "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+          [m.version, m.name, m.checksum]
+        );
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw new Error(`Migration ${m.file} failed: ${err.message}`);
+      }
+      done.push(m.file);
+    }
+    console.log(`✅ Applied ${done.length} migrations`);
+    return { applied: done, pending: [] };
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [LOCK_KEY]);
+  }
+}
+
+// --- deployed: same connection settings as the normalizer ---
+async function getDbPassword() {
+  const ssm = new SSMClient({ region: "af-south-1" });
+  const paramName = process.env.DB_PASSWORD_PARAM;
+  if (!paramName) throw new Error("Missing DB_PASSWORD_PARAM in environment");
+  const resp = await ssm.send(new GetParameterCommand({ Name: paramName, WithDecryption: true }));
+  if (!resp.Parameter || !resp.Parameter.Value) throw new Error(`Parameter ${paramName} not found or empty`);
+  return String(resp.Parameter.Value).trim();
+}
+
+// event: { dryRun?: boolean }
+exports.handler = async (event = {}) => {
+  const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: parseInt(process.env.DB_PORT || "5432", 10),
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: await getDbPassword(),
+    ssl: { rejectUnauthorized: false },
+  });
+  const client = await pool.connect();
+  try {
+    return { ok: true, ...(await migrate(client, { dryRun: Boolean(event.dryRun) })) };
+  } finally {
+    client.release();
+    await pool.end();
+  }
+};
+
+exports.listMigrations = listMigrations;
+exports.plan = plan;
+exports.migrate = migrate;
+
+// --- local: node db/migrate.js [status] ---
+if (require.main === module) {
+  (async () => {
+    const pool = new Pool();
+    const client = await pool.connect();
+    try {
+      const { pending } = await migrate(client, { dryRun: process.argv[2] === "status" });
+      for (const file of pending) console.log(`  pending: ${file}`);
+    } finally {
+      client.release();
+      await pool.end();
+    }
+  })().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
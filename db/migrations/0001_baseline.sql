@@ -0,0 +1,84 @@
+-- Baseline schema: the tables the normalizer and the tender API were first written against.
+-- Later columns (lifecycle, taxonomy, extraction, locations, search, briefing_link) are
+-- added by the migrations that follow. Safe on a database that already has these tables.
+
+CREATE TABLE IF NOT EXISTS sources (
+  id         SERIAL PRIMARY KEY,
+  name       TEXT NOT NULL UNIQUE,      -- adapter name (lambdas/normalizer/adapters)
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS tenders (
+  id                         BIGSERIAL PRIMARY KEY,
+  source_id                  INTEGER NOT NULL REFERENCES sources(id),
+  external_id                TEXT NOT NULL,       -- the source's tender number
+  source_tender_id           TEXT,                -- the source's internal id, when it has one
+  title                      TEXT,
+  description                TEXT,
+  category                   TEXT,                -- raw source category
+  location                   TEXT,
+  buyer                      TEXT,
+  procurement_method         TEXT,
+  procurement_method_details TEXT,
+  status                     TEXT,                -- raw source status
+  tender_type                TEXT,
+  published_at               TIMESTAMPTZ,
+  briefing_at                TIMESTAMPTZ,
+  briefing_venue             TEXT,
+  briefing_compulsory        BOOLEAN,
+  tender_start_at            TIMESTAMPTZ,
+  closing_at                 TIMESTAMPTZ,
+  value_amount               NUMERIC(18,2),
+  value_currency             TEXT,
+  url                        TEXT,
+  hash                       TEXT,                -- idempotency hash over the adapter's hashFields
+  last_seen_at               TIMESTAMPTZ,
+  tender_box_address         TEXT,
+  target_audience            TEXT,
+  contract_type              TEXT,
+  project_type               TEXT,
+  queries_to                 TEXT,
+  briefing_details           TEXT,
+  created_at                 TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT tenders_source_external_uniq UNIQUE (source_id, external_id)
+);
+
+CREATE INDEX IF NOT EXISTS tenders_closing_at_idx ON tenders (closing_at);
+CREATE INDEX IF NOT EXISTS tenders_published_at_idx ON tenders (published_at);
+
+-- Replaced per tender by the normalizer; url is nullable for listings without a download link
+CREATE TABLE IF NOT EXISTS documents (
+  id           BIGSERIAL PRIMARY KEY,
+  tender_id    BIGINT NOT NULL REFERENCES tenders(id) ON DELETE CASCADE,
+  url          TEXT,
+  name         TEXT,
+  mime_type    TEXT,
+  published_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS contacts (
+  id        BIGSERIAL PRIMARY KEY,
+  tender_id BIGINT NOT NULL REFERENCES tenders(id) ON DELETE CASCADE,
+  name      TEXT,
+  email     TEXT,
+  phone     TEXT
+);
+
+-- Subscribers (POST/GET /user/preferences); province narrows their SNS filter policy
+CREATE TABLE IF NOT EXISTS users (
+  id         BIGSERIAL PRIMARY KEY,
+  email      TEXT NOT NULL UNIQUE,
+  province   TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS user_preferences (
+  user_id         BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  tender_category TEXT NOT NULL,               -- category_taxonomy slug
+  PRIMARY KEY (user_id, tender_category)
+);
+
+-- One row per adapter; the normalizer looks sources up by name
+INSERT INTO sources (name)
+SELECT v.name FROM (VALUES ('etenders'), ('eskom'), ('transnet'), ('sanral')) AS v(name)
+WHERE NOT EXISTS (SELECT 1 FROM sources s WHERE s.name = v.name);
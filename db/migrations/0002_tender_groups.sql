@@ -0,0 +1,21 @@
+-- Cross-source duplicate groups (written by lambdas/normalizer/dedupe.js)
+-- One group per real-world tender; each listing (tenders row) belongs to at most one group.
+
+CREATE TABLE IF NOT EXISTS tender_groups (
+  id                  BIGSERIAL PRIMARY KEY,
+  canonical_tender_id BIGINT REFERENCES tenders(id) ON DELETE SET NULL,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS tender_group_members (
+  group_id      BIGINT NOT NULL REFERENCES tender_groups(id) ON DELETE CASCADE,
+  tender_id     BIGINT NOT NULL REFERENCES tenders(id) ON DELETE CASCADE,
+  match_score   NUMERIC(5,3),
+  match_reasons JSONB,
+  linked_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (group_id, tender_id),
+  UNIQUE (tender_id)
+);
+
+CREATE INDEX IF NOT EXISTS tender_groups_canonical_idx ON tender_groups (canonical_tender_id);
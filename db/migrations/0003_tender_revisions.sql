@@ -0,0 +1,14 @@
+-- Field-level tender history (written by lambdas/normalizer/revisions.js)
+-- One row per upsert that changed a tender's hash.
+
+CREATE TABLE IF NOT EXISTS tender_revisions (
+  id             BIGSERIAL PRIMARY KEY,
+  tender_id      BIGINT NOT NULL REFERENCES tenders(id) ON DELETE CASCADE,
+  previous_hash  TEXT,
+  new_hash       TEXT,
+  changed_fields TEXT[] NOT NULL,
+  changes        JSONB NOT NULL,  -- { "closing_at": { "from": "...", "to": "..." }, ... }
+  recorded_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS tender_revisions_tender_idx ON tender_revisions (tender_id, recorded_at);
@@ -0,0 +1,22 @@
+-- Quarantined ingest objects (written by lambdas/normalizer/quarantine.js, replayed by replay.js)
+
+CREATE TABLE IF NOT EXISTS ingest_failures (
+  id                BIGSERIAL PRIMARY KEY,
+  bucket            TEXT NOT NULL,
+  s3_key            TEXT NOT NULL,
+  quarantine_key    TEXT,          -- copy under quarantine/ (null if the copy failed)
+  source            TEXT,          -- null when no adapter matched the key
+  stage             TEXT NOT NULL, -- parse | unknown_source | schema | batch | unhandled
+  batch_index       INTEGER,
+  error_message     TEXT,
+  error_stack       TEXT,
+  status            TEXT NOT NULL DEFAULT 'quarantined', -- quarantined | replayed
+  failed_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  replay_attempts   INTEGER NOT NULL DEFAULT 0,
+  last_replay_at    TIMESTAMPTZ,
+  last_replay_error TEXT,
+  replayed_at       TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS ingest_failures_status_idx ON ingest_failures (status, failed_at);
+CREATE INDEX IF NOT EXISTS ingest_failures_key_idx ON ingest_failures (s3_key);
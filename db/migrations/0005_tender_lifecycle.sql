@@ -0,0 +1,9 @@
+-- Canonical tender status (lambdas/normalizer/lifecycle.js)
+-- tenders.status keeps the raw source value; lifecycle_status is one of
+-- open | closing_soon | closed | withdrawn_or_cancelled | awarded
+
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS lifecycle_status TEXT;
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS lifecycle_updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS tenders_lifecycle_status_idx ON tenders (lifecycle_status, closing_at);
+CREATE INDEX IF NOT EXISTS tenders_source_last_seen_idx ON tenders (source_id, last_seen_at);
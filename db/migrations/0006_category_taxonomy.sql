@@ -0,0 +1,74 @@
+-- Canonical tender categories and per-source mapping rules (lambdas/normalizer/taxonomy.js)
+-- tenders.category keeps the raw source value; tenders.canonical_category holds the slug.
+
+CREATE TABLE IF NOT EXISTS category_taxonomy (
+  slug       TEXT PRIMARY KEY,
+  label      TEXT NOT NULL,
+  sort_order INTEGER NOT NULL DEFAULT 100
+);
+
+CREATE TABLE IF NOT EXISTS category_mapping_rules (
+  id            BIGSERIAL PRIMARY KEY,
+  source        TEXT,                 -- sources.name, NULL = any source
+  match_type    TEXT NOT NULL CHECK (match_type IN ('exact', 'regex', 'keyword')),
+  pattern       TEXT NOT NULL,
+  category_slug TEXT NOT NULL REFERENCES category_taxonomy(slug),
+  priority      INTEGER NOT NULL DEFAULT 100, -- lower runs first
+  enabled       BOOLEAN NOT NULL DEFAULT true
+);
+
+-- NULL source must still be unique, hence the expression index
+CREATE UNIQUE INDEX IF NOT EXISTS category_mapping_rules_uniq
+  ON category_mapping_rules (coalesce(source, ''), match_type, pattern);
+
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS canonical_category TEXT REFERENCES category_taxonomy(slug);
+CREATE INDEX IF NOT EXISTS tenders_canonical_category_idx ON tenders (canonical_category);
+
+INSERT INTO category_taxonomy (slug, label, sort_order) VALUES
+  ('construction',          'Construction & Civil Works',          10),
+  ('maintenance',           'Maintenance & Repairs',               20),
+  ('electrical',            'Electrical & Energy',                 30),
+  ('mechanical',            'Mechanical & Plant Engineering',      40),
+  ('ict',                   'ICT & Telecommunications',            50),
+  ('professional_services', 'Professional & Consulting Services',  60),
+  ('facilities',            'Facilities, Cleaning & Security',     70),
+  ('transport_logistics',   'Transport, Fleet & Logistics',        80),
+  ('goods',                 'Goods & Supplies',                    90),
+  ('health',                'Health & Medical',                   100),
+  ('disposals',             'Disposals, Leases & Rentals',        110),
+  ('other',                 'Other',                              999)
+ON CONFLICT (slug) DO UPDATE SET label = EXCLUDED.label, sort_order = EXCLUDED.sort_order;
+
+INSERT INTO category_mapping_rules (source, match_type, pattern, category_slug, priority) VALUES
+  -- Transnet tenderCategory is a short fixed list
+  ('transnet', 'exact',   'Works',                                         'construction',          10),
+  ('transnet', 'exact',   'Goods',                                         'goods',                 10),
+  ('transnet', 'exact',   'Disposals',                                     'disposals',             10),
+  -- SANRAL projectType
+  ('sanral',   'regex',   'routine road maintenance|maintenance',          'maintenance',           10),
+  ('sanral',   'regex',   'professional|consult|engineering services',     'professional_services', 10),
+  ('sanral',   'regex',   'construction|rehabilitation|upgrad|bridge',     'construction',          10),
+  -- eTenders "Services: X" / "Supplies: X" categories
+  ('etenders', 'regex',   '^services:\s*professional',                     'professional_services', 10),
+  ('etenders', 'regex',   '^services:\s*building|civil',                   'construction',          10),
+  ('etenders', 'regex',   '^services:\s*electrical',                       'electrical',            10),
+  ('etenders', 'regex',   '^supplies:',                                    'goods',                 20),
+  -- Any source, on the raw category text
+  (NULL,       'regex',   'construct|civil|building|works$',               'construction',          50),
+  (NULL,       'regex',   'electric|energy|power|substation',              'electrical',            50),
+  (NULL,       'regex',   'mechanical|plant|boiler|turbine',               'mechanical',            50),
+  (NULL,       'regex',   '\bict\b|information technology|software|telecom', 'ict',                 50),
+  (NULL,       'regex',   'clean|security|facilit|hygiene|garden|catering', 'facilities',           50),
+  (NULL,       'regex',   'transport|logistic|fleet|vehicle',              'transport_logistics',   50),
+  (NULL,       'regex',   'maintenance|repair',                            'maintenance',           50),
+  (NULL,       'regex',   'medical|health|pharma',                         'health',                50),
+  (NULL,       'regex',   'disposal|lease|rental',                         'disposals',             50),
+  (NULL,       'regex',   'consult|professional|advisory',                 'professional_services', 50),
+  (NULL,       'regex',   'supplies|goods|supply',                         'goods',                 60),
+  -- Fallback on title / description keywords when the raw category says nothing useful
+  (NULL,       'keyword', 'road,bridge,civil works,construction,building,refurbishment', 'construction', 90),
+  (NULL,       'keyword', 'transformer,substation,cable,electrical,switchgear,solar',     'electrical',   90),
+  (NULL,       'keyword', 'software,network,ICT,laptops,server,licences',                 'ict',          90),
+  (NULL,       'keyword', 'cleaning,security services,hygiene,pest control,catering',     'facilities',   90),
+  (NULL,       'keyword', 'consultant,consulting,advisory,audit,engineering services',    'professional_services', 90)
+ON CONFLICT (coalesce(source, ''), match_type, pattern) DO NOTHING;
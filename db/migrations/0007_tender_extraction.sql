@@ -0,0 +1,12 @@
+-- Facts parsed from tender free text (lambdas/normalizer/extract.js)
+-- value_amount / value_currency already exist and are filled when the text states a value.
+-- extraction_confidence: {"cidb": "high"|"medium", "value": "high", "preference": "high"|"medium"}
+
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS cidb_grade SMALLINT;
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS cidb_class TEXT;
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS cidb_gradings JSONB;
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS preference_system TEXT;
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS extraction_confidence JSONB;
+
+CREATE INDEX IF NOT EXISTS tenders_cidb_idx ON tenders (cidb_class, cidb_grade);
+CREATE INDEX IF NOT EXISTS tenders_value_amount_idx ON tenders (value_amount) WHERE value_amount IS NOT NULL;
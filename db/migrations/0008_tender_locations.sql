@@ -0,0 +1,8 @@
+-- Structured tender location (lambdas/normalizer/locations.js + gazetteer.json)
+-- tenders.location keeps the raw source text; province is the canonical province name
+-- ("Gauteng", "KwaZulu-Natal", ...), municipality the metro/local (or district) municipality.
+
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS province TEXT;
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS municipality TEXT;
+
+CREATE INDEX IF NOT EXISTS tenders_province_idx ON tenders (province, closing_at);
@@ -0,0 +1,36 @@
+-- Archived tender documents (lambdas/normalizer/documents.js)
+-- Keyed by URL rather than documents.id: the normalizer replaces a tender's documents
+-- rows on every upsert, the archive has to outlive that.
+
+CREATE TABLE IF NOT EXISTS document_archive (
+  id           BIGSERIAL PRIMARY KEY,
+  url          TEXT NOT NULL UNIQUE,
+  sha256       TEXT,
+  size_bytes   BIGINT,
+  mime_type    TEXT,                       -- sniffed from the bytes, not the link
+  s3_key       TEXT,                       -- documents/<sha256>/<file name>
+  status       TEXT NOT NULL DEFAULT 'failed'
+               CHECK (status IN ('archived', 'failed', 'gone')),
+  http_status  INT,
+  attempts     INT NOT NULL DEFAULT 0,     -- consecutive failed fetches
+  last_error   TEXT,
+  fetched_at   TIMESTAMPTZ,                -- last download attempt
+  changed_at   TIMESTAMPTZ                 -- last time a new sha256 was archived
+);
+
+CREATE INDEX IF NOT EXISTS document_archive_status_idx ON document_archive (status, fetched_at);
+CREATE INDEX IF NOT EXISTS document_archive_sha256_idx ON document_archive (sha256);
+
+-- One row per readable file: the document itself (part_name '') or each zip member
+CREATE TABLE IF NOT EXISTS document_texts (
+  id           BIGSERIAL PRIMARY KEY,
+  archive_id   BIGINT NOT NULL REFERENCES document_archive(id) ON DELETE CASCADE,
+  part_name    TEXT NOT NULL DEFAULT '',
+  mime_type    TEXT,
+  size_bytes   BIGINT,
+  char_count   INT NOT NULL DEFAULT 0,
+  body         TEXT,                       -- NULL for types we cannot read (images, .doc, ...)
+  error        TEXT,
+  extracted_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (archive_id, part_name)
+);
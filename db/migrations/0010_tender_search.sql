@@ -0,0 +1,15 @@
+-- Full-text search (GET /tenders?q=..., optionally &search_in=documents)
+-- Stored tsvectors so queries hit a GIN index instead of running to_tsvector per row.
+
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS search_tsv tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, ''))) STORED;
+CREATE INDEX IF NOT EXISTS tenders_search_tsv_idx ON tenders USING GIN (search_tsv);
+
+-- Extracted attachment text (db/migrations/0009_document_archive.sql)
+ALTER TABLE document_texts ADD COLUMN IF NOT EXISTS tsv tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce(body, ''))) STORED;
+CREATE INDEX IF NOT EXISTS document_texts_tsv_idx ON document_texts USING GIN (tsv);
+
+-- Joins from a tender to its archived attachments
+CREATE INDEX IF NOT EXISTS documents_tender_id_idx ON documents (tender_id);
+CREATE INDEX IF NOT EXISTS documents_url_idx ON documents (url);
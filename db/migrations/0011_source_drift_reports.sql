@@ -0,0 +1,26 @@
+-- One row per raw scraper file checked by the normalizer (lambdas/normalizer/validation.js)
+-- fill_rates: {"details.contactEmail": 0.93, ...} share of records with a value per schema field
+-- drift:      [{"field", "previous", "current", "delta"}] drops vs the last accepted run
+-- rejected:   the file failed the schema / x-fill minimums and was quarantined (stage 'schema')
+-- date_issues: {"total", "counts": {"closing_at": {"unparseable": 2}}, "samples"} dates that
+--              could not be read or were ambiguous (lambdas/normalizer/dates.js)
+
+CREATE TABLE IF NOT EXISTS source_drift_reports (
+  id          BIGSERIAL PRIMARY KEY,
+  source      TEXT NOT NULL,
+  bucket      TEXT,
+  s3_key      TEXT NOT NULL,
+  records     INT NOT NULL,
+  valid       INT NOT NULL,
+  invalid     INT NOT NULL,
+  fill_rates  JSONB NOT NULL,
+  drift       JSONB NOT NULL DEFAULT '[]',
+  errors      JSONB NOT NULL DEFAULT '[]',       -- first few schema errors, for debugging
+  rejected    BOOLEAN NOT NULL DEFAULT false,
+  reasons     JSONB NOT NULL DEFAULT '[]',
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE source_drift_reports ADD COLUMN IF NOT EXISTS date_issues JSONB;
+
+CREATE INDEX IF NOT EXISTS source_drift_reports_source_idx ON source_drift_reports (source, created_at DESC);
@@ -0,0 +1,7 @@
+-- Contact lookups (lambdas/normalizer/contacts.js)
+-- The normalizer stores emails in lower case and phones as E.164 (+27XXXXXXXXX),
+-- de-duplicated per tender. GET /contacts?email= lists every tender an officer handles.
+
+CREATE INDEX IF NOT EXISTS contacts_email_idx ON contacts (lower(email)) WHERE email IS NOT NULL;
+CREATE INDEX IF NOT EXISTS contacts_phone_idx ON contacts (phone) WHERE phone IS NOT NULL;
+CREATE INDEX IF NOT EXISTS contacts_tender_id_idx ON contacts (tender_id);
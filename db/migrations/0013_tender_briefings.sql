@@ -0,0 +1,8 @@
+-- Structured briefing sessions (lambdas/normalizer/briefings.js)
+-- briefing_at / briefing_venue / briefing_compulsory already exist; sources without
+-- briefing fields now fill them from their text. briefing_link is the online-meeting
+-- (Teams, Zoom, ...) link when one is published. GET /briefings lists upcoming sessions.
+
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS briefing_link TEXT;
+
+CREATE INDEX IF NOT EXISTS tenders_briefing_at_idx ON tenders (briefing_at) WHERE briefing_at IS NOT NULL;
@@ -0,0 +1,28 @@
+-- One row per scraper run (lambdas/scraper-runtime/monitoring.mjs), written by the scraper itself
+-- so a run that uploads nothing, or fails outright, is still on record.
+-- status:      ok | degraded (raised alerts) | failed (no snapshot uploaded)
+-- null_rates:  {"closing": 0.1, "details.contactEmail": 0.4, ...} share of records without a value
+-- alerts:      [{"type", "message", ...}] checks against the rolling baseline of earlier runs
+-- Served by GET /admin/scrape-runs.
+
+CREATE TABLE IF NOT EXISTS scrape_runs (
+  id                   BIGSERIAL PRIMARY KEY,
+  run_id               UUID NOT NULL UNIQUE,
+  source               TEXT NOT NULL,
+  status               TEXT NOT NULL CHECK (status IN ('ok', 'degraded', 'failed')),
+  started_at           TIMESTAMPTZ NOT NULL,
+  finished_at          TIMESTAMPTZ NOT NULL,
+  duration_ms          INT NOT NULL,
+  item_count           INT NOT NULL DEFAULT 0,
+  details_attempted    INT NOT NULL DEFAULT 0,
+  details_ok           INT NOT NULL DEFAULT 0,
+  detail_success_rate  NUMERIC(5,4),                -- null when no detail page was opened
+  error_count          INT NOT NULL DEFAULT 0,      -- per-item failures in the envelope
+  null_rates           JSONB NOT NULL DEFAULT '{}',
+  alerts               JSONB NOT NULL DEFAULT '[]',
+  error                TEXT,                        -- why a failed run failed
+  s3_key               TEXT,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS scrape_runs_source_started_idx ON scrape_runs (source, started_at DESC);
@@ -0,0 +1,6 @@
+-- Hash of everything the normalizer stores for a tender (lambdas/normalizer/bulk.js preparedHash):
+-- every column, derived ones included, plus its documents and contacts. The adapters' `hash`
+-- covers only their source fields, so a row is skipped as unchanged only when both match.
+-- Rows written before this migration have none and are rewritten once on their next sighting.
+
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS prepared_hash TEXT;
@@ -0,0 +1,10 @@
+-- Indexes for the duplicate candidate lookup (lambdas/normalizer/dedupe.js CANDIDATES_SQL), run
+-- for every new or changed tender. References are compared upper-cased with everything but
+-- letters and digits removed; these are the same expressions, so the lookup no longer scans
+-- the whole table. The closing-date arm uses tenders_closing_at_idx (0001_baseline.sql).
+
+CREATE INDEX IF NOT EXISTS tenders_external_ref_idx
+  ON tenders ((regexp_replace(upper(coalesce(external_id, '')), '[^A-Z0-9]', '', 'g')));
+
+CREATE INDEX IF NOT EXISTS tenders_title_ref_idx
+  ON tenders ((regexp_replace(upper(coalesce(title, '')), '[^A-Z0-9]', '', 'g')));
@@ -0,0 +1,16 @@
+-- The eTenders building/civil rule from 0006 parsed as '^services:\s*building' OR 'civil', so any
+-- eTenders category mentioning "civil" anywhere ("Supplies: Civil engineering equipment") landed
+-- in construction ahead of its own rules. Group the alternation.
+--
+-- Stored canonical categories, subscriber preferences and SNS filter policies are brought in line
+-- by invoking NormalizerRecategorizeFn (lambdas/normalizer/recategorize.js) once this has run.
+
+UPDATE category_mapping_rules
+SET pattern = '^services:\s*(building|civil)'
+WHERE source = 'etenders'
+  AND match_type = 'regex'
+  AND pattern = '^services:\s*building|civil'
+  AND NOT EXISTS (
+    SELECT 1 FROM category_mapping_rules r
+    WHERE r.source = 'etenders' AND r.match_type = 'regex' AND r.pattern = '^services:\s*(building|civil)'
+  );
@@ -0,0 +1,7 @@
+-- Version of the date rules (lambdas/normalizer/dates.js DATE_RULES_VERSION) a tender's dates were
+-- read with. Rows written before this migration have none: the parser now reads date-only values
+-- as the end of that South African day and eTenders timestamps without an offset as SAST, so
+-- their dates move by a few hours on the next sighting. That write is a correction, not an
+-- amendment: it updates the row and its hashes without a revision or a notification (isDateReread).
+
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS date_rules_version SMALLINT;
@@ -8,6 +8,11 @@ module.exports = {
     "^@sparticuz/chromium$": "<rootDir>/__mocks__/@sparticuz/chromium.js",
     "^puppeteer-core$": "<rootDir>/__mocks__/puppeteer-core.js",
     "^@aws-sdk/client-s3$": "<rootDir>/__mocks__/@aws-sdk/client-s3.js",
+    "^@aws-sdk/client-sns$": "<rootDir>/__mocks__/@aws-sdk/client-sns.js",
+    "^@aws-sdk/client-ssm$": "<rootDir>/__mocks__/@aws-sdk/client-ssm.js",
+    "^pg$": "<rootDir>/__mocks__/pg.js",
+    // The scrapers import the runtime from its Lambda layer path
+    "^/opt/nodejs/scraper-runtime.mjs$": "<rootDir>/lambdas/scraper-runtime/scraper-runtime.mjs",
   },
   verbose: true,
    haste: { enableSymlinks: false },
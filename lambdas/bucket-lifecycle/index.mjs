@@ -0,0 +1,92 @@
+// index.mjs - CloudFormation custom resource: one lifecycle rule on a bucket the stack does not own
+//
+// The data bucket predates the stack, so template.yaml cannot set its LifecycleConfiguration.
+// This handler adds, updates or removes a single expiry rule by its ID and leaves every other
+// rule on the bucket as it is (a PutBucketLifecycleConfiguration replaces the whole set).
+// Used for the scrapers' failure artifacts (DebugArtifactsExpiry, debug/ prefix).
+//
+// Properties: { BucketName, RuleId, Prefix, ExpirationDays }
+import {
+  S3Client,
+  GetBucketLifecycleConfigurationCommand,
+  PutBucketLifecycleConfigurationCommand,
+  DeleteBucketLifecycleCommand,
+} from "@aws-sdk/client-s3";
+
+export const s3 = new S3Client({});
+
+async function currentRules(bucket) {
+  try {
+    const { Rules } = await s3.send(new GetBucketLifecycleConfigurationCommand({ Bucket: bucket }));
+    return Rules || [];
+  } catch (err) {
+    if (err.name === "NoSuchLifecycleConfiguration") return [];
+    throw err;
+  }
+}
+
+async function writeRules(bucket, rules) {
+  if (!rules.length) {
+    await s3.send(new DeleteBucketLifecycleCommand({ Bucket: bucket }));
+    return;
+  }
+  await s3.send(new PutBucketLifecycleConfigurationCommand({ Bucket: bucket, LifecycleConfiguration: { Rules: rules } }));
+}
+
+/** The bucket's rules with `ruleId` replaced by `rule`, or removed when rule is null */
+export function mergeRule(rules, ruleId, rule) {
+  const others = rules.filter((r) => r.ID !== ruleId);
+  return rule ? [...others, rule] : others;
+}
+
+export function expiryRule({ RuleId, Prefix, ExpirationDays }) {
+  const days = parseInt(ExpirationDays, 10);
+  if (!RuleId || !Prefix || !(days > 0)) throw new Error("RuleId, Prefix and a positive ExpirationDays are required");
+  return {
+    ID: RuleId,
+    Status: "Enabled",
+    Filter: { Prefix },
+    Expiration: { Days: days },
+    AbortIncompleteMultipartUpload: { DaysAfterInitiation: 1 },
+  };
+}
+
+// CloudFormation waits for this PUT to the pre-signed ResponseURL
+async function respond(event, status, physicalId, reason) {
+  const body = JSON.stringify({
+    Status: status,
+    Reason: reason || `See CloudWatch log stream for ${physicalId}`,
+    PhysicalResourceId: physicalId,
+    StackId: event.StackId,
+    RequestId: event.RequestId,
+    LogicalResourceId: event.LogicalResourceId,
+  });
+  const res = await fetch(event.ResponseURL, { method: "PUT", headers: { "content-type": "" }, body });
+  if (!res.ok) throw new Error(`CloudFormation response failed: ${res.status}`);
+}
+
+export const handler = async (event) => {
+  const props = event.ResourceProperties || {};
+  const bucket = props.BucketName;
+  // A new bucket or rule id replaces the resource; CloudFormation then deletes the old rule
+  const physicalId = `${bucket}/${props.RuleId}`;
+  console.log(`${event.RequestType} lifecycle rule ${physicalId}`);
+
+  try {
+    if (event.RequestType === "Delete") {
+      if (bucket && props.RuleId) {
+        const rules = await currentRules(bucket);
+        if (rules.some((r) => r.ID === props.RuleId)) await writeRules(bucket, mergeRule(rules, props.RuleId, null));
+      }
+      await respond(event, "SUCCESS", event.PhysicalResourceId || physicalId);
+      return;
+    }
+
+    const rule = expiryRule(props);
+    await writeRules(bucket, mergeRule(await currentRules(bucket), rule.ID, rule));
+    await respond(event, "SUCCESS", physicalId);
+  } catch (err) {
+    console.error(`Lifecycle rule ${physicalId} failed:`, err);
+    await respond(event, "FAILED", event.PhysicalResourceId || physicalId, err.message);
+  }
+};
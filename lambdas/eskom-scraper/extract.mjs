@@ -0,0 +1,64 @@
+// extract.mjs - what the Eskom scraper reads off the tender bulletin
+//
+// readListing runs on a listing page (ul > li > article), readDetail on /tender/<id>.
+// Both go through page.evaluate, so they use only `document` and their own locals.
+// Tested against saved pages: __tests__/scraper-extract.test.js, fixtures/html/eskom-*.html.
+
+export function readListing() {
+  const items = [];
+  const tenderElements = document.querySelectorAll("ul > li");
+
+  tenderElements.forEach((li) => {
+    const enquiryNumber = li.querySelector("h3")?.textContent?.trim();
+    if (!enquiryNumber) return;
+
+    const scopeDetails = li.querySelector("p")?.textContent?.trim();
+    const category = li.querySelector("dt")?.textContent?.trim();
+    const description = li.querySelector("dd")?.textContent?.trim();
+    const location = li.querySelector("dd span.font-medium")?.textContent?.trim();
+    const closing = li.querySelectorAll("dd span.font-medium")[1]?.textContent?.trim();
+    const published = li.querySelectorAll("dd span.font-medium")[2]?.textContent?.trim();
+    const readMoreRel = li.querySelector('a[href^="/tender/"]')?.getAttribute("href");
+    const readMore = readMoreRel ? `https://tenderbulletin.eskom.co.za${readMoreRel}` : null;
+    const download = li.querySelector('a[href*="DownloadAll"]')?.getAttribute("href");
+
+    items.push({
+      enquiryNumber,
+      scopeDetails,
+      category,
+      description,
+      location,
+      closing,
+      published,
+      readMore,
+      downloadLink: download
+        ? download.startsWith("http")
+          ? download
+          : `https://tenderbulletin.eskom.co.za${download}`
+        : null,
+    });
+  });
+
+  return items;
+}
+
+export function readDetail() {
+  const getField = (label) => {
+    const fieldDivs = [...document.querySelectorAll("div.border-t")];
+    for (let div of fieldDivs) {
+      const dt = div.querySelector("dt");
+      const dd = div.querySelector("dd");
+      if (dt && dt.textContent.trim().toLowerCase().includes(label.toLowerCase())) {
+        return dd?.textContent?.trim() || null;
+      }
+    }
+    return null;
+  };
+
+  return {
+    TenderID: getField("Tender ID"),
+    TenderBoxAddress: getField("Tender Box Address"),
+    TargetAudience: getField("Target Audience"),
+    ContractType: getField("Contract Type"),
+  };
+}
@@ -12,32 +12,70 @@
  */
 
 // Lambda handler for Eskom Tenders Scraper
-import chromium from "@sparticuz/chromium";
-import puppeteer from "puppeteer-core";
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
-
-const s3 = new S3Client({ region: "af-south-1" }); // e.g., "us-east-1"
-const BUCKET_NAME = "tender-scraper-bucket";
-
-export const lambdaHandler = async (event, context) => {
-  let browser = null;
-
-  try {
-    console.log(" Lambda Eskom scraper started...");
-
-    browser = await puppeteer.launch({
-      args: chromium.args,
-      defaultViewport: chromium.defaultViewport,
-      executablePath: await chromium.executablePath(),
-      headless: chromium.headless,
-    });
-
-    const page = await browser.newPage();
-    let pageNumber = 1;
-    const tenders = [];
-
-    while (true) {
-      const url = `https://tenderbulletin.eskom.co.za/?pageSize=10&pageNumber=${pageNumber}`;
+//
+// Event: { mode: "incremental" | "full" } (default incremental)
+//   full        - walk every listing page and open every detail page (weekly sweep)
+//   incremental - stop paging after a run of tenders already in the checkpoint with the same
+//                 listing fingerprint, and only open detail pages for new or changed ones
+// The checkpoint (state/eskom/checkpoint.json, outside the eskom/ prefix the normalizer reads)
+// keeps each tender's listing fingerprint and its last full record. An incremental snapshot
+// also carries forward every checkpoint tender on the pages it skipped, so the normalizer does
+// not mark them withdrawn; only a full sweep drops tenders that left the bulletin. An incremental
+// run becomes a full sweep when the last saved one is over FULL_SWEEP_MAX_AGE_DAYS old (say the
+// weekly one failed), so tenders that left are not carried for longer than that.
+import crypto from "crypto";
+import { runScraper, paginate, forEachDetail, openPage, getJson, putJson } from "/opt/nodejs/scraper-runtime.mjs";
+import { readListing, readDetail } from "./extract.mjs";
+
+const BASE_URL = "https://tenderbulletin.eskom.co.za";
+const CHECKPOINT_KEY = "state/eskom/checkpoint.json";
+
+const MODES = ["incremental", "full"];
+const PAGE_LIMIT = 50;
+// Consecutive known, unchanged tenders (two listing pages) before an incremental run stops
+const KNOWN_RUN_STOP = 20;
+// An incremental run after a longer gap since the last saved full sweep sweeps in full itself
+const FULL_SWEEP_MAX_AGE_DAYS = 7;
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Listing fields that make up the fingerprint; a change to any of them re-opens the detail page
+const LISTING_FIELDS = [
+  "enquiryNumber", "scopeDetails", "category", "description",
+  "location", "closing", "published", "readMore", "downloadLink",
+];
+
+export function listingFingerprint(tender) {
+  const values = LISTING_FIELDS.map((f) => tender[f] ?? null);
+  return crypto.createHash("sha256").update(JSON.stringify(values)).digest("hex");
+}
+
+async function scrape(run) {
+  let mode = run.event.mode || "incremental";
+  if (!MODES.includes(mode)) throw new Error(`Unknown mode: ${mode} (expected ${MODES.join(" or ")})`);
+
+  const stored = await getJson(CHECKPOINT_KEY);
+  if (!stored) console.log(" No checkpoint yet, every tender counts as new.");
+  const checkpoint = { tenders: {}, ...stored };
+  const known = checkpoint.tenders;
+  const now = run.scrapedAt;
+  const sweepAge = checkpoint.lastFullSweepAt ? now - new Date(checkpoint.lastFullSweepAt) : Infinity;
+  if (mode === "incremental" && stored && sweepAge > FULL_SWEEP_MAX_AGE_DAYS * DAY_MS) {
+    console.log(` Last full sweep ${checkpoint.lastFullSweepAt || "never"} saved; sweeping in full.`);
+    mode = "full";
+  }
+  console.log(` Eskom scrape mode: ${mode}`);
+  const seen = {};
+  let detailsFetched = 0;
+  let knownRun = 0;
+  let stoppedEarly = false;
+
+  const page = await openPage(run.browser);
+
+  const tenders = await paginate({
+    maxPages: PAGE_LIMIT,
+    readPage: async (pageNumber) => {
+      const url = `${BASE_URL}/?pageSize=10&pageNumber=${pageNumber}`;
       console.log(` Scraping page ${pageNumber}: ${url}`);
       await page.goto(url, { waitUntil: "networkidle2" });
 
@@ -45,137 +83,80 @@ export const lambdaHandler = async (event, context) => {
         await page.waitForSelector("ul > li > article", { timeout: 8000 });
       } catch (err) {
         console.log(` No tenders found or timed out on page ${pageNumber}.`);
-        break;
+        return [];
       }
 
-      const newTenders = await page.evaluate(() => {
-        const items = [];
-        const tenderElements = document.querySelectorAll("ul > li");
-
-        tenderElements.forEach((li) => {
-          const enquiryNumber = li.querySelector("h3")?.textContent?.trim();
-          if (!enquiryNumber) return;
-
-          const scopeDetails = li.querySelector("p")?.textContent?.trim();
-          const category = li.querySelector("dt")?.textContent?.trim();
-          const description = li.querySelector("dd")?.textContent?.trim();
-          const location = li.querySelector("dd span.font-medium")?.textContent?.trim();
-          const closing = li.querySelectorAll("dd span.font-medium")[1]?.textContent?.trim();
-          const published = li.querySelectorAll("dd span.font-medium")[2]?.textContent?.trim();
-          const readMoreRel = li.querySelector('a[href^="/tender/"]')?.getAttribute("href");
-          const readMore = readMoreRel ? `https://tenderbulletin.eskom.co.za${readMoreRel}` : null;
-          const download = li.querySelector('a[href*="DownloadAll"]')?.getAttribute("href");
-
-          items.push({
-            enquiryNumber,
-            scopeDetails,
-            category,
-            description,
-            location,
-            closing,
-            published,
-            readMore,
-            downloadLink: download
-              ? download.startsWith("http")
-                ? download
-                : `https://tenderbulletin.eskom.co.za${download}`
-              : null,
-          });
-        });
-
-        return items;
-      });
-
-      // Fetch details page info
-      const detailPage = await browser.newPage();
-      for (const tender of newTenders) {
-        if (tender.readMore) {
-          try {
-            await detailPage.goto(tender.readMore, { waitUntil: "networkidle2" });
-            await detailPage.waitForSelector("div.border-t", { timeout: 5000 });
-
-            const extraData = await detailPage.evaluate(() => {
-              const getField = (label) => {
-                const fieldDivs = [...document.querySelectorAll("div.border-t")];
-                for (let div of fieldDivs) {
-                  const dt = div.querySelector("dt");
-                  const dd = div.querySelector("dd");
-                  if (dt && dt.textContent.trim().toLowerCase().includes(label.toLowerCase())) {
-                    return dd?.textContent?.trim() || null;
-                  }
-                }
-                return null;
-              };
-
-              return {
-                TenderID: getField("Tender ID"),
-                TenderBoxAddress: getField("Tender Box Address"),
-                TargetAudience: getField("Target Audience"),
-                ContractType: getField("Contract Type"),
-              };
-            });
-
-            Object.assign(tender, extraData);
-          } catch (err) {
-            console.log(` Failed to fetch detail from ${tender.readMore}`);
-            console.error(err.message);
-          }
+      const listed = await page.evaluate(readListing);
+
+      // Reuse the checkpoint for unchanged tenders; the rest get their detail page
+      const toFetch = [];
+      for (let i = 0; i < listed.length; i++) {
+        const tender = listed[i];
+        const fingerprint = listingFingerprint(tender);
+        const previous = known[tender.enquiryNumber];
+        // A null fingerprint means the detail page failed last time; try it again
+        if (mode === "incremental" && previous?.fingerprint === fingerprint) {
+          listed[i] = previous.record;
+          seen[tender.enquiryNumber] = { ...previous, seenAt: now.toISOString() };
+          knownRun++;
+          continue;
         }
+        knownRun = 0;
+        seen[tender.enquiryNumber] = { fingerprint: null, seenAt: now.toISOString(), record: tender };
+        if (tender.readMore) toFetch.push({ tender, fingerprint });
+        else seen[tender.enquiryNumber].fingerprint = fingerprint;
       }
-      await detailPage.close();
-
-      if (newTenders.length === 0) {
-        console.log(` Reached end — no tenders found on page ${pageNumber}`);
-        break;
-      }
-
-      tenders.push(...newTenders);
 
-      console.log(` Fetched ${newTenders.length} tenders from page ${pageNumber}`);
+      detailsFetched += await forEachDetail(run, toFetch, async (detailPage, { tender, fingerprint }) => {
+        await detailPage.goto(tender.readMore, { waitUntil: "networkidle2" });
+        await detailPage.waitForSelector("div.border-t", { timeout: 5000 });
+        Object.assign(tender, await detailPage.evaluate(readDetail));
+        seen[tender.enquiryNumber].fingerprint = fingerprint;
+      }, {
+        idOf: ({ tender }) => tender.enquiryNumber,
+        urlOf: ({ tender }) => tender.readMore,
+      });
 
-      pageNumber++;
-      if (pageNumber > 50) {
-        console.log(" Reached page limit of 50. Stopping.");
-        break;
+      return listed;
+    },
+    next: async (pageNumber) => {
+      if (mode === "incremental" && knownRun >= KNOWN_RUN_STOP) {
+        console.log(` ${knownRun} known tenders in a row on page ${pageNumber}. Stopping.`);
+        stoppedEarly = true;
+        return false;
       }
-    }
-
-    console.log(` Total Eskom tenders scraped: ${tenders.length}`);
-
-    // ---- Save to S3 ----
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const fileName = `eskom/eskom-${timestamp}.json`;
-
-    const putCommand = new PutObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: fileName,
-      Body: JSON.stringify(tenders, null, 2),
-      ContentType: "application/json",
-    });
-
-    await s3.send(putCommand);
-    console.log(` Saved Eskom tenders to S3: ${BUCKET_NAME}/${fileName}`);
-
-    return {
-      statusCode: 200,
-      body: JSON.stringify({
-        message: "Scraping successful and saved to S3",
-        total: tenders.length,
-        file: `${BUCKET_NAME}/${fileName}`,
-      }),
-    };
-  } catch (err) {
-    console.error(" Error in Lambda:", err);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: err.message }),
-    };
-  } finally {
-    if (browser) {
-      await browser.close();
+      return true;
+    },
+  });
+
+  // Tenders on the pages an incremental run skipped are still on the bulletin; the last full
+  // sweep (at most FULL_SWEEP_MAX_AGE_DAYS ago) saw every one of them there
+  let carried = 0;
+  const next = { ...seen };
+  if (mode === "incremental") {
+    for (const [enquiryNumber, entry] of Object.entries(known)) {
+      if (seen[enquiryNumber]) continue;
+      next[enquiryNumber] = entry;
+      tenders.push(entry.record);
+      carried++;
     }
   }
-};
-
 
-  
\ No newline at end of file
+  console.log(` Total Eskom tenders scraped: ${tenders.length} (${detailsFetched} detail pages, ${carried} carried forward)`);
+
+  run.checkpoint = {
+    updatedAt: now.toISOString(),
+    lastFullSweepAt: mode === "full" ? now.toISOString() : checkpoint.lastFullSweepAt || null,
+    tenders: next,
+  };
+  run.stats = { mode, detailsFetched, carriedForward: carried, stoppedEarly };
+  return tenders;
+}
+
+export const lambdaHandler = runScraper({
+  source: "eskom",
+  scrape,
+  keyFields: ["enquiryNumber", "closing", "scopeDetails"],
+  // Only after the snapshot is saved, so a failed upload is retried in full next time
+  onSaved: (run) => putJson(CHECKPOINT_KEY, run.checkpoint),
+});
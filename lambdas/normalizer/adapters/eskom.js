@@ -0,0 +1,93 @@
+// adapters/eskom.js - Eskom tender bulletin (lambdas/eskom-scraper)
+const { asArray, squashWhitespace } = require("../helpers");
+const { dateReader } = require("../dates");
+const { extractContacts } = require("../contacts");
+const { applyBriefing } = require("../briefings");
+
+const HASH_FIELDS = [
+  'external_id',
+  'title',
+  'description',
+  'category',
+  'location',
+  'published_at',
+  'closing_at',
+  'url',
+  'tender_box_address',
+  'target_audience',
+  'contract_type',
+];
+
+/** Input: Eskom S3 file contains an array of tender objects */
+function normalizeEskomArray(arr) {
+  if (!Array.isArray(arr)) return [];
+  return arr.map((r) => {
+    const title = r.enquiryNumber || r.TenderID || 'Eskom Tender';
+    const description = squashWhitespace(r.scopeDetails || r.description);
+    const dates = dateReader();
+    const published_at = dates.read('published_at', r.published);
+    const closing_at = dates.read('closing_at', r.closing, { endOfDay: true });
+
+    const core = {
+      external_id: r.TenderID || r.enquiryNumber,
+      source_tender_id: r.TenderID || null,
+      title,
+      description,
+      category: r.category || null,
+      location: r.TenderBoxAddress || r.location || null,
+      buyer: 'ESKOM',
+      procurement_method: null,
+      procurement_method_details: null,
+      status: null,
+      tender_type: null,
+      published_at,
+      briefing_at: null,
+      briefing_venue: null,
+      briefing_compulsory: null,
+      briefing_link: null,
+      tender_start_at: null,
+      closing_at,
+      value_amount: null,
+      value_currency: null,
+      url: r.readMore || null,
+      // extras
+      tender_box_address: r.TenderBoxAddress || null,
+      target_audience: r.TargetAudience || null,
+      contract_type: r.ContractType || null,
+      project_type: null,
+      queries_to: null,
+      briefing_details: null,
+    };
+
+    // documents (0..n)
+    const documents = [];
+    if (r.downloadLink) {
+      documents.push({
+        url: r.downloadLink,
+        name: null,
+        mime_type: null,
+        published_at: null,
+      });
+    }
+
+    // free text for the extraction stages (CIDB grading, value, ...)
+    const text = [r.scopeDetails, r.description].filter(Boolean);
+
+    // the bulletin has no contact fields; buyers put them in the scope text
+    const contacts = extractContacts([], text);
+    applyBriefing(core, [], text);
+    // where the work is; the tender box address is only a last resort
+    const places = [r.location, r.TenderBoxAddress].filter(Boolean);
+
+    return { tender: core, documents, contacts, text, places, dateIssues: dates.issues };
+  }).filter(x => x.tender.external_id);
+}
+
+module.exports = {
+  source: 'eskom',
+  matches: (key) => key.startsWith('eskom/'),
+  unwrap: asArray,
+  normalize: normalizeEskomArray,
+  hashFields: HASH_FIELDS,
+  schema: require('../schemas/eskom.schema.json'),
+};
@@ -0,0 +1,129 @@
+// adapters/etenders.js - National Treasury eTenders API (lambdas/etenders-fetcher)
+const { squashWhitespace, mimeFromExtension } = require("../helpers");
+const { dateReader } = require("../dates");
+const { extractContacts } = require("../contacts");
+const { applyBriefing } = require("../briefings");
+
+const HASH_FIELDS = [
+  'external_id',
+  'title',
+  'description',
+  'category',
+  'location',
+  'buyer',
+  'published_at',
+  'closing_at',
+  'briefing_at',
+  'status',
+];
+
+// Handle the eTenders JSON structure which has { data: [...] }
+function unwrapEtenders(raw) {
+  if (!raw || !raw.data || !Array.isArray(raw.data)) {
+    console.warn("⚠️ Unexpected eTenders format - no data array found");
+    return [];
+  }
+  return raw.data;
+}
+
+// FIXED eTenders normalizer with proper document handling
+function normalizeEtendersArray(arr) {
+  if (!Array.isArray(arr)) return [];
+
+  console.log(`Processing ${arr.length} eTenders records`);
+
+  return arr.map((item) => {
+    // Use tender_No as external_id (required for uniqueness)
+    const externalId = item.tender_No || `etenders-${item.id}`;
+    const dates = dateReader();
+    
+    // IMPORTANT: Construct the eTenders tender URL
+    // This is the pattern for viewing a tender on eTenders website
+    const tenderUrl = item.id ? `https://etenders.treasury.gov.za/tender-details/${item.id}` : null;
+    
+    const core = {
+      external_id: externalId,
+      source_tender_id: item.id ? String(item.id) : null,
+      title: squashWhitespace(item.tender_No) || 'eTenders Tender',
+      description: squashWhitespace(item.description),
+      category: squashWhitespace(item.category || item.categories?.name),
+      location: squashWhitespace(item.town || item.provinces?.name || item.province),
+      buyer: squashWhitespace(item.organ_of_State || item.departments?.name || item.department),
+      procurement_method: squashWhitespace(item.type),
+      procurement_method_details: null,
+      status: squashWhitespace(item.status),
+      tender_type: squashWhitespace(item.type),
+      
+      // Parse dates properly
+      published_at: dates.read('published_at', item.date_Published),
+      briefing_at: dates.read('briefing_at', item.compulsory_briefing_session),
+      briefing_venue: squashWhitespace(item.briefingVenue),
+      briefing_compulsory: item.briefingCompulsory === true ? true : (item.briefingCompulsory === false ? false : null),
+      briefing_link: null,
+      tender_start_at: null,
+      closing_at: dates.read('closing_at', item.closing_Date, { endOfDay: true }),
+      
+      value_amount: null,
+      value_currency: null,
+      url: tenderUrl, // Link to the tender on eTenders website
+      
+      // Extra fields
+      tender_box_address: squashWhitespace(item.delivery || item.streetname),
+      target_audience: null,
+      contract_type: null,
+      project_type: null,
+      queries_to: squashWhitespace(item.contactPerson),
+      briefing_details: item.briefingSession ? squashWhitespace(item.conditions) : null,
+    };
+
+    // Documents from supportDocument array
+    const documents = [];
+    if (Array.isArray(item.supportDocument)) {
+      for (const doc of item.supportDocument) {
+        if (doc.fileName && doc.supportDocumentID) {
+          // IMPORTANT: Construct eTenders document download URL
+          // You need to verify this pattern - it might be:
+          // Option 1: Direct download link (most common)
+          const docUrl = `https://etenders.treasury.gov.za/download/document/${doc.supportDocumentID}`;
+          
+          // Option 2: Via tender ID and doc ID
+          // const docUrl = `https://etenders.treasury.gov.za/tender/${item.id}/document/${doc.supportDocumentID}`;
+          
+          // Option 3: Store metadata for proxy download through your API
+          // const docUrl = `/api/etenders/document/${item.id}/${doc.supportDocumentID}`;
+          
+          documents.push({
+            url: docUrl,
+            name: squashWhitespace(doc.fileName),
+            mime_type: mimeFromExtension(doc.extension),
+            published_at: dates.read('documents.published_at', doc.dateModified),
+          });
+        } else if (doc.fileName) {
+          // If we don't have supportDocumentID, skip or use filename-based URL
+          console.log(`Document ${doc.fileName} missing supportDocumentID, skipping`);
+        }
+      }
+    }
+
+    // free text for the extraction stages (CIDB grading, value, ...)
+    const text = [item.description, item.conditions].filter(Boolean);
+
+    // Contacts: the OCDS fields, plus any officer named in the description or conditions
+    const contacts = extractContacts([[item.contactPerson, item.email, item.telephone || item.fax]], text);
+    // the OCDS briefing fields win; the conditions often add the venue or a Teams link
+    applyBriefing(core, [item.briefingVenue], text);
+    // town and province together, so the province settles towns that exist in two provinces
+    const places = [[item.town, item.provinces?.name || item.province].filter(Boolean).join(', ')].filter(Boolean);
+
+    return { tender: core, documents, contacts, text, places, dateIssues: dates.issues };
+  }).filter(item => item && item.tender && item.tender.external_id);
+}
+
+module.exports = {
+  source: 'etenders',
+  matches: (key) => key.startsWith('etenders/'),
+  unwrap: unwrapEtenders,
+  normalize: normalizeEtendersArray,
+  hashFields: HASH_FIELDS,
+  schema: require('../schemas/etenders.schema.json'),
+};
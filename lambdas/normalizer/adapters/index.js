@@ -0,0 +1,71 @@
+// adapters/index.js - source adapter registry
+//
+// Each adapter module describes one raw source in the scraper bucket:
+//   source      - name in the `sources` table
+//   matches     - (key) => boolean, claims an S3 object key
+//   unwrap      - (raw) => array of raw tender records from the parsed file
+//   normalize   - (records) => [{ tender, documents, contacts, text, places, dateIssues }]
+//                 (text: free-text strings for the extraction stages;
+//                  places: location strings for the gazetteer, first that resolves wins;
+//                  dateIssues: unreadable/ambiguous dates from dates.js dateReader;
+//                  partial: true when only part of the record could be scraped, so a stored
+//                  tender is marked as seen but not rewritten)
+//   hashFields  - tender fields that make up the idempotency hash
+//   schema      - JSON schema for one raw record (schemas/<source>.schema.json, see validation.js)
+const { hashTender } = require("../helpers");
+
+const REQUIRED = { source: 'string', matches: 'function', unwrap: 'function', normalize: 'function' };
+
+const adapters = [];
+
+function registerAdapter(adapter) {
+  for (const [k, type] of Object.entries(REQUIRED)) {
+    if (typeof adapter?.[k] !== type) {
+      throw new Error(`Adapter ${adapter?.source || '(unnamed)'} is missing ${k}`);
+    }
+  }
+  if (!Array.isArray(adapter.hashFields) || !adapter.hashFields.length) {
+    throw new Error(`Adapter ${adapter.source} is missing hashFields`);
+  }
+  if (adapters.some(a => a.source === adapter.source)) {
+    throw new Error(`Adapter already registered: ${adapter.source}`);
+  }
+  adapters.push(adapter);
+  return adapter;
+}
+
+function findAdapter(key) {
+  return adapters.find(a => a.matches(key)) || null;
+}
+
+function getAdapter(source) {
+  return adapters.find(a => a.source === source) || null;
+}
+
+// normalize -> hash over already unwrapped (and validated) raw records
+function normalizeRecords(adapter, records) {
+  const items = adapter.normalize(records);
+  for (const it of items) {
+    it.tender.hash = hashTender(it.tender, adapter.hashFields);
+  }
+  return items;
+}
+
+// unwrap -> normalize -> hash; the one path every source goes through
+function normalizeWithAdapter(adapter, raw) {
+  return normalizeRecords(adapter, adapter.unwrap(raw));
+}
+
+registerAdapter(require("./eskom"));
+registerAdapter(require("./sanral"));
+registerAdapter(require("./transnet"));
+registerAdapter(require("./etenders"));
+
+module.exports = {
+  registerAdapter,
+  findAdapter,
+  getAdapter,
+  normalizeRecords,
+  normalizeWithAdapter,
+  listAdapters: () => adapters.slice(),
+};
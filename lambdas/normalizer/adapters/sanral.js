@@ -0,0 +1,86 @@
+// adapters/sanral.js - SANRAL open tenders (lambdas/sanral-scraper)
+const { asArray, squashWhitespace, absoluteUrl } = require("../helpers");
+const { dateReader } = require("../dates");
+const { extractContacts } = require("../contacts");
+const { applyBriefing } = require("../briefings");
+
+const SANRAL_BASE_URL = 'https://www.nra.co.za';
+
+const HASH_FIELDS = [
+  'external_id',
+  'title',
+  'description',
+  'category',
+  'location',
+  'closing_at',
+  'url',
+  'project_type',
+  'queries_to',
+  'briefing_details',
+];
+
+/** Input: SANRAL S3 file contains an array of rows from the open-tenders table (+ details) */
+function normalizeSanralArray(arr) {
+  if (!Array.isArray(arr)) return [];
+  return arr.map((r) => {
+    const tenderNumber = squashWhitespace(r.tenderNumber);
+    const paragraphs = Array.isArray(r.details?.paragraphs) ? r.details.paragraphs : [];
+    const dates = dateReader();
+    const briefingParas = paragraphs.filter(p => /briefing|site (inspection|meeting|visit)|clarification meeting/i.test(p));
+
+    const core = {
+      external_id: tenderNumber,
+      source_tender_id: tenderNumber || null,
+      title: tenderNumber || 'SANRAL Tender',
+      description: squashWhitespace(r.description),
+      category: squashWhitespace(r.projectType) || null,
+      location: squashWhitespace(r.region) || null,
+      buyer: 'SANRAL',
+      procurement_method: null,
+      procurement_method_details: null,
+      status: null,
+      tender_type: null,
+      published_at: null,
+      briefing_at: null,
+      briefing_venue: null,
+      briefing_compulsory: null,
+      briefing_link: null,
+      tender_start_at: null,
+      closing_at: dates.read('closing_at', r.closingDate, { endOfDay: true }),
+      value_amount: null,
+      value_currency: null,
+      url: absoluteUrl(r.tenderLink, SANRAL_BASE_URL),
+      // extras
+      tender_box_address: null,
+      target_audience: null,
+      contract_type: null,
+      project_type: squashWhitespace(r.projectType) || null,
+      queries_to: squashWhitespace(r.queriesTo) || null,
+      briefing_details: briefingParas.length ? squashWhitespace(briefingParas.join(' ')) : null,
+    };
+
+    // SANRAL detail pages carry no document links
+    const documents = [];
+
+    // free text for the extraction stages (CIDB grading, value, ...)
+    const text = [r.description, ...paragraphs].filter(Boolean);
+
+    // queriesTo is free text ("Ms P. Mokoena (pmokoena@nra.co.za)"); paragraphs add phones
+    const contacts = extractContacts([r.queriesTo], paragraphs);
+    // date, venue and compulsory flag of the clarification meeting buried in the paragraphs
+    applyBriefing(core, [], paragraphs);
+    // SANRAL regions span provinces, so this mostly falls through to the title
+    const places = [r.region].filter(Boolean);
+
+    return { tender: core, documents, contacts, text, places, dateIssues: dates.issues };
+  }).filter(x => x.tender.external_id);
+}
+
+module.exports = {
+  source: 'sanral',
+  matches: (key) => key.startsWith('sanral/'),
+  unwrap: asArray,
+  normalize: normalizeSanralArray,
+  hashFields: HASH_FIELDS,
+  schema: require('../schemas/sanral.schema.json'),
+};
@@ -0,0 +1,99 @@
+// adapters/transnet.js - Transnet eTenders portal (lambdas/transnet-scraper)
+const { asArray, squashWhitespace, absoluteUrl, mimeFromFileName, parseCompulsory } = require("../helpers");
+const { dateReader } = require("../dates");
+const { extractContacts } = require("../contacts");
+const { applyBriefing } = require("../briefings");
+
+const TRANSNET_BASE_URL = 'https://transnetetenders.azurewebsites.net';
+
+const HASH_FIELDS = [
+  'external_id',
+  'title',
+  'description',
+  'category',
+  'location',
+  'buyer',
+  'status',
+  'tender_type',
+  'published_at',
+  'briefing_at',
+  'closing_at',
+  'url',
+  'briefing_details',
+];
+
+/** Input: Transnet S3 file contains an array of advertised tenders, each with a details object */
+function normalizeTransnetArray(arr) {
+  if (!Array.isArray(arr)) return [];
+  return arr.map((r) => {
+    const d = r.details || {};
+    const referenceNumber = squashWhitespace(r.referenceNumber || d.referenceNumber);
+    // the portal writes month first: "12/12/2025 4:00:00 PM"
+    const dates = dateReader({ order: 'mdy' });
+
+    const core = {
+      external_id: referenceNumber,
+      source_tender_id: referenceNumber || null,
+      title: squashWhitespace(r.tenderName || d.tenderName || d.nameOfTender) || referenceNumber || 'Transnet Tender',
+      description: squashWhitespace(d.description || r.description),
+      category: squashWhitespace(d.tenderCategory) || null,
+      location: squashWhitespace(d.locationOfService) || null,
+      buyer: squashWhitespace(d.institution) || 'TRANSNET',
+      procurement_method: null,
+      procurement_method_details: null,
+      status: squashWhitespace(d.tenderStatus || r.tenderStatus) || null,
+      tender_type: squashWhitespace(d.tenderType) || null,
+      published_at: dates.read('published_at', d.datePublished),
+      briefing_at: dates.read('briefing_at', d.briefingDate),
+      briefing_venue: null,
+      briefing_compulsory: parseCompulsory(r.briefingSession),
+      briefing_link: null,
+      tender_start_at: null,
+      closing_at: dates.read('closing_at', d.closingDate || r.closingDate, { endOfDay: true }),
+      value_amount: null,
+      value_currency: null,
+      url: absoluteUrl(r.detailsLink, TRANSNET_BASE_URL),
+      // extras
+      tender_box_address: null,
+      target_audience: null,
+      contract_type: null,
+      project_type: null,
+      queries_to: squashWhitespace(d.contactPerson) || null,
+      briefing_details: squashWhitespace(d.briefingDetails || r.briefingSession) || null,
+    };
+
+    const documents = [];
+    for (const doc of Array.isArray(d.documents) ? d.documents : []) {
+      const url = absoluteUrl(doc.url, TRANSNET_BASE_URL);
+      if (!url) continue;
+      const name = squashWhitespace(doc.name) || null;
+      documents.push({
+        url,
+        name,
+        mime_type: mimeFromFileName(name) || mimeFromFileName(url),
+        published_at: null,
+      });
+    }
+
+    // free text for the extraction stages (CIDB grading, value, ...)
+    const text = [d.description || r.description, d.briefingDetails, r.briefingSession].filter(Boolean);
+
+    // contactEmail is sometimes a list of addresses; the first goes with contactPerson
+    const contacts = extractContacts([[d.contactPerson, d.contactEmail]], text);
+    // briefingDate is structured; venue, link and (if the listing had none) the compulsory flag come from the text
+    applyBriefing(core, [r.briefingSession, d.briefingDetails], [d.description || r.description]);
+    const places = [d.locationOfService].filter(Boolean);
+
+    // detailsFailed: only the listing row was read, so the detail fields above are blanks
+    return { tender: core, documents, contacts, text, places, dateIssues: dates.issues, partial: r.detailsFailed === true };
+  }).filter(x => x.tender.external_id);
+}
+
+module.exports = {
+  source: 'transnet',
+  matches: (key) => key.startsWith('transnet/'),
+  unwrap: asArray,
+  normalize: normalizeTransnetArray,
+  hashFields: HASH_FIELDS,
+  schema: require('../schemas/transnet.schema.json'),
+};
@@ -0,0 +1,149 @@
+// backfill.js - re-normalize archived raw scrapes straight from S3, oldest first
+//
+// Every raw file stays in the scraper bucket under <source>/, so after a normalizer fix
+// the history can be re-run without re-uploading anything. Invoke manually, e.g.
+//   { "source": "transnet", "from": "2025-11-01", "to": "2025-12-01", "dryRun": true }
+//   { "prefix": "eskom/eskom-2025-11", "force": true }
+//   { "source": "sanral", "startAfter": "2025-11-03T04:10:00.000Z|sanral/sanral-....json" }
+// Objects go through the same processObject path as the SQS handler, in LastModified
+// order, with last_seen_at taken from the snapshot so old files never look freshly seen.
+//   dryRun   - write nothing; counts come from comparing hashes with the database
+//   force    - rewrite tenders even when nothing they store has changed (prepared hash included)
+//   notify   - publish SNS events for new/amended tenders (off: history is not news)
+// Failures are reported, not quarantined: the original object is still where it was.
+// A run that nears the Lambda timeout stops and returns `startAfter` to continue from.
+const { ListObjectsV2Command } = require("@aws-sdk/client-s3");
+const { getPool, processObject, newRun, finishRun, s3 } = require("./index");
+const { findAdapter, getAdapter } = require("./adapters");
+const { isQuarantineKey } = require("./quarantine");
+const { isArchiveKey } = require("./documents");
+
+const DEFAULT_BUCKET = 'tender-scraper-bucket';
+const DEFAULT_LIMIT = 500;
+// Stop picking up new objects once less than this much Lambda time is left
+const TIME_RESERVE_MS = 90 * 1000;
+// Keep the response small; the counts cover every object
+const MAX_RESULTS = 200;
+
+function parseDateOption(value, name) {
+  if (value == null || value === '') return null;
+  const d = new Date(value);
+  if (isNaN(d)) throw new Error(`backfill ${name} is not a date: ${value}`);
+  return d;
+}
+
+/** Validated options: { bucket, prefix, from, to, startAfter, dryRun, force, notify, limit } */
+function buildOptions(event) {
+  const source = event.source || null;
+  if (source && !getAdapter(source)) throw new Error(`Unknown source: ${source}`);
+  const prefix = event.prefix || (source ? `${source}/` : null);
+  // Refuse to re-run the whole bucket by accident
+  if (!prefix) throw new Error('backfill needs a source or a prefix');
+  if (source && !prefix.startsWith(`${source}/`)) throw new Error(`prefix ${prefix} is outside ${source}/`);
+
+  const from = parseDateOption(event.from, 'from');
+  const to = parseDateOption(event.to, 'to');
+  if (from && to && from > to) throw new Error('backfill from is after to');
+
+  return {
+    bucket: event.bucket || process.env.RAW_DATA_BUCKET || DEFAULT_BUCKET,
+    prefix,
+    from,
+    to,
+    startAfter: event.startAfter || null,
+    dryRun: event.dryRun === true,
+    force: event.force === true,
+    notify: event.notify === true,
+    limit: Math.min(Math.max(parseInt(event.limit || DEFAULT_LIMIT, 10) || DEFAULT_LIMIT, 1), 5000),
+  };
+}
+
+// Position of an object in the backfill order; startAfter is one of these
+function cursorOf(obj) {
+  return `${obj.lastModified.toISOString()}|${obj.key}`;
+}
+
+/**
+ * Objects under the prefix that a normalizer adapter reads, within [from, to] and after
+ * startAfter, oldest first: [{ key, lastModified, size }]
+ */
+async function listSnapshots(s3Client, { bucket, prefix, from, to, startAfter }) {
+  const objects = [];
+  let token;
+  do {
+    const resp = await s3Client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: token }));
+    for (const o of resp.Contents || []) {
+      const lastModified = new Date(o.LastModified);
+      if (!o.Key.endsWith('.json') || isQuarantineKey(o.Key) || isArchiveKey(o.Key) || !findAdapter(o.Key)) continue;
+      if ((from && lastModified < from) || (to && lastModified > to)) continue;
+      objects.push({ key: o.Key, lastModified, size: o.Size });
+    }
+    token = resp.IsTruncated ? resp.NextContinuationToken : undefined;
+  } while (token);
+
+  objects.sort((a, b) => a.lastModified - b.lastModified || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  // ISO timestamps sort as text, so the cursor compares as a string
+  return startAfter ? objects.filter(o => cursorOf(o) > startAfter) : objects;
+}
+
+exports.handler = async (event = {}, context = {}) => {
+  const opts = buildOptions(event);
+  const timeLeft = () => (context.getRemainingTimeInMillis ? context.getRemainingTimeInMillis() : Infinity);
+
+  const all = await listSnapshots(s3, opts);
+  const objects = all.slice(0, opts.limit);
+  console.log(`Backfilling ${objects.length} of ${all.length} objects under ${opts.bucket}/${opts.prefix}${opts.dryRun ? ' (dry run)' : ''}`);
+
+  const db = await getPool();
+  const client = await db.connect();
+  const run = newRun();
+  const results = [];
+  let last = null;
+
+  try {
+    for (const obj of objects) {
+      if (timeLeft() < TIME_RESERVE_MS) {
+        console.warn(`⏱️ Stopping early to stay inside the Lambda timeout, ${objects.length - results.length} objects left`);
+        break;
+      }
+
+      let result;
+      try {
+        result = await processObject(client, {
+          bucket: opts.bucket, key: obj.key, seenAt: obj.lastModified, force: opts.force, dryRun: opts.dryRun,
+        }, run);
+      } catch (err) {
+        result = { ok: false, items: 0, failures: [{ stage: 'read', error: err }] };
+      }
+
+      results.push({
+        key: obj.key,
+        lastModified: obj.lastModified.toISOString(),
+        ok: result.ok,
+        items: result.items || 0,
+        errors: result.failures.map(f => `${f.stage}: ${f.error?.message || f.error}`),
+      });
+      if (!result.ok) console.error(`❌ Backfill failed for ${obj.key}:`, results[results.length - 1].errors);
+      last = obj;
+    }
+
+    const summary = await finishRun(run, { publish: opts.notify && !opts.dryRun });
+    const done = results.length === all.length;
+    return {
+      ...summary,
+      dryRun: opts.dryRun,
+      objects: results.length,
+      failedObjects: results.filter(r => !r.ok).length,
+      remaining: all.length - results.length,
+      done,
+      // Pass back as startAfter (with the same source/prefix/from/to) to continue
+      startAfter: done ? null : (last ? cursorOf(last) : opts.startAfter),
+      results: results.slice(0, MAX_RESULTS),
+    };
+  } finally {
+    client.release();
+  }
+};
+
+exports.buildOptions = buildOptions;
+exports.listSnapshots = listSnapshots;
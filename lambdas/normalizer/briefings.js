@@ -0,0 +1,164 @@
+// briefings.js - structured briefing sessions (date/time, venue, compulsory, online link) from text
+//
+// Only eTenders has briefing fields. Transnet gives a briefingDate next to a free-text
+// briefingSession ("Compulsory") and briefingDetails ("Microsoft Teams session ..."),
+// SANRAL and Eskom mention the session somewhere in their detail text:
+//   "A compulsory clarification meeting will be held at the SANRAL Northern Region
+//    office on 2025/12/02 at 10:00."
+// parseBriefing reads the sentences about a briefing; applyBriefing fills the tender's
+// briefing fields the source left empty, so structured values always win.
+const { monthNumber, zonedDate } = require('./dates');
+
+const BRIEFING_RE = /briefing|site (?:inspection|meeting|visit)|clarification (?:meeting|session)|information session|pre-?bid meeting/i;
+const NO_BRIEFING_RE = /\bno (?:compulsory )?(?:briefing|site (?:inspection|meeting|visit))|\bbriefing(?: session)?\s*[:\-]?\s*(?:none|n\/a)\b/i;
+const NOT_COMPULSORY_RE = /non[-\s]?compulsory|not compulsory|not mandatory|optional|non[-\s]?mandatory/i;
+const COMPULSORY_RE = /compulsory|mandatory|attendance (?:is|will be) required/i;
+
+// Online meetings: a link when one is given, else the platform named in the text
+const LINK_RE = /https?:\/\/[^\s<>"')\]]+/gi;
+const ONLINE_HOSTS_RE = /teams\.microsoft\.com|teams\.live\.com|zoom\.us|meet\.google\.com|webex\.com|gotomeeting\.com/i;
+const ONLINE_PLATFORM_RE = /\b(Microsoft Teams|MS Teams|Teams|Zoom|Google Meet|Webex|GoToMeeting)\b/i;
+
+const MONTH_NAMES = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+// 2025/12/02, 2025-12-02
+const ISO_DATE_RE = /\b(\d{4})[/-](\d{1,2})[/-](\d{1,2})\b/;
+// 02/12/2025, 2.12.2025 (day first, as written in South Africa)
+const DMY_DATE_RE = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/;
+// 2 December 2025, 2nd Dec 2025
+const DAY_MONTH_RE = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAMES}\\.?,?\\s+(\\d{4})\\b`, 'i');
+// December 2, 2025
+const MONTH_DAY_RE = new RegExp(`\\b${MONTH_NAMES}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'i');
+// 10:00, 10h00, 10:00 AM, 10am
+const TIME_RE = /\b(\d{1,2})(?:[:h](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?(?=\W|$)/gi;
+
+// Venue stated outright, or the place a session "will be held at"
+const VENUE_LABEL_RE = /\b(?:venue|location|address|meeting point)\s*[:\-]\s*([^.\n;]+)/i;
+const HELD_AT_RE = /\b(?:held|take place|be hosted|meet)\s+(?:at|in)\s+(?!\d)(.+?)(?=\s+(?:on|at|from)\s+(?:\d|mon|tue|wed|thu|fri|sat|sun)|\s+via\b|[.;\n]|$)/i;
+// A sentence after the briefing one that still belongs to it
+const FOLLOW_ON_RE = /^(?:venue|location|address|meeting point|link)\b|https?:\/\//i;
+
+function splitSentences(text) {
+  // "Ms P. Mokoena" and "2.12.2025" keep their full stops
+  return String(text).split(/\n+|(?<=[a-z0-9)][.!?])\s+(?=[A-Z])/);
+}
+
+/** Sentences of the texts that talk about a briefing session (plus a "Venue: ..." right after) */
+function briefingSentences(texts) {
+  const out = [];
+  for (const t of [].concat(texts || [])) {
+    if (typeof t !== 'string' || !t.trim()) continue;
+    const sentences = splitSentences(t).map(s => s.trim()).filter(Boolean);
+    sentences.forEach((s, i) => {
+      if (!BRIEFING_RE.test(s)) return;
+      out.push(s);
+      const next = sentences[i + 1];
+      if (next && !BRIEFING_RE.test(next) && FOLLOW_ON_RE.test(next)) out.push(next);
+    });
+  }
+  return out;
+}
+
+function findDate(s) {
+  let m = s.match(ISO_DATE_RE);
+  if (m) return { y: +m[1], mo: +m[2], d: +m[3], index: m.index, length: m[0].length };
+  m = s.match(DAY_MONTH_RE);
+  if (m) return { y: +m[3], mo: monthNumber(m[2]), d: +m[1], index: m.index, length: m[0].length };
+  m = s.match(MONTH_DAY_RE);
+  if (m) return { y: +m[3], mo: monthNumber(m[1]), d: +m[2], index: m.index, length: m[0].length };
+  m = s.match(DMY_DATE_RE);
+  if (m) return { y: +m[3], mo: +m[2], d: +m[1], index: m.index, length: m[0].length };
+  return null;
+}
+
+// First clock time after the date (or anywhere, if the time comes first)
+function findTime(s, after) {
+  const candidates = [...s.matchAll(TIME_RE)].filter(m => {
+    if (m.index >= after.index && m.index < after.index + after.length) return false;
+    // a bare number is only a time with minutes or am/pm ("10:00", "10h00", "10am")
+    return m[2] != null || m[3] != null;
+  });
+  const m = candidates.find(c => c.index >= after.index) || candidates[0];
+  if (!m) return null;
+  let h = parseInt(m[1], 10);
+  const min = m[2] ? parseInt(m[2], 10) : 0;
+  const ampm = (m[3] || '').replace(/\./g, '').toLowerCase();
+  if (ampm === 'pm' && h < 12) h += 12;
+  if (ampm === 'am' && h === 12) h = 0;
+  if (h > 23 || min > 59) return null;
+  return { h, min };
+}
+
+/** Briefing date/time in one sentence (South African time, see dates.js), or null */
+function findDateTime(s) {
+  const date = findDate(s);
+  // 31 February would roll into March; treat it as unreadable
+  if (!date || date.mo > 12 || new Date(Date.UTC(date.y, date.mo - 1, date.d)).getUTCDate() !== date.d) return null;
+  const time = findTime(s, date) || { h: 0, min: 0 };
+  return zonedDate({ y: date.y, mo: date.mo, d: date.d, h: time.h, mi: time.min });
+}
+
+function findVenue(s) {
+  const m = s.match(VENUE_LABEL_RE) || s.match(HELD_AT_RE);
+  if (!m) return null;
+  const venue = m[1].replace(/^the\s+/i, '').replace(/\s+/g, ' ').trim();
+  // "held at 10:00" or "held at https://..." is not a place
+  if (!venue || /^\d|^https?:/i.test(venue) || ONLINE_PLATFORM_RE.test(venue) && venue.length < 20) return null;
+  return venue.slice(0, 200);
+}
+
+function findLink(s) {
+  // a link that ends its sentence keeps the full stop otherwise
+  const links = (s.match(LINK_RE) || []).map(l => l.replace(/[.,;:!?]+$/, ''));
+  return links.find(l => ONLINE_HOSTS_RE.test(l)) || links[0] || null;
+}
+
+const strings = (list) => [].concat(list || []).filter(t => typeof t === 'string' && t.trim());
+
+/**
+ * Briefing session of one tender.
+ * fields: briefing-specific values read whole (Transnet's briefingSession, briefingDetails)
+ * text:   free text in which only the sentences about a briefing count
+ * Returns { briefing_at, briefing_venue, briefing_compulsory, briefing_link } (null when not stated).
+ */
+function parseBriefing(fields = [], text = []) {
+  const result = { briefing_at: null, briefing_venue: null, briefing_compulsory: null, briefing_link: null };
+  const sentences = [...strings(fields), ...briefingSentences(strings(text))];
+  if (sentences.some(s => NO_BRIEFING_RE.test(s))) {
+    result.briefing_compulsory = false;
+    return result;
+  }
+
+  for (const s of sentences) {
+    if (result.briefing_compulsory === null) {
+      if (NOT_COMPULSORY_RE.test(s)) result.briefing_compulsory = false;
+      else if (COMPULSORY_RE.test(s)) result.briefing_compulsory = true;
+    }
+    result.briefing_at = result.briefing_at || findDateTime(s);
+    result.briefing_venue = result.briefing_venue || findVenue(s);
+    result.briefing_link = result.briefing_link || findLink(s);
+  }
+
+  // Online sessions without a physical venue are listed under their platform
+  if (!result.briefing_venue) {
+    const platform = sentences.map(s => s.match(ONLINE_PLATFORM_RE)).find(Boolean);
+    if (platform) result.briefing_venue = `Online (${/teams/i.test(platform[1]) ? 'Microsoft Teams' : platform[1]})`;
+    else if (result.briefing_link && ONLINE_HOSTS_RE.test(result.briefing_link)) result.briefing_venue = 'Online';
+  }
+  return result;
+}
+
+/** Fill the tender's empty briefing fields (see parseBriefing); returns the tender */
+function applyBriefing(tender, fields, text) {
+  const parsed = parseBriefing(fields, text);
+  for (const [k, v] of Object.entries(parsed)) {
+    if (tender[k] == null) tender[k] = v;
+  }
+  return tender;
+}
+
+module.exports = {
+  briefingSentences,
+  findDateTime,
+  parseBriefing,
+  applyBriefing,
+};
@@ -0,0 +1,310 @@
+// bulk.js - set-based tender writes: a fixed number of statements per batch instead of per row
+//
+// The row path (index.js upsertItem) costs a SELECT ... FOR UPDATE, the upsert, and a DELETE
+// plus one INSERT per document and per contact for every tender, so a 2,500-row eTenders file
+// is over 10k round trips. bulkUpsert writes a batch as:
+//   1. lock and read the stored rows of the whole batch (revisions.loadCurrentMany)
+//   2. rows whose hash and prepared hash (preparedHash) are unchanged: only last_seen_at and
+//      the lifecycle status are refreshed; their documents and contacts are not touched
+//   3. new and changed rows: one INSERT ... SELECT FROM unnest(...) ON CONFLICT upsert
+//   4. revisions of the changed rows in one INSERT (not for dates only re-read, see isDateReread)
+//   5. documents and contacts diffed against what is stored: rows that disappeared are
+//      deleted, new ones inserted, the rest keep their ids
+// Duplicate detection (dedupe.js) still runs per new or changed tender.
+// A backfilled snapshot older than the stored row (isStale) writes nothing at all: no columns,
+// revisions, documents or contacts. The upsert's WHERE guards the same in SQL.
+const { deriveStatus } = require("./lifecycle");
+const { loadCurrentMany, recordRevisions, comparable, diffTender } = require("./revisions");
+const { upsertOutcome, classifyEvent, buildNotification } = require("./notifications");
+const { linkDuplicates } = require("./dedupe");
+const { sha } = require("./helpers");
+const { isDateReread } = require("./dates");
+
+// Column, array type for unnest, and how to read it off a prepared tender (index.js prepareItem)
+const json = (v) => (v == null ? null : JSON.stringify(v));
+const TENDER_COLUMNS = [
+  ['external_id', 'text'],
+  ['source_tender_id', 'text'],
+  ['title', 'text'],
+  ['description', 'text'],
+  ['category', 'text'],
+  ['location', 'text'],
+  ['buyer', 'text'],
+  ['procurement_method', 'text'],
+  ['procurement_method_details', 'text'],
+  ['status', 'text'],
+  ['tender_type', 'text'],
+  ['published_at', 'timestamptz'],
+  ['briefing_at', 'timestamptz'],
+  ['briefing_venue', 'text'],
+  ['briefing_compulsory', 'boolean'],
+  ['tender_start_at', 'timestamptz'],
+  ['closing_at', 'timestamptz'],
+  ['value_amount', 'numeric'],
+  ['value_currency', 'text'],
+  ['url', 'text'],
+  ['hash', 'text'],
+  ['tender_box_address', 'text'],
+  ['target_audience', 'text'],
+  ['contract_type', 'text'],
+  ['project_type', 'text'],
+  ['queries_to', 'text'],
+  ['briefing_details', 'text'],
+  // Just seen, so only the raw status and closing date matter here
+  ['lifecycle_status', 'text', (t) => deriveStatus(t)],
+  ['canonical_category', 'text'],
+  ['cidb_grade', 'smallint'],
+  ['cidb_class', 'text'],
+  ['cidb_gradings', 'jsonb', (t) => json(t.cidb_gradings)],
+  ['preference_system', 'text'],
+  ['extraction_confidence', 'jsonb', (t) => json(t.extraction_confidence)],
+  ['province', 'text'],
+  ['municipality', 'text'],
+  ['briefing_link', 'text'],
+  ['prepared_hash', 'text'],
+  ['date_rules_version', 'smallint'],
+].map(([name, type, read = (t) => t[name] ?? null]) => ({ name, type, read }));
+
+const COLUMN_LIST = TENDER_COLUMNS.map(c => c.name).join(', ');
+
+// $1 source id, then one array per column, then the snapshot time (null: now)
+const SEEN_AT_PARAM = TENDER_COLUMNS.length + 2;
+
+const BULK_UPSERT_SQL = `
+INSERT INTO tenders (source_id, ${COLUMN_LIST}, last_seen_at, lifecycle_updated_at)
+SELECT $1, r.*, coalesce($${SEEN_AT_PARAM}::timestamptz, now()), now()
+FROM unnest(${TENDER_COLUMNS.map((c, i) => `$${i + 2}::${c.type}[]`).join(', ')})
+  AS r(${COLUMN_LIST})
+ON CONFLICT (source_id, external_id) DO UPDATE SET
+  ${TENDER_COLUMNS.filter(c => c.name !== 'external_id').map(c => `${c.name}=EXCLUDED.${c.name}`).join(',\n  ')},
+  last_seen_at=GREATEST(tenders.last_seen_at, EXCLUDED.last_seen_at),
+  lifecycle_updated_at=now()
+WHERE tenders.last_seen_at IS NULL OR tenders.last_seen_at <= EXCLUDED.last_seen_at
+RETURNING id, external_id
+`;
+
+const TOUCH_UNCHANGED_SQL = `
+UPDATE tenders t
+SET last_seen_at = GREATEST(t.last_seen_at, coalesce($3::timestamptz, now())),
+    lifecycle_status = r.lifecycle_status, lifecycle_updated_at = now()
+FROM unnest($1::bigint[], $2::text[]) AS r(id, lifecycle_status)
+WHERE t.id = r.id
+`;
+
+/**
+ * Mark stored tenders as seen without writing anything else: [{ before, it }] from the batch.
+ * lifecycle_status follows the incoming raw status and closing date.
+ */
+async function touchUnchanged(client, entries, seenAt) {
+  if (!entries.length) return;
+  await client.query(TOUCH_UNCHANGED_SQL, [
+    entries.map(u => u.before.id),
+    entries.map(u => deriveStatus(u.it.tender)),
+    seenAt,
+  ]);
+}
+
+/** True when `seenAt` (the snapshot's time) is older than the stored row */
+function isStale(before, seenAt) {
+  return Boolean(before && seenAt && before.last_seen_at && new Date(before.last_seen_at) > new Date(seenAt));
+}
+
+// Child tables written per tender: columns (after tender_id), their types, and the item's list
+const CHILD_TABLES = {
+  documents: {
+    columns: ['url', 'name', 'mime_type', 'published_at'],
+    types: ['text', 'text', 'text', 'timestamptz'],
+    of: (it) => it.documents,
+  },
+  contacts: {
+    columns: ['name', 'email', 'phone'],
+    types: ['text', 'text', 'text'],
+    of: (it) => it.contacts,
+  },
+};
+
+// Empty strings are stored as NULL (as the row path does) and dates compared as instants
+function childValue(column, v) {
+  if (v === undefined || v === null || v === '') return null;
+  if (column === 'published_at' && !(v instanceof Date)) {
+    const d = new Date(v);
+    return isNaN(d) ? String(v) : d.toISOString();
+  }
+  return comparable(v);
+}
+
+function childKey(columns, row) {
+  return JSON.stringify(columns.map(c => childValue(c, row[c])));
+}
+
+// Not part of what a write stores for the tender's content
+const UNHASHED_COLUMNS = new Set(['hash', 'prepared_hash', 'lifecycle_status']);
+
+/**
+ * Hash of everything a write stores for a prepared item (index.js prepareItem): every tender
+ * column, derived ones included, plus its documents and contacts in any order. An adapter's
+ * hash covers only its source fields, so a new addendum, a changed contact or a new
+ * classification rule leave it as it was; this one catches them.
+ */
+function preparedHash(it) {
+  const children = {};
+  for (const [table, { columns, of }] of Object.entries(CHILD_TABLES)) {
+    children[table] = (of(it) || []).map(row => childKey(columns, row)).sort();
+  }
+  const columns = TENDER_COLUMNS.filter(c => !UNHASHED_COLUMNS.has(c.name)).map(c => comparable(c.read(it.tender)));
+  return sha(JSON.stringify({ columns, ...children }));
+}
+
+/**
+ * What to change so a tender's stored child rows match the wanted ones.
+ * stored: [{ id, ...columns }], wanted: [{ ...columns }]
+ * Returns { remove: [id], add: [wanted row] }; rows equal on every column are kept.
+ */
+function diffChildren(columns, stored, wanted) {
+  const byKey = new Map();
+  for (const row of stored) {
+    const k = childKey(columns, row);
+    if (!byKey.has(k)) byKey.set(k, []);
+    byKey.get(k).push(row.id);
+  }
+  const add = [];
+  for (const row of wanted) {
+    const ids = byKey.get(childKey(columns, row));
+    if (ids && ids.length) ids.shift();
+    else add.push(row);
+  }
+  const remove = [...byKey.values()].flat();
+  return { remove, add };
+}
+
+async function syncChildren(client, table, written) {
+  const { columns, types, of } = CHILD_TABLES[table];
+  const tenderIds = written.map(w => w.tenderId);
+  const { rows } = await client.query(
+    `SELECT id, tender_id, ${columns.join(', ')} FROM ${table} WHERE tender_id = ANY($1::bigint[])`,
+    [tenderIds]
+  );
+  const storedByTender = new Map();
+  for (const r of rows) {
+    if (!storedByTender.has(String(r.tender_id))) storedByTender.set(String(r.tender_id), []);
+    storedByTender.get(String(r.tender_id)).push(r);
+  }
+
+  const remove = [];
+  const insert = [[], ...columns.map(() => [])];
+  for (const { tenderId, item } of written) {
+    const diff = diffChildren(columns, storedByTender.get(String(tenderId)) || [], of(item) || []);
+    remove.push(...diff.remove);
+    for (const row of diff.add) {
+      insert[0].push(tenderId);
+      columns.forEach((c, i) => insert[i + 1].push(row[c] === '' || row[c] === undefined ? null : row[c]));
+    }
+  }
+
+  if (remove.length) {
+    await client.query(`DELETE FROM ${table} WHERE id = ANY($1::bigint[])`, [remove]);
+  }
+  if (insert[0].length) {
+    await client.query(
+      `INSERT INTO ${table} (tender_id, ${columns.join(', ')})
+       SELECT * FROM unnest($1::bigint[], ${types.map((type, i) => `$${i + 2}::${type}[]`).join(', ')})`,
+      insert
+    );
+  }
+  return { removed: remove.length, added: insert[0].length };
+}
+
+/**
+ * Write one batch of prepared items (index.js prepareItem) inside the caller's transaction.
+ * A tender listed twice in the batch is written once, with its last listing.
+ * seenAt: the snapshot's time for last_seen_at (see index.js processObject), null for now;
+ *         tenders stored from a newer snapshot are left alone and count as unchanged
+ * force:  write unchanged tenders in full too (they still count, and notify, as unchanged)
+ * A partial item (adapter could read only the listing) of a stored tender is only marked as seen.
+ * A tender whose hash is unchanged but whose prepared hash is not (new documents or contacts,
+ * re-derived fields) is written in full as well, and also counts as unchanged.
+ * So does a tender whose dates only moved because older date rules read them (dates.js
+ * isDateReread): it gets no revision and no notification.
+ * Returns { processed, outcomes: { inserted, updated, unchanged }, notifications }.
+ */
+async function bulkUpsert(client, { sourceId, source, seenAt = null, force = false }, batch) {
+  const latest = new Map();
+  for (const it of batch) latest.set(it.tender.external_id, it);
+  const items = [...latest.values()];
+  if (items.length < batch.length) {
+    console.warn(`${batch.length - items.length} ${source} tenders listed twice in one batch; keeping the last listing`);
+  }
+
+  const outcomes = { inserted: 0, updated: 0, unchanged: 0 };
+  const notifications = [];
+  const current = await loadCurrentMany(client, sourceId, items.map(it => it.tender.external_id));
+
+  const changed = [];
+  const unchanged = [];
+  let stale = 0;
+  for (const it of items) {
+    it.tender.prepared_hash = preparedHash(it);
+    const before = current.get(it.tender.external_id) || null;
+    if (isStale(before, seenAt)) {
+      outcomes.unchanged++;
+      stale++;
+      continue;
+    }
+    if (it.partial && before) {
+      // Listing row only (its detail page failed): keep the stored detail fields and child rows
+      outcomes.unchanged++;
+      unchanged.push({ it, before, outcome: 'unchanged' });
+      continue;
+    }
+    let outcome = upsertOutcome(before, it.tender);
+    const reread = outcome === 'updated' && isDateReread(before, diffTender(before, it.tender));
+    if (reread) outcome = 'unchanged';
+    outcomes[outcome]++;
+    const skip = outcome === 'unchanged' && !force && !reread && before.prepared_hash === it.tender.prepared_hash;
+    (skip ? unchanged : changed).push({ it, before, outcome, reread });
+  }
+
+  if (stale) console.log(`${stale} ${source} tenders are stored from a newer snapshot; left as they are`);
+
+  await touchUnchanged(client, unchanged, seenAt);
+  if (!changed.length) return { processed: items.length, outcomes, notifications };
+
+  const params = [sourceId, ...TENDER_COLUMNS.map(c => changed.map(({ it }) => c.read(it.tender))), seenAt];
+  const { rows } = await client.query(BULK_UPSERT_SQL, params);
+  const idByExternal = new Map(rows.map(r => [r.external_id, r.id]));
+
+  const written = changed.map(({ it, before, outcome, reread }) => ({
+    tenderId: idByExternal.get(it.tender.external_id),
+    item: it,
+    before,
+    outcome,
+    reread,
+  }));
+  if (written.some(w => w.tenderId == null)) {
+    throw new Error(`Bulk upsert returned ${rows.length} ids for ${written.length} ${source} tenders`);
+  }
+
+  const diffs = await recordRevisions(client, written.filter(w => !w.reread)
+    .map(w => ({ tenderId: w.tenderId, before: w.before, after: w.item.tender })));
+  for (const table of Object.keys(CHILD_TABLES)) await syncChildren(client, table, written);
+
+  for (const w of written) {
+    const t = w.item.tender;
+    // Link to the same tender listed on another source
+    await linkDuplicates(client, w.tenderId, sourceId, t);
+    const changes = diffs.get(w.tenderId) || null;
+    const eventType = classifyEvent(w.outcome, changes);
+    if (eventType) notifications.push(buildNotification(eventType, w.tenderId, t, source, changes));
+  }
+
+  return { processed: items.length, outcomes, notifications };
+}
+
+module.exports = {
+  TENDER_COLUMNS,
+  diffChildren,
+  preparedHash,
+  isStale,
+  touchUnchanged,
+  bulkUpsert,
+};
@@ -0,0 +1,197 @@
+// contacts.js - pull procurement contacts (name, email, SA phone) out of source fields and free text
+//
+// Sources rarely give structured contacts: SANRAL has "Ms P. Mokoena (pmokoena@nra.co.za)"
+// in queriesTo and phone numbers in the detail paragraphs, Transnet a contactPerson next
+// to a contactEmail that is sometimes a list. Names, emails and phones are found with
+// their positions and grouped in reading order: a value whose slot is already taken, or
+// that sits far from the previous one, starts the next contact. A second phone close by
+// ("Tel: 012 ... / 082 ...") is the same person's other number and is not kept.
+//
+// Phones are normalized to E.164 (+27XXXXXXXXX), emails to lower case, and contacts
+// that share an email, phone or name are merged so each tender lists a person once.
+const { squashWhitespace, extractEmails } = require('./helpers');
+
+// Characters between two values of the same contact ("Ms X (x@y.z), tel 012 ...")
+const MAX_GAP = 80;
+
+// Candidate phone numbers; normalizePhone decides whether the digits are a real SA number
+const PHONE_RE = /(?<![\w/.+])(?:\+|\()?\d[\d\s().-]{7,30}\d(?![\w/])/g;
+// A fax number is not a way to reach the buyer
+const FAX_LABEL_RE = /fax\s*(?:no\.?|number)?\s*[:.]?\s*$/i;
+
+const HONORIFIC = '(?:Mr|Mrs|Ms|Miss|Mx|Dr|Prof|Adv)\\.?';
+// Capitalised words, but not the label that usually follows a name
+const NAME_WORD = "(?!(?:Tel|Telephone|Phone|Cell|Mobile|Fax|Email|E-mail|At|On|Or|And|For|Tender|Contact)\\b)[A-Z][A-Za-z'’-]+";
+// Surname particles: "Mr J. van der Merwe", "Ms N. du Plessis"
+const PARTICLES = '(?:(?:van|von|der|den|de|du|le|la)\\s+)*';
+const HONORIFIC_NAME_RE = new RegExp(`\\b${HONORIFIC}\\s+(?:[A-Z]\\.\\s?)*${PARTICLES}${NAME_WORD}(?:\\s+${PARTICLES}${NAME_WORD}){0,2}`, 'g');
+const LABELLED_NAME_RE = new RegExp(
+  `\\b(?:[Cc]ontact(?: [Pp]erson)?|[Ee]nquiries|[Qq]ueries|[Aa]ttention|[Aa]ttn)\\b[^:\\n]{0,30}?:\\s*` +
+  `((?:${HONORIFIC}\\s+)?(?:[A-Z]\\.\\s?)*${NAME_WORD}(?:\\s+${PARTICLES}${NAME_WORD}){1,3})`,
+  'g'
+);
+// What is left of a contact field once emails and phones are gone, if it reads like a name
+const BARE_NAME_RE = /^(?:[A-Z][A-Za-z.'’-]*)(?:\s+[A-Z][A-Za-z.'’-]*){0,4}$/;
+const LABEL_WORDS_RE = /\b(?:tel(?:ephone)?|phone|cell|mobile|fax|e-?mail|contact(?: person)?|enquiries|queries)\b\s*(?:no\.?|number)?\s*[:.]?/gi;
+
+/** SA phone number as E.164 (+27 and 9 digits), or null */
+function normalizePhone(raw) {
+  if (raw == null) return null;
+  // "+27 (0)12 ..." writes the trunk zero in brackets
+  let digits = String(raw).replace(/\(0\)/g, '').replace(/\D/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  if (digits.length === 12 && digits.startsWith('270')) digits = `27${digits.slice(3)}`;
+  if (digits.length === 11 && digits.startsWith('27') && digits[2] !== '0') return `+${digits}`;
+  if (digits.length === 10 && digits[0] === '0' && digits[1] !== '0') return `+27${digits.slice(1)}`;
+  return null;
+}
+
+// Two numbers separated only by spaces read as one run of digits; split it back up
+function splitPhoneRun(candidate) {
+  const found = [];
+  let acc = '';
+  for (const token of candidate.split(/\s+/)) {
+    acc = acc ? `${acc} ${token}` : token;
+    const phone = normalizePhone(acc);
+    if (phone) {
+      found.push(phone);
+      acc = '';
+    }
+  }
+  return found;
+}
+
+/** SA phone numbers in text as [{ value, index }] (E.164), fax numbers skipped */
+function findPhones(text) {
+  const found = [];
+  for (const m of String(text || '').matchAll(PHONE_RE)) {
+    if (FAX_LABEL_RE.test(text.slice(Math.max(0, m.index - 16), m.index))) continue;
+    const whole = normalizePhone(m[0]);
+    const values = whole ? [whole] : splitPhoneRun(m[0]);
+    for (const value of values) found.push({ value, index: m.index });
+  }
+  return found;
+}
+
+function findNames(text) {
+  const found = [];
+  for (const m of text.matchAll(HONORIFIC_NAME_RE)) found.push({ value: m[0], index: m.index, end: m.index + m[0].length });
+  for (const m of text.matchAll(LABELLED_NAME_RE)) {
+    const index = m.index + m[0].length - m[1].length;
+    // "Contact: Ms P. Mokoena" is already covered by the honorific match
+    if (found.some(n => index < n.end && n.index < index + m[1].length)) continue;
+    found.push({ value: m[1], index, end: index + m[1].length });
+  }
+  return found;
+}
+
+function findEmails(text) {
+  // extractEmails de-duplicates, so each address is placed at its first mention
+  return extractEmails(text)
+    .map(email => ({ value: email.toLowerCase(), index: text.indexOf(email) }))
+    .sort((a, b) => a.index - b.index);
+}
+
+/** Contacts in one piece of free text: [{ name, email, phone }] */
+function contactsFromText(text) {
+  const s = String(text || '');
+  if (!s.trim()) return [];
+  const tokens = [
+    ...findNames(s).map(t => ({ ...t, kind: 'name' })),
+    ...findEmails(s).map(t => ({ ...t, kind: 'email' })),
+    ...findPhones(s).map(t => ({ ...t, kind: 'phone' })),
+  ].sort((a, b) => a.index - b.index);
+
+  const contacts = [];
+  let current = null;
+  let lastIndex = -Infinity;
+  for (const t of tokens) {
+    const near = t.index - lastIndex <= MAX_GAP;
+    lastIndex = t.index;
+    if (near && t.kind === 'phone' && current?.phone) continue;
+    // names lead their contact ("Ms X, x@y.z, 012 ..."), so a name after an email or phone starts the next one
+    const startsNext = t.kind === 'name' && (current?.email || current?.phone);
+    if (!current || current[t.kind] || startsNext || !near) {
+      current = { name: null, email: null, phone: null };
+      contacts.push(current);
+    }
+    current[t.kind] = t.kind === 'name' ? squashWhitespace(t.value) : t.value;
+  }
+  return contacts;
+}
+
+/**
+ * Contacts in a field that is about a contact (queriesTo, contactPerson + contactEmail).
+ * Unlike free text, a bare "Thabo Nkosi" here is taken as the name.
+ */
+function contactsFromField(...parts) {
+  const text = parts.filter(p => p != null && String(p).trim()).join('\n');
+  const contacts = contactsFromText(text);
+  if (contacts.some(c => c.name)) return contacts;
+
+  let rest = text;
+  for (const e of extractEmails(rest)) rest = rest.split(e).join(' ');
+  rest = squashWhitespace(rest
+    .replace(PHONE_RE, ' ')
+    .replace(LABEL_WORDS_RE, ' ')
+    .replace(/[()[\]<>,;:|/]+/g, ' '));
+  if (!rest || !BARE_NAME_RE.test(rest) || rest.length > 60) return contacts;
+
+  if (!contacts.length) return [{ name: rest, email: null, phone: null }];
+  contacts[0].name = rest;
+  return contacts;
+}
+
+// "Ms P. Mokoena" and "P Mokoena" are the same person
+function nameKey(name) {
+  return name
+    ? name.toLowerCase().replace(new RegExp(`^${HONORIFIC.toLowerCase()}\\s+`), '').replace(/[^a-z]/g, '')
+    : null;
+}
+
+function sameContact(a, b) {
+  if (a.email && b.email) return a.email === b.email;
+  if (a.phone && b.phone && a.phone === b.phone) return true;
+  return Boolean(a.name && b.name && nameKey(a.name) === nameKey(b.name));
+}
+
+/** Normalize and de-duplicate contacts; merged entries keep the first value of each field */
+function mergeContacts(contacts) {
+  const merged = [];
+  for (const c of contacts) {
+    const next = {
+      name: squashWhitespace(c.name) || null,
+      email: extractEmails(c.email)[0]?.toLowerCase() || null,
+      phone: normalizePhone(c.phone),
+    };
+    if (!next.name && !next.email && !next.phone) continue;
+    const existing = merged.find(m => sameContact(m, next));
+    if (!existing) {
+      merged.push(next);
+      continue;
+    }
+    for (const k of ['name', 'email', 'phone']) existing[k] = existing[k] || next[k];
+  }
+  return merged;
+}
+
+/**
+ * Contacts for one tender.
+ * fields: contact-specific values, each a string or an array of parts of one contact
+ * text:   free text (descriptions, detail paragraphs) to scan as well
+ */
+function extractContacts(fields = [], text = []) {
+  return mergeContacts([
+    ...fields.flatMap(f => contactsFromField(...[].concat(f))),
+    ...text.flatMap(contactsFromText),
+  ]);
+}
+
+module.exports = {
+  normalizePhone,
+  findPhones,
+  contactsFromText,
+  contactsFromField,
+  mergeContacts,
+  extractContacts,
+};
@@ -0,0 +1,244 @@
+// dates.js - one date parser for every source, with a reason for each result
+//
+// Sources write dates in many ways: eTenders ISO timestamps (with or without an offset),
+// Eskom "2027-Feb-22 13:33:00", SANRAL "2026/01/15 11:00", Transnet US-style
+// "12/12/2025 4:00:00 PM", and free text with "Tuesday, 4 November 2025 at 12h00".
+// parseDate tries the format catalogue below against the whole value and says why it
+// returned what it did, so an unreadable or ambiguous closing date is counted (see
+// dateReader / summarizeDateIssues) instead of silently becoming null.
+//
+// Wall-clock times are South African unless they carry an offset. The zone is resolved
+// with Intl (SOURCE_TIMEZONE, default Africa/Johannesburg) rather than a fixed "+02:00".
+// TZ_OFFSET, the fixed offset the adapters used before, still works when SOURCE_TIMEZONE is unset.
+
+const OFFSET_RE = /^([+-])(\d{2}):?(\d{2})$/;
+const DEFAULT_TIMEZONE = process.env.SOURCE_TIMEZONE
+  || (OFFSET_RE.test(process.env.TZ_OFFSET || '') ? process.env.TZ_OFFSET : 'Africa/Johannesburg');
+
+// Bumped when a change here moves dates already stored (tenders.date_rules_version, see isDateReread).
+// 2: date-only values are read in the source zone (closing dates at 23:59:59), and eTenders
+//    timestamps without an offset as South African rather than UTC
+const DATE_RULES_VERSION = 2;
+const DATE_FIELDS = ['published_at', 'briefing_at', 'tender_start_at', 'closing_at'];
+
+// parseDate reasons: ok, date_only, empty, and these three, which are worth reporting
+const ISSUE_REASONS = new Set(['ambiguous', 'invalid', 'unparseable']);
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+const MONTHS = new Map();
+MONTH_NAMES.forEach((name, i) => {
+  MONTHS.set(name, i + 1);
+  MONTHS.set(name.slice(0, 3), i + 1);
+});
+MONTHS.set('sept', 9);
+
+/** Month number (1-12) for "Feb", "february", "Sept."; undefined otherwise */
+function monthNumber(name) {
+  return MONTHS.get(String(name || '').toLowerCase().replace(/\.$/, ''));
+}
+
+// --- time zone ---
+const offsetFormatters = new Map();
+function zoneOffsetMinutes(utcMs, timeZone) {
+  if (!offsetFormatters.has(timeZone)) {
+    offsetFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  const p = Object.fromEntries(offsetFormatters.get(timeZone).formatToParts(new Date(utcMs)).map(x => [x.type, x.value]));
+  return (Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second) - utcMs) / 60000;
+}
+
+/**
+ * Date for a wall-clock time in timeZone (or at a fixed offset in minutes, when given).
+ * timeZone is an IANA name or a fixed offset such as "+02:00".
+ */
+function zonedDate({ y, mo, d, h = 0, mi = 0, s = 0, offset = null }, timeZone = DEFAULT_TIMEZONE) {
+  const wall = Date.UTC(y, mo - 1, d, h, mi, s);
+  if (offset == null && OFFSET_RE.test(timeZone)) offset = parseOffset(timeZone);
+  if (offset != null) return new Date(wall - offset * 60000);
+  // The offset at the wall time read as UTC is right except across a DST change; check once more
+  const first = wall - zoneOffsetMinutes(wall, timeZone) * 60000;
+  return new Date(wall - zoneOffsetMinutes(first, timeZone) * 60000);
+}
+
+// --- format catalogue ---
+// Date part, anchored at the start; whatever follows must be a time (or nothing)
+const DATE_FORMATS = [
+  // 2025-12-02, 2026/01/15 (SANRAL), 2025.12.02
+  { name: 'y-m-d', re: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/, parts: m => ({ y: +m[1], mo: +m[2], d: +m[3] }) },
+  // 2027-Feb-22 (Eskom)
+  { name: 'y-mon-d', re: /^(\d{4})[-\s]([A-Za-z]{3,9}\.?)[-\s](\d{1,2})/, parts: m => ({ y: +m[1], mo: monthNumber(m[2]), d: +m[3] }) },
+  // 4 November 2025, 4th Nov. 2025, 04-Nov-2025
+  { name: 'd month y', re: /^(\d{1,2})(?:st|nd|rd|th)?[-\s]([A-Za-z]{3,9}\.?),?[-\s](\d{4})/, parts: m => ({ y: +m[3], mo: monthNumber(m[2]), d: +m[1] }) },
+  // November 4, 2025
+  { name: 'month d, y', re: /^([A-Za-z]{3,9}\.?)\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/, parts: m => ({ y: +m[3], mo: monthNumber(m[1]), d: +m[2] }) },
+  // 02/12/2025 or 12/2/2025: day or month first, see numericParts
+  { name: 'numeric', re: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/, numeric: true },
+];
+
+// 10:00, 16:00:00, 4:00:00 PM, 12h00, 9am, 10:00+02:00, T11:00:00.000Z
+const TIME_RE = /^(\d{1,2})(?:(?::|h)(\d{2}))?(?::(\d{2})(?:\.\d+)?)?\s*(am|pm|a\.m\.|p\.m\.)?\s*(?:hrs?\b)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const WEEKDAY_RE = /^(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+/i;
+// Labels around the time that carry no information: "at", "@", "(SAST)"
+const TIME_NOISE_RE = /^(?:[,T@]|\s|\bat\b)+|\s*\(?\b(?:SAST|South African Standard Time)\b\)?\s*$/gi;
+
+function parseOffset(z) {
+  if (!z) return null;
+  if (/^z$/i.test(z)) return 0;
+  const m = z.match(OFFSET_RE);
+  return (m[1] === '-' ? -1 : 1) * (parseInt(m[2], 10) * 60 + parseInt(m[3], 10));
+}
+
+function parseTime(rest) {
+  const s = rest.replace(TIME_NOISE_RE, '').trim();
+  if (!s) return { time: null };
+  if (/^(?:noon|midday)$/i.test(s)) return { time: { h: 12, mi: 0, s: 0 } };
+  const m = s.match(TIME_RE);
+  // a bare "10" is not a time
+  if (!m || (m[2] == null && m[4] == null)) return { error: 'unparseable' };
+  let h = parseInt(m[1], 10);
+  const mi = m[2] ? parseInt(m[2], 10) : 0;
+  const sec = m[3] ? parseInt(m[3], 10) : 0;
+  const ampm = (m[4] || '').replace(/\./g, '').toLowerCase();
+  if (ampm && (h < 1 || h > 12)) return { error: 'invalid' };
+  if (ampm === 'pm' && h < 12) h += 12;
+  if (ampm === 'am' && h === 12) h = 0;
+  if (h > 23 || mi > 59 || sec > 59) return { error: 'invalid' };
+  return { time: { h, mi, s: sec, offset: parseOffset(m[5]) } };
+}
+
+// dd/mm/yyyy vs m/d/yyyy: a part above 12 settles it, then the source's known habit;
+// without one, day-first is a guess and reported as ambiguous
+function numericParts(m, order) {
+  const a = +m[1];
+  const b = +m[2];
+  const y = +m[3];
+  if (a > 12 && b <= 12) return { y, mo: b, d: a };
+  if (b > 12 && a <= 12) return { y, mo: a, d: b };
+  if (order === 'mdy') return { y, mo: a, d: b };
+  if (order === 'dmy' || a === b) return { y, mo: b, d: a };
+  return { y, mo: b, d: a, ambiguous: true };
+}
+
+function validDay({ y, mo, d }) {
+  if (!mo || mo < 1 || mo > 12 || d < 1) return false;
+  return new Date(Date.UTC(y, mo - 1, d)).getUTCDate() === d;
+}
+
+/**
+ * Parse one date value.
+ * opts.order     - 'dmy' or 'mdy' when the source always writes numeric dates that way;
+ *                  unset, 3/4/2025 is read day-first (SA habit) and reported as ambiguous
+ * opts.endOfDay  - a date without a time means the end of that day (closing dates)
+ * opts.timeZone  - zone of wall-clock times without an offset
+ * Returns { date, reason, format }: reason is ok, date_only, empty or an issue; date is null for
+ * empty, invalid and unparseable values, and set (day-first) for ambiguous ones.
+ */
+function parseDate(value, { order = null, endOfDay = false, timeZone = DEFAULT_TIMEZONE } = {}) {
+  if (value instanceof Date) {
+    return isNaN(value) ? { date: null, reason: 'invalid', format: 'Date' } : { date: value, reason: 'ok', format: 'Date' };
+  }
+  const s = String(value ?? '').replace(/\s+/g, ' ').trim().replace(WEEKDAY_RE, '');
+  if (!s) return { date: null, reason: 'empty', format: null };
+
+  for (const f of DATE_FORMATS) {
+    const m = s.match(f.re);
+    if (!m) continue;
+    const rest = s.slice(m[0].length);
+    // "2025-12-02x" or "4 Nov 20251": not this format
+    if (rest && !/^[\sT,@]/.test(rest)) continue;
+
+    const day = f.numeric ? numericParts(m, order) : f.parts(m);
+    const { time, error } = parseTime(rest);
+    if (error) return { date: null, reason: error, format: f.name };
+    if (!validDay(day)) return { date: null, reason: 'invalid', format: f.name };
+
+    const clock = time || (endOfDay ? { h: 23, mi: 59, s: 59 } : { h: 0, mi: 0, s: 0 });
+    const date = zonedDate({ ...day, ...clock }, timeZone);
+    const reason = day.ambiguous ? 'ambiguous' : time ? 'ok' : 'date_only';
+    return { date, reason, format: f.name };
+  }
+  return { date: null, reason: 'unparseable', format: null };
+}
+
+/**
+ * Per-record date reading for an adapter: read(field, value, opts) returns the Date (or null)
+ * and remembers ambiguous/invalid/unparseable values in `issues` as { field, value, reason }.
+ */
+function dateReader(defaults = {}) {
+  const issues = [];
+  return {
+    issues,
+    read(field, value, opts = {}) {
+      const res = parseDate(value, { ...defaults, ...opts });
+      if (ISSUE_REASONS.has(res.reason)) issues.push({ field, value: String(value).slice(0, 80), reason: res.reason });
+      return res.date;
+    },
+  };
+}
+
+// Calendar day (YYYY-MM-DD) of an instant in timeZone
+function dayIn(ms, timeZone) {
+  const offset = OFFSET_RE.test(timeZone) ? parseOffset(timeZone) : zoneOffsetMinutes(ms, timeZone);
+  return new Date(ms + offset * 60000).toISOString().slice(0, 10);
+}
+
+/**
+ * True when a stored row read under older date rules differs from the incoming tender only
+ * by what the current rules read differently: changes (revisions.diffTender) are all date
+ * fields, each either unreadable before or moved within the same day (a date-only value from
+ * UTC midnight to the end of the day, a timestamp without an offset from UTC to SAST).
+ * Such a write corrects the stored row and is not an amendment by the source.
+ */
+function isDateReread(before, changes, timeZone = DEFAULT_TIMEZONE) {
+  if (!before || (before.date_rules_version ?? 0) >= DATE_RULES_VERSION) return false;
+  const fields = Object.keys(changes || {});
+  if (!fields.length) return false;
+  return fields.every(f => {
+    if (!DATE_FIELDS.includes(f)) return false;
+    const { from, to } = changes[f];
+    if (to == null) return false;
+    if (from == null) return true;
+    const a = new Date(from).getTime();
+    const b = new Date(to).getTime();
+    if (Math.abs(b - a) >= 24 * 3600 * 1000) return false;
+    const day = dayIn(b, timeZone);
+    return day === dayIn(a, 'UTC') || day === dayIn(a, timeZone);
+  });
+}
+
+const MAX_ISSUE_SAMPLES = 10;
+
+/**
+ * Date issues of a file's items: { total, counts: { field: { reason: n } }, samples }, or null if none.
+ * items: normalized items carrying dateIssues (see dateReader)
+ */
+function summarizeDateIssues(items) {
+  const counts = {};
+  const samples = [];
+  let total = 0;
+  for (const it of items) {
+    for (const issue of it.dateIssues || []) {
+      total++;
+      counts[issue.field] = counts[issue.field] || {};
+      counts[issue.field][issue.reason] = (counts[issue.field][issue.reason] || 0) + 1;
+      if (samples.length < MAX_ISSUE_SAMPLES) samples.push({ external_id: it.tender?.external_id ?? null, ...issue });
+    }
+  }
+  return total ? { total, counts, samples } : null;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DATE_RULES_VERSION,
+  DATE_FIELDS,
+  monthNumber,
+  zonedDate,
+  parseDate,
+  dateReader,
+  isDateReread,
+  summarizeDateIssues,
+};
@@ -0,0 +1,228 @@
+// dedupe.js - cross-source duplicate detection and tender grouping
+//
+// The same tender is often advertised on eTenders and on the buyer's own portal.
+// After each upsert we look for a likely twin from another source and record both
+// in tender_groups / tender_group_members (see db/migrations/0002_tender_groups.sql).
+
+const DUPLICATE_THRESHOLD = 0.7;
+
+// Which listing becomes the group's canonical row (lower wins, ties -> lowest id)
+const SOURCE_PRIORITY = { etenders: 0, eskom: 1, transnet: 1, sanral: 1 };
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'of', 'to', 'in', 'a', 'an', 'on', 'at', 'by', 'with', 'from',
+  'supply', 'delivery', 'provision', 'services', 'service', 'tender', 'appointment',
+  'period', 'years', 'year', 'months', 'month',
+]);
+
+const BUYER_NOISE = /\b(soc|ltd|limited|pty|holdings|holding|the|of|south|africa|african|national|roads|agency|state|owned|company)\b/g;
+
+// "MWP 1234/CX" and "mwp1234cx" compare equal; bare numbers (Eskom TenderID) are too weak to match on
+function normalizeRef(ref) {
+  if (!ref) return null;
+  const s = String(ref).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return s.length >= 4 && /[A-Z]/.test(s) && /[0-9]/.test(s) ? s : null;
+}
+
+function normalizeBuyer(buyer) {
+  if (!buyer) return null;
+  const s = String(buyer).toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(BUYER_NOISE, ' ').replace(/\s+/g, ' ').trim();
+  return s || null;
+}
+
+function tokens(text) {
+  if (!text) return new Set();
+  return new Set(
+    String(text).toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length >= 3 && !/^\d+$/.test(w) && !STOPWORDS.has(w))
+  );
+}
+
+// Jaccard similarity over significant words (numbers are left to the reference match)
+function textSimilarity(a, b) {
+  const ta = tokens(a);
+  const tb = tokens(b);
+  if (!ta.size || !tb.size) return 0;
+  let inter = 0;
+  for (const w of ta) if (tb.has(w)) inter++;
+  return inter / (ta.size + tb.size - inter);
+}
+
+function refsOf(t) {
+  return [...new Set([normalizeRef(t.external_id), normalizeRef(t.title)].filter(Boolean))];
+}
+
+function sameBuyer(a, b) {
+  const ba = normalizeBuyer(a);
+  const bb = normalizeBuyer(b);
+  if (!ba || !bb) return false;
+  return ba === bb || ba.startsWith(bb) || bb.startsWith(ba);
+}
+
+function closingDelta(a, b) {
+  if (!a || !b) return null;
+  return Math.abs(new Date(a).getTime() - new Date(b).getTime());
+}
+
+/**
+ * Score how likely two tenders from different sources are the same tender.
+ * Returns { score, reasons } where score is 0..1+.
+ */
+function scoreMatch(a, b) {
+  const reasons = [];
+  let score = 0;
+
+  const refsB = new Set(refsOf(b));
+  if (refsOf(a).some(r => refsB.has(r))) {
+    score += 0.5;
+    reasons.push('reference');
+  }
+
+  if (sameBuyer(a.buyer, b.buyer)) {
+    score += 0.15;
+    reasons.push('buyer');
+  }
+
+  const delta = closingDelta(a.closing_at, b.closing_at);
+  if (delta != null && delta <= 24 * 3600 * 1000) {
+    score += 0.2;
+    reasons.push('closing_date');
+  }
+
+  const sim = textSimilarity(
+    `${a.title || ''} ${a.description || ''}`,
+    `${b.title || ''} ${b.description || ''}`
+  );
+  if (sim >= 0.2) {
+    score += 0.5 * sim;
+    reasons.push(`title_similarity:${sim.toFixed(2)}`);
+  }
+
+  return { score: Math.round(score * 1000) / 1000, reasons };
+}
+
+// Best-scoring candidate above the threshold, or null
+function pickDuplicate(tender, candidates) {
+  let best = null;
+  for (const c of candidates) {
+    const m = scoreMatch(tender, c);
+    if (m.score >= DUPLICATE_THRESHOLD && (!best || m.score > best.score)) {
+      best = { id: c.id, ...m };
+    }
+  }
+  return best;
+}
+
+// normalizeRef in SQL. db/migrations/0016_dedupe_reference_indexes.sql indexes exactly these
+// expressions; Postgres only uses an expression index for the identical expression.
+const refSql = (column) => `regexp_replace(upper(coalesce(t.${column}, '')), '[^A-Z0-9]', '', 'g')`;
+const REF_MATCH = `(${refSql('external_id')} = ANY($3::text[]) OR ${refSql('title')} = ANY($3::text[]))`;
+
+// Reference matches first, then the nearest closing dates, so a busy closing date cannot
+// push the real twin past the limit
+const CANDIDATES_SQL = `
+SELECT t.id, t.external_id, t.title, t.description, t.buyer, t.closing_at
+FROM tenders t
+WHERE t.source_id <> $1
+  AND t.id <> $2
+  AND (
+    ${REF_MATCH}
+    OR ($4::timestamptz IS NOT NULL
+        AND t.closing_at BETWEEN $4::timestamptz - INTERVAL '1 day' AND $4::timestamptz + INTERVAL '1 day')
+  )
+ORDER BY ${REF_MATCH} DESC, abs(extract(epoch FROM t.closing_at - $4::timestamptz)) NULLS LAST, t.id
+LIMIT 200
+`;
+
+async function recomputeCanonical(client, groupId) {
+  const { rows } = await client.query(
+    `SELECT m.tender_id, s.name AS source
+     FROM tender_group_members m
+     JOIN tenders t ON t.id = m.tender_id
+     JOIN sources s ON s.id = t.source_id
+     WHERE m.group_id = $1`,
+    [groupId]
+  );
+  if (!rows.length) return null;
+  rows.sort((a, b) =>
+    (SOURCE_PRIORITY[a.source] ?? 9) - (SOURCE_PRIORITY[b.source] ?? 9) || Number(a.tender_id) - Number(b.tender_id)
+  );
+  const canonicalId = rows[0].tender_id;
+  await client.query(
+    'UPDATE tender_groups SET canonical_tender_id = $2, updated_at = now() WHERE id = $1',
+    [groupId, canonicalId]
+  );
+  return canonicalId;
+}
+
+/** Put two tenders in the same group, creating or merging groups as needed. Returns the group id. */
+async function linkTenders(client, tenderId, otherId, match) {
+  const { rows } = await client.query(
+    'SELECT tender_id, group_id FROM tender_group_members WHERE tender_id = ANY($1::bigint[])',
+    [[tenderId, otherId]]
+  );
+  const groupOf = new Map(rows.map(r => [String(r.tender_id), r.group_id]));
+  const g1 = groupOf.get(String(tenderId));
+  const g2 = groupOf.get(String(otherId));
+
+  let groupId = g1 || g2;
+  if (!groupId) {
+    const ins = await client.query('INSERT INTO tender_groups DEFAULT VALUES RETURNING id');
+    groupId = ins.rows[0].id;
+  } else if (g1 && g2 && g1 !== g2) {
+    // Both already grouped: fold the second group into the first
+    await client.query('UPDATE tender_group_members SET group_id = $1 WHERE group_id = $2', [g1, g2]);
+    await client.query('DELETE FROM tender_groups WHERE id = $1', [g2]);
+    groupId = g1;
+  }
+
+  const reasons = JSON.stringify(match.reasons);
+  for (const id of [tenderId, otherId]) {
+    await client.query(
+      `INSERT INTO tender_group_members (group_id, tender_id, match_score, match_reasons)
+       VALUES ($1, $2, $3, $4::jsonb)
+       ON CONFLICT (tender_id) DO UPDATE SET
+         group_id = EXCLUDED.group_id,
+         match_score = GREATEST(tender_group_members.match_score, EXCLUDED.match_score),
+         match_reasons = EXCLUDED.match_reasons`,
+      [groupId, id, match.score, reasons]
+    );
+  }
+
+  await recomputeCanonical(client, groupId);
+  return groupId;
+}
+
+/**
+ * Look for a listing of the same tender on another source and link the two.
+ * Runs inside the caller's transaction; a savepoint keeps a failure here from
+ * aborting the upsert batch.
+ */
+async function linkDuplicates(client, tenderId, sourceId, tender) {
+  await client.query('SAVEPOINT dedupe');
+  try {
+    const { rows } = await client.query(CANDIDATES_SQL, [sourceId, tenderId, refsOf(tender), tender.closing_at || null]);
+    const match = pickDuplicate(tender, rows);
+    if (match) {
+      const groupId = await linkTenders(client, tenderId, match.id, match);
+      console.log(`🔗 Tender ${tenderId} linked to ${match.id} (group ${groupId}, score ${match.score})`);
+    }
+    await client.query('RELEASE SAVEPOINT dedupe');
+    return match;
+  } catch (err) {
+    await client.query('ROLLBACK TO SAVEPOINT dedupe');
+    console.error(`Duplicate check failed for tender ${tenderId}:`, err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  CANDIDATES_SQL,
+  normalizeRef,
+  normalizeBuyer,
+  textSimilarity,
+  scoreMatch,
+  pickDuplicate,
+  linkTenders,
+  linkDuplicates,
+};
@@ -0,0 +1,197 @@
+// doctext.js - identify downloaded tender documents and pull their text out
+//
+// sniffMime looks at the bytes, not the link: eTenders' guessed download URLs and
+// expired Transnet anchors often return an HTML error page with a 200.
+// expandDocument unpacks zip bundles (nested zips one level deep) into parts;
+// extractText handles PDF (pdf-parse), DOCX, XLSX, plain text and HTML.
+const { listZip, readZip, readZipEntry, isZip, expansionBudget } = require('./zip');
+const { mimeFromFileName } = require('./helpers');
+
+const MIME = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  doc: 'application/msword',
+  xls: 'application/vnd.ms-excel',
+  zip: 'application/zip',
+  html: 'text/html',
+  text: 'text/plain',
+};
+
+// Keeps document_texts.tsv (db/migrations/0010_tender_search.sql) well under Postgres' 1MB tsvector limit
+const MAX_TEXT_CHARS = parseInt(process.env.DOC_TEXT_MAX_CHARS || '500000', 10);
+const MAX_ZIP_DEPTH = 2;
+
+function startsWith(buf, bytes) {
+  return buf.length >= bytes.length && bytes.every((b, i) => buf[i] === b);
+}
+
+function looksLikeText(buf) {
+  const sample = buf.subarray(0, 4096);
+  if (!sample.length) return false;
+  let control = 0;
+  for (const b of sample) {
+    if (b === 0) return false;
+    if (b < 9 || (b > 13 && b < 32)) control++;
+  }
+  return control / sample.length < 0.02;
+}
+
+// Office Open XML packages are zips; the top-level folder tells them apart
+function sniffZip(buf) {
+  try {
+    const names = listZip(buf).map(e => e.name);
+    if (names.includes('[Content_Types].xml')) {
+      if (names.some(n => n.startsWith('word/'))) return MIME.docx;
+      if (names.some(n => n.startsWith('xl/'))) return MIME.xlsx;
+      if (names.some(n => n.startsWith('ppt/'))) return MIME.pptx;
+    }
+  } catch {
+    // unreadable directory: still a zip as far as the caller is concerned
+  }
+  return MIME.zip;
+}
+
+/** Real MIME type of a downloaded file; fileName only breaks ties for legacy OLE (.doc/.xls) */
+function sniffMime(buf, fileName) {
+  if (!buf || !buf.length) return null;
+  if (startsWith(buf, [0x25, 0x50, 0x44, 0x46])) return MIME.pdf; // %PDF
+  if (isZip(buf)) return sniffZip(buf);
+  if (startsWith(buf, [0xd0, 0xcf, 0x11, 0xe0])) {
+    return mimeFromFileName(fileName) === MIME.xls ? MIME.xls : MIME.doc;
+  }
+  if (startsWith(buf, [0x89, 0x50, 0x4e, 0x47])) return 'image/png';
+  if (startsWith(buf, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buf, [0x52, 0x61, 0x72, 0x21])) return 'application/vnd.rar';
+  if (startsWith(buf, [0x37, 0x7a, 0xbc, 0xaf])) return 'application/x-7z-compressed';
+  if (startsWith(buf, [0x7b, 0x5c, 0x72, 0x74, 0x66])) return 'application/rtf'; // {\rtf
+  if (looksLikeText(buf)) {
+    const head = buf.subarray(0, 1024).toString('utf8').trimStart().toLowerCase();
+    return head.startsWith('<!doctype html') || head.startsWith('<html') ? MIME.html : MIME.text;
+  }
+  return 'application/octet-stream';
+}
+
+function decodeXml(s) {
+  return s
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+function tidy(text) {
+  return text
+    .replace(/[ \u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function docxText(buf) {
+  const entries = listZip(buf);
+  const xml = readZipEntry(buf, 'word/document.xml', entries);
+  if (!xml) return null;
+  return tidy(decodeXml(xml.toString('utf8')
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:br\/>|<\/w:p>/g, '\n')
+    .replace(/<[^>]+>/g, '')));
+}
+
+function xlsxText(buf) {
+  const entries = listZip(buf);
+  const shared = [];
+  const sst = readZipEntry(buf, 'xl/sharedStrings.xml', entries);
+  if (sst) {
+    for (const si of sst.toString('utf8').matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+      shared.push(decodeXml([...si[1].matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(m => m[1]).join('')));
+    }
+  }
+
+  const sheets = entries
+    .filter(e => /^xl\/worksheets\/sheet\d+\.xml$/.test(e.name))
+    .sort((a, b) => parseInt(a.name.match(/\d+/)[0], 10) - parseInt(b.name.match(/\d+/)[0], 10));
+
+  const lines = [];
+  for (const sheet of sheets) {
+    const xml = readZipEntry(buf, sheet.name, entries).toString('utf8');
+    for (const row of xml.matchAll(/<row[^>]*>([\s\S]*?)<\/row>/g)) {
+      const cells = [];
+      for (const c of row[1].matchAll(/<c([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const type = (c[1].match(/\bt="(\w+)"/) || [])[1];
+        const body = c[2] || '';
+        if (type === 'inlineStr') {
+          cells.push(decodeXml([...body.matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(m => m[1]).join('')));
+          continue;
+        }
+        const v = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+        if (v == null) continue;
+        cells.push(type === 's' ? (shared[parseInt(v, 10)] ?? '') : decodeXml(v));
+      }
+      if (cells.some(Boolean)) lines.push(cells.join('\t'));
+    }
+  }
+  return tidy(lines.join('\n'));
+}
+
+function htmlText(s) {
+  return tidy(decodeXml(s
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(p|div|li|tr|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')));
+}
+
+async function pdfText(buf) {
+  // Required lazily: only the worker needs it, and the package's index.js reads a
+  // bundled test PDF when loaded without a parent module
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const { text } = await pdfParse(buf);
+  return tidy(text || '');
+}
+
+/** Plain text of one file, or null for types we cannot read */
+async function extractText(buf, mime) {
+  let text;
+  switch (mime) {
+    case MIME.pdf: text = await pdfText(buf); break;
+    case MIME.docx: text = docxText(buf); break;
+    case MIME.xlsx: text = xlsxText(buf); break;
+    case MIME.html: text = htmlText(buf.toString('utf8')); break;
+    case MIME.text: text = tidy(buf.toString('utf8')); break;
+    default: return null;
+  }
+  if (text == null) return null;
+  return text.length > MAX_TEXT_CHARS ? text.slice(0, MAX_TEXT_CHARS) : text;
+}
+
+/**
+ * Split a download into the files worth extracting: the file itself, or each
+ * member of a zip bundle (part_name is the path inside it, nested with "/").
+ * Returns [{ part_name, mime, data }]; part_name is '' for a non-zip download.
+ * Throws on a zip it cannot read or one that expands past the per-download limit (zip.js).
+ */
+function expandDocument(buf, fileName, depth = 0, prefix = '', budget = expansionBudget()) {
+  const mime = sniffMime(buf, fileName);
+  if (mime !== MIME.zip || depth >= MAX_ZIP_DEPTH) {
+    return [{ part_name: prefix, mime, data: buf }];
+  }
+  const parts = [];
+  for (const entry of readZip(buf, budget)) {
+    // macOS resource forks ride along in zips built on a Mac
+    if (entry.name.startsWith('__MACOSX/')) continue;
+    const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+    parts.push(...expandDocument(entry.data, entry.name, depth + 1, name, budget));
+  }
+  return parts;
+}
+
+module.exports = {
+  MIME,
+  sniffMime,
+  extractText,
+  expandDocument,
+};
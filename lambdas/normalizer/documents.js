@@ -0,0 +1,270 @@
+// documents.js - download, archive and text-extract tender documents
+//
+// Source links (eTenders' guessed /download/document/{id}, Eskom DownloadAll zips,
+// Transnet list-with-icons anchors) tend to break once a tender closes, so a
+// scheduled job copies every document of a live tender into S3 while it still can.
+//
+// Archives are keyed by URL in document_archive (see db/migrations/0009_document_archive.sql), so they
+// survive the normalizer replacing a tender's documents rows. Files are stored
+// content-addressed under documents/<sha256>/; a re-download whose sha256 has not
+// changed only bumps fetched_at. Extracted text (one row per zip member) goes to
+// document_texts.
+const { PutObjectCommand } = require("@aws-sdk/client-s3");
+const { sha } = require("./helpers");
+const { MIME, sniffMime, expandDocument, extractText } = require("./doctext");
+
+const ARCHIVE_PREFIX = 'documents/';
+const FETCH_TIMEOUT_MS = parseInt(process.env.DOC_FETCH_TIMEOUT_MS || '30000', 10);
+const MAX_DOCUMENT_BYTES = parseInt(process.env.DOC_MAX_BYTES || String(50 * 1024 * 1024), 10);
+const REFRESH_HOURS = parseInt(process.env.DOC_REFRESH_HOURS || '24', 10);
+const MAX_ATTEMPTS = parseInt(process.env.DOC_MAX_ATTEMPTS || '5', 10);
+
+function isArchiveKey(key) {
+  return String(key || '').startsWith(ARCHIVE_PREFIX);
+}
+
+// Last path segment of the link, made safe for an S3 key
+function fileNameFor(doc) {
+  const fromName = doc.name && /\.[A-Za-z0-9]{2,5}$/.test(doc.name) ? doc.name : null;
+  let fromUrl = null;
+  try {
+    fromUrl = decodeURIComponent(new URL(doc.url).pathname.split('/').filter(Boolean).pop() || '');
+  } catch {
+    // relative or malformed link; fall through to the default
+  }
+  return (fromName || fromUrl || 'document').replace(/[^\w.\- ]+/g, '_').slice(0, 120);
+}
+
+function archiveKeyFor(sha256, fileName) {
+  return `${ARCHIVE_PREFIX}${sha256}/${fileName}`;
+}
+
+// Documents of tenders still open (or closed within a day) that were never
+// archived, are due a change check, or failed and are due a retry (backing off hourly)
+const PENDING_DOCUMENTS_SQL = `
+SELECT d.url, min(d.name) AS name, a.sha256, a.status, a.attempts
+FROM documents d
+JOIN tenders t ON t.id = d.tender_id
+LEFT JOIN document_archive a ON a.url = d.url
+WHERE d.url ~* '^https?://'
+  AND (t.closing_at IS NULL OR t.closing_at > now() - INTERVAL '1 day')
+  AND (
+    a.id IS NULL
+    OR (a.status = 'archived' AND a.fetched_at < now() - make_interval(hours => $2))
+    OR (a.status = 'failed' AND a.attempts < $3 AND a.fetched_at < now() - make_interval(hours => a.attempts))
+  )
+GROUP BY d.url, a.id
+ORDER BY a.fetched_at NULLS FIRST
+LIMIT $1
+`;
+
+// A failed fetch never clears an earlier good copy: status stays 'archived'
+const RECORD_FAILURE_SQL = `
+INSERT INTO document_archive (url, status, http_status, attempts, last_error, fetched_at)
+VALUES ($1, $2, $3, 1, $4, now())
+ON CONFLICT (url) DO UPDATE SET
+  status = CASE WHEN document_archive.status = 'archived' THEN 'archived' ELSE EXCLUDED.status END,
+  http_status = EXCLUDED.http_status,
+  attempts = document_archive.attempts + 1,
+  last_error = EXCLUDED.last_error,
+  fetched_at = now()
+`;
+
+const RECORD_UNCHANGED_SQL = `
+UPDATE document_archive
+SET fetched_at = now(), http_status = $2, attempts = 0, last_error = NULL
+WHERE url = $1
+`;
+
+const RECORD_ARCHIVE_SQL = `
+INSERT INTO document_archive (url, sha256, size_bytes, mime_type, s3_key, status, http_status, attempts, last_error, fetched_at, changed_at)
+VALUES ($1, $2, $3, $4, $5, 'archived', $6, 0, NULL, now(), now())
+ON CONFLICT (url) DO UPDATE SET
+  sha256 = EXCLUDED.sha256,
+  size_bytes = EXCLUDED.size_bytes,
+  mime_type = EXCLUDED.mime_type,
+  s3_key = EXCLUDED.s3_key,
+  status = 'archived',
+  http_status = EXCLUDED.http_status,
+  attempts = 0,
+  last_error = NULL,
+  fetched_at = now(),
+  changed_at = now()
+RETURNING id
+`;
+
+const INSERT_TEXT_SQL = `
+INSERT INTO document_texts (archive_id, part_name, mime_type, size_bytes, char_count, body, error)
+VALUES ($1, $2, $3, $4, $5, $6, $7)
+`;
+
+/** GET a document; returns { httpStatus, buffer } or throws with err.httpStatus set */
+async function fetchDocument(url, { fetchImpl = fetch } = {}) {
+  const resp = await fetchImpl(url, {
+    redirect: 'follow',
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+    headers: { 'User-Agent': 'TenderTool document archiver' },
+  });
+  if (!resp.ok) {
+    const err = new Error(`HTTP ${resp.status} for ${url}`);
+    err.httpStatus = resp.status;
+    throw err;
+  }
+  const declared = parseInt(resp.headers?.get?.('content-length') || '0', 10);
+  if (declared > MAX_DOCUMENT_BYTES) {
+    throw Object.assign(new Error(`Document too large (${declared} bytes)`), { httpStatus: resp.status });
+  }
+  const buffer = Buffer.from(await resp.arrayBuffer());
+  if (buffer.length > MAX_DOCUMENT_BYTES) {
+    throw Object.assign(new Error(`Document too large (${buffer.length} bytes)`), { httpStatus: resp.status });
+  }
+  return { httpStatus: resp.status, buffer };
+}
+
+/**
+ * Text rows for every readable part of a download; extraction errors are kept per part.
+ * A zip that cannot be expanded (truncated, unsupported compression, too large unpacked) is
+ * one row for the whole file with the error, so the download is still archived.
+ */
+async function extractParts(buffer, fileName) {
+  let expanded;
+  try {
+    expanded = expandDocument(buffer, fileName);
+  } catch (err) {
+    return [{
+      part_name: '',
+      mime_type: sniffMime(buffer, fileName),
+      size_bytes: buffer.length,
+      char_count: 0,
+      body: null,
+      error: String(err.message || err).slice(0, 500),
+    }];
+  }
+  const rows = [];
+  for (const part of expanded) {
+    let body = null;
+    let error = null;
+    try {
+      body = await extractText(part.data, part.mime);
+    } catch (err) {
+      error = String(err.message || err).slice(0, 500);
+    }
+    rows.push({
+      part_name: part.part_name,
+      mime_type: part.mime,
+      size_bytes: part.data.length,
+      char_count: body ? body.length : 0,
+      body,
+      error,
+    });
+  }
+  return rows;
+}
+
+/**
+ * Archive one document: download, skip if the sha256 is unchanged, else store in S3
+ * and replace its extracted text.
+ * doc: { url, name, sha256 } (sha256 of the current archive, if any)
+ * Returns { status: 'archived' | 'unchanged' | 'failed' | 'gone', ... }
+ */
+async function archiveDocument(client, s3, doc, { bucket, fetchImpl } = {}) {
+  let fetched;
+  try {
+    fetched = await fetchDocument(doc.url, { fetchImpl });
+  } catch (err) {
+    // 404/410: the link is dead for good, stop retrying it
+    const status = err.httpStatus === 404 || err.httpStatus === 410 ? 'gone' : 'failed';
+    await client.query(RECORD_FAILURE_SQL, [doc.url, status, err.httpStatus || null, String(err.message || err).slice(0, 500)]);
+    return { status, error: err.message };
+  }
+
+  const { buffer, httpStatus } = fetched;
+  const sha256 = sha(buffer);
+  if (doc.sha256 && doc.sha256 === sha256) {
+    await client.query(RECORD_UNCHANGED_SQL, [doc.url, httpStatus]);
+    return { status: 'unchanged', sha256 };
+  }
+
+  const fileName = fileNameFor(doc);
+  const parts = await extractParts(buffer, fileName);
+  const mime = parts.length === 1 && parts[0].part_name === '' ? parts[0].mime_type : MIME.zip;
+
+  // A broken link that answers 200 with an error page is not a document
+  if (mime === MIME.html && !/\.html?$/i.test(fileName)) {
+    await client.query(RECORD_FAILURE_SQL, [doc.url, 'failed', httpStatus, 'Got an HTML page instead of a document']);
+    return { status: 'failed', error: 'html' };
+  }
+
+  const key = archiveKeyFor(sha256, fileName);
+  await s3.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Body: buffer,
+    ContentType: mime || 'application/octet-stream',
+    Metadata: { 'source-url': encodeURI(doc.url).slice(0, 1024) },
+  }));
+
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(RECORD_ARCHIVE_SQL, [doc.url, sha256, buffer.length, mime, key, httpStatus]);
+    const archiveId = rows[0].id;
+    await client.query('DELETE FROM document_texts WHERE archive_id = $1', [archiveId]);
+    for (const p of parts) {
+      await client.query(INSERT_TEXT_SQL, [archiveId, p.part_name, p.mime_type, p.size_bytes, p.char_count, p.body, p.error]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+
+  return { status: 'archived', sha256, key, parts: parts.length };
+}
+
+// --- Scheduled document job (EventBridge), or invoked with { urls: [...] } ---
+exports.handler = async (event = {}) => {
+  // Required lazily so the helpers above load without the handler's dependencies
+  const { getPool, s3 } = require("./index");
+  const bucket = process.env.DOCUMENT_BUCKET || process.env.RAW_DATA_BUCKET;
+  const limit = Math.min(Math.max(parseInt(event.limit || process.env.DOC_BATCH_SIZE || '25', 10), 1), 200);
+
+  const db = await getPool();
+  const client = await db.connect();
+  const counts = { archived: 0, unchanged: 0, failed: 0, gone: 0 };
+  try {
+    let docs;
+    if (Array.isArray(event.urls) && event.urls.length) {
+      const { rows } = await client.query(
+        'SELECT url, sha256 FROM document_archive WHERE url = ANY($1::text[])', [event.urls]
+      );
+      const known = new Map(rows.map(r => [r.url, r.sha256]));
+      docs = event.urls.map(url => ({ url, sha256: known.get(url) || null }));
+    } else {
+      ({ rows: docs } = await client.query(PENDING_DOCUMENTS_SQL, [limit, REFRESH_HOURS, MAX_ATTEMPTS]));
+    }
+
+    for (const doc of docs) {
+      try {
+        const res = await archiveDocument(client, s3, doc, { bucket });
+        counts[res.status]++;
+      } catch (err) {
+        console.error(`Archiving ${doc.url} failed:`, err.message);
+        counts.failed++;
+        // Unrecorded, the URL would stay first in line (fetched_at NULLS FIRST) on every run
+        await client.query(RECORD_FAILURE_SQL, [doc.url, 'failed', null, String(err.message || err).slice(0, 500)])
+          .catch(e => console.error(`Recording the failure of ${doc.url} failed:`, e.message));
+      }
+    }
+
+    console.log(`📄 Documents: ${docs.length} checked`, counts);
+    return { ok: true, checked: docs.length, ...counts };
+  } finally {
+    client.release();
+  }
+};
+
+exports.ARCHIVE_PREFIX = ARCHIVE_PREFIX;
+exports.isArchiveKey = isArchiveKey;
+exports.fileNameFor = fileNameFor;
+exports.fetchDocument = fetchDocument;
+exports.archiveDocument = archiveDocument;
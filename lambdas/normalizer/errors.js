@@ -0,0 +1,42 @@
+// errors.js - tell transient failures (worth an SQS retry) from permanent ones (quarantine)
+//
+// Transient: the DB connection dropped or Postgres is shedding load, S3/SNS throttled
+// or answered 5xx, a socket timed out. Retrying the same message later can succeed.
+// Permanent: bad JSON, no adapter for the key, a schema rejection, a missing object,
+// a bug. Retrying only burns the queue's receive count, so these are quarantined.
+
+// Node socket / DNS errors
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH',
+  'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+// Postgres SQLSTATEs: 08 connection exception, 53 insufficient resources,
+// 57P01-03 shutdown / cannot connect now, 40001 serialization failure, 40P01 deadlock
+const TRANSIENT_SQLSTATE = /^(?:08|53|57P0[123]|40001$|40P01$)/;
+
+// AWS SDK v3 error names that mean "try again later"
+const TRANSIENT_AWS_NAMES = new Set([
+  'ThrottlingException', 'Throttling', 'ThrottledException', 'TooManyRequestsException',
+  'RequestLimitExceeded', 'SlowDown', 'RequestTimeout', 'RequestTimeoutException',
+  'ServiceUnavailable', 'InternalError', 'InternalServerError', 'TimeoutError',
+]);
+
+// pg and pg-pool report a dropped connection only in the message
+const TRANSIENT_MESSAGE = /connection terminated|timeout exceeded when trying to connect|connection (?:timed out|refused)|client has encountered a connection error|server closed the connection unexpectedly|too many clients|socket hang up/i;
+
+/** true when retrying the same work later can succeed */
+function isTransientError(err) {
+  if (!err || typeof err !== 'object') return false;
+  if (err.transient === true) return true;
+  if (err.transient === false) return false;
+  if (err.$retryable) return true;
+  if (TRANSIENT_CODES.has(err.code)) return true;
+  if (typeof err.code === 'string' && err.code.length === 5 && TRANSIENT_SQLSTATE.test(err.code)) return true;
+  if (TRANSIENT_AWS_NAMES.has(err.name)) return true;
+  const status = err.$metadata?.httpStatusCode;
+  if (status === 429 || status >= 500) return true;
+  return TRANSIENT_MESSAGE.test(String(err.message || ''));
+}
+
+module.exports = { isTransientError };
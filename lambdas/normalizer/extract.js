@@ -0,0 +1,153 @@
+// extract.js - pull CIDB grading, estimated value and preference-point system out of tender text
+//
+// Input is the adapter's `text` array (description, SANRAL detail paragraphs,
+// eTenders conditions, Transnet briefing details). Each fact carries a confidence:
+//   high   - stated next to its keyword ("CIDB grading of 7CE", "estimated value R2.5m", "80/20 preference")
+//   medium - pattern found without the keyword nearby (CIDB grading, preference system)
+// A rand amount is only taken as the value when stated next to a value keyword;
+// anything less certain is left null.
+
+// CIDB classes of construction works: GB, CE, EB, EP, ME and the specialist SA..SQ.
+// Case-sensitive on purpose: "3 sa" in running text is not a grading.
+const CIDB_RE = /\b([1-9])\s*-?\s*(CE|GB|EB|EP|ME|S[A-Q])\b(?:\s*PE\b)?/g;
+const CIDB_KEYWORD = /\bcidb\b|contractor grading|grading designation/i;
+
+const VALUE_RE = /\bR\s?(\d{1,3}(?:[ , ]\d{3})+|\d+)(?:[.,](\d{1,2}))?\s*(million|mil|m|bn|billion)?\b/gi;
+const VALUE_KEYWORD = /estimated|value|budget|contract amount|worth/i;
+// Amounts that are never the tender's value
+const VALUE_NOISE = /fee|deposit|non-refundable|refundable|cost of (the )?document|threshold|turnover|insurance|penalt/i;
+// Ends a clause: "R12m. Document fee R500" speaks of two amounts
+const CLAUSE_END_RE = /[;\n]|\.(?=\s)/g;
+
+const PREFERENCE_RE = /\b(80|90)\s*\/\s*(20|10)\b/g;
+const PREFERENCE_KEYWORD = /preferen|pppfa|points? system|price and preference/i;
+
+const NEAR = 80;
+
+function around(text, index, length, span = NEAR) {
+  return text.slice(Math.max(0, index - span), index + length + span);
+}
+
+// around(), cut to the sentence or clause the match stands in
+function clauseAround(text, index, length, span = NEAR) {
+  let start = 0;
+  let end = text.length;
+  for (const b of text.matchAll(CLAUSE_END_RE)) {
+    if (b.index >= index + length) {
+      end = b.index;
+      break;
+    }
+    if (b.index < index) start = b.index + 1;
+  }
+  return text.slice(Math.max(start, index - span), Math.min(end, index + length + span));
+}
+
+function joinText(texts) {
+  return (Array.isArray(texts) ? texts : [texts])
+    .filter(t => typeof t === 'string' && t.trim())
+    .join('\n');
+}
+
+/** All CIDB gradings mentioned; the lowest grade is the entry requirement */
+function extractCidb(text) {
+  const gradings = [];
+  let sawKeyword = false;
+  for (const m of text.matchAll(CIDB_RE)) {
+    const grade = parseInt(m[1], 10);
+    const cls = m[2].toUpperCase();
+    const near = CIDB_KEYWORD.test(around(text, m.index, m[0].length));
+    // "Level 1 SA company" - specialist classes only count right next to a CIDB mention
+    if (cls.startsWith('S') && !near) continue;
+    sawKeyword = sawKeyword || near;
+    if (!gradings.some(g => g.grade === grade && g.class === cls)) {
+      gradings.push({ grade, class: cls });
+    }
+  }
+  if (!gradings.length) return null;
+
+  const primary = gradings.reduce((a, b) => (b.grade < a.grade ? b : a));
+  return {
+    cidb_grade: primary.grade,
+    cidb_class: primary.class,
+    cidb_gradings: gradings,
+    confidence: sawKeyword || CIDB_KEYWORD.test(text) ? 'high' : 'medium',
+  };
+}
+
+function toRand(whole, cents, unit) {
+  const n = parseFloat(`${whole.replace(/[ , ]/g, '')}.${cents || '0'}`);
+  if (!Number.isFinite(n)) return null;
+  const u = (unit || '').toLowerCase();
+  if (u === 'bn' || u === 'billion') return n * 1e9;
+  if (u === 'million' || u === 'mil' || u === 'm') return n * 1e6;
+  return n;
+}
+
+/** Estimated contract value in ZAR; only amounts stated next to a value keyword count */
+function extractValue(text) {
+  let best = null;
+  for (const m of text.matchAll(VALUE_RE)) {
+    const ctx = around(text, m.index, m[0].length, 50);
+    // A fee is only noise in the amount's own clause; the value keyword may sit just before it
+    if (VALUE_NOISE.test(clauseAround(text, m.index, m[0].length, 50))) continue;
+    // "R1 500 000,00" style: a comma followed by exactly two digits is cents
+    const amount = toRand(m[1], m[2], m[3]);
+    if (!amount || amount < 1000) continue;
+    const confidence = VALUE_KEYWORD.test(ctx) ? 'high' : 'medium';
+    if (!best || (confidence === 'high' && best.confidence !== 'high')) {
+      best = { value_amount: Math.round(amount * 100) / 100, value_currency: 'ZAR', confidence };
+    }
+  }
+  return best && best.confidence === 'high' ? best : null;
+}
+
+/** "80/20" or "90/10" preference point system */
+function extractPreference(text) {
+  const found = new Map();
+  for (const m of text.matchAll(PREFERENCE_RE)) {
+    if (parseInt(m[1], 10) + parseInt(m[2], 10) !== 100) continue;
+    const system = `${m[1]}/${m[2]}`;
+    const near = PREFERENCE_KEYWORD.test(around(text, m.index, m[0].length));
+    found.set(system, found.get(system) || near);
+  }
+  if (!found.size) return null;
+
+  // Tender docs often quote both thresholds; only commit to one that is clearly applied
+  const high = [...found].filter(([, near]) => near).map(([s]) => s);
+  if (high.length === 1) return { preference_system: high[0], confidence: 'high' };
+  if (found.size === 1) return { preference_system: [...found.keys()][0], confidence: 'medium' };
+  return null;
+}
+
+/**
+ * Run every extractor over an item's free text.
+ * Returns tender columns plus `extraction_confidence` ({ cidb, value, preference }).
+ */
+function extractTenderFacts(texts) {
+  const text = joinText(texts);
+  const cidb = text ? extractCidb(text) : null;
+  const value = text ? extractValue(text) : null;
+  const pref = text ? extractPreference(text) : null;
+
+  const confidence = {};
+  if (cidb) confidence.cidb = cidb.confidence;
+  if (value) confidence.value = value.confidence;
+  if (pref) confidence.preference = pref.confidence;
+
+  return {
+    cidb_grade: cidb ? cidb.cidb_grade : null,
+    cidb_class: cidb ? cidb.cidb_class : null,
+    cidb_gradings: cidb ? cidb.cidb_gradings : null,
+    value_amount: value ? value.value_amount : null,
+    value_currency: value ? value.value_currency : null,
+    preference_system: pref ? pref.preference_system : null,
+    extraction_confidence: Object.keys(confidence).length ? confidence : null,
+  };
+}
+
+module.exports = {
+  extractCidb,
+  extractValue,
+  extractPreference,
+  extractTenderFacts,
+};
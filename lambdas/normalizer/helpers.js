@@ -0,0 +1,91 @@
+// helpers.js - shared parsing helpers for the normalizer and its source adapters
+const crypto = require("crypto");
+
+function squashWhitespace(s) {
+  return typeof s === "string" ? s.replace(/\s+/g, " ").trim() : s ?? null;
+}
+
+function extractEmails(text) {
+  if (!text) return [];
+  const re = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+  const found = text.match(re) || [];
+  return [...new Set(found)];
+}
+
+const streamToString = (stream) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (d) => chunks.push(d));
+    stream.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    stream.on("error", reject);
+  });
+
+function sha(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+// Scrapers prefix relative hrefs with the site root, so a bare root means "no link"
+function absoluteUrl(href, base) {
+  if (!href) return null;
+  const s = String(href).trim();
+  if (!s || s === base || s === `${base}/`) return null;
+  if (/^https?:\/\//i.test(s)) return s;
+  return `${base}${s.startsWith('/') ? '' : '/'}${s}`;
+}
+
+function mimeFromExtension(ext) {
+  switch ((ext || '').toLowerCase()) {
+    case '.pdf': return 'application/pdf';
+    case '.docx': return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    case '.xlsx': return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    case '.doc': return 'application/msword';
+    case '.xls': return 'application/vnd.ms-excel';
+    case '.zip': return 'application/zip';
+    default: return null;
+  }
+}
+
+function mimeFromFileName(name) {
+  const m = String(name || '').match(/(\.[A-Za-z0-9]+)(?:[?#].*)?$/);
+  return m ? mimeFromExtension(m[1]) : null;
+}
+
+// "Compulsory" / "Non-Compulsory" / "Yes" / "No" -> boolean (null if unknown)
+function parseCompulsory(s) {
+  if (!s) return null;
+  const v = String(s).trim();
+  if (/non[\s-]?compulsory|not compulsory|^no$/i.test(v)) return false;
+  if (/compulsory|mandatory|^yes$/i.test(v)) return true;
+  return null;
+}
+
+// Scraper files hold an array of tenders, or the scraper runtime's envelope
+// { run_id, source, scraped_at, items, errors } (lambdas/scraper-runtime); tolerate a single object too
+function asArray(raw) {
+  if (Array.isArray(raw)) return raw;
+  if (raw && typeof raw === 'object' && 'run_id' in raw && Array.isArray(raw.items)) return raw.items;
+  return raw && typeof raw === 'object' ? [raw] : [];
+}
+
+// Content hash over an adapter's hash-field list (Dates serialised as ISO strings)
+function hashTender(tender, fields) {
+  const hashFields = {};
+  for (const f of fields) {
+    const v = tender[f];
+    hashFields[f] = v instanceof Date ? v.toISOString() : v;
+  }
+  return sha(JSON.stringify(hashFields));
+}
+
+module.exports = {
+  asArray,
+  squashWhitespace,
+  extractEmails,
+  streamToString,
+  sha,
+  hashTender,
+  absoluteUrl,
+  mimeFromExtension,
+  mimeFromFileName,
+  parseCompulsory,
+};
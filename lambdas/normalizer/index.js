@@ -1,12 +1,30 @@
 // index.js (Node 20, CommonJS) - FINAL FIXED VERSION WITH eTENDERS DOCUMENT HANDLING
 // npm deps packaged: pg
-const crypto = require("crypto");
 const { S3Client, GetObjectCommand } = require("@aws-sdk/client-s3");
-const { SNSClient, PublishCommand } = require("@aws-sdk/client-sns");
+const { SNSClient } = require("@aws-sdk/client-sns");
 const { SSMClient, GetParameterCommand } = require("@aws-sdk/client-ssm");
 const { Pool } = require("pg");
+const { streamToString } = require("./helpers");
+const { findAdapter, normalizeRecords } = require("./adapters");
+const { linkDuplicates } = require("./dedupe");
+const { loadCurrent, recordRevision, diffTender } = require("./revisions");
+const { upsertOutcome, classifyEvent, buildNotification, publishNotifications } = require("./notifications");
+const { isQuarantineKey, quarantineObject } = require("./quarantine");
+const { deriveStatus } = require("./lifecycle");
+const { classifyCategory, loadCategoryRules } = require("./taxonomy");
+const { extractTenderFacts } = require("./extract");
+const { resolveLocation } = require("./locations");
+const { isArchiveKey } = require("./documents");
+const { checkRecords, loadPreviousRates, recordDriftReport, recordDateIssues } = require("./validation");
+const { summarizeDateIssues, isDateReread, DATE_RULES_VERSION } = require("./dates");
+const { isTransientError } = require("./errors");
+const { bulkUpsert, preparedHash, isStale, touchUnchanged } = require("./bulk");
 
 const s3 = new S3Client({});
+// Scraper bookkeeping (e.g. the Eskom checkpoint) shares the bucket but is not a snapshot,
+// and neither are the screenshots and page HTML of failed scraper runs
+const SCRAPER_STATE_PREFIX = 'state/';
+const SCRAPER_DEBUG_PREFIX = 'debug/';
 const sns = new SNSClient({ region: "af-south-1" });
 
 // --- DB connection helpers ---
@@ -46,95 +64,6 @@ async function getPool() {
   return pool;
 }
 
-// --- helpers ---
-function squashWhitespace(s) {
-  return typeof s === "string" ? s.replace(/\s+/g, " ").trim() : s ?? null;
-}
-
-function extractEmails(text) {
-  if (!text) return [];
-  const re = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
-  const found = text.match(re) || [];
-  return [...new Set(found)];
-}
-
-const streamToString = (stream) =>
-  new Promise((resolve, reject) => {
-    const chunks = [];
-    stream.on("data", (d) => chunks.push(d));
-    stream.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
-    stream.on("error", reject);
-  });
-
-function sha(data) {
-  return crypto.createHash("sha256").update(data).digest("hex");
-}
-
-// Parse ISO date strings from eTenders
-function parseEtendersDate(dateStr) {
-  if (!dateStr) return null;
-  try {
-    const dt = new Date(dateStr);
-    return isNaN(dt) ? null : dt;
-  } catch {
-    return null;
-  }
-}
-
-// One parser for Eskom + SANRAL (SA local time by default)
-function parseLocalTenderDate(s) {
-  if (!s) return null;
-  const tz = process.env.TZ_OFFSET || '+02:00';
-
-  // Try Eskom: 2027-Feb-22 13:33:00
-  const m1 = s.match(/^(\d{4})-([A-Za-z]{3})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/);
-  if (m1) {
-    const MONTHS = { Jan:0, Feb:1, Mar:2, Apr:3, May:4, Jun:5, Jul:6, Aug:7, Sep:8, Oct:9, Nov:10, Dec:11 };
-    const [_, y, mon, d, hh, mm, ss] = m1;
-    const monthIndex = MONTHS[mon];
-    if (monthIndex != null) {
-      const yyyy = y.padStart(4, '0');
-      const MM = String(monthIndex + 1).padStart(2, '0');
-      const DD = d.padStart(2, '0');
-      const iso = `${yyyy}-${MM}-${DD}T${hh}:${mm}:${ss}${tz}`;
-      const dt = new Date(iso);
-      return isNaN(dt) ? null : dt;
-    }
-  }
-
-  // Try SANRAL: 2026/01/01 12:00 or 2026/01/01 12:00:30
-  const m2 = s.match(/^(\d{4})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2})(?::(\d{2}))?$/);
-  if (m2) {
-    const [_, yyyy, MM, DD, hh, mm, ss] = m2;
-    const sec = ss || '00';
-    const iso = `${yyyy}-${MM}-${DD}T${hh}:${mm}:${sec}${tz}`;
-    const dt = new Date(iso);
-    return isNaN(dt) ? null : dt;
-  }
-
-  // Fallback: return null if format unknown
-  return null;
-}
-
-// Transnet: "12/12/2025 4:00:00 PM" (sometimes single-digit month/day, seconds optional)
-function parseTransnetDate(s) {
-  if (!s) return null;
-  const tz = process.env.TZ_OFFSET || '+02:00';
-  // M/D/YYYY HH:MM(:SS)? AM|PM
-  const m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}) (\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)$/i);
-  if (!m) return null;
-  let [_, M, D, Y, hh, mm, ss, ampm] = m;
-  let H = parseInt(hh, 10) % 12;
-  if (/PM/i.test(ampm)) H += 12;
-  const sec = ss || '00';
-  const MM = String(parseInt(M,10)).padStart(2,'0');
-  const DD = String(parseInt(D,10)).padStart(2,'0');
-  const HH = String(H).padStart(2,'0');
-  const iso = `${Y}-${MM}-${DD}T${HH}:${mm}:${sec}${tz}`;
-  const dt = new Date(iso);
-  return isNaN(dt) ? null : dt;
-}
-
 // Cache for source ids (avoid querying every row)
 const sourceIdCache = new Map();
 async function getSourceId(client, name) {
@@ -145,198 +74,6 @@ async function getSourceId(client, name) {
   return rows[0].id;
 }
 
-// --- normalizers ---
-/** Input: Eskom S3 file contains an array of tender objects */
-function normalizeEskomArray(arr) {
-  if (!Array.isArray(arr)) return [];
-  return arr.map((r) => {
-    const title = r.enquiryNumber || r.TenderID || 'Eskom Tender';
-    const description = squashWhitespace(r.scopeDetails || r.description);
-    const published_at = parseLocalTenderDate(r.published);
-    const closing_at = parseLocalTenderDate(r.closing);
-
-    const core = {
-      external_id: r.TenderID || r.enquiryNumber,
-      source_tender_id: r.TenderID || null,
-      title,
-      description,
-      category: r.category || null,
-      location: r.TenderBoxAddress || r.location || null,
-      buyer: 'ESKOM',
-      procurement_method: null,
-      procurement_method_details: null,
-      status: null,
-      tender_type: null,
-      published_at,
-      briefing_at: null,
-      briefing_venue: null,
-      briefing_compulsory: null,
-      tender_start_at: null,
-      closing_at,
-      value_amount: null,
-      value_currency: null,
-      url: r.readMore || null,
-      // extras
-      tender_box_address: r.TenderBoxAddress || null,
-      target_audience: r.TargetAudience || null,
-      contract_type: r.ContractType || null,
-      project_type: null,
-      queries_to: null,
-      briefing_details: null,
-    };
-
-    // content hash to help idempotency
-    const hashFields = {
-      external_id: core.external_id,
-      title: core.title,
-      description: core.description,
-      category: core.category,
-      location: core.location,
-      published_at: core.published_at ? core.published_at.toISOString() : null,
-      closing_at: core.closing_at ? core.closing_at.toISOString() : null,
-      url: core.url,
-      tender_box_address: core.tender_box_address,
-      target_audience: core.target_audience,
-      contract_type: core.contract_type,
-    };
-    const hash = sha(JSON.stringify(hashFields));
-    core.hash = hash;
-
-    // documents (0..n)
-    const documents = [];
-    if (r.downloadLink) {
-      documents.push({
-        url: r.downloadLink,
-        name: null,
-        mime_type: null,
-        published_at: null,
-      });
-    }
-
-    // contacts (none in sample)
-    const contacts = [];
-
-    return { tender: core, documents, contacts };
-  }).filter(x => x.tender.external_id);
-}
-
-// ... [SANRAL and Transnet normalizers remain the same - omitted for brevity] ...
-
-// FIXED eTenders normalizer with proper document handling
-function normalizeEtendersArray(raw) {
-  // Handle the eTenders JSON structure which has { data: [...] }
-  if (!raw || !raw.data || !Array.isArray(raw.data)) {
-    console.warn("⚠️ Unexpected eTenders format - no data array found");
-    return [];
-  }
-
-  console.log(`Processing ${raw.data.length} eTenders records`);
-
-  return raw.data.map((item) => {
-    // Use tender_No as external_id (required for uniqueness)
-    const externalId = item.tender_No || `etenders-${item.id}`;
-    
-    // IMPORTANT: Construct the eTenders tender URL
-    // This is the pattern for viewing a tender on eTenders website
-    const tenderUrl = item.id ? `https://etenders.treasury.gov.za/tender-details/${item.id}` : null;
-    
-    const core = {
-      external_id: externalId,
-      source_tender_id: item.id ? String(item.id) : null,
-      title: squashWhitespace(item.tender_No) || 'eTenders Tender',
-      description: squashWhitespace(item.description),
-      category: squashWhitespace(item.category || item.categories?.name),
-      location: squashWhitespace(item.town || item.provinces?.name || item.province),
-      buyer: squashWhitespace(item.organ_of_State || item.departments?.name || item.department),
-      procurement_method: squashWhitespace(item.type),
-      procurement_method_details: null,
-      status: squashWhitespace(item.status),
-      tender_type: squashWhitespace(item.type),
-      
-      // Parse dates properly
-      published_at: parseEtendersDate(item.date_Published),
-      briefing_at: parseEtendersDate(item.compulsory_briefing_session),
-      briefing_venue: squashWhitespace(item.briefingVenue),
-      briefing_compulsory: item.briefingCompulsory === true ? true : (item.briefingCompulsory === false ? false : null),
-      tender_start_at: null,
-      closing_at: parseEtendersDate(item.closing_Date),
-      
-      value_amount: null,
-      value_currency: null,
-      url: tenderUrl, // Link to the tender on eTenders website
-      
-      // Extra fields
-      tender_box_address: squashWhitespace(item.delivery || item.streetname),
-      target_audience: null,
-      contract_type: null,
-      project_type: null,
-      queries_to: squashWhitespace(item.contactPerson),
-      briefing_details: item.briefingSession ? squashWhitespace(item.conditions) : null,
-    };
-
-    // Create hash for idempotency
-    const hashFields = {
-      external_id: core.external_id,
-      title: core.title,
-      description: core.description,
-      category: core.category,
-      location: core.location,
-      buyer: core.buyer,
-      published_at: core.published_at ? core.published_at.toISOString() : null,
-      closing_at: core.closing_at ? core.closing_at.toISOString() : null,
-      briefing_at: core.briefing_at ? core.briefing_at.toISOString() : null,
-      status: core.status,
-    };
-    core.hash = sha(JSON.stringify(hashFields));
-
-    // Documents from supportDocument array
-    const documents = [];
-    if (Array.isArray(item.supportDocument)) {
-      for (const doc of item.supportDocument) {
-        if (doc.fileName && doc.supportDocumentID) {
-          // IMPORTANT: Construct eTenders document download URL
-          // You need to verify this pattern - it might be:
-          // Option 1: Direct download link (most common)
-          const docUrl = `https://etenders.treasury.gov.za/download/document/${doc.supportDocumentID}`;
-          
-          // Option 2: Via tender ID and doc ID
-          // const docUrl = `https://etenders.treasury.gov.za/tender/${item.id}/document/${doc.supportDocumentID}`;
-          
-          // Option 3: Store metadata for proxy download through your API
-          // const docUrl = `/api/etenders/document/${item.id}/${doc.supportDocumentID}`;
-          
-          documents.push({
-            url: docUrl,
-            name: squashWhitespace(doc.fileName),
-            mime_type: doc.extension === '.pdf' ? 'application/pdf' : 
-                       doc.extension === '.docx' ? 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' :
-                       doc.extension === '.xlsx' ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' :
-                       doc.extension === '.doc' ? 'application/msword' :
-                       doc.extension === '.xls' ? 'application/vnd.ms-excel' :
-                       null,
-            published_at: parseEtendersDate(doc.dateModified),
-          });
-        } else if (doc.fileName) {
-          // If we don't have supportDocumentID, skip or use filename-based URL
-          console.log(`Document ${doc.fileName} missing supportDocumentID, skipping`);
-        }
-      }
-    }
-
-    // Contacts
-    const contacts = [];
-    if (item.contactPerson || item.email || item.telephone) {
-      contacts.push({
-        name: squashWhitespace(item.contactPerson),
-        email: item.email ? item.email.trim() : null,
-        phone: squashWhitespace(item.telephone || item.fax),
-      });
-    }
-
-    return { tender: core, documents, contacts };
-  }).filter(item => item && item.tender && item.tender.external_id);
-}
-
 // --- DB upsert ---
 const UPSERT_TENDER_SQL = `
 INSERT INTO tenders (
@@ -344,13 +81,19 @@ INSERT INTO tenders (
   procurement_method, procurement_method_details, status, tender_type,
   published_at, briefing_at, briefing_venue, briefing_compulsory,
   tender_start_at, closing_at, value_amount, value_currency, url, hash, last_seen_at,
-  tender_box_address, target_audience, contract_type, project_type, queries_to, briefing_details
+  tender_box_address, target_audience, contract_type, project_type, queries_to, briefing_details,
+  lifecycle_status, lifecycle_updated_at, canonical_category,
+  cidb_grade, cidb_class, cidb_gradings, preference_system, extraction_confidence,
+  province, municipality, briefing_link, prepared_hash, date_rules_version
 ) VALUES (
   $1,$2,$3,$4,$5,$6,$7,$8,
   $9,$10,$11,$12,
   $13,$14,$15,$16,
-  $17,$18,$19,$20,$21,$22, now(),
-  $23,$24,$25,$26,$27,$28
+  $17,$18,$19,$20,$21,$22, coalesce($39::timestamptz, now()),
+  $23,$24,$25,$26,$27,$28,
+  $29, now(), $30,
+  $31,$32,$33,$34,$35,
+  $36,$37,$38, $40, $41
 )
 ON CONFLICT (source_id, external_id) DO UPDATE SET
   source_tender_id=EXCLUDED.source_tender_id,
@@ -373,216 +116,485 @@ ON CONFLICT (source_id, external_id) DO UPDATE SET
   value_currency=EXCLUDED.value_currency,
   url=EXCLUDED.url,
   hash=EXCLUDED.hash,
-  last_seen_at=now(),
+  -- an older snapshot (backfill) never moves last_seen_at back
+  last_seen_at=GREATEST(tenders.last_seen_at, EXCLUDED.last_seen_at),
   tender_box_address=EXCLUDED.tender_box_address,
   target_audience=EXCLUDED.target_audience,
   contract_type=EXCLUDED.contract_type,
   project_type=EXCLUDED.project_type,
   queries_to=EXCLUDED.queries_to,
-  briefing_details=EXCLUDED.briefing_details
+  briefing_details=EXCLUDED.briefing_details,
+  lifecycle_status=EXCLUDED.lifecycle_status,
+  lifecycle_updated_at=now(),
+  canonical_category=EXCLUDED.canonical_category,
+  cidb_grade=EXCLUDED.cidb_grade,
+  cidb_class=EXCLUDED.cidb_class,
+  cidb_gradings=EXCLUDED.cidb_gradings,
+  preference_system=EXCLUDED.preference_system,
+  extraction_confidence=EXCLUDED.extraction_confidence,
+  province=EXCLUDED.province,
+  municipality=EXCLUDED.municipality,
+  briefing_link=EXCLUDED.briefing_link,
+  prepared_hash=EXCLUDED.prepared_hash,
+  date_rules_version=EXCLUDED.date_rules_version
+-- nor does it overwrite a tender stored from a newer snapshot
+WHERE tenders.last_seen_at IS NULL OR tenders.last_seen_at <= EXCLUDED.last_seen_at
 RETURNING id
 `;
 
-// --- Lambda handler ---
-exports.handler = async (event) => {
-  console.log('SQS batch size:', event.Records?.length || 0);
+// --- derived tender fields (category, facts from free text, location), before either write path ---
+function prepareItem({ source, categoryRules }, it) {
+  const t = it.tender;
+  t.canonical_category = classifyCategory(categoryRules, source, t);
+  // Facts parsed from free text never override a value the source gave us
+  for (const [k, v] of Object.entries(extractTenderFacts(it.text))) {
+    if (t[k] == null) t[k] = v;
+  }
+  Object.assign(t, resolveLocation(it.places || [t.location], [t.title, t.description]));
+  t.date_rules_version = DATE_RULES_VERSION;
+  return it;
+}
+
+// --- per-tender upsert ---
+// Row-by-row fallback for a batch the bulk path (bulk.js) could not write; processObject runs
+// each call in its own savepoint so one bad tender costs only itself. Expects a prepared item
+// (prepareItem).
+// Returns the upsert outcome and, for new/amended tenders, the SNS message to send after COMMIT
+async function upsertItem(client, { sourceId, source, seenAt = null }, it) {
+  const t = it.tender;
+  t.prepared_hash = preparedHash(it);
+  const params = [
+    sourceId, t.external_id, t.source_tender_id, t.title, t.description, t.category, t.location, t.buyer,
+    t.procurement_method, t.procurement_method_details, t.status, t.tender_type,
+    t.published_at, t.briefing_at, t.briefing_venue, t.briefing_compulsory,
+    t.tender_start_at, t.closing_at, t.value_amount, t.value_currency, t.url, t.hash,
+    t.tender_box_address, t.target_audience, t.contract_type, t.project_type, t.queries_to, t.briefing_details,
+    // Just seen, so only the raw status and closing date matter here
+    deriveStatus(t), t.canonical_category,
+    t.cidb_grade, t.cidb_class, t.cidb_gradings && JSON.stringify(t.cidb_gradings),
+    t.preference_system, t.extraction_confidence && JSON.stringify(t.extraction_confidence),
+    t.province, t.municipality, t.briefing_link,
+    seenAt, t.prepared_hash, t.date_rules_version
+  ];
+
+  // Previous values, so a hash change can be recorded as a revision
+  const before = await loadCurrent(client, sourceId, t.external_id);
+  // An older snapshot (backfill) leaves the tender, its revisions and child rows as they are
+  if (isStale(before, seenAt)) return { tenderId: before.id, outcome: 'unchanged', notification: null };
+  // Listing row only: the stored detail fields and child rows stay (bulk.js bulkUpsert)
+  if (it.partial && before) {
+    await touchUnchanged(client, [{ before, it }], seenAt);
+    return { tenderId: before.id, outcome: 'unchanged', notification: null };
+  }
+
+  const { rows } = await client.query(UPSERT_TENDER_SQL, params);
+  if (!rows[0]) return { tenderId: before.id, outcome: 'unchanged', notification: null };
+  const tenderId = rows[0].id;
+
+  // Dates that only moved because older rules read them are corrected quietly (dates.js isDateReread)
+  let outcome = upsertOutcome(before, t);
+  const reread = outcome === 'updated' && isDateReread(before, diffTender(before, t));
+  if (reread) outcome = 'unchanged';
+  const changes = reread ? null : await recordRevision(client, tenderId, before, t);
+
+  // Replace documents - now with proper URL handling
+  await client.query('DELETE FROM documents WHERE tender_id=$1', [tenderId]);
+  for (const d of it.documents || []) {
+    // Since URL is nullable now, we can insert even without URL
+    // But it's better to have URLs for user downloads
+    await client.query(
+      `INSERT INTO documents (tender_id, url, name, mime_type, published_at)
+       VALUES ($1,$2,$3,$4,$5)`,
+      [tenderId, d.url || null, d.name || null, d.mime_type || null, d.published_at || null]
+    );
+  }
 
-  const db = await getPool();  
-  const client = await db.connect();
+  // Replace contacts
+  await client.query('DELETE FROM contacts WHERE tender_id=$1', [tenderId]);
+  for (const c of it.contacts || []) {
+    await client.query(
+      `INSERT INTO contacts (tender_id, name, email, phone)
+       VALUES ($1,$2,$3,$4)`,
+      [tenderId, c.name || null, c.email || null, c.phone || null]
+    );
+  }
+
+  // Link to the same tender listed on another source
+  await linkDuplicates(client, tenderId, sourceId, t);
+
+  // SNS message for new or amended tenders
+  const eventType = classifyEvent(outcome, changes);
+  const notification = eventType ? buildNotification(eventType, tenderId, t, source, changes) : null;
+
+  return { tenderId, outcome, notification };
+}
+
+// --- run state shared by the SQS handler and replay ---
+function newRun() {
+  return {
+    toPublish: [], // SNS messages, published AFTER COMMIT
+    totalProcessed: 0,
+    totalErrors: 0,
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    plannedHashes: new Map(), // dry runs: hash each tender would have after the files so far
+  };
+}
 
-  // Collect SNS messages and publish AFTER COMMIT
-  const toPublish = [];
-  let totalProcessed = 0;
-  let totalErrors = 0;
+// Dry run: outcome counts from the stored hashes, plus those earlier files of the same run
+// would have written, so a chronological backfill counts like the real one.
+async function predictOutcomes(client, source, items, run) {
+  const sourceId = await getSourceId(client, source);
+  const ids = [...new Set(items.map(it => it.tender.external_id))];
+  const unseen = ids.filter(id => !run.plannedHashes.has(`${source}:${id}`));
+  if (unseen.length) {
+    const { rows } = await client.query(
+      'SELECT external_id, hash FROM tenders WHERE source_id = $1 AND external_id = ANY($2::text[])',
+      [sourceId, unseen]
+    );
+    for (const r of rows) run.plannedHashes.set(`${source}:${r.external_id}`, r.hash);
+  }
+  for (const it of items) {
+    const k = `${source}:${it.tender.external_id}`;
+    const before = run.plannedHashes.has(k) ? { hash: run.plannedHashes.get(k) } : null;
+    if (it.partial && before) {
+      run.unchanged++;
+      continue;
+    }
+    run[upsertOutcome(before, it.tender)]++;
+    run.plannedHashes.set(k, it.tender.hash);
+  }
+  run.totalProcessed += items.length;
+}
+
+// scraped_at of a scraper runtime envelope, or null
+function scrapedAt(raw) {
+  const d = raw && !Array.isArray(raw) && raw.scraped_at ? new Date(raw.scraped_at) : null;
+  return d && !isNaN(d) ? d : null;
+}
+
+/**
+ * Normalize and upsert one raw S3 object.
+ * `readKey` lets replay read the quarantined copy while the adapter still matches on the original key.
+ * `skipSchema` lets replay push through a file the schema check rejected once it has been reviewed.
+ * `seenAt` is when the snapshot was taken, by default the object's LastModified (the time backfill
+ * lists), else the envelope's scraped_at. Every path stamps last_seen_at with it, so a tender
+ * stored from a newer snapshot is not written at all (bulk.js isStale) and an older file never
+ * looks freshly seen. Replay passes the original object's LastModified, as it reads a copy.
+ * Backfill (backfill.js) adds:
+ *   `force`   - rewrite tenders even when nothing they store has changed (bulk.js preparedHash)
+ *   `dryRun`  - write nothing; count what would be inserted / updated / unchanged (see predictOutcomes)
+ * Returns { ok, source, items, failures: [{ stage, error, batchIndex }], drift, dateIssues }; the caller decides
+ * whether failures are quarantined.
+ */
+async function processObject(client, { bucket, key, readKey = key, skipSchema = false, dryRun = false, force = false, seenAt = null }, run) {
+  const failures = [];
+  const result = { ok: true, source: null, items: 0, failures, drift: null, dateIssues: null };
+
+  // Pick the source adapter that claims this key
+  const adapter = findAdapter(key);
+  if (!adapter) {
+    console.log(`Unknown source for key: ${key}`);
+    failures.push({ stage: 'unknown_source', error: new Error(`No source adapter matches key: ${key}`) });
+    result.ok = false;
+    return result;
+  }
+  const source = adapter.source;
+  result.source = source;
 
+  // Load JSON from S3
+  const { Body, LastModified } = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: readKey }));
+  const text = await streamToString(Body);
+  let raw;
   try {
-    for (const msg of (event.Records || [])) {
-      let body;
-      try {
-        body = JSON.parse(msg.body);
-      } catch (e) {
-        console.error('Non-JSON message body', msg.body);
-        continue;
-      }
+    raw = JSON.parse(text);
+  } catch (e) {
+    console.error('Bad JSON in S3 object', key, e);
+    failures.push({ stage: 'parse', error: e });
+    result.ok = false;
+    return result;
+  }
+  // A copy's LastModified is when it was copied, not when the snapshot was taken
+  seenAt = seenAt || (readKey === key && LastModified ? new Date(LastModified) : null) || scrapedAt(raw);
+
+  // Schema + fill-rate check on the raw records, before anything touches the DB
+  let records = adapter.unwrap(raw);
+  let reportId = null;
+  if (adapter.schema && records.length) {
+    const previous = await loadPreviousRates(client, source);
+    const { report, validRecords } = checkRecords(adapter.schema, records, previous);
+    const accepted = !report.rejected || skipSchema;
+    if (report.rejected && skipSchema) report.reasons.push('accepted anyway: schema check skipped on request');
+    if (!dryRun) reportId = await recordDriftReport(client, { source, bucket, key }, { ...report, rejected: !accepted });
+    result.drift = report;
+
+    if (report.drift.length) {
+      console.warn(`⚠️ ${source} fill-rate drift in ${key}:`, report.drift);
+    }
+    if (report.invalid) {
+      console.warn(`⚠️ ${report.invalid} of ${report.records} ${source} records fail the schema`, report.errors.slice(0, 5));
+    }
+    if (!accepted) {
+      console.error(`❌ Rejecting ${key}: ${report.reasons.join('; ')}`);
+      failures.push({ stage: 'schema', error: new Error(`Schema check failed: ${report.reasons.join('; ')}`) });
+      result.ok = false;
+      return result;
+    }
+    records = skipSchema ? records : validRecords;
+  }
 
-      for (const rec of (body.Records || [])) {
-        const bucket = rec.s3.bucket.name;
-        const key = decodeURIComponent(rec.s3.object.key.replace(/\+/g, ' '));
-
-        console.log('Processing', { bucket, key });
-
-        // Load JSON from S3
-        const { Body } = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
-        const text = await streamToString(Body);
-        let raw;
-        try {
-          raw = JSON.parse(text);
-        } catch (e) {
-          console.error('Bad JSON in S3 object', key, e);
-          continue;
-        }
+  const items = normalizeRecords(adapter, records);
+  result.items = items.length;
 
-        // Detect source by key prefix
-        let source = null;
-        if (key.startsWith('eskom/')) source = 'eskom';
-        else if (key.startsWith('sanral/')) source = 'sanral';
-        else if (key.startsWith('transnet/')) source = 'transnet';
-        else if (key.startsWith('etenders/')) source = 'etenders';
+  // Dates the parser could not read, or had to guess, are counted on the file's drift report
+  const dateIssues = summarizeDateIssues(items);
+  if (dateIssues) {
+    result.dateIssues = dateIssues;
+    console.warn(`⚠️ ${dateIssues.total} ${source} date values unreadable or ambiguous in ${key}:`, dateIssues.counts);
+    if (!dryRun) await recordDateIssues(client, reportId, dateIssues);
+  }
 
-        if (!source) {
-          console.log(`Unknown source for key: ${key}`);
-          continue;
-        }
+  if (!items.length) {
+    console.log(`No ${source} items found in file: ${key}`);
+    return result;
+  }
 
-        let items = [];
-
-        // Process based on source type
-        if (source === 'eskom') {
-          const asArray = Array.isArray(raw) ? raw : (raw && typeof raw === 'object' ? [raw] : []);
-          items = normalizeEskomArray(asArray);
-        } else if (source === 'sanral') {
-          const asArray = Array.isArray(raw) ? raw : (raw && typeof raw === 'object' ? [raw] : []);
-          items = normalizeSanralArray(asArray);
-        } else if (source === 'transnet') {
-          const asArray = Array.isArray(raw) ? raw : (raw && typeof raw === 'object' ? [raw] : []);
-          items = normalizeTransnetArray(asArray);
-        } else if (source === 'etenders') {
-          // eTenders has different structure - pass the whole object
-          items = normalizeEtendersArray(raw);
-        }
+  console.log(`Found ${items.length} ${source} items to process`);
 
-        if (!items.length) {
-          console.log(`No ${source} items found in file: ${key}`);
-          continue;
-        }
+  if (dryRun) {
+    await predictOutcomes(client, source, items, run);
+    return result;
+  }
 
-        console.log(`Found ${items.length} ${source} items to process`);
-
-        // Process in batches to avoid long transactions
-        const BATCH_SIZE = 50; // Reduced batch size for safety
-        for (let i = 0; i < items.length; i += BATCH_SIZE) {
-          const batch = items.slice(i, Math.min(i + BATCH_SIZE, items.length));
-          let batchProcessed = 0;
-          let batchErrors = 0;
-          
-          await client.query('BEGIN');
-          
+  // Loaded outside the batch transactions so a missing table can't abort them
+  const categoryRules = await loadCategoryRules(client);
+
+  // Process in batches to avoid long transactions
+  const BATCH_SIZE = 50; // Reduced batch size for safety
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    const batch = items.slice(i, Math.min(i + BATCH_SIZE, items.length));
+    const batchIndex = Math.floor(i / BATCH_SIZE);
+    let batchProcessed = 0;
+    let batchErrors = 0;
+    const batchOutcomes = { inserted: 0, updated: 0, unchanged: 0 };
+    const batchPublish = [];
+
+    for (const it of batch) prepareItem({ source, categoryRules }, it);
+
+    await client.query('BEGIN');
+
+    try {
+      const sourceId = await getSourceId(client, source);
+
+      // Whole batch in a few statements; on failure redo it row by row to isolate the bad tender
+      await client.query('SAVEPOINT bulk_upsert');
+      try {
+        const bulk = await bulkUpsert(client, { sourceId, source, seenAt, force }, batch);
+        await client.query('RELEASE SAVEPOINT bulk_upsert');
+        batchProcessed = bulk.processed;
+        Object.assign(batchOutcomes, bulk.outcomes);
+        batchPublish.push(...bulk.notifications);
+      } catch (bulkErr) {
+        if (isTransientError(bulkErr)) throw bulkErr;
+        await client.query('ROLLBACK TO SAVEPOINT bulk_upsert');
+        console.warn(`Bulk write of batch ${batchIndex + 1} failed, writing it row by row:`, bulkErr.message);
+
+        for (const it of batch) {
+          // A failed statement aborts the whole transaction; the savepoint keeps the rows around it
+          await client.query('SAVEPOINT upsert_row');
           try {
-            const sourceId = await getSourceId(client, source);
-
-            // Process batch
-            for (const it of batch) {
-              const t = it.tender;
-              
-              try {
-                const params = [
-                  sourceId, t.external_id, t.source_tender_id, t.title, t.description, t.category, t.location, t.buyer,
-                  t.procurement_method, t.procurement_method_details, t.status, t.tender_type,
-                  t.published_at, t.briefing_at, t.briefing_venue, t.briefing_compulsory,
-                  t.tender_start_at, t.closing_at, t.value_amount, t.value_currency, t.url, t.hash,
-                  t.tender_box_address, t.target_audience, t.contract_type, t.project_type, t.queries_to, t.briefing_details
-                ];
-
-                const { rows } = await client.query(UPSERT_TENDER_SQL, params);
-                const tenderId = rows[0].id;
-                batchProcessed++;
-
-                // Replace documents - now with proper URL handling
-                await client.query('DELETE FROM documents WHERE tender_id=$1', [tenderId]);
-                for (const d of it.documents || []) {
-                  // Since URL is nullable now, we can insert even without URL
-                  // But it's better to have URLs for user downloads
-                  await client.query(
-                    `INSERT INTO documents (tender_id, url, name, mime_type, published_at)
-                     VALUES ($1,$2,$3,$4,$5)`,
-                    [tenderId, d.url || null, d.name || null, d.mime_type || null, d.published_at || null]
-                  );
-                }
-
-                // Replace contacts
-                await client.query('DELETE FROM contacts WHERE tender_id=$1', [tenderId]);
-                for (const c of it.contacts || []) {
-                  await client.query(
-                    `INSERT INTO contacts (tender_id, name, email, phone)
-                     VALUES ($1,$2,$3,$4)`,
-                    [tenderId, c.name || null, c.email || null, c.phone || null]
-                  );
-                }
-
-                // Queue SNS message (only for first few to avoid spam)
-                if (toPublish.length < 10) {
-                  const cat = (t.category || source || 'general').toString().trim().toLowerCase();
-                  const subjectBase = `New ${cat} tender: ${t.title || 'Untitled'}`.slice(0, 95);
-
-                  toPublish.push({
-                    subject: subjectBase,
-                    payload: {
-                      tenderId,
-                      title: t.title,
-                      category: cat,
-                      source,
-                      published_at: t.published_at,
-                      closing_at: t.closing_at,
-                      url: t.url,
-                      description: t.description ? String(t.description).slice(0, 300) : null
-                    }
-                  });
-                }
-              } catch (err) {
-                console.error(`Error processing tender ${t.external_id}:`, err.message);
-                batchErrors++;
-                // Don't continue if transaction is aborted
-                if (err.message.includes('current transaction is aborted')) {
-                  throw err;
-                }
-              }
-            }
-
-            // COMMIT batch
-            await client.query('COMMIT');
-            totalProcessed += batchProcessed;
-            totalErrors += batchErrors;
-            console.log(`Batch ${Math.floor(i/BATCH_SIZE) + 1}/${Math.ceil(items.length/BATCH_SIZE)}: ${batchProcessed} success, ${batchErrors} errors`);
-            
-          } catch (batchErr) {
-            await client.query('ROLLBACK');
-            console.error(`Batch ${Math.floor(i/BATCH_SIZE) + 1} failed:`, batchErr.message);
-            totalErrors += batch.length;
+            const { outcome, notification } = await upsertItem(client, { sourceId, source, seenAt }, it);
+            await client.query('RELEASE SAVEPOINT upsert_row');
+            batchProcessed++;
+            batchOutcomes[outcome]++;
+            if (notification) batchPublish.push(notification);
+          } catch (err) {
+            console.error(`Error processing tender ${it.tender.external_id}:`, err.message);
+            batchErrors++;
+            // Don't continue if the connection is gone
+            if (isTransientError(err)) throw err;
+            await client.query('ROLLBACK TO SAVEPOINT upsert_row');
           }
         }
+      }
+
+      // COMMIT batch
+      await client.query('COMMIT');
+      run.totalProcessed += batchProcessed;
+      run.totalErrors += batchErrors;
+      for (const k of Object.keys(batchOutcomes)) run[k] += batchOutcomes[k];
+      run.toPublish.push(...batchPublish);
+      console.log(`Batch ${batchIndex + 1}/${Math.ceil(items.length/BATCH_SIZE)}: ${batchProcessed} success (${batchOutcomes.inserted} new, ${batchOutcomes.updated} updated, ${batchOutcomes.unchanged} unchanged), ${batchErrors} errors`);
+
+    } catch (batchErr) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        // The connection is unusable, so nothing more of this file can be written on it;
+        // hand the message back to the queue instead of quarantining the object
+        console.error(`Rollback of batch ${batchIndex + 1} failed after "${batchErr.message}":`, rollbackErr.message);
+        throw Object.assign(new Error(`Rollback failed: ${rollbackErr.message}`), { transient: true, cause: batchErr });
+      }
+      console.error(`Batch ${batchIndex + 1} failed:`, batchErr.message);
+      run.totalErrors += batch.length;
+      failures.push({ stage: 'batch', error: batchErr, batchIndex });
+      result.ok = false;
+    }
+  }
+
+  console.log(`✅ ${source.toUpperCase()} complete: ${run.totalProcessed} processed, ${run.totalErrors} errors`);
+  return result;
+}
 
-        console.log(`✅ ${source.toUpperCase()} complete: ${totalProcessed} processed, ${totalErrors} errors`);
+// Publish queued SNS messages and summarise the run; backfill publishes only when asked to
+async function finishRun(run, { publish = true } = {}) {
+  const published = publish
+    ? await publishNotifications(sns, process.env.TENDER_TOPIC_ARN, run.toPublish)
+    : { published: 0 };
+
+  console.log(`🎯 Final: ${run.totalProcessed} processed (${run.inserted} new, ${run.updated} updated, ${run.unchanged} unchanged), ${run.totalErrors} errors`);
+  return {
+    ok: true,
+    totalProcessed: run.totalProcessed,
+    totalErrors: run.totalErrors,
+    inserted: run.inserted,
+    updated: run.updated,
+    unchanged: run.unchanged,
+    published: published.published,
+  };
+}
+
+// --- one SQS message: every S3 record in its body ---
+// Returns true when the message is done with (ingested, skipped or quarantined), false to retry it
+async function processMessage(client, msg, run, counts) {
+  let body;
+  try {
+    body = JSON.parse(msg.body);
+  } catch (e) {
+    // Retrying cannot fix the body; let the message go
+    console.error('Non-JSON message body', msg.body);
+    return true;
+  }
+
+  let done = true;
+  for (const rec of (body.Records || [])) {
+    const bucket = rec.s3.bucket.name;
+    const key = decodeURIComponent(rec.s3.object.key.replace(/\+/g, ' '));
+
+    // Our own quarantine copies land in the same bucket; never re-ingest them
+    if (isQuarantineKey(key)) {
+      console.log('Skipping quarantined object', key);
+      continue;
+    }
+    // ...nor the document archive (documents.js)
+    if (isArchiveKey(key)) {
+      console.log('Skipping archived document', key);
+      continue;
+    }
+    if (key.startsWith(SCRAPER_STATE_PREFIX)) {
+      console.log('Skipping scraper state', key);
+      continue;
+    }
+    if (key.startsWith(SCRAPER_DEBUG_PREFIX)) {
+      console.log('Skipping scraper failure artifact', key);
+      continue;
+    }
+
+    console.log('Processing', { bucket, key });
+
+    let result;
+    try {
+      result = await processObject(client, { bucket, key }, run);
+    } catch (err) {
+      // Reading the object or talking to the DB failed outside the batch handling
+      result = { source: findAdapter(key)?.source ?? null, failures: [{ stage: 'unhandled', error: err }] };
+    }
+
+    for (const f of result.failures) {
+      if (isTransientError(f.error)) {
+        console.warn(`🔁 Transient ${f.stage} failure for ${key}, message ${msg.messageId} will be retried:`, f.error?.message);
+        counts.retried++;
+        done = false;
+        continue;
       }
+      let failureId = null;
+      try {
+        failureId = await quarantineObject(client, s3, { bucket, key, source: result.source, ...f });
+      } catch (err) {
+        console.error(`Quarantining ${key} threw:`, err.message);
+      }
+      if (failureId == null) {
+        // Not recorded anywhere yet, so letting the message go would lose the failure
+        console.warn(`🔁 Could not quarantine ${key}, message ${msg.messageId} will be retried`);
+        counts.retried++;
+        done = false;
+        continue;
+      }
+      counts.quarantined++;
     }
+  }
+  return done;
+}
 
-    // Publish SNS messages (limited to avoid spam)
-    for (const msg of toPublish) {
+// --- Lambda handler ---
+// With ReportBatchItemFailures only the messages listed in batchItemFailures go back to
+// the queue; upserts are idempotent, so re-running a partly ingested file is safe.
+exports.handler = async (event) => {
+  console.log('SQS batch size:', event.Records?.length || 0);
+
+  const db = await getPool();
+  let client = await db.connect();
+
+  const run = newRun();
+  const counts = { quarantined: 0, retried: 0 };
+  const batchItemFailures = [];
+  const records = event.Records || [];
+  // Set after a failed message, when the connection may be broken
+  let suspect = false;
+
+  try {
+    for (let i = 0; i < records.length; i++) {
+      const msg = records[i];
+      const done = await processMessage(client, msg, run, counts);
+      if (done) continue;
+      batchItemFailures.push({ itemIdentifier: msg.messageId });
+      suspect = true;
+
+      // The next message gets a fresh connection
+      if (i === records.length - 1) break;
+      client.release(true);
+      client = null;
       try {
-        if (process.env.TENDER_TOPIC_ARN) {
-          await sns.send(new PublishCommand({
-            TopicArn: process.env.TENDER_TOPIC_ARN,
-            Subject: msg.subject,
-            Message: JSON.stringify(msg.payload),
-            MessageAttributes: {
-              category: { DataType: 'String', StringValue: msg.payload.category }
-            }
-          }));
-          console.log(`📣 SNS published: ${msg.subject}`);
-        }
-      } catch (snsErr) {
-        console.error('SNS publish failed:', snsErr);
+        client = await db.connect();
+        suspect = false;
+      } catch (err) {
+        console.error('Could not reconnect, returning the rest of the batch:', err.message);
+        for (const rest of records.slice(i + 1)) batchItemFailures.push({ itemIdentifier: rest.messageId });
+        break;
       }
     }
 
-    console.log(`🎯 Final: ${totalProcessed} processed, ${totalErrors} errors`);
-    return { ok: true, totalProcessed, totalErrors };
+    if (batchItemFailures.length) {
+      console.warn(`${batchItemFailures.length} of ${records.length} messages failed and will be retried`);
+    }
+    return { ...(await finishRun(run)), ...counts, batchItemFailures };
 
   } catch (err) {
     console.error('Handler error:', err);
-    try { await client.query('ROLLBACK'); } catch {}
+    try { await client?.query('ROLLBACK'); } catch {}
     throw err;
 
   } finally {
-    client.release();
+    // A possibly broken connection is not handed back to the pool
+    client?.release(suspect);
   }
-};
\ No newline at end of file
+};
+
+exports.getPool = getPool;
+exports.processObject = processObject;
+exports.newRun = newRun;
+exports.finishRun = finishRun;
+exports.s3 = s3;
+exports.prepareItem = prepareItem;
+exports.upsertItem = upsertItem;
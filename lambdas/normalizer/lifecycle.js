@@ -0,0 +1,114 @@
+// lifecycle.js - canonical tender status, shared by the normalizer and the daily lifecycle job
+//
+// Raw source statuses ("Advertised", "Cancelled", null for Eskom/SANRAL...) stay in
+// tenders.status; the derived status lives in tenders.lifecycle_status so
+// GET /tenders?status= means the same thing for every source.
+const LIFECYCLE_STATUSES = ['open', 'closing_soon', 'closed', 'withdrawn_or_cancelled', 'awarded'];
+
+// Once here, only a fresh upsert (tender re-advertised / re-scraped) moves a tender again
+const TERMINAL_STATUSES = ['closed', 'withdrawn_or_cancelled', 'awarded'];
+
+const CLOSING_SOON_DAYS = parseInt(process.env.CLOSING_SOON_DAYS || '7', 10);
+
+// How far behind its source's latest sighting a tender may fall before it counts as gone
+const UNSEEN_GRACE_HOURS = parseInt(process.env.UNSEEN_GRACE_HOURS || '48', 10);
+
+const HOUR_MS = 3600 * 1000;
+
+function toTime(v) {
+  if (!v) return null;
+  const t = new Date(v).getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+/**
+ * Derive the canonical status for a tender.
+ * @param {Object} tender - { closing_at, last_seen_at, status } (status = raw source status)
+ * @param {Object} [opts]
+ * @param {Date}   [opts.now]
+ * @param {Date}   [opts.sourceLastSeenAt] - latest last_seen_at across the tender's source
+ * @returns {string} one of LIFECYCLE_STATUSES
+ */
+function deriveStatus(tender, { now = new Date(), sourceLastSeenAt = null } = {}) {
+  const raw = String(tender.status || '').toLowerCase();
+  if (/award/.test(raw)) return 'awarded';
+  if (/cancel|withdraw/.test(raw)) return 'withdrawn_or_cancelled';
+
+  const nowMs = toTime(now);
+  const closing = toTime(tender.closing_at);
+  if (/closed/.test(raw) || (closing != null && closing <= nowMs)) return 'closed';
+
+  // The source has been scraped since, without this tender: it was taken down early
+  const lastSeen = toTime(tender.last_seen_at);
+  const sourceSeen = toTime(sourceLastSeenAt);
+  if (lastSeen != null && sourceSeen != null && sourceSeen - lastSeen > UNSEEN_GRACE_HOURS * HOUR_MS) {
+    return 'withdrawn_or_cancelled';
+  }
+
+  if (closing != null && closing - nowMs <= CLOSING_SOON_DAYS * 24 * HOUR_MS) return 'closing_soon';
+  return 'open';
+}
+
+function isLifecycleStatus(s) {
+  return LIFECYCLE_STATUSES.includes(s);
+}
+
+const ACTIVE_TENDERS_SQL = `
+WITH source_seen AS (
+  SELECT source_id, max(last_seen_at) AS source_last_seen_at
+  FROM tenders
+  GROUP BY source_id
+)
+SELECT t.id, t.closing_at, t.last_seen_at, t.status, t.lifecycle_status, s.source_last_seen_at
+FROM tenders t
+JOIN source_seen s ON s.source_id = t.source_id
+WHERE t.lifecycle_status IS NULL OR NOT (t.lifecycle_status = ANY($1::text[]))
+`;
+
+const UPDATE_STATUS_SQL = `
+UPDATE tenders t
+SET lifecycle_status = u.status, lifecycle_updated_at = now()
+FROM unnest($1::bigint[], $2::text[]) AS u(id, status)
+WHERE t.id = u.id
+`;
+
+/** Recompute lifecycle_status for every non-terminal tender; returns { checked, changed, byStatus } */
+async function refreshLifecycle(client, now = new Date()) {
+  const { rows } = await client.query(ACTIVE_TENDERS_SQL, [TERMINAL_STATUSES]);
+
+  const ids = [];
+  const statuses = [];
+  const byStatus = {};
+  for (const r of rows) {
+    const next = deriveStatus(r, { now, sourceLastSeenAt: r.source_last_seen_at });
+    if (next !== r.lifecycle_status) {
+      ids.push(r.id);
+      statuses.push(next);
+      byStatus[next] = (byStatus[next] || 0) + 1;
+    }
+  }
+
+  if (ids.length) await client.query(UPDATE_STATUS_SQL, [ids, statuses]);
+  return { checked: rows.length, changed: ids.length, byStatus };
+}
+
+// --- Scheduled lifecycle job (EventBridge, daily after the scrapers) ---
+exports.handler = async () => {
+  // Required lazily so the pure status helpers load without the handler's dependencies
+  const { getPool } = require("./index");
+  const db = await getPool();
+  const client = await db.connect();
+  try {
+    const result = await refreshLifecycle(client);
+    console.log(`🔄 Lifecycle: checked ${result.checked}, changed ${result.changed}`, result.byStatus);
+    return { ok: true, ...result };
+  } finally {
+    client.release();
+  }
+};
+
+exports.LIFECYCLE_STATUSES = LIFECYCLE_STATUSES;
+exports.TERMINAL_STATUSES = TERMINAL_STATUSES;
+exports.deriveStatus = deriveStatus;
+exports.isLifecycleStatus = isLifecycleStatus;
+exports.refreshLifecycle = refreshLifecycle;
@@ -0,0 +1,134 @@
+// locations.js - resolve free-text tender locations to a province and municipality
+//
+// Backed by the offline gazetteer in gazetteer.json (9 provinces, metros, district
+// and local municipalities, major towns). Resolution order:
+//   1. the adapter's `places`, in order; the first that resolves wins
+//   2. the title/description, skipping town names that are also ordinary words
+// A province named outright wins over one implied by a town, which also settles
+// towns that exist in two provinces (Middelburg MP / EC).
+
+const gazetteer = require('./gazetteer.json');
+
+const PROVINCES = gazetteer.provinces;
+const PROVINCE_BY_CODE = new Map(PROVINCES.map(p => [p.code, p]));
+const AMBIGUOUS = new Set(gazetteer.ambiguous_words.map(w => fold(w)));
+const SPECIFICITY = { metro: 0, local: 0, district: 1 };
+
+function fold(s) {
+  return String(s || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Every name a place is known by -> what it resolves to (a town may be in several municipalities)
+function buildIndex() {
+  const index = new Map();
+  const add = (name, entry) => {
+    const phrase = fold(name);
+    if (!phrase) return;
+    if (!index.has(phrase)) index.set(phrase, []);
+    index.get(phrase).push(entry);
+  };
+  for (const p of PROVINCES) {
+    for (const alias of [p.name, ...(p.aliases || [])]) add(alias, { province: p.code });
+  }
+  for (const m of gazetteer.municipalities) {
+    const names = [m.name, ...(m.aliases || [])];
+    if (m.type === 'district') names.push(`${m.name} District`);
+    for (const n of [...names, ...(m.towns || [])]) add(n, { province: m.province, municipality: m });
+  }
+  // Longest phrase first so "Cape Town" is claimed before a shorter overlapping name
+  return [...index].sort(([a], [b]) => b.length - a.length);
+}
+
+const INDEX = buildIndex();
+
+/**
+ * All gazetteer hits in one string.
+ * strict: skip ambiguous_words (used for titles/descriptions, where "George" is usually a person)
+ */
+function findPlaces(text, { strict = false } = {}) {
+  const hits = [];
+  if (!text) return hits;
+
+  // Bare province codes only count as a whole field or comma-separated part ("Polokwane, LP")
+  if (!strict) {
+    for (const part of String(text).split(/[,;/|]/)) {
+      const p = PROVINCE_BY_CODE.get(part.trim());
+      if (p) hits.push({ province: p.code });
+    }
+  }
+
+  let hay = ` ${fold(text)} `;
+  for (const [phrase, entries] of INDEX) {
+    if (strict && AMBIGUOUS.has(phrase)) continue;
+    const needle = ` ${phrase} `;
+    if (!hay.includes(needle)) continue;
+    hits.push(...entries);
+    // Blank the match so "OR Tambo International" (Ekurhuleni) does not also hit the OR Tambo district (EC)
+    hay = hay.split(needle).join(' | ');
+  }
+  return hits;
+}
+
+function pickMunicipality(candidates) {
+  const unique = [...new Set(candidates)];
+  if (!unique.length) return null;
+  const best = Math.min(...unique.map(m => SPECIFICITY[m.type] ?? 1));
+  const specific = unique.filter(m => (SPECIFICITY[m.type] ?? 1) === best);
+  if (specific.length === 1) return specific[0].name;
+  // Several local municipalities in one district: fall back to the district
+  const districts = new Set(specific.map(m => m.district));
+  return districts.size === 1 && !districts.has(undefined) ? [...districts][0] : null;
+}
+
+function resolveHits(hits) {
+  const named = new Set(hits.filter(h => !h.municipality).map(h => h.province));
+  let munis = hits.filter(h => h.municipality).map(h => h.municipality);
+  if (named.size) munis = munis.filter(m => named.has(m.province));
+
+  const implied = new Set(munis.map(m => m.province));
+  let code = null;
+  if (named.size === 1) code = [...named][0];
+  else if (!named.size && implied.size === 1) code = [...implied][0];
+  if (!code) return null;
+
+  return {
+    province: PROVINCE_BY_CODE.get(code).name,
+    municipality: pickMunicipality(munis.filter(m => m.province === code)),
+  };
+}
+
+/**
+ * Resolve a tender to { province, municipality } (either may be null).
+ * places: location strings from the adapter; fallbackText: title/description
+ */
+function resolveLocation(places, fallbackText) {
+  for (const place of Array.isArray(places) ? places : [places]) {
+    const resolved = resolveHits(findPlaces(place));
+    if (resolved) return resolved;
+  }
+  const texts = Array.isArray(fallbackText) ? fallbackText : [fallbackText];
+  return resolveHits(texts.flatMap(t => findPlaces(t, { strict: true })))
+    || { province: null, municipality: null };
+}
+
+/** Canonical province name for a code, name or alias ("gp", "Gauteng", "KZN"); null if unknown */
+function provinceName(value) {
+  if (!value) return null;
+  const byCode = PROVINCE_BY_CODE.get(String(value).trim().toUpperCase());
+  if (byCode) return byCode.name;
+  const f = fold(value);
+  const p = PROVINCES.find(x => [x.name, ...(x.aliases || [])].some(a => fold(a) === f));
+  return p ? p.name : null;
+}
+
+module.exports = {
+  PROVINCES,
+  findPlaces,
+  resolveLocation,
+  provinceName,
+};
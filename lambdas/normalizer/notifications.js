@@ -0,0 +1,113 @@
+// notifications.js - SNS tender events for new and amended tenders
+//
+// Every upsert is classified as inserted / updated / unchanged. Only inserted
+// and updated tenders produce a message, tagged with an `event_type` message
+// attribute so subscribers can filter on it alongside `category`.
+const { PublishBatchCommand } = require("@aws-sdk/client-sns");
+
+const CANCELLED_STATUS = /cancel|withdrawn/i;
+
+const SUBJECT_PREFIX = {
+  new: 'New',
+  amended: 'Amended',
+  closing_extended: 'Closing date extended',
+  cancelled: 'Cancelled',
+};
+
+// SNS PublishBatch accepts at most 10 entries per call
+const PUBLISH_BATCH_SIZE = 10;
+
+/** 'inserted' | 'updated' | 'unchanged' from the stored row (or null) and the incoming tender */
+function upsertOutcome(before, tender) {
+  if (!before) return 'inserted';
+  return before.hash === tender.hash ? 'unchanged' : 'updated';
+}
+
+/**
+ * Event type for an upsert, or null when nothing should be published.
+ * `changes` is the revision diff ({ field: { from, to } }) for updated tenders.
+ */
+function classifyEvent(outcome, changes) {
+  if (outcome === 'inserted') return 'new';
+  if (outcome !== 'updated') return null;
+
+  const status = changes?.status;
+  if (status && status.to && CANCELLED_STATUS.test(status.to) && !CANCELLED_STATUS.test(status.from || '')) {
+    return 'cancelled';
+  }
+
+  const closing = changes?.closing_at;
+  if (closing && closing.from && closing.to && new Date(closing.to) > new Date(closing.from)) {
+    return 'closing_extended';
+  }
+
+  return 'amended';
+}
+
+function buildNotification(eventType, tenderId, t, source, changes) {
+  // Canonical slug first: it is what /user/preferences subscribes on
+  const cat = (t.canonical_category || t.category || source || 'general').toString().trim().toLowerCase();
+  return {
+    subject: `${SUBJECT_PREFIX[eventType]} ${cat} tender: ${t.title || 'Untitled'}`.slice(0, 95),
+    payload: {
+      event_type: eventType,
+      tenderId,
+      title: t.title,
+      category: cat,
+      source,
+      province: t.province || null,
+      municipality: t.municipality || null,
+      published_at: t.published_at,
+      closing_at: t.closing_at,
+      url: t.url,
+      description: t.description ? String(t.description).slice(0, 300) : null,
+      changed_fields: changes ? Object.keys(changes) : undefined,
+    },
+  };
+}
+
+/** Publish queued notifications in batches of 10; returns { published, failed } */
+async function publishNotifications(sns, topicArn, messages) {
+  let published = 0;
+  let failed = 0;
+  if (!topicArn || !messages.length) return { published, failed };
+
+  for (let i = 0; i < messages.length; i += PUBLISH_BATCH_SIZE) {
+    const chunk = messages.slice(i, i + PUBLISH_BATCH_SIZE);
+    try {
+      const resp = await sns.send(new PublishBatchCommand({
+        TopicArn: topicArn,
+        PublishBatchRequestEntries: chunk.map((msg, j) => ({
+          Id: String(i + j),
+          Subject: msg.subject,
+          Message: JSON.stringify(msg.payload),
+          MessageAttributes: {
+            category: { DataType: 'String', StringValue: msg.payload.category },
+            event_type: { DataType: 'String', StringValue: msg.payload.event_type },
+            // "unknown" rather than absent, so province-filtered subscriptions still get unplaced tenders
+            province: { DataType: 'String', StringValue: msg.payload.province || 'unknown' },
+          },
+        })),
+      }));
+      const failedCount = resp?.Failed?.length || 0;
+      for (const f of resp?.Failed || []) {
+        console.error(`SNS publish failed for entry ${f.Id}:`, f.Code, f.Message);
+      }
+      failed += failedCount;
+      published += chunk.length - failedCount;
+    } catch (snsErr) {
+      console.error('SNS publish failed:', snsErr);
+      failed += chunk.length;
+    }
+  }
+
+  console.log(`📣 SNS published ${published} notifications (${failed} failed)`);
+  return { published, failed };
+}
+
+module.exports = {
+  upsertOutcome,
+  classifyEvent,
+  buildNotification,
+  publishNotifications,
+};
@@ -0,0 +1,69 @@
+// quarantine.js - park raw S3 objects the normalizer could not ingest
+//
+// A failing key is copied to `quarantine/<original key>` in the same bucket and
+// recorded in ingest_failures (see db/migrations/0004_ingest_failures.sql) with the error, source
+// and batch index. replay.js re-runs the normalizer over selected rows once fixed.
+const { CopyObjectCommand } = require("@aws-sdk/client-s3");
+
+const QUARANTINE_PREFIX = 'quarantine/';
+
+function isQuarantineKey(key) {
+  return String(key || '').startsWith(QUARANTINE_PREFIX);
+}
+
+function quarantineKeyFor(key) {
+  return `${QUARANTINE_PREFIX}${key}`;
+}
+
+// CopySource is "bucket/key" with the key URL-encoded (slashes kept)
+function copySource(bucket, key) {
+  return `${bucket}/${encodeURIComponent(key).replace(/%2F/g, '/')}`;
+}
+
+/**
+ * Copy the object under quarantine/ and record the failure.
+ * Never throws: quarantining must not take the rest of the SQS batch down with it.
+ * Returns the ingest_failures id (or null if the row could not be written).
+ */
+async function quarantineObject(client, s3, { bucket, key, source, stage, error, batchIndex }) {
+  const qKey = quarantineKeyFor(key);
+  let copied = true;
+
+  try {
+    await s3.send(new CopyObjectCommand({
+      Bucket: bucket,
+      Key: qKey,
+      CopySource: copySource(bucket, key),
+      MetadataDirective: 'REPLACE',
+      Metadata: { 'original-key': encodeURIComponent(key), stage: String(stage) },
+      ContentType: 'application/json',
+    }));
+  } catch (copyErr) {
+    copied = false;
+    console.error(`Failed to copy ${key} to ${qKey}:`, copyErr.message);
+  }
+
+  try {
+    const { rows } = await client.query(
+      `INSERT INTO ingest_failures (bucket, s3_key, quarantine_key, source, stage, batch_index, error_message, error_stack)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+       RETURNING id`,
+      [
+        bucket, key, copied ? qKey : null, source || null, stage,
+        batchIndex ?? null, error?.message || String(error), error?.stack || null,
+      ]
+    );
+    console.warn(`🧪 Quarantined ${key} (${stage}${batchIndex != null ? ` batch ${batchIndex}` : ''}) as failure ${rows[0].id}`);
+    return rows[0].id;
+  } catch (dbErr) {
+    console.error(`Failed to record ingest failure for ${key}:`, dbErr.message);
+    return null;
+  }
+}
+
+module.exports = {
+  QUARANTINE_PREFIX,
+  isQuarantineKey,
+  quarantineKeyFor,
+  quarantineObject,
+};
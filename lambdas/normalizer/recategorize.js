@@ -0,0 +1,243 @@
+// recategorize.js - bring stored categories in line with the current taxonomy rules
+//
+// Invoke manually after a migration changes category_mapping_rules or the taxonomy, e.g.
+//   { "dryRun": true }
+//   { "steps": ["tenders"], "source": "etenders" }
+// Each step is safe to re-run:
+//   tenders       - recompute canonical_category and update the rows whose slug changed
+//   preferences   - user_preferences rows still holding raw source text (saved before the
+//                   taxonomy) become the slug that text classifies to
+//   subscriptions - the same for `category` in the filter policies on the tender topic; a
+//                   subscription that ends up the same as another of its endpoint's is removed
+// Text that no rule matches is left as it is and listed as `unmapped`, rather than moving the
+// subscriber onto the catch-all 'other' stream.
+const {
+  SNSClient,
+  ListSubscriptionsByTopicCommand,
+  GetSubscriptionAttributesCommand,
+  SetSubscriptionAttributesCommand,
+  UnsubscribeCommand,
+} = require("@aws-sdk/client-sns");
+const { getPool } = require("./index");
+const { FALLBACK_CATEGORY, classifyCategory, loadCategoryRules } = require("./taxonomy");
+
+const STEPS = ['tenders', 'preferences', 'subscriptions'];
+const PAGE_SIZE = 500;
+
+const sns = new SNSClient({});
+
+function buildOptions(event) {
+  const steps = event.steps || STEPS;
+  const unknown = steps.filter(s => !STEPS.includes(s));
+  if (unknown.length) throw new Error(`Unknown recategorize steps: ${unknown.join(', ')}`);
+  return { steps, source: event.source || null, dryRun: event.dryRun === true };
+}
+
+/**
+ * Slug for a stored category value: a slug or label as is (any case), anything else
+ * classified like a raw category from an unknown source. null when no rule matches it
+ * (only the fallback would) or there are no rules.
+ */
+function toSlug({ bySlug, rules }, value) {
+  const known = bySlug.get(String(value).trim().toLowerCase());
+  if (known) return known;
+  const slug = classifyCategory(rules, null, { category: value });
+  return slug === FALLBACK_CATEGORY ? null : slug;
+}
+
+async function loadTaxonomy(client) {
+  const { rows } = await client.query('SELECT slug, label FROM category_taxonomy');
+  const bySlug = new Map();
+  for (const r of rows) {
+    bySlug.set(r.slug.toLowerCase(), r.slug);
+    bySlug.set(r.label.toLowerCase(), r.slug);
+  }
+  return { slugs: new Set(rows.map(r => r.slug)), bySlug, rules: await loadCategoryRules(client) };
+}
+
+// Counts of "from -> to" moves, for the response
+function tally(moves, from, to) {
+  const k = `${from ?? 'null'} -> ${to}`;
+  moves[k] = (moves[k] || 0) + 1;
+}
+
+async function recategorizeTenders(client, { rules }, { source, dryRun }) {
+  const result = { checked: 0, changed: 0, moves: {} };
+  let lastId = 0;
+  for (;;) {
+    const params = [lastId];
+    if (source) params.push(source);
+    const { rows } = await client.query(
+      `SELECT t.id, s.name AS source, t.category, t.title, t.description, t.canonical_category
+       FROM tenders t JOIN sources s ON s.id = t.source_id
+       WHERE t.id > $1${source ? ' AND s.name = $2' : ''}
+       ORDER BY t.id
+       LIMIT ${PAGE_SIZE}`,
+      params
+    );
+    if (!rows.length) break;
+
+    const ids = [];
+    const slugs = [];
+    for (const t of rows) {
+      const slug = classifyCategory(rules, t.source, t);
+      if (slug && slug !== t.canonical_category) {
+        ids.push(t.id);
+        slugs.push(slug);
+        tally(result.moves, t.canonical_category, slug);
+      }
+    }
+    if (ids.length && !dryRun) {
+      await client.query(
+        `UPDATE tenders t SET canonical_category = v.slug
+         FROM unnest($1::bigint[], $2::text[]) AS v(id, slug)
+         WHERE t.id = v.id`,
+        [ids, slugs]
+      );
+    }
+    result.checked += rows.length;
+    result.changed += ids.length;
+    lastId = rows[rows.length - 1].id;
+  }
+  return result;
+}
+
+async function convertPreferences(client, taxonomy, { dryRun }) {
+  const { rows } = await client.query(
+    `SELECT user_id, tender_category FROM user_preferences
+     WHERE tender_category NOT IN (SELECT slug FROM category_taxonomy)
+     ORDER BY user_id, tender_category`
+  );
+  const result = { converted: 0, unmapped: [], moves: {} };
+  const changes = [];
+  for (const r of rows) {
+    const slug = toSlug(taxonomy, r.tender_category);
+    if (!slug) {
+      result.unmapped.push(r.tender_category);
+      continue;
+    }
+    changes.push({ ...r, slug });
+    tally(result.moves, r.tender_category, slug);
+  }
+  result.converted = changes.length;
+  if (dryRun || !changes.length) return result;
+
+  await client.query('BEGIN');
+  try {
+    for (const c of changes) {
+      // Two raw values can land on the same slug
+      await client.query(
+        'INSERT INTO user_preferences (user_id, tender_category) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [c.user_id, c.slug]
+      );
+      await client.query(
+        'DELETE FROM user_preferences WHERE user_id = $1 AND tender_category = $2',
+        [c.user_id, c.tender_category]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+  return result;
+}
+
+async function listSubscriptions(snsClient, topicArn) {
+  const subs = [];
+  let token;
+  do {
+    const resp = await snsClient.send(new ListSubscriptionsByTopicCommand({ TopicArn: topicArn, NextToken: token }));
+    subs.push(...(resp.Subscriptions || []));
+    token = resp.NextToken;
+  } while (token);
+  // "PendingConfirmation" is not an ARN and has no attributes to read yet
+  return subs.filter(s => s.SubscriptionArn && s.SubscriptionArn.startsWith('arn:'));
+}
+
+/**
+ * The filter policy with its categories as slugs, or null when nothing changes.
+ * Values that map to no slug stay as they are and are added to `unmapped`.
+ */
+function convertPolicy(taxonomy, policy, unmapped = []) {
+  if (!policy || !Array.isArray(policy.category)) return null;
+  const category = [];
+  for (const c of policy.category) {
+    // Anything other than a plain string (prefix/anything-but matchers) is left alone
+    let slug = typeof c === 'string' && !taxonomy.slugs.has(c) ? toSlug(taxonomy, c) : c;
+    if (!slug) {
+      if (!unmapped.includes(c)) unmapped.push(c);
+      slug = c;
+    }
+    if (!category.some(x => JSON.stringify(x) === JSON.stringify(slug))) category.push(slug);
+  }
+  if (JSON.stringify(category) === JSON.stringify(policy.category)) return null;
+  return { ...policy, category };
+}
+
+async function convertSubscriptions(snsClient, topicArn, taxonomy, { dryRun }) {
+  const result = { checked: 0, updated: 0, removed: 0, unmapped: [] };
+  const seen = new Set();
+  const changes = [];
+  for (const sub of await listSubscriptions(snsClient, topicArn)) {
+    const { Attributes = {} } = await snsClient.send(
+      new GetSubscriptionAttributesCommand({ SubscriptionArn: sub.SubscriptionArn })
+    );
+    const policy = Attributes.FilterPolicy ? JSON.parse(Attributes.FilterPolicy) : null;
+    const converted = convertPolicy(taxonomy, policy, result.unmapped);
+    result.checked++;
+    if (converted) changes.push({ sub, policy: converted });
+    else seen.add(`${sub.Endpoint}|${JSON.stringify(policy)}`);
+  }
+
+  for (const { sub, policy } of changes) {
+    const k = `${sub.Endpoint}|${JSON.stringify(policy)}`;
+    if (seen.has(k)) {
+      // The endpoint already gets exactly this; a second subscription would send every email twice
+      if (!dryRun) await snsClient.send(new UnsubscribeCommand({ SubscriptionArn: sub.SubscriptionArn }));
+      result.removed++;
+      continue;
+    }
+    seen.add(k);
+    if (!dryRun) {
+      await snsClient.send(new SetSubscriptionAttributesCommand({
+        SubscriptionArn: sub.SubscriptionArn,
+        AttributeName: 'FilterPolicy',
+        AttributeValue: JSON.stringify(policy),
+      }));
+    }
+    result.updated++;
+  }
+  return result;
+}
+
+exports.handler = async (event = {}) => {
+  const opts = buildOptions(event);
+  const db = await getPool();
+  const client = await db.connect();
+
+  try {
+    const taxonomy = await loadTaxonomy(client);
+    if (!taxonomy.rules.length) throw new Error('No category rules loaded; has the taxonomy migration run?');
+
+    const out = { dryRun: opts.dryRun };
+    if (opts.steps.includes('tenders')) {
+      out.tenders = await recategorizeTenders(client, taxonomy, opts);
+    }
+    if (opts.steps.includes('preferences')) {
+      out.preferences = await convertPreferences(client, taxonomy, opts);
+    }
+    if (opts.steps.includes('subscriptions')) {
+      if (!process.env.TENDER_TOPIC_ARN) throw new Error('TENDER_TOPIC_ARN is not set');
+      out.subscriptions = await convertSubscriptions(sns, process.env.TENDER_TOPIC_ARN, taxonomy, opts);
+    }
+    console.log('Recategorize:', JSON.stringify(out));
+    return out;
+  } finally {
+    client.release();
+  }
+};
+
+exports.sns = sns;
+exports.buildOptions = buildOptions;
+exports.convertPolicy = convertPolicy;
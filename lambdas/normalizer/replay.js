@@ -0,0 +1,143 @@
+// replay.js - re-run the normalizer over quarantined S3 objects
+//
+// Invoke manually once the bug that caused the failures is fixed, e.g.
+//   { "ids": [12, 13] }
+//   { "keys": ["transnet/transnet-2025-11-03T04-10-00-000Z.json"] }
+//   { "source": "eskom", "stage": "batch", "limit": 20 }
+//   { "ids": [14], "skipSchema": true }   (accept a file the schema check rejected)
+// Each selected object is read from its quarantine/ copy (falling back to the
+// original key) and pushed through the same processObject path as the SQS handler,
+// dated by the original object so a file quarantined days ago cannot overwrite the
+// newer snapshots ingested since (bulk.js isStale).
+const { HeadObjectCommand } = require("@aws-sdk/client-s3");
+const { getPool, processObject, newRun, finishRun, s3 } = require("./index");
+
+const DEFAULT_LIMIT = 50;
+
+function buildSelection(event) {
+  const where = ["status = 'quarantined'"];
+  const params = [];
+
+  if (Array.isArray(event.ids) && event.ids.length) {
+    params.push(event.ids);
+    where.push(`id = ANY($${params.length}::bigint[])`);
+  }
+  if (Array.isArray(event.keys) && event.keys.length) {
+    params.push(event.keys);
+    where.push(`s3_key = ANY($${params.length}::text[])`);
+  }
+  if (event.source) {
+    params.push(event.source);
+    where.push(`source = $${params.length}`);
+  }
+  if (event.stage) {
+    params.push(event.stage);
+    where.push(`stage = $${params.length}`);
+  }
+
+  // Refuse to replay the whole table by accident
+  if (params.length === 0 && event.all !== true) {
+    throw new Error('replay needs ids, keys, source or stage (or all: true)');
+  }
+
+  return { sql: where.join(' AND '), params };
+}
+
+// When the original snapshot was written; null if it is gone (processObject then falls
+// back to the envelope's scraped_at)
+async function snapshotTime(s3Client, bucket, key) {
+  try {
+    const { LastModified } = await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    return LastModified ? new Date(LastModified) : null;
+  } catch (err) {
+    console.warn(`No original object at ${key} to date the replay by:`, err.message);
+    return null;
+  }
+}
+
+// One entry per quarantined object, with every failure row that points at it
+function groupByObject(rows) {
+  const byKey = new Map();
+  for (const r of rows) {
+    const k = `${r.bucket}/${r.s3_key}`;
+    if (!byKey.has(k)) byKey.set(k, { bucket: r.bucket, key: r.s3_key, readKey: null, failureIds: [] });
+    const g = byKey.get(k);
+    g.failureIds.push(r.id);
+    if (r.quarantine_key) g.readKey = r.quarantine_key;
+  }
+  return [...byKey.values()];
+}
+
+exports.handler = async (event = {}) => {
+  const { sql, params } = buildSelection(event);
+  const limit = Math.min(Math.max(parseInt(event.limit || DEFAULT_LIMIT, 10) || DEFAULT_LIMIT, 1), 500);
+
+  const db = await getPool();
+  const client = await db.connect();
+
+  try {
+    const { rows } = await client.query(
+      `SELECT id, bucket, s3_key, quarantine_key
+       FROM ingest_failures
+       WHERE ${sql}
+       ORDER BY failed_at, id
+       LIMIT ${limit}`,
+      params
+    );
+    const objects = groupByObject(rows);
+    console.log(`Replaying ${objects.length} quarantined objects (${rows.length} failure rows)`);
+
+    if (event.dryRun) {
+      return { ok: true, dryRun: true, objects: objects.map(o => ({ key: o.key, failureIds: o.failureIds })) };
+    }
+
+    const run = newRun();
+    const results = [];
+
+    for (const obj of objects) {
+      let result;
+      try {
+        result = await processObject(client, {
+          bucket: obj.bucket, key: obj.key, readKey: obj.readKey || obj.key, skipSchema: event.skipSchema === true,
+          seenAt: await snapshotTime(s3, obj.bucket, obj.key),
+        }, run);
+      } catch (err) {
+        result = { ok: false, failures: [{ stage: 'read', error: err }] };
+      }
+
+      if (result.ok) {
+        await client.query(
+          `UPDATE ingest_failures
+           SET status = 'replayed', replayed_at = now(), replay_attempts = replay_attempts + 1
+           WHERE id = ANY($1::bigint[])`,
+          [obj.failureIds]
+        );
+      } else {
+        const first = result.failures[0];
+        await client.query(
+          `UPDATE ingest_failures
+           SET replay_attempts = replay_attempts + 1, last_replay_at = now(), last_replay_error = $2
+           WHERE id = ANY($1::bigint[])`,
+          [obj.failureIds, `${first.stage}: ${first.error?.message || first.error}`]
+        );
+      }
+
+      console.log(`${result.ok ? '♻️ Replayed' : '❌ Replay failed for'} ${obj.key}`);
+      results.push({ key: obj.key, ok: result.ok, items: result.items || 0, failureIds: obj.failureIds });
+    }
+
+    const summary = await finishRun(run);
+    return {
+      ...summary,
+      replayed: results.filter(r => r.ok).length,
+      failed: results.filter(r => !r.ok).length,
+      results,
+    };
+  } finally {
+    client.release();
+  }
+};
+
+exports.buildSelection = buildSelection;
+exports.groupByObject = groupByObject;
+exports.snapshotTime = snapshotTime;
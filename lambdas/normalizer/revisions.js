@@ -0,0 +1,145 @@
+// revisions.js - field-level history for tenders whose hash changed on upsert
+//
+// Before each upsert the current row is read; if the new hash differs, the
+// changed fields are written to tender_revisions (see db/migrations/0003_tender_revisions.sql)
+// so a moved closing date or amended description is never silently lost.
+
+// Tender columns tracked in history (superset of every adapter's hash fields)
+const REVISION_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'location',
+  'buyer',
+  'procurement_method',
+  'status',
+  'tender_type',
+  'published_at',
+  'briefing_at',
+  'briefing_venue',
+  'briefing_compulsory',
+  'briefing_link',
+  'tender_start_at',
+  'closing_at',
+  'value_amount',
+  'value_currency',
+  'url',
+  'tender_box_address',
+  'target_audience',
+  'contract_type',
+  'project_type',
+  'queries_to',
+  'briefing_details',
+];
+
+// pg hands back Dates for timestamptz and strings for numeric; compare on a common form
+function comparable(v) {
+  if (v === undefined || v === null || v === '') return null;
+  if (v instanceof Date) return isNaN(v) ? null : v.toISOString();
+  if (typeof v === 'number') return String(v);
+  return v;
+}
+
+// NUMERIC(18,2) columns: pg returns "1500000.00" where the adapter had 1500000
+const NUMERIC_FIELDS = new Set(['value_amount']);
+
+function comparableField(field, v) {
+  const c = comparable(v);
+  if (c === null || !NUMERIC_FIELDS.has(field)) return c;
+  const n = Number(c);
+  return Number.isFinite(n) ? n.toFixed(2) : c;
+}
+
+/** { field: { from, to } } for every tracked field that differs */
+function diffTender(before, after) {
+  const changes = {};
+  for (const f of REVISION_FIELDS) {
+    const from = comparableField(f, before?.[f]);
+    const to = comparableField(f, after?.[f]);
+    if (from !== to) changes[f] = { from, to };
+  }
+  return changes;
+}
+
+const CURRENT_SQL = `
+SELECT id, hash, prepared_hash, last_seen_at, date_rules_version, ${REVISION_FIELDS.join(', ')}
+FROM tenders
+WHERE source_id = $1 AND external_id = $2
+FOR UPDATE
+`;
+
+/** Current stored row for (source, external_id), or null for a new tender */
+async function loadCurrent(client, sourceId, externalId) {
+  const { rows } = await client.query(CURRENT_SQL, [sourceId, externalId]);
+  return rows[0] || null;
+}
+
+const CURRENT_MANY_SQL = `
+SELECT id, external_id, hash, prepared_hash, last_seen_at, date_rules_version, ${REVISION_FIELDS.join(', ')}
+FROM tenders
+WHERE source_id = $1 AND external_id = ANY($2::text[])
+FOR UPDATE
+`;
+
+/** loadCurrent for a whole batch: Map of external_id -> stored row (new tenders are absent) */
+async function loadCurrentMany(client, sourceId, externalIds) {
+  const { rows } = await client.query(CURRENT_MANY_SQL, [sourceId, externalIds]);
+  return new Map(rows.map(r => [r.external_id, r]));
+}
+
+/** Write a revision row if the tender changed; returns the diff (or null) */
+async function recordRevision(client, tenderId, before, after) {
+  if (!before || before.hash === after.hash) return null;
+  const changes = diffTender(before, after);
+  const fields = Object.keys(changes);
+  if (!fields.length) return null;
+
+  await client.query(
+    `INSERT INTO tender_revisions (tender_id, previous_hash, new_hash, changed_fields, changes)
+     VALUES ($1, $2, $3, $4::text[], $5::jsonb)`,
+    [tenderId, before.hash, after.hash, fields, JSON.stringify(changes)]
+  );
+  return changes;
+}
+
+/**
+ * recordRevision for a batch in one INSERT.
+ * entries: [{ tenderId, before, after }]; returns Map of tenderId -> diff for the tenders that changed
+ */
+async function recordRevisions(client, entries) {
+  const diffs = new Map();
+  const cols = { tenderIds: [], previous: [], next: [], fields: [], changes: [] };
+  for (const { tenderId, before, after } of entries) {
+    if (!before || before.hash === after.hash) continue;
+    const changes = diffTender(before, after);
+    const fields = Object.keys(changes);
+    if (!fields.length) continue;
+    diffs.set(tenderId, changes);
+    cols.tenderIds.push(tenderId);
+    cols.previous.push(before.hash);
+    cols.next.push(after.hash);
+    // field names have no commas; joined so the row keeps REVISION_FIELDS order
+    cols.fields.push(fields.join(','));
+    cols.changes.push(JSON.stringify(changes));
+  }
+  if (!diffs.size) return diffs;
+
+  await client.query(
+    `INSERT INTO tender_revisions (tender_id, previous_hash, new_hash, changed_fields, changes)
+     SELECT r.tender_id, r.previous_hash, r.new_hash, string_to_array(r.fields, ','), r.changes
+     FROM unnest($1::bigint[], $2::text[], $3::text[], $4::text[], $5::jsonb[])
+       AS r(tender_id, previous_hash, new_hash, fields, changes)`,
+    [cols.tenderIds, cols.previous, cols.next, cols.fields, cols.changes]
+  );
+  return diffs;
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  comparable,
+  diffTender,
+  loadCurrent,
+  loadCurrentMany,
+  recordRevision,
+  recordRevisions,
+};
@@ -0,0 +1,99 @@
+// taxonomy.js - map raw source categories onto the canonical category taxonomy
+//
+// Taxonomy and per-source rules live in category_taxonomy / category_mapping_rules
+// (see db/migrations/0006_category_taxonomy.sql). Rules are tried in priority order:
+//   exact   - raw category equals pattern (case-insensitive)
+//   regex   - raw category matches pattern (case-insensitive)
+//   keyword - any comma-separated keyword appears in the raw category, title or description
+// A rule with source NULL applies to every source.
+
+const FALLBACK_CATEGORY = 'other';
+const RULES_TTL_MS = 10 * 60 * 1000;
+
+const MATCH_ORDER = { exact: 0, regex: 1, keyword: 2 };
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileRule(r) {
+  const type = r.match_type;
+  let test;
+  if (type === 'exact') {
+    const want = String(r.pattern).trim().toLowerCase();
+    test = ({ category }) => (category || '').trim().toLowerCase() === want;
+  } else if (type === 'regex') {
+    const re = new RegExp(r.pattern, 'i');
+    test = ({ category }) => !!category && re.test(category);
+  } else if (type === 'keyword') {
+    const words = String(r.pattern).split(',').map(w => w.trim()).filter(Boolean);
+    // Whole words, plural tolerated ("transformer" matches "transformers")
+    const re = new RegExp(`\\b(${words.map(escapeRegex).join('|')})s?\\b`, 'i');
+    test = ({ category, title, description }) => re.test(`${category || ''} ${title || ''} ${description || ''}`);
+  } else {
+    throw new Error(`Unknown category match_type: ${type}`);
+  }
+  return {
+    id: r.id,
+    source: r.source || null,
+    match_type: type,
+    category_slug: r.category_slug,
+    priority: Number(r.priority ?? 100),
+    test,
+  };
+}
+
+/** Compile DB rows into matchers sorted by priority, then exact < regex < keyword */
+function compileRules(rows) {
+  const rules = [];
+  for (const r of rows || []) {
+    try {
+      rules.push(compileRule(r));
+    } catch (err) {
+      console.error(`Skipping category rule ${r.id}:`, err.message);
+    }
+  }
+  return rules.sort((a, b) =>
+    a.priority - b.priority || MATCH_ORDER[a.match_type] - MATCH_ORDER[b.match_type] || (a.id || 0) - (b.id || 0)
+  );
+}
+
+/**
+ * Canonical category slug for a tender.
+ * Returns FALLBACK_CATEGORY when no rule matches, or null when there are no rules at all.
+ */
+function classifyCategory(rules, source, { category, title, description }) {
+  if (!rules || !rules.length) return null;
+  const input = { category, title, description };
+  for (const rule of rules) {
+    if (rule.source && rule.source !== source) continue;
+    if (rule.test(input)) return rule.category_slug;
+  }
+  return FALLBACK_CATEGORY;
+}
+
+// Per-container cache so each batch doesn't re-read the rules
+let cached = null;
+let cachedAt = 0;
+
+async function loadCategoryRules(client) {
+  if (cached && Date.now() - cachedAt < RULES_TTL_MS) return cached;
+  try {
+    const { rows } = await client.query(
+      'SELECT id, source, match_type, pattern, category_slug, priority FROM category_mapping_rules WHERE enabled'
+    );
+    cached = compileRules(rows);
+    cachedAt = Date.now();
+  } catch (err) {
+    console.error('Could not load category rules:', err.message);
+    cached = cached || [];
+  }
+  return cached;
+}
+
+module.exports = {
+  FALLBACK_CATEGORY,
+  compileRules,
+  classifyCategory,
+  loadCategoryRules,
+};
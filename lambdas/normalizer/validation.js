@@ -0,0 +1,220 @@
+// validation.js - check raw scraper output against the source's schema before any DB write
+//
+// Each adapter carries a JSON schema for one raw record (schemas/<source>.schema.json).
+// Only the draft-07 keywords the schemas use are supported: type, required, properties,
+// items, anyOf, minLength, pattern, enum. The schema's "x-fill" maps field paths
+// ("details.contactEmail") to the minimum share of records that must have a value.
+//
+// A file is rejected when too many records fail the schema, or when a field listed in
+// x-fill is filled below its minimum. Fill rates of every schema field are compared
+// with the source's previous accepted run and big drops are reported as drift
+// (source_drift_reports, see db/migrations/0011_source_drift_reports.sql).
+
+const MAX_INVALID_RATIO = parseFloat(process.env.SCHEMA_MAX_INVALID_RATIO || '0.5');
+const DRIFT_ALERT_DROP = parseFloat(process.env.DRIFT_ALERT_DROP || '0.25');
+// Fill rates of a handful of records say nothing; smaller files are never rejected on them
+const DRIFT_MIN_RECORDS = parseInt(process.env.DRIFT_MIN_RECORDS || '5', 10);
+const MAX_ERROR_SAMPLES = 20;
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+function typeMatches(expected, v) {
+  const actual = typeOf(v);
+  return [].concat(expected).some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+/** Schema errors for one value: [{ path, message }] (empty when valid) */
+function validate(schema, value, path = '') {
+  const errors = [];
+  const at = path || '(record)';
+  if (!schema) return errors;
+
+  if (schema.type && !typeMatches(schema.type, value)) {
+    errors.push({ path: at, message: `expected ${[].concat(schema.type).join('|')}, got ${typeOf(value)}` });
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `not one of ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ path: at, message: `shorter than ${schema.minLength}` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `does not match ${schema.pattern}` });
+    }
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validate(sub, value[key], path ? `${path}.${key}` : key));
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+  if (schema.anyOf && !schema.anyOf.some(sub => validate(sub, value, path).length === 0)) {
+    errors.push({ path: at, message: 'matches none of the allowed shapes' });
+  }
+  return errors;
+}
+
+/** Dotted paths of every property the schema describes (objects expanded, arrays as a whole) */
+function schemaFields(schema, prefix = '') {
+  const fields = [];
+  for (const [key, sub] of Object.entries(schema?.properties || {})) {
+    const p = prefix ? `${prefix}.${key}` : key;
+    if ([].concat(sub.type).includes('object') && sub.properties) fields.push(...schemaFields(sub, p));
+    else fields.push(p);
+  }
+  return fields;
+}
+
+function valueAt(record, path) {
+  return path.split('.').reduce((v, k) => (v == null ? undefined : v[k]), record);
+}
+
+function isFilled(v) {
+  if (v == null) return false;
+  if (typeof v === 'string') return v.trim() !== '';
+  if (Array.isArray(v)) return v.length > 0;
+  return true;
+}
+
+/** Share of records (0..1, 3 decimals) with a value at each path */
+function fillRates(records, fields) {
+  const rates = {};
+  for (const f of fields) {
+    const filled = records.filter(r => isFilled(valueAt(r, f))).length;
+    rates[f] = records.length ? Math.round((filled / records.length) * 1000) / 1000 : 0;
+  }
+  return rates;
+}
+
+/** Fields whose fill rate fell by at least DRIFT_ALERT_DROP since the previous run */
+function compareFillRates(current, previous) {
+  if (!previous) return [];
+  const drift = [];
+  for (const [field, rate] of Object.entries(current)) {
+    const before = previous[field];
+    if (typeof before !== 'number') continue;
+    const delta = Math.round((rate - before) * 1000) / 1000;
+    if (-delta >= DRIFT_ALERT_DROP) drift.push({ field, previous: before, current: rate, delta });
+  }
+  return drift;
+}
+
+/**
+ * Validate one file's raw records against the adapter's schema.
+ * previousRates: fill rates of the source's last accepted run (or null)
+ * Returns { report, validRecords }; report.rejected says whether to stop before the DB.
+ */
+function checkRecords(schema, records, previousRates = null) {
+  const validRecords = [];
+  const samples = [];
+  let invalid = 0;
+  records.forEach((r, i) => {
+    const errors = validate(schema, r);
+    if (!errors.length) {
+      validRecords.push(r);
+      return;
+    }
+    invalid++;
+    for (const e of errors) {
+      if (samples.length < MAX_ERROR_SAMPLES) samples.push({ index: i, ...e });
+    }
+  });
+
+  const rates = fillRates(records, schemaFields(schema));
+  const drift = compareFillRates(rates, previousRates);
+
+  const reasons = [];
+  if (records.length && invalid / records.length > MAX_INVALID_RATIO) {
+    reasons.push(`${invalid} of ${records.length} records fail the schema`);
+  }
+  if (records.length >= DRIFT_MIN_RECORDS) {
+    for (const [field, min] of Object.entries(schema['x-fill'] || {})) {
+      const rate = fillRates(records, [field])[field];
+      if (rate < min) reasons.push(`${field} filled in ${Math.round(rate * 100)}% of records (minimum ${Math.round(min * 100)}%)`);
+    }
+  }
+
+  return {
+    validRecords,
+    report: {
+      records: records.length,
+      valid: validRecords.length,
+      invalid,
+      errors: samples,
+      fill_rates: rates,
+      drift,
+      rejected: reasons.length > 0,
+      reasons,
+    },
+  };
+}
+
+// Baseline is the last accepted run, so one broken scrape does not become the new normal
+const PREVIOUS_RATES_SQL = `
+SELECT fill_rates FROM source_drift_reports
+WHERE source = $1 AND NOT rejected
+ORDER BY created_at DESC
+LIMIT 1
+`;
+
+async function loadPreviousRates(client, source) {
+  try {
+    const { rows } = await client.query(PREVIOUS_RATES_SQL, [source]);
+    return rows[0]?.fill_rates || null;
+  } catch (err) {
+    console.error(`Could not load previous fill rates for ${source}:`, err.message);
+    return null;
+  }
+}
+
+/** Store a drift report; never throws (reporting must not block ingestion) */
+async function recordDriftReport(client, { source, bucket, key }, report) {
+  try {
+    const { rows } = await client.query(
+      `INSERT INTO source_drift_reports
+         (source, bucket, s3_key, records, valid, invalid, fill_rates, drift, errors, rejected, reasons)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+       RETURNING id`,
+      [source, bucket, key, report.records, report.valid, report.invalid,
+        JSON.stringify(report.fill_rates), JSON.stringify(report.drift), JSON.stringify(report.errors),
+        report.rejected, JSON.stringify(report.reasons)]
+    );
+    return rows[0]?.id ?? null;
+  } catch (err) {
+    console.error(`Could not record drift report for ${key}:`, err.message);
+    return null;
+  }
+}
+
+/** Attach date parsing issues (dates.js summarizeDateIssues) to a drift report; never throws */
+async function recordDateIssues(client, reportId, summary) {
+  if (reportId == null) return;
+  try {
+    await client.query('UPDATE source_drift_reports SET date_issues = $2 WHERE id = $1', [reportId, JSON.stringify(summary)]);
+  } catch (err) {
+    console.error(`Could not record date issues on drift report ${reportId}:`, err.message);
+  }
+}
+
+module.exports = {
+  validate,
+  schemaFields,
+  fillRates,
+  compareFillRates,
+  checkRecords,
+  loadPreviousRates,
+  recordDriftReport,
+  recordDateIssues,
+};
@@ -0,0 +1,104 @@
+// zip.js - minimal ZIP reader for tender document bundles (Eskom DownloadAll, DOCX/XLSX)
+//
+// Reads the central directory and inflates stored/deflated entries with zlib.
+// No ZIP64, no encryption: such archives are rejected, encrypted entries skipped.
+const zlib = require('zlib');
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+const MAX_ENTRY_BYTES = parseInt(process.env.ZIP_MAX_ENTRY_BYTES || String(100 * 1024 * 1024), 10);
+// Everything one download may expand to, nested zips included (see expansionBudget)
+const MAX_TOTAL_BYTES = parseInt(process.env.ZIP_MAX_TOTAL_BYTES || String(200 * 1024 * 1024), 10);
+
+function isZip(buf) {
+  return Buffer.isBuffer(buf) && buf.length >= 4 && buf.readUInt32LE(0) === LOCAL_SIG;
+}
+
+function findEndOfCentralDirectory(buf) {
+  // EOCD is 22 bytes plus a comment of up to 64KB
+  const stop = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= stop; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) return i;
+  }
+  throw new Error('Not a zip archive (no end of central directory)');
+}
+
+/** Entry list without inflating anything: [{ name, method, compressedSize, size, offset, encrypted }] */
+function listZip(buf) {
+  const eocd = findEndOfCentralDirectory(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  if (count === 0xffff || p === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (p + 46 > buf.length || buf.readUInt32LE(p) !== CENTRAL_SIG) {
+      throw new Error(`Corrupt zip central directory at entry ${i}`);
+    }
+    const flags = buf.readUInt16LE(p + 8);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const name = buf.toString(flags & 0x800 ? 'utf8' : 'latin1', p + 46, p + 46 + nameLen);
+    entries.push({
+      name,
+      method: buf.readUInt16LE(p + 10),
+      compressedSize: buf.readUInt32LE(p + 20),
+      size: buf.readUInt32LE(p + 24),
+      offset: buf.readUInt32LE(p + 42),
+      encrypted: Boolean(flags & 0x1),
+    });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+/** Inflate one entry from listZip(), to at most maxBytes */
+function readEntry(buf, entry, maxBytes = MAX_ENTRY_BYTES) {
+  const p = entry.offset;
+  if (p + 30 > buf.length || buf.readUInt32LE(p) !== LOCAL_SIG) throw new Error(`Corrupt zip local header for ${entry.name}`);
+  const start = p + 30 + buf.readUInt16LE(p + 26) + buf.readUInt16LE(p + 28);
+  const data = buf.subarray(start, start + entry.compressedSize);
+
+  if (entry.size > maxBytes) throw new Error(`Zip entry ${entry.name} is too large (${entry.size} bytes)`);
+  if (entry.method === 0) return Buffer.from(data);
+  if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: maxBytes });
+  throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`);
+}
+
+/** Uncompressed bytes one download may still expand to; pass the same one to every nested readZip */
+function expansionBudget(bytes = MAX_TOTAL_BYTES) {
+  return { left: bytes };
+}
+
+/**
+ * All file entries as [{ name, data }]; directories and encrypted entries are skipped.
+ * Throws once the entries would expand past the budget.
+ */
+function readZip(buf, budget = expansionBudget()) {
+  const files = [];
+  for (const e of listZip(buf)) {
+    if (e.name.endsWith('/') || e.encrypted) continue;
+    if (e.size > budget.left) throw new Error(`Zip contents exceed the uncompressed size limit at ${e.name}`);
+    const data = readEntry(buf, e, Math.min(MAX_ENTRY_BYTES, budget.left));
+    budget.left -= data.length;
+    files.push({ name: e.name, data });
+  }
+  return files;
+}
+
+/** One entry's bytes by name (null when absent) */
+function readZipEntry(buf, name, entries = listZip(buf)) {
+  const e = entries.find(x => x.name === name);
+  return e ? readEntry(buf, e) : null;
+}
+
+module.exports = {
+  isZip,
+  listZip,
+  expansionBudget,
+  readZip,
+  readZipEntry,
+};
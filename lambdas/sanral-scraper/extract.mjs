@@ -0,0 +1,52 @@
+// extract.mjs - SANRAL open-tenders field mapping
+//
+// readRows: the DataTables_Table_0 listing, readDetails: the longest cell of a tender page.
+// Run with page.evaluate, so self-contained. Checked against
+// __tests__/fixtures/html/sanral-*.html in __tests__/scraper-extract.test.js.
+
+export function readRows() {
+  const rows = document.querySelectorAll("#DataTables_Table_0 tbody tr");
+  const tendersData = [];
+
+  rows.forEach((row) => {
+    const cells = row.querySelectorAll("td");
+    if (cells.length >= 6) {
+      tendersData.push({
+        tenderLink: "https://www.nra.co.za" + (cells[0]?.querySelector("a")?.getAttribute("href") || ""),
+        tenderNumber: cells[0]?.innerText.trim(),
+        projectType: cells[1]?.innerText.trim(),
+        region: cells[2]?.innerText.trim(),
+        description: cells[3]?.innerText.trim(),
+        queriesTo: cells[4]?.innerText.trim(),
+        closingDate: cells[5]?.innerText.trim(),
+      });
+    }
+  });
+
+  return tendersData;
+}
+
+export function readDetails() {
+  const allTds = Array.from(document.querySelectorAll("td"));
+  if (!allTds.length) return null;
+
+  let targetTd = allTds.reduce((a, b) =>
+    a.innerText.trim().length > b.innerText.trim().length ? a : b
+  );
+
+  let paragraphs = Array.from(targetTd.querySelectorAll("p"))
+    .map((p) => p.innerText.trim())
+    .filter((text) => text.length > 0);
+
+  if (paragraphs.length === 0) {
+    paragraphs = targetTd.innerText
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((text) => text.length > 0);
+  }
+
+  return {
+    rawText: targetTd.innerText.trim(),
+    paragraphs: paragraphs,
+  };
+}
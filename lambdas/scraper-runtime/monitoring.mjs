@@ -0,0 +1,246 @@
+// monitoring.mjs - scraper run health, recorded in scrape_runs (db/migrations/0014_scrape_runs.sql)
+//
+// runScraper calls recordRun once per run, successful or not. A run is compared with the
+// rolling baseline of the source's earlier runs; an alert marks it `degraded` and is published
+// to SCRAPE_ALERT_TOPIC_ARN:
+//   run_failed       - the run threw and uploaded nothing
+//   empty            - no records at all (a selector stopped matching, or the site is down)
+//   count_drop       - fewer than (1 - COUNT_DROP_RATIO) of the baseline's median record count
+//   field_null       - a key field is (almost) always empty where it is usually filled
+//   detail_failures  - most detail pages failed
+//   after_save       - the snapshot is in S3 but runScraper's onSaved step (the Eskom checkpoint) failed
+// Monitoring never fails the scrape: errors here are logged and the run carries on.
+import pg from "pg";
+import { SSMClient, GetParameterCommand } from "@aws-sdk/client-ssm";
+import { SNSClient, PublishCommand } from "@aws-sdk/client-sns";
+
+const BASELINE_RUNS = parseInt(process.env.SCRAPE_BASELINE_RUNS || "7", 10);
+const COUNT_DROP_RATIO = 0.8;
+// A key field this empty, where the baseline had it filled in at least half the records
+const FIELD_NULL_RATE = 0.95;
+const BASELINE_NULL_RATE_MAX = 0.5;
+const MIN_DETAIL_SUCCESS = 0.5;
+// Too few detail pages to judge a success rate
+const MIN_DETAILS_FOR_RATE = 5;
+// Recording a run must not hold up the scraper's Lambda when the database is unreachable or slow
+const DB_CONNECT_TIMEOUT_MS = parseInt(process.env.MONITOR_DB_CONNECT_TIMEOUT_MS || "5000", 10);
+const DB_QUERY_TIMEOUT_MS = parseInt(process.env.MONITOR_DB_QUERY_TIMEOUT_MS || "10000", 10);
+
+const sns = new SNSClient({ region: "af-south-1" });
+let pool;
+
+function isEmpty(v) {
+  if (v == null) return true;
+  if (typeof v === "string") return v.trim() === "";
+  if (Array.isArray(v)) return v.length === 0;
+  return false;
+}
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+
+const round4 = (x) => Math.round(x * 10000) / 10000;
+
+/**
+ * Share of records without a value, per field. Nested objects (Transnet and SANRAL `details`)
+ * are reported one level down as "details.<field>"; a record lacking the field counts as empty.
+ */
+export function nullRates(items) {
+  const fields = new Set();
+  for (const item of items) {
+    for (const [k, v] of Object.entries(item || {})) {
+      if (isPlainObject(v)) for (const sub of Object.keys(v)) fields.add(`${k}.${sub}`);
+      else fields.add(k);
+    }
+  }
+  const rates = {};
+  for (const field of [...fields].sort()) {
+    const path = field.split(".");
+    const empty = items.filter((it) => isEmpty(path.reduce((v, k) => (v == null ? undefined : v[k]), it))).length;
+    rates[field] = round4(empty / items.length);
+  }
+  return rates;
+}
+
+/**
+ * The scrape_runs row for a run: { run_id, source, started_at, ..., null_rates }, plus
+ * after_save_error for checkRun (not a column; it ends up in the alerts)
+ */
+export function summarizeRun(run, { items = [], key = null, error = null, afterSaveError = null, finishedAt = new Date() } = {}) {
+  const { attempted = 0, ok = 0 } = run.details || {};
+  return {
+    run_id: run.runId,
+    source: run.source,
+    started_at: run.scrapedAt,
+    finished_at: finishedAt,
+    duration_ms: finishedAt - run.scrapedAt,
+    item_count: items.length,
+    details_attempted: attempted,
+    details_ok: ok,
+    detail_success_rate: attempted ? round4(ok / attempted) : null,
+    error_count: run.errors.length,
+    null_rates: items.length ? nullRates(items) : {},
+    error: error ? error.message : null,
+    s3_key: key,
+    after_save_error: afterSaveError ? afterSaveError.message : null,
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Alerts for a summarized run against earlier runs of the same source (newest first,
+ * failed runs excluded). keyFields: fields that should always be filled.
+ */
+export function checkRun(metrics, baseline, { keyFields = [] } = {}) {
+  const alerts = [];
+  if (metrics.error) {
+    return [{ type: "run_failed", message: `Run failed: ${metrics.error}` }];
+  }
+
+  const counts = baseline.map((b) => Number(b.item_count));
+  const typical = counts.length ? median(counts) : null;
+  if (metrics.item_count === 0) {
+    alerts.push({ type: "empty", message: "No records scraped", baseline: typical });
+  } else if (typical && metrics.item_count < typical * (1 - COUNT_DROP_RATIO)) {
+    alerts.push({
+      type: "count_drop",
+      message: `${metrics.item_count} records, down from a typical ${typical}`,
+      count: metrics.item_count,
+      baseline: typical,
+    });
+  }
+
+  if (metrics.item_count > 0) {
+    for (const field of keyFields) {
+      const rate = metrics.null_rates[field] ?? 1;
+      const before = baseline.map((b) => b.null_rates?.[field]).filter((r) => r != null).map(Number);
+      const usual = before.length ? before.reduce((a, b) => a + b, 0) / before.length : null;
+      if (rate >= FIELD_NULL_RATE && (usual == null || usual <= BASELINE_NULL_RATE_MAX)) {
+        alerts.push({
+          type: "field_null",
+          message: `${field} is empty in ${Math.round(rate * 100)}% of records`,
+          field,
+          null_rate: rate,
+          baseline: usual,
+        });
+      }
+    }
+  }
+
+  if (metrics.details_attempted >= MIN_DETAILS_FOR_RATE && metrics.detail_success_rate < MIN_DETAIL_SUCCESS) {
+    alerts.push({
+      type: "detail_failures",
+      message: `${metrics.details_ok} of ${metrics.details_attempted} detail pages loaded`,
+      success_rate: metrics.detail_success_rate,
+    });
+  }
+
+  if (metrics.after_save_error) {
+    alerts.push({ type: "after_save", message: `Snapshot saved, but the step after it failed: ${metrics.after_save_error}` });
+  }
+  return alerts;
+}
+
+async function getDbPassword() {
+  const ssm = new SSMClient({ region: "af-south-1" });
+  const paramName = process.env.DB_PASSWORD_PARAM;
+  if (!paramName) throw new Error("Missing DB_PASSWORD_PARAM in environment");
+  const resp = await ssm.send(new GetParameterCommand({ Name: paramName, WithDecryption: true }));
+  if (!resp.Parameter || !resp.Parameter.Value) throw new Error(`Parameter ${paramName} not found or empty`);
+  return String(resp.Parameter.Value).trim();
+}
+
+async function getPool() {
+  if (pool) return pool;
+  pool = new pg.Pool({
+    host: process.env.DB_HOST,
+    port: parseInt(process.env.DB_PORT || "5432", 10),
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: await getDbPassword(),
+    ssl: { rejectUnauthorized: false },
+    max: 1,
+    connectionTimeoutMillis: DB_CONNECT_TIMEOUT_MS,
+    // Server side, and client side in case the server never answers
+    statement_timeout: DB_QUERY_TIMEOUT_MS,
+    query_timeout: DB_QUERY_TIMEOUT_MS,
+  });
+  return pool;
+}
+
+const INSERT_RUN_SQL = `
+INSERT INTO scrape_runs
+  (run_id, source, status, started_at, finished_at, duration_ms, item_count, details_attempted,
+   details_ok, detail_success_rate, error_count, null_rates, alerts, error, s3_key)
+VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+ON CONFLICT (run_id) DO NOTHING
+`;
+
+async function publishAlert(metrics, status, alerts) {
+  const topicArn = process.env.SCRAPE_ALERT_TOPIC_ARN;
+  if (!topicArn) return;
+  await sns.send(new PublishCommand({
+    TopicArn: topicArn,
+    Subject: `Scraper ${status}: ${metrics.source}`.slice(0, 100),
+    Message: JSON.stringify({
+      event_type: "scrape_alert",
+      source: metrics.source,
+      run_id: metrics.run_id,
+      status,
+      started_at: metrics.started_at,
+      item_count: metrics.item_count,
+      alerts,
+    }),
+    MessageAttributes: {
+      event_type: { DataType: "String", StringValue: "scrape_alert" },
+      source: { DataType: "String", StringValue: metrics.source },
+    },
+  }));
+}
+
+/**
+ * Summarize, check and store one run, and publish its alerts.
+ * outcome: { items, key, afterSaveError } for an uploaded run, { error } for a failed one.
+ * Returns { status, alerts }; with no database configured (DB_HOST unset) only the checks
+ * that need no history run, and nothing is stored.
+ */
+export async function recordRun(run, outcome, { keyFields = [] } = {}) {
+  const metrics = summarizeRun(run, outcome);
+  let baseline = [];
+  let client = null;
+  try {
+    if (process.env.DB_HOST) {
+      client = await (await getPool()).connect();
+      ({ rows: baseline } = await client.query(
+        `SELECT item_count, detail_success_rate, null_rates FROM scrape_runs
+         WHERE source = $1 AND status <> 'failed' ORDER BY started_at DESC LIMIT $2`,
+        [metrics.source, BASELINE_RUNS]
+      ));
+    }
+
+    const alerts = checkRun(metrics, baseline, { keyFields });
+    const status = metrics.error ? "failed" : alerts.length ? "degraded" : "ok";
+    for (const a of alerts) console.error(` ⚠️ ${metrics.source} ${a.type}: ${a.message}`);
+
+    if (client) {
+      await client.query(INSERT_RUN_SQL, [
+        metrics.run_id, metrics.source, status, metrics.started_at, metrics.finished_at, metrics.duration_ms,
+        metrics.item_count, metrics.details_attempted, metrics.details_ok, metrics.detail_success_rate,
+        metrics.error_count, JSON.stringify(metrics.null_rates), JSON.stringify(alerts), metrics.error, metrics.s3_key,
+      ]);
+    }
+    if (alerts.length) await publishAlert(metrics, status, alerts);
+    return { status, alerts };
+  } catch (err) {
+    console.error(` Could not record ${metrics.source} run ${metrics.run_id}:`, err.message);
+    return { status: null, alerts: [] };
+  } finally {
+    if (client) client.release();
+  }
+}
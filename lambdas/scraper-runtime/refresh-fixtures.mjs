@@ -0,0 +1,116 @@
+// refresh-fixtures.mjs - save fresh HTML snapshots of the scraped sites for the extraction tests
+//
+//   cd lambdas/scraper-runtime && npm install && cd ../..
+//   npm run refresh-fixtures [-- eskom|transnet|sanral]
+//
+// Loads each site's first listing page and the first tender it links to in a local Chromium
+// (CHROME_PATH, or the @sparticuz/chromium build), drops <script>/<style> so the snapshot is
+// static, and writes __tests__/fixtures/html/<source>-listing.html and <source>-detail.html
+// over the synthetic pages the tests started with.
+// The extractors are then run on the live pages and their counts printed: a zero or a column
+// of nulls means the markup moved. Run the tests afterwards and update the expected values in
+// __tests__/scraper-extract.test.js for the new snapshot.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import chromium from "@sparticuz/chromium";
+import puppeteer from "puppeteer-core";
+import * as eskom from "../eskom-scraper/extract.mjs";
+import * as transnet from "../transnet-scraper/extract.mjs";
+import * as sanral from "../sanral-scraper/extract.mjs";
+
+const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../__tests__/fixtures/html");
+
+// Where to load each page, what to wait for, and how to find the tender to snapshot
+const SITES = {
+  eskom: {
+    listing: "https://tenderbulletin.eskom.co.za/?pageSize=10&pageNumber=1",
+    listingReady: "ul > li > article",
+    detailLink: 'ul > li a[href^="/tender/"]',
+    detailReady: "div.border-t",
+    readListing: eskom.readListing,
+    readDetail: eskom.readDetail,
+  },
+  transnet: {
+    listing: "https://transnetetenders.azurewebsites.net/Home/AdvertisedTenders",
+    listingReady: "#_advertisedTenders tbody tr",
+    detailLink: "#_advertisedTenders tbody tr td a",
+    detailReady: "#_tenderDetails",
+    readListing: transnet.readRows,
+    readDetail: transnet.readDetails,
+  },
+  sanral: {
+    listing: "https://www.nra.co.za/sanral-tenders/list/open-tenders",
+    listingReady: "#DataTables_Table_0 tbody tr",
+    detailLink: "#DataTables_Table_0 tbody tr td a",
+    detailReady: "td",
+    readListing: sanral.readRows,
+    readDetail: sanral.readDetails,
+  },
+};
+
+// The "captured" comment is how scraper-extract.test.js tells these from the synthetic pages
+async function snapshot(page, file) {
+  const origin = `<!-- captured: ${page.url()} at ${new Date().toISOString()} by refresh-fixtures.mjs -->`;
+  const html = await page.evaluate((origin) => {
+    document.querySelectorAll("script, style, noscript, iframe").forEach((el) => el.remove());
+    return `<!DOCTYPE html>\n${origin}\n` + document.documentElement.outerHTML;
+  }, origin);
+  fs.writeFileSync(path.join(FIXTURES_DIR, file), html);
+  console.log(`  wrote ${file} (${Math.round(html.length / 1024)} KB)`);
+}
+
+// Field -> share of records where it is filled, to spot a selector returning nothing
+function fillSummary(records) {
+  const fields = [...new Set(records.flatMap((r) => Object.keys(r || {})))];
+  return fields
+    .map((f) => `${f} ${records.filter((r) => r?.[f] != null && r[f] !== "").length}/${records.length}`)
+    .join(", ");
+}
+
+async function refresh(browser, source) {
+  const site = SITES[source];
+  const page = await browser.newPage();
+  page.setDefaultTimeout(60000);
+  console.log(`${source}: ${site.listing}`);
+
+  await page.goto(site.listing, { waitUntil: "networkidle2" });
+  await page.waitForSelector(site.listingReady);
+  // Read before the snapshot strips the scripts the page needs
+  const records = await page.evaluate(site.readListing);
+  const detailUrl = await page.$eval(site.detailLink, (a) => a.href);
+  await snapshot(page, `${source}-listing.html`);
+  console.log(`  listing: ${records.length} records; ${fillSummary(records)}`);
+
+  await page.goto(detailUrl, { waitUntil: "networkidle2" });
+  await page.waitForSelector(site.detailReady);
+  const detail = await page.evaluate(site.readDetail);
+  await snapshot(page, `${source}-detail.html`);
+  console.log(`  detail ${detailUrl}: ${fillSummary([detail])}`);
+
+  await page.close();
+}
+
+const only = process.argv[2];
+if (only && !SITES[only]) {
+  console.error(`Unknown source ${only}; expected one of ${Object.keys(SITES).join(", ")}`);
+  process.exit(1);
+}
+
+const browser = await puppeteer.launch({
+  args: chromium.args,
+  executablePath: process.env.CHROME_PATH || (await chromium.executablePath()),
+  headless: true,
+  ignoreHTTPSErrors: true,
+});
+try {
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  for (const source of only ? [only] : Object.keys(SITES)) {
+    await refresh(browser, source);
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await browser.close();
+}
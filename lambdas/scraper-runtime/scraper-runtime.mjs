@@ -0,0 +1,380 @@
+// scraper-runtime.mjs - shared Puppeteer runtime for the Eskom, Transnet and SANRAL scrapers
+//
+// Deployed as a Lambda layer (ScraperRuntimeLayer in template.yaml); a scraper imports it as
+//   import { runScraper } from "/opt/nodejs/scraper-runtime.mjs";
+// and keeps only its selectors and field mapping. runScraper owns the browser, catches
+// per-item failures and writes one envelope per run to the scraper bucket:
+//   { run_id, source, scraped_at, items: [...raw records], errors: [{ stage, item, url, message, attempts, debug }] }
+// The normalizer reads `items` (helpers.js asArray); older files are a bare array of records.
+// Every run, failed or not, is also recorded in scrape_runs and checked (monitoring.mjs).
+//
+// A failed navigation (a detail page, or whatever page was open when the run failed) leaves
+// failure artifacts under debug/<source>/<run_id>/: a full-page screenshot, the page HTML and
+// a JSON file with the URL, the error and the page's console log. `debug` in the envelope
+// error and in the response body points at that JSON. The stack's DebugArtifactsExpiry rule
+// (template.yaml) expires debug/; the normalizer ignores it.
+import crypto from "crypto";
+import chromium from "@sparticuz/chromium";
+import puppeteer from "puppeteer-core";
+import { S3Client, PutObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
+import { recordRun } from "./monitoring.mjs";
+
+export const s3 = new S3Client({ region: "af-south-1" });
+export const BUCKET_NAME = process.env.RAW_DATA_BUCKET || "tender-scraper-bucket";
+
+// Per-item defaults: one retry, and no single detail page may hold the run up for long
+const ITEM_ATTEMPTS = 2;
+const ITEM_TIMEOUT_MS = 45000;
+const RETRY_DELAY_MS = 1000;
+
+const DEBUG_PREFIX = "debug/";
+// A site that is down fails every page the same way; a handful of captures is enough
+const MAX_ARTIFACTS = 10;
+const CAPTURE_TIMEOUT_MS = 15000;
+const CONSOLE_LINES = 200;
+
+// page -> its console log, collected from openPage on
+const consoleLogs = new WeakMap();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Reject with a timeout error when `promise` has not settled within `ms` */
+export function withTimeout(promise, ms, label = "operation") {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run `fn(attempt)` up to `attempts` times, each bounded by `timeoutMs`.
+ * Throws the last error, with `attempts` set on it.
+ * A timed-out attempt is only abandoned, not stopped: whatever it drives (a tab) must be
+ * discarded before the next attempt uses it, as forEachDetail does.
+ */
+export async function withRetry(fn, { attempts = ITEM_ATTEMPTS, timeoutMs = ITEM_TIMEOUT_MS, label, delayMs = RETRY_DELAY_MS } = {}) {
+  let lastErr;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await withTimeout(Promise.resolve().then(() => fn(attempt)), timeoutMs, label);
+    } catch (err) {
+      lastErr = err;
+      if (attempt < attempts) {
+        console.warn(` ${label || "item"} failed (attempt ${attempt} of ${attempts}): ${err.message}`);
+        await sleep(delayMs);
+      }
+    }
+  }
+  lastErr.attempts = attempts;
+  throw lastErr;
+}
+
+/** A new tab with the scraper's default timeouts, keeping its console log for captureFailure */
+export async function openPage(browser, { timeout } = {}) {
+  const page = await browser.newPage();
+  if (timeout) {
+    page.setDefaultNavigationTimeout(timeout);
+    page.setDefaultTimeout(timeout);
+  }
+
+  const log = [];
+  consoleLogs.set(page, log);
+  const push = (line) => {
+    log.push(`${new Date().toISOString()} ${line}`);
+    if (log.length > CONSOLE_LINES) log.shift();
+  };
+  page.on("console", (msg) => push(`${msg.type()}: ${msg.text()}`));
+  page.on("pageerror", (err) => push(`pageerror: ${err.message}`));
+  page.on("requestfailed", (req) => push(`requestfailed: ${req.url()} ${req.failure()?.errorText || ""}`.trim()));
+  return page;
+}
+
+export function debugPrefix(run) {
+  return `${DEBUG_PREFIX}${run.source}/${run.runId}/`;
+}
+
+// Try one part of a capture; a page that has crashed may still give up the others
+async function attempt(label, fn) {
+  try {
+    return await withTimeout(Promise.resolve().then(fn), CAPTURE_TIMEOUT_MS, label);
+  } catch (err) {
+    console.warn(` Could not capture ${label}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save what `page` shows after a failure to debug/<source>/<run_id>/: <n>-<label>.png, .html
+ * and .json ({ url, error, console, screenshot, html }). Returns the JSON's key, or null when
+ * nothing was saved. Never throws; the failure being captured is what gets reported.
+ */
+export async function captureFailure(run, page, { label = "page", item = null, error } = {}) {
+  if (!page || run.artifacts.length >= MAX_ARTIFACTS) return null;
+  const slug = String(label).replace(/[^A-Za-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60) || "page";
+  const base = `${debugPrefix(run)}${String(run.artifacts.length + 1).padStart(2, "0")}-${slug}`;
+  const keys = { screenshot: `${base}.png`, html: `${base}.html`, log: `${base}.json` };
+  run.artifacts.push(keys.log);
+
+  const url = await attempt("page URL", () => page.url());
+  const png = await attempt("screenshot", () => page.screenshot({ fullPage: true }));
+  const html = await attempt("page HTML", () => page.content());
+  const saved = await attempt("failure artifacts", async () => {
+    if (png) await putObject(keys.screenshot, png, "image/png");
+    if (html != null) await putObject(keys.html, html, "text/html; charset=utf-8");
+    await putJson(keys.log, {
+      run_id: run.runId,
+      source: run.source,
+      label,
+      item,
+      url,
+      error: error ? error.message : null,
+      captured_at: new Date().toISOString(),
+      screenshot: png ? keys.screenshot : null,
+      html: html != null ? keys.html : null,
+      console: consoleLogs.get(page) || [],
+    }, { pretty: true });
+    return true;
+  });
+  if (!saved) {
+    run.artifacts.pop();
+    return null;
+  }
+  console.log(` Failure artifacts for ${label}: ${BUCKET_NAME}/${keys.log}`);
+  return keys.log;
+}
+
+/**
+ * Listing loop: readPage(pageIndex) returns that page's records (empty ends the loop),
+ * next(pageIndex, records) moves to the following page and returns false when there is none.
+ * Stops after maxPages. Returns every record read, in page order.
+ */
+export async function paginate({ readPage, next, maxPages = 50 }) {
+  const items = [];
+  for (let pageIndex = 1; pageIndex <= maxPages; pageIndex++) {
+    const records = await readPage(pageIndex);
+    if (!records || records.length === 0) {
+      console.log(` No records on page ${pageIndex}, stopping.`);
+      break;
+    }
+    items.push(...records);
+    console.log(` Page ${pageIndex}: ${records.length} records`);
+
+    if (pageIndex === maxPages) {
+      console.log(` Reached page limit of ${maxPages}. Stopping.`);
+      break;
+    }
+    if (!(await next(pageIndex, records))) break;
+  }
+  return items;
+}
+
+/**
+ * Client-side paging (DataTables): click `button` and wait until the first row of
+ * `rowSelector` changes, so the next read sees the new page.
+ */
+export async function clickAndWaitForRows(page, button, rowSelector, { timeout } = {}) {
+  const previousFirstRow = await page.evaluate((sel) => {
+    const firstRow = document.querySelector(sel);
+    return firstRow ? firstRow.innerText : "";
+  }, rowSelector);
+
+  const clicked = typeof button === "string" ? page.click(button) : button.click();
+  await Promise.all([
+    clicked,
+    page.waitForFunction(
+      (sel, prevText) => {
+        const firstRow = document.querySelector(sel);
+        return Boolean(firstRow) && firstRow.innerText !== prevText;
+      },
+      timeout ? { timeout } : {},
+      rowSelector,
+      previousFirstRow
+    ),
+  ]);
+}
+
+/**
+ * Visit a detail page per item: visit(page, item) with retry and timeout.
+ * Items share one tab while they succeed. A failed attempt's tab is closed, which also stops
+ * an attempt that timed out but is still running, and the retry or next item gets a new one.
+ * Opening or closing a tab counts against the item that needed it, never the whole run.
+ * A failing item is recorded in run.errors and the rest carry on.
+ * Returns the number of items visited successfully.
+ */
+export async function forEachDetail(run, items, visit, { idOf, urlOf, attempts, timeoutMs, pageTimeout } = {}) {
+  if (!items.length) return 0;
+  // Opened on demand; null after a failure until the next attempt needs one
+  let page = null;
+  const closePage = async () => {
+    // A crashed tab cannot be closed either
+    if (page) await page.close().catch(() => {});
+    page = null;
+  };
+
+  let ok = 0;
+  try {
+    for (const item of items) {
+      const url = urlOf ? urlOf(item) : null;
+      run.details.attempted++;
+      try {
+        await withRetry(async (attempt) => {
+          if (attempt > 1) await closePage();
+          page ??= await openPage(run.browser, { timeout: pageTimeout });
+          return visit(page, item);
+        }, { attempts, timeoutMs, label: url || "detail page" });
+        run.details.ok++;
+        ok++;
+      } catch (err) {
+        console.error(` Detail failed for ${url}: ${err.message}`);
+        const id = idOf ? idOf(item) : null;
+        const debug = await captureFailure(run, page, { label: id || url || "detail", item: id, error: err });
+        run.errors.push({
+          stage: "detail",
+          item: id,
+          url,
+          message: err.message,
+          attempts: err.attempts || 1,
+          ...(debug && { debug }),
+        });
+        // Captured as it failed; the next item starts clean
+        await closePage();
+      }
+    }
+  } finally {
+    await closePage();
+  }
+  return ok;
+}
+
+export function buildEnvelope(run, items) {
+  return {
+    run_id: run.runId,
+    source: run.source,
+    scraped_at: run.scrapedAt.toISOString(),
+    items,
+    errors: run.errors,
+  };
+}
+
+// <source>/<source>-<timestamp>.json, the key the normalizer adapters claim
+export function snapshotKey(source, at) {
+  return `${source}/${source}-${at.toISOString().replace(/[:.]/g, "-")}.json`;
+}
+
+async function putObject(key, body, contentType) {
+  await s3.send(new PutObjectCommand({ Bucket: BUCKET_NAME, Key: key, Body: body, ContentType: contentType }));
+}
+
+export async function putJson(key, value, { pretty = false } = {}) {
+  await putObject(key, pretty ? JSON.stringify(value, null, 2) : JSON.stringify(value), "application/json");
+}
+
+/** Parsed JSON object at `key`, or null when there is none */
+export async function getJson(key) {
+  try {
+    const { Body } = await s3.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+    return JSON.parse(await Body.transformToString());
+  } catch (err) {
+    if (err.name === "NoSuchKey") return null;
+    throw err;
+  }
+}
+
+// The run failed outside the item helpers: capture every tab still showing a page
+async function captureOpenPages(run, err) {
+  if (!run.browser) return;
+  const pages = (await attempt("open pages", () => run.browser.pages())) || [];
+  for (const page of pages) {
+    const url = await attempt("page URL", () => page.url());
+    if (!url || url === "about:blank") continue;
+    await captureFailure(run, page, { label: "run-failed", error: err });
+  }
+}
+
+/**
+ * Build a scraper's Lambda handler.
+ *   source    - bucket prefix and envelope source ("eskom", "transnet", "sanral")
+ *   scrape    - async (run) => items; run = { runId, source, scrapedAt, event, context, browser,
+ *               errors, details, artifacts, stats }; anything put in run.stats is added to the
+ *               response body
+ *   keyFields - record fields that should always be filled (monitoring alerts when they are not)
+ *   launch    - extra puppeteer.launch options
+ *   onSaved   - async (run, { key, items }) after the envelope is in S3; a failure here leaves
+ *               the upload in place and only marks the run degraded
+ * A failure outside the per-item helpers fails the run (500): no snapshot is uploaded, only the
+ * failure artifacts of the pages still open.
+ */
+export function runScraper({ source, scrape, keyFields = [], launch = {}, onSaved }) {
+  return async (event, context) => {
+    const run = {
+      runId: crypto.randomUUID(),
+      source,
+      scrapedAt: new Date(),
+      event: event || {},
+      context: context || {},
+      browser: null,
+      errors: [],
+      details: { attempted: 0, ok: 0 },
+      artifacts: [],
+      stats: {},
+    };
+
+    try {
+      console.log(` ${source} scraper started, run ${run.runId}`);
+      run.browser = await puppeteer.launch({
+        args: chromium.args,
+        defaultViewport: chromium.defaultViewport,
+        executablePath: await chromium.executablePath(),
+        headless: chromium.headless,
+        ...launch,
+      });
+
+      const items = await scrape(run);
+      const key = snapshotKey(source, run.scrapedAt);
+      await putJson(key, buildEnvelope(run, items), { pretty: true });
+      console.log(` Saved ${items.length} ${source} tenders (${run.errors.length} errors) to S3: ${BUCKET_NAME}/${key}`);
+      let afterSaveError = null;
+      if (onSaved) {
+        try {
+          await onSaved(run, { key, items });
+        } catch (err) {
+          console.error(` ${source} snapshot saved, but the step after it failed:`, err);
+          afterSaveError = err;
+        }
+      }
+      const health = await recordRun(run, { items, key, afterSaveError }, { keyFields });
+
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          message: "Scraping successful and saved to S3",
+          run_id: run.runId,
+          status: health.status,
+          alerts: health.alerts,
+          total: items.length,
+          errors: run.errors.length,
+          ...run.stats,
+          file: `${BUCKET_NAME}/${key}`,
+          debug: run.artifacts.map((k) => `${BUCKET_NAME}/${k}`),
+        }),
+      };
+    } catch (err) {
+      console.error(` Error in ${source} scraper:`, err);
+      await captureOpenPages(run, err);
+      await recordRun(run, { error: err }, { keyFields });
+      return {
+        statusCode: 500,
+        body: JSON.stringify({
+          error: err.message,
+          run_id: run.runId,
+          debug: run.artifacts.map((k) => `${BUCKET_NAME}/${k}`),
+        }),
+      };
+    } finally {
+      if (run.browser) {
+        await run.browser.close();
+      }
+    }
+  };
+}
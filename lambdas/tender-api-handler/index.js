@@ -41,33 +41,90 @@ const ok = (body) => ({ statusCode: 200, body: JSON.stringify(body) });
 const bad = (code, msg) => ({ statusCode: code, body: JSON.stringify({ error: msg }) });
 
 const SORT_WHITELIST = new Set(["closing_at", "published_at", "id"]);
+// Canonical statuses derived by the normalizer's lifecycle job (tenders.lifecycle_status)
+const LIFECYCLE_STATUSES = new Set(["open", "closing_soon", "closed", "withdrawn_or_cancelled", "awarded"]);
+// Same names/codes as the normalizer gazetteer (lambdas/normalizer/gazetteer.json); tenders.province holds the name
+const PROVINCES = {
+  EC: "Eastern Cape", FS: "Free State", GP: "Gauteng", KZN: "KwaZulu-Natal", LP: "Limpopo",
+  MP: "Mpumalanga", NC: "Northern Cape", NW: "North West", WC: "Western Cape",
+};
+function provinceName(v) {
+  const s = String(v || "").trim();
+  if (PROVINCES[s.toUpperCase()]) return PROVINCES[s.toUpperCase()];
+  const fold = (x) => x.toLowerCase().replace(/[^a-z]/g, "");
+  return Object.values(PROVINCES).find(n => fold(n) === fold(s)) || null;
+}
 function parseIntSafe(v, d) { const n = parseInt(v, 10); return Number.isFinite(n) ? n : d; }
+function parseNumberOrNull(v) { const n = Number(v); return v != null && v !== "" && Number.isFinite(n) ? n : null; }
 function parseDateOrNull(s) { return /^\d{4}-\d{2}-\d{2}$/.test(s || "") ? s : null; }
 
 // ---------- WHERE Builder ----------
 function buildTenderWhere(qp) {
   const where = [];
   const params = [];
+  let documentQuery = null;
 
   if (qp.source) {
     params.push(qp.source);
     where.push(`t.source_id = (SELECT id FROM sources WHERE name = $${params.length})`);
   }
   if (qp.status) {
+    // Canonical statuses filter on lifecycle_status; anything else matches the raw source status
     params.push(qp.status);
-    where.push(`t.status = $${params.length}`);
+    where.push(LIFECYCLE_STATUSES.has(qp.status)
+      ? `t.lifecycle_status = $${params.length}`
+      : `t.status = $${params.length}`);
   }
   if (qp.buyer) {
     params.push(qp.buyer);
     where.push(`t.buyer = $${params.length}`);
   }
   if (qp.category) {
+    // Canonical taxonomy slug (see GET /categories); raw_category matches the source's own text
     params.push(qp.category);
+    where.push(`t.canonical_category = $${params.length}`);
+  }
+  if (qp.province) {
+    // Code or name ("GP", "gauteng"); unknown values match nothing rather than everything
+    params.push(provinceName(qp.province) || qp.province);
+    where.push(`t.province = $${params.length}`);
+  }
+  if (qp.raw_category) {
+    params.push(qp.raw_category);
     where.push(`t.category = $${params.length}`);
   }
   if (qp.q) {
     params.push(qp.q);
-    where.push(`to_tsvector('english', coalesce(t.title,'') || ' ' || coalesce(t.description,'')) @@ plainto_tsquery('english', $${params.length})`);
+    const tsq = `plainto_tsquery('english', $${params.length})`;
+    if (qp.search_in === "documents") {
+      // Title/description or the text of any archived attachment
+      documentQuery = tsq;
+      where.push(`(t.search_tsv @@ ${tsq} OR EXISTS (
+        SELECT 1 FROM documents d
+        JOIN document_archive a ON a.url = d.url
+        JOIN document_texts x ON x.archive_id = a.id
+        WHERE d.tender_id = t.id AND x.tsv @@ ${tsq}
+      ))`);
+    } else {
+      where.push(`t.search_tsv @@ ${tsq}`);
+    }
+  }
+
+  // Extracted facts (normalizer extract.js). cidb_grade is the caller's own grading:
+  // it matches tenders that grading is eligible for, i.e. required grade <= it.
+  const grade = parseNumberOrNull(qp.cidb_grade);
+  if (grade !== null) { params.push(grade); where.push(`t.cidb_grade <= $${params.length}`); }
+  if (qp.cidb_class) {
+    params.push(String(qp.cidb_class).toUpperCase());
+    where.push(`t.cidb_class = $${params.length}`);
+  }
+  const minValue = parseNumberOrNull(qp.min_value);
+  const maxValue = parseNumberOrNull(qp.max_value);
+  if (minValue !== null) { params.push(minValue); where.push(`t.value_amount >= $${params.length}`); }
+  if (maxValue !== null) { params.push(maxValue); where.push(`t.value_amount <= $${params.length}`); }
+  if (qp.preference_system) {
+    params.push(qp.preference_system);
+    where.push(`t.preference_system = $${params.length}`);
   }
 
   const cf = parseDateOrNull(qp.closing_from);
@@ -80,8 +137,66 @@ function buildTenderWhere(qp) {
   if (pf) { params.push(pf); where.push(`t.published_at >= $${params.length}::date`); }
   if (pt) { params.push(pt); where.push(`t.published_at < ($${params.length}::date + INTERVAL '1 day')`); }
 
+  // One row per cross-source duplicate group: hide every listing that is not its group's canonical row
+  if (qp.dedupe === "true" || qp.dedupe === "1") {
+    where.push(`NOT EXISTS (
+      SELECT 1 FROM tender_group_members gm
+      JOIN tender_groups g ON g.id = gm.group_id
+      WHERE gm.tender_id = t.id AND g.canonical_tender_id IS NOT NULL AND g.canonical_tender_id <> t.id
+    )`);
+  }
+
   const sql = where.length ? `WHERE ${where.join(" AND ")}` : "";
-  return { sql, params };
+  return { sql, params, documentQuery };
+}
+
+// Other listings of the same tender (same duplicate group), as a JSON array column
+const OTHER_LISTINGS_SQL = `
+  COALESCE((
+    SELECT json_agg(json_build_object('id', o.id, 'source', s.name, 'url', o.url, 'external_id', o.external_id) ORDER BY o.id)
+    FROM tender_group_members gm
+    JOIN tender_group_members om ON om.group_id = gm.group_id AND om.tender_id <> gm.tender_id
+    JOIN tenders o ON o.id = om.tender_id
+    JOIN sources s ON s.id = o.source_id
+    WHERE gm.tender_id = t.id
+  ), '[]'::json) AS other_listings`;
+
+// Best-matching attachments for a document search, with a highlighted snippet each
+function documentMatchesSql(tsq) {
+  return `
+  COALESCE((
+    SELECT json_agg(m ORDER BY m.rank DESC)
+    FROM (
+      SELECT d.name AS document, d.url, NULLIF(x.part_name, '') AS part,
+             ts_headline('english', x.body, ${tsq},
+               'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10') AS snippet,
+             ts_rank(x.tsv, ${tsq}) AS rank
+      FROM documents d
+      JOIN document_archive a ON a.url = d.url
+      JOIN document_texts x ON x.archive_id = a.id
+      WHERE d.tender_id = t.id AND x.tsv @@ ${tsq}
+      ORDER BY rank DESC
+      LIMIT 3
+    ) m
+  ), '[]'::json) AS document_matches`;
+}
+
+// Map category slugs or labels (any case) onto taxonomy slugs; unknown ones are returned separately
+async function resolveCategories(client, categories) {
+  const { rows } = await client.query("SELECT slug, label FROM category_taxonomy");
+  const bySlug = new Map();
+  for (const r of rows) {
+    bySlug.set(r.slug.toLowerCase(), r.slug);
+    bySlug.set(r.label.toLowerCase(), r.slug);
+  }
+  const slugs = [];
+  const unknown = [];
+  for (const c of categories) {
+    const slug = bySlug.get(String(c).trim().toLowerCase());
+    if (slug) { if (!slugs.includes(slug)) slugs.push(slug); }
+    else unknown.push(c);
+  }
+  return { slugs, unknown };
 }
 
 // ---------- Shared Connection Pool ----------
@@ -120,6 +235,12 @@ export const handler = async (event) => {
 
     if (method === "OPTIONS") return ok({}); // CORS preflight
 
+    // /admin/* has its own route behind the AWS_IAM authorizer (template.yaml AdminProxy);
+    // a request that got here any other way has no IAM caller and is refused
+    if (path.startsWith("/admin/") && !event.requestContext?.authorizer?.iam) {
+      return bad(403, "Admin routes need a SigV4-signed request from an IAM principal");
+    }
+
     // ---------- Save User Tender Preferences ---------- 
 if (method === "POST" && path === "/user/preferences") {
   const body = JSON.parse(event.body || "{}");
@@ -130,6 +251,12 @@ if (method === "POST" && path === "/user/preferences") {
   }
 
   try {
+    // Preferences (and their SNS filter policies) use canonical category slugs
+    const { slugs, unknown } = await resolveCategories(client, categories);
+    if (unknown.length) {
+      return bad(400, `Unknown categories: ${unknown.join(", ")}. See GET /categories`);
+    }
+
     // find user
     const userRes = await client.query(
       "SELECT id FROM users WHERE email = $1",
@@ -142,10 +269,11 @@ if (method === "POST" && path === "/user/preferences") {
 
     const userId = userRes.rows[0].id;
 
-    // Update user location
+    // Update user location; a recognised province also narrows the SNS subscriptions below
+    const province = provinceName(location);
     await client.query(
       "UPDATE users SET province = $1 WHERE id = $2",
-      [location, userId]
+      [province || location, userId]
     );
 
     // Clear old category prefs
@@ -155,7 +283,7 @@ if (method === "POST" && path === "/user/preferences") {
     );
 
     // Insert new category prefs + SNS subscriptions
-    for (const category of categories) {
+    for (const category of slugs) {
       await client.query(
         "INSERT INTO user_preferences (user_id, tender_category) VALUES ($1, $2)",
         [userId, category]
@@ -167,7 +295,10 @@ if (method === "POST" && path === "/user/preferences") {
         Protocol: "email",
         Endpoint: email,
         Attributes: {
-          FilterPolicy: JSON.stringify({ category: [category] })
+          FilterPolicy: JSON.stringify(province
+            // tenders the normalizer could not place are published with province "unknown"
+            ? { category: [category], province: [province, "unknown"] }
+            : { category: [category] })
         }
       }));
     }
@@ -216,7 +347,7 @@ if (method === "GET" && path === "/user/preferences") {
 
     // ---------- GET /tenders ----------
     if (method === "GET" && path === "/tenders") {
-      const { sql: whereSql, params } = buildTenderWhere(qp);
+      const { sql: whereSql, params, documentQuery } = buildTenderWhere(qp);
       const limit = Math.min(Math.max(parseIntSafe(qp.limit, 20), 1), 100);
       const offset = Math.max(parseIntSafe(qp.offset, 0), 0);
       const sort = SORT_WHITELIST.has(qp.sort) ? qp.sort : "closing_at";
@@ -224,8 +355,10 @@ if (method === "GET" && path === "/user/preferences") {
 
       const totalSql = `SELECT COUNT(*) AS c FROM tenders t ${whereSql};`;
       const dataSql = `
-        SELECT t.id, t.title, t.buyer, t.category, t.status, t.source_id,
-               t.published_at, t.briefing_at, t.closing_at, t.location, t.url
+        SELECT t.id, t.title, t.buyer, t.category, t.canonical_category, t.status, t.lifecycle_status, t.source_id,
+               t.published_at, t.briefing_at, t.closing_at, t.location, t.province, t.municipality, t.url,
+               t.cidb_grade, t.cidb_class, t.value_amount, t.value_currency, t.preference_system,
+               ${OTHER_LISTINGS_SQL}${documentQuery ? `,${documentMatchesSql(documentQuery)}` : ""}
         FROM tenders t
         ${whereSql}
         ORDER BY t.${sort} ${order} NULLS LAST
@@ -245,7 +378,7 @@ if (method === "GET" && path === "/user/preferences") {
     // ---------- GET /tenders/{id} ----------
     if (method === "GET" && /^\/tenders\/\d+$/.test(path)) {
       const id = path.split("/")[2];
-      const tender = await client.query(`SELECT * FROM tenders WHERE id=$1;`, [id]);
+      const tender = await client.query(`SELECT t.*, ${OTHER_LISTINGS_SQL} FROM tenders t WHERE t.id=$1;`, [id]);
       if (tender.rowCount === 0) return bad(404, "Not found");
 
       const docs = await client.query(`SELECT id, url, name, mime_type, published_at FROM documents WHERE tender_id=$1 ORDER BY id;`, [id]);
@@ -268,6 +401,126 @@ if (method === "GET" && path === "/user/preferences") {
       return ok(contacts.rows);
     }
 
+    // ---------- GET /tenders/{id}/history ----------
+    if (method === "GET" && /^\/tenders\/\d+\/history$/.test(path)) {
+      const id = path.split("/")[2];
+      const tender = await client.query(`SELECT id FROM tenders WHERE id=$1;`, [id]);
+      if (tender.rowCount === 0) return bad(404, "Not found");
+
+      const revisions = await client.query(
+        `SELECT id, changed_fields, changes, previous_hash, new_hash, recorded_at
+         FROM tender_revisions WHERE tender_id=$1 ORDER BY recorded_at, id;`,
+        [id]
+      );
+      return ok(revisions.rows);
+    }
+
+    // ---------- GET /briefings?from=&to=&province= ----------
+    // Upcoming briefing sessions (default: the next 30 days), soonest first
+    if (method === "GET" && path === "/briefings") {
+      const params = [];
+      const where = ["t.briefing_at IS NOT NULL", "t.lifecycle_status IS DISTINCT FROM 'withdrawn_or_cancelled'"];
+
+      const from = parseDateOrNull(qp.from);
+      const to = parseDateOrNull(qp.to);
+      let start = "now()";
+      if (from) { params.push(from); start = `$${params.length}::date`; }
+      where.push(`t.briefing_at >= ${start}`);
+      if (to) { params.push(to); where.push(`t.briefing_at < ($${params.length}::date + INTERVAL '1 day')`); }
+      else where.push(`t.briefing_at < ${start} + INTERVAL '30 days'`);
+
+      if (qp.province) {
+        params.push(provinceName(qp.province) || qp.province);
+        where.push(`t.province = $${params.length}`);
+      }
+      if (qp.compulsory === "true" || qp.compulsory === "false") {
+        params.push(qp.compulsory === "true");
+        where.push(`t.briefing_compulsory = $${params.length}`);
+      }
+      const limit = Math.min(Math.max(parseIntSafe(qp.limit, 50), 1), 200);
+      const offset = Math.max(parseIntSafe(qp.offset, 0), 0);
+
+      const briefings = await client.query(
+        `SELECT t.id, t.title, t.buyer, t.source_id, t.briefing_at, t.briefing_venue, t.briefing_compulsory,
+                t.briefing_link, t.briefing_details, t.province, t.municipality, t.closing_at, t.url
+         FROM tenders t
+         WHERE ${where.join(" AND ")}
+         ORDER BY t.briefing_at, t.id
+         LIMIT ${limit} OFFSET ${offset};`,
+        params
+      );
+      return ok({ limit, offset, results: briefings.rows });
+    }
+
+    // ---------- GET /contacts?email= ----------
+    // Every tender a procurement officer is listed on (contacts are per tender, emails stored lower-case)
+    if (method === "GET" && path === "/contacts") {
+      const email = String(qp.email || "").trim().toLowerCase();
+      if (!/^[^@\s]+@[^@\s]+\.[a-z]{2,}$/.test(email)) return bad(400, "email is required");
+      const limit = Math.min(Math.max(parseIntSafe(qp.limit, 50), 1), 200);
+      const offset = Math.max(parseIntSafe(qp.offset, 0), 0);
+
+      const people = await client.query(
+        `SELECT array_agg(DISTINCT c.name) FILTER (WHERE c.name IS NOT NULL) AS names,
+                array_agg(DISTINCT c.phone) FILTER (WHERE c.phone IS NOT NULL) AS phones,
+                COUNT(DISTINCT c.tender_id) AS tenders
+         FROM contacts c WHERE lower(c.email) = $1;`,
+        [email]
+      );
+      const total = parseInt(people.rows[0]?.tenders || 0, 10);
+      if (total === 0) return bad(404, "No tenders for this contact");
+
+      const tenders = await client.query(
+        `SELECT t.id, t.title, t.buyer, t.source_id, t.lifecycle_status, t.published_at, t.closing_at,
+                t.province, t.url
+         FROM tenders t
+         WHERE t.id IN (SELECT c.tender_id FROM contacts c WHERE lower(c.email) = $1)
+         ORDER BY t.closing_at DESC NULLS LAST, t.id DESC
+         LIMIT ${limit} OFFSET ${offset};`,
+        [email]
+      );
+
+      return ok({
+        email,
+        names: people.rows[0].names || [],
+        phones: people.rows[0].phones || [],
+        total, limit, offset,
+        results: tenders.rows,
+      });
+    }
+
+    // ---------- GET /admin/scrape-runs?source=&status= ----------
+    // Scraper run health (scrape_runs, written by the scrapers), newest first; IAM callers only
+    if (method === "GET" && path === "/admin/scrape-runs") {
+      const params = [];
+      const where = [];
+      if (qp.source) { params.push(String(qp.source).toLowerCase()); where.push(`source = $${params.length}`); }
+      if (qp.status) {
+        if (!["ok", "degraded", "failed"].includes(qp.status)) return bad(400, "status must be ok, degraded or failed");
+        params.push(qp.status);
+        where.push(`status = $${params.length}`);
+      }
+      const limit = Math.min(Math.max(parseIntSafe(qp.limit, 50), 1), 200);
+      const offset = Math.max(parseIntSafe(qp.offset, 0), 0);
+
+      const runs = await client.query(
+        `SELECT run_id, source, status, started_at, finished_at, duration_ms, item_count, details_attempted,
+                details_ok, detail_success_rate, error_count, null_rates, alerts, error, s3_key
+         FROM scrape_runs
+         ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+         ORDER BY started_at DESC, id DESC
+         LIMIT ${limit} OFFSET ${offset};`,
+        params
+      );
+      return ok({ limit, offset, results: runs.rows });
+    }
+
+    // ---------- GET /categories ----------
+    if (method === "GET" && path === "/categories") {
+      const cats = await client.query(`SELECT slug, label FROM category_taxonomy ORDER BY sort_order, label;`);
+      return ok(cats.rows);
+    }
+
     // ----------  GET /stats ----------
     if (method === "GET" && path === "/stats") {
       try {
@@ -0,0 +1,78 @@
+// extract.mjs - Transnet eTenders field mapping
+//
+// readRows: the #_advertisedTenders table, readDetails: a TenderDetails page (#_tenderDetails).
+// Serialised into the page by page.evaluate; nothing outside the function body is in scope.
+// Fixtures: __tests__/fixtures/html/transnet-*.html (npm run refresh-fixtures).
+
+export function readRows() {
+  const rows = document.querySelectorAll("#_advertisedTenders tbody tr");
+  const tendersData = [];
+
+  rows.forEach((row) => {
+    const cells = row.querySelectorAll("td");
+    if (cells.length >= 7) {
+      tendersData.push({
+        referenceNumber: cells[0]?.innerText.trim(),
+        tenderName: cells[1]?.innerText.trim(),
+        description: cells[2]?.innerText.trim(),
+        briefingSession: cells[3]?.innerText.trim(),
+        closingDate: cells[4]?.innerText.trim(),
+        tenderStatus: cells[5]?.innerText.trim(),
+        detailsLink:
+          "https://transnetetenders.azurewebsites.net" +
+          (cells[6]?.querySelector("a")?.getAttribute("href") || ""),
+      });
+    }
+  });
+
+  return tendersData;
+}
+
+export function readDetails() {
+  const getText = (selector) =>
+    document.querySelector(selector)?.innerText.trim() || null;
+
+  const baseDetails = {
+    tenderName: getText("#lblTenderName"),
+    referenceNumber: getText("#_TenderRefNumber"),
+    nameOfTender: getText("#_NameOfTender"),
+    description: getText("#_DescriptionOfTender"),
+    tenderType: getText("#_TenderType"),
+    contactPerson:
+      document.querySelectorAll(".row.eTenderLabelRows2")[4]?.children[1]
+        ?.innerText.trim() || null,
+    contactEmail:
+      document.querySelectorAll(".row.eTenderLabelRows2")[5]?.children[1]
+        ?.innerText.trim() || null,
+    datePublished:
+      document.querySelectorAll(".row.eTenderLabelRows2")[6]?.children[1]
+        ?.innerText.trim() || null,
+    closingDate: getText("#_ClosingDate"),
+    briefingDate: getText("#_BriefingDate"),
+    briefingDetails:
+      document.querySelectorAll(".row.eTenderLabelRows2")[9]?.children[1]
+        ?.innerText.trim() || null,
+    locationOfService:
+      document.querySelectorAll(".row.eTenderLabelRows2")[10]?.children[1]
+        ?.innerText.trim() || null,
+    institution:
+      document.querySelectorAll(".row.eTenderLabelRows2")[11]?.children[1]
+        ?.innerText.trim() || null,
+    tenderCategory:
+      document.querySelectorAll(".row.eTenderLabelRows2")[12]?.children[1]
+        ?.innerText.trim() || null,
+    tenderStatus:
+      document.querySelectorAll(".row.eTenderLabelRows2")[13]?.children[1]
+        ?.innerText.trim() || null,
+  };
+
+  const documents = [];
+  document.querySelectorAll("ul.list-with-icons li a").forEach((a) => {
+    documents.push({
+      name: a.innerText.trim(),
+      url: a.getAttribute("href"),
+    });
+  });
+
+  return { ...baseDetails, documents };
+}
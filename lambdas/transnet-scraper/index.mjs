@@ -12,200 +12,61 @@
  */
 
 // Lambda handler for Transnet Tenders Scraper
-import chromium from "@sparticuz/chromium";
-import puppeteer from "puppeteer-core";
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import { runScraper, paginate, clickAndWaitForRows, forEachDetail, openPage } from "/opt/nodejs/scraper-runtime.mjs";
+import { readRows, readDetails } from "./extract.mjs";
 
-const s3 = new S3Client({ region: "af-south-1" });
-const BUCKET_NAME = "tender-scraper-bucket";
+const LIST_URL = "https://transnetetenders.azurewebsites.net/Home/AdvertisedTenders";
+const ROW_SELECTOR = "#_advertisedTenders tbody tr";
 
-export const lambdaHandler = async (event, context) => {
-  let browser = null;
-  try {
-    console.log("Lambda Transnet scraper started...");
-
-    // Launch headless Chromium in Lambda
-    browser = await puppeteer.launch({
-      args: chromium.args,
-      defaultViewport: chromium.defaultViewport,
-      executablePath: await chromium.executablePath(),
-      headless: chromium.headless,
-    });
-
-    const page = await browser.newPage();
-    await page.goto("https://transnetetenders.azurewebsites.net/Home/AdvertisedTenders", {
-      waitUntil: "networkidle2",
-    });
-    await page.waitForSelector("#_advertisedTenders tbody tr");
-
-    const allTenders = [];
-    let pageIndex = 1;
-
-    // -------- 1. Collect tenders from all pages --------
-    while (true) {
-      console.log(`Scraping page ${pageIndex}...`);
-
-      const tenders = await page.evaluate(() => {
-        const rows = document.querySelectorAll("#_advertisedTenders tbody tr");
-        const tendersData = [];
-
-        rows.forEach((row) => {
-          const cells = row.querySelectorAll("td");
-          if (cells.length >= 7) {
-            tendersData.push({
-              referenceNumber: cells[0]?.innerText.trim(),
-              tenderName: cells[1]?.innerText.trim(),
-              description: cells[2]?.innerText.trim(),
-              briefingSession: cells[3]?.innerText.trim(),
-              closingDate: cells[4]?.innerText.trim(),
-              tenderStatus: cells[5]?.innerText.trim(),
-              detailsLink:
-                "https://transnetetenders.azurewebsites.net" +
-                (cells[6]?.querySelector("a")?.getAttribute("href") || ""),
-            });
-          }
-        });
-
-        return tendersData;
-      });
-
-      console.log(`   → Found ${tenders.length} tenders on page ${pageIndex}`);
-      allTenders.push(...tenders);
+async function scrape(run) {
+  const page = await openPage(run.browser);
+  await page.goto(LIST_URL, { waitUntil: "networkidle2" });
+  await page.waitForSelector(ROW_SELECTOR);
 
+  // -------- 1. Collect tenders from all pages --------
+  const allTenders = await paginate({
+    readPage: () => page.evaluate(readRows),
+    next: async (pageIndex) => {
       // Check if Next button is present & enabled
       const nextButton = await page.$("#_advertisedTenders_next");
-      if (!nextButton) break;
+      if (!nextButton) return false;
 
-      const isDisabled = await page.evaluate(
-        (el) => el?.classList.contains("disabled"),
-        nextButton
-      );
+      const isDisabled = await page.evaluate((el) => el?.classList.contains("disabled"), nextButton);
       if (isDisabled) {
         console.log(`Reached last page (${pageIndex}), stopping...`);
-        break;
+        return false;
       }
 
-      // Click next and wait for new content
-      const previousFirstRow = await page.evaluate(() => {
-        const firstRow = document.querySelector("#_advertisedTenders tbody tr");
-        return firstRow ? firstRow.innerText : "";
-      });
-
-      await Promise.all([
-        nextButton.click(),
-        page.waitForFunction(
-          (prevText) => {
-            const firstRow = document.querySelector("#_advertisedTenders tbody tr");
-            if (!firstRow) return false;
-            return firstRow.innerText !== prevText;
-          },
-          {},
-          previousFirstRow
-        ),
-      ]);
-
-      pageIndex++;
-    }
-
-    console.log(`Total tenders collected (before details): ${allTenders.length}`);
-
-    // -------- 2. Fetch details for each tender --------
-    for (let i = 0; i < allTenders.length; i++) {
-      const tender = allTenders[i];
-      if (!tender.detailsLink) continue;
-
-      await page.goto(tender.detailsLink, { waitUntil: "networkidle2" });
-      await page.waitForSelector("#_tenderDetails");
-
-      const details = await page.evaluate(() => {
-        const getText = (selector) =>
-          document.querySelector(selector)?.innerText.trim() || null;
-
-        const baseDetails = {
-          tenderName: getText("#lblTenderName"),
-          referenceNumber: getText("#_TenderRefNumber"),
-          nameOfTender: getText("#_NameOfTender"),
-          description: getText("#_DescriptionOfTender"),
-          tenderType: getText("#_TenderType"),
-          contactPerson:
-            document.querySelectorAll(".row.eTenderLabelRows2")[4]?.children[1]
-              ?.innerText.trim() || null,
-          contactEmail:
-            document.querySelectorAll(".row.eTenderLabelRows2")[5]?.children[1]
-              ?.innerText.trim() || null,
-          datePublished:
-            document.querySelectorAll(".row.eTenderLabelRows2")[6]?.children[1]
-              ?.innerText.trim() || null,
-          closingDate: getText("#_ClosingDate"),
-          briefingDate: getText("#_BriefingDate"),
-          briefingDetails:
-            document.querySelectorAll(".row.eTenderLabelRows2")[9]?.children[1]
-              ?.innerText.trim() || null,
-          locationOfService:
-            document.querySelectorAll(".row.eTenderLabelRows2")[10]?.children[1]
-              ?.innerText.trim() || null,
-          institution:
-            document.querySelectorAll(".row.eTenderLabelRows2")[11]?.children[1]
-              ?.innerText.trim() || null,
-          tenderCategory:
-            document.querySelectorAll(".row.eTenderLabelRows2")[12]?.children[1]
-              ?.innerText.trim() || null,
-          tenderStatus:
-            document.querySelectorAll(".row.eTenderLabelRows2")[13]?.children[1]
-              ?.innerText.trim() || null,
-        };
-
-        const documents = [];
-        document.querySelectorAll("ul.list-with-icons li a").forEach((a) => {
-          documents.push({
-            name: a.innerText.trim(),
-            url: a.getAttribute("href"),
-          });
-        });
-
-        return { ...baseDetails, documents };
-      });
-
-      tender.details = details;
-    }
-
-    console.log(`Total tenders scraped with details: ${allTenders.length}`);
-
-    // -------- 3. Save results to S3 --------
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const fileName = `transnet/transnet-${timestamp}.json`;
-
-    const putCommand = new PutObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: fileName,
-      Body: JSON.stringify(allTenders, null, 2),
-      ContentType: "application/json",
-    });
-
-    await s3.send(putCommand);
-    console.log(`Saved Transnet tenders to S3: ${BUCKET_NAME}/${fileName}`);
-
-    return {
-      statusCode: 200,
-      body: JSON.stringify({
-        message: "Scraping successful and saved to S3",
-        total: allTenders.length,
-        file: `${BUCKET_NAME}/${fileName}`,
-      }),
-    };
-  } catch (err) {
-    console.error("Error in Lambda:", err);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: err.message }),
-    };
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
+      await clickAndWaitForRows(page, nextButton, ROW_SELECTOR);
+      return true;
+    },
+  });
+
+  console.log(`Total tenders collected (before details): ${allTenders.length}`);
+
+  // -------- 2. Fetch details for each tender --------
+  await forEachDetail(run, allTenders.filter((t) => t.detailsLink), async (detailPage, tender) => {
+    await detailPage.goto(tender.detailsLink, { waitUntil: "networkidle2" });
+    await detailPage.waitForSelector("#_tenderDetails");
+    tender.details = await detailPage.evaluate(readDetails);
+  }, {
+    idOf: (t) => t.referenceNumber,
+    urlOf: (t) => t.detailsLink,
+  });
+
+  // A tender whose detail page failed still goes out with its listing row, flagged so the
+  // normalizer keeps what it stored from an earlier detail page instead of blanking it
+  for (const tender of allTenders) {
+    if (tender.details) continue;
+    tender.details = {};
+    if (tender.detailsLink) tender.detailsFailed = true;
   }
-};
-
 
+  return allTenders;
+}
 
-  
\ No newline at end of file
+export const lambdaHandler = runScraper({
+  source: "transnet",
+  scrape,
+  keyFields: ["referenceNumber", "closingDate", "details.closingDate"],
+});